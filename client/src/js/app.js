@@ -8,6 +8,7 @@ import Router from './router.js';
 import themeManager from './utils/theme-manager.js';
 import AuthStore from './store/auth.js';
 import WebSocketClient from './services/websocket.js';
+import NotificationCenter from './components/notification-center/notification-center.js';
 
 // Import page controllers
 import DashboardPage from './pages/dashboard.js';
@@ -28,6 +29,7 @@ class PandoraApp {
     this.themeManager = null;
     this.authStore = null;
     this.wsClient = null;
+    this.notificationCenter = null;
     this.isInitialized = false;
     this.pendingLoginRedirect = false;
   }
@@ -59,6 +61,9 @@ class PandoraApp {
       // Setup WebSocket connection
       this.initializeWebSocket();
 
+      // Setup notification center
+      this.initializeNotifications();
+
       // Hide loading screen
       this.hideLoadingScreen();
 
@@ -341,6 +346,29 @@ class PandoraApp {
     });
   }
 
+  /**
+   * Initialize notification center in the navigation header
+   */
+  initializeNotifications() {
+    const container = document.getElementById('notification-center');
+    if (!container) return;
+
+    this.notificationCenter = new NotificationCenter(container);
+
+    if (this.authStore.isAuthenticated()) {
+      this.notificationCenter.init();
+    }
+
+    // Only show notifications for signed-in users
+    this.authStore.onAuthChange((isAuthenticated) => {
+      if (isAuthenticated) {
+        this.notificationCenter.init();
+      } else {
+        this.notificationCenter.destroy();
+      }
+    });
+  }
+
   /**
    * Hide loading screen
    */
@@ -404,6 +432,10 @@ class PandoraApp {
       this.wsClient.disconnect();
     }
 
+    if (this.notificationCenter) {
+      this.notificationCenter.destroy();
+    }
+
     this.isInitialized = false;
   }
 }
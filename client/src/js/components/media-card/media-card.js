@@ -3,6 +3,9 @@
  * Displays media content (movies/TV shows) with poster, title, and metadata
  */
 
+import { watchlistService } from '../../services/watchlist.js';
+import { mediaService } from '../../services/media.js';
+
 export class MediaCard {
   constructor(mediaData, options = {}) {
     this.mediaData = mediaData;
@@ -43,6 +46,7 @@ export class MediaCard {
       <article class="media-card" role="article">
         <div class="media-card-poster-container">
           <img class="media-card-poster" src="" alt="" loading="lazy">
+          <div class="media-card-badges"></div>
           <div class="media-card-overlay">
             <button class="play-btn" aria-label="View details">
               <span class="icon">▶</span>
@@ -73,6 +77,13 @@ export class MediaCard {
    */
   async render() {
     const template = await this.loadTemplate();
+
+    // Favorite state comes from the server-side watchlist (loaded once for all cards)
+    try {
+      await watchlistService.load();
+    } catch (error) {
+      console.error('Error loading watchlist:', error);
+    }
     
     // Create element from template
     const tempDiv = document.createElement('div');
@@ -104,7 +115,9 @@ export class MediaCard {
       genre_ids,
       genres,
       id,
-      media_type
+      media_type,
+      library_status,
+      download_progress
     } = this.mediaData;
 
     // Set title (movies use 'title', TV shows use 'name')
@@ -149,6 +162,9 @@ export class MediaCard {
       this.populateGenres(genre_ids || genres);
     }
 
+    // "In library" / "Downloading" badges from the server's library index
+    this.populateLibraryState(library_status, download_progress);
+
     // Hide actions if disabled
     if (!this.options.showActions) {
       const actionsElement = this.element.querySelector('.media-card-actions');
@@ -160,6 +176,58 @@ export class MediaCard {
     // Store media data on element for event handlers
     this.element.dataset.mediaId = id;
     this.element.dataset.mediaType = media_type || (title ? 'movie' : 'tv');
+
+    this.setFavorited(watchlistService.has(id, this.element.dataset.mediaType));
+  }
+
+  /**
+   * Set the favorite (watchlist) state of the card
+   */
+  setFavorited(isFavorited) {
+    const favoriteBtn = this.element?.querySelector('.favorite-btn');
+    if (!favoriteBtn) return;
+
+    const label = isFavorited ? 'Remove from watchlist' : 'Add to watchlist';
+    favoriteBtn.classList.toggle('favorited', isFavorited);
+    favoriteBtn.title = label;
+    favoriteBtn.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Show library badges; titles already in Jellyfin get "Play in Jellyfin" instead of download
+   */
+  populateLibraryState(status, progress) {
+    const badgesContainer = this.element.querySelector('.media-card-badges');
+    if (badgesContainer) {
+      badgesContainer.innerHTML = '';
+
+      if (status === 'available') {
+        badgesContainer.appendChild(this.createBadge('In library', 'badge-library'));
+      } else if (status === 'downloading') {
+        const label = progress !== undefined ? `Downloading ${Math.round(progress)}%` : 'Downloading';
+        badgesContainer.appendChild(this.createBadge(label, 'badge-downloading'));
+      }
+    }
+
+    const downloadBtn = this.element.querySelector('.download-btn');
+    if (downloadBtn && status === 'available' && this.mediaData.jellyfin_url) {
+      downloadBtn.classList.add('jellyfin-btn');
+      downloadBtn.title = 'Play in Jellyfin';
+      downloadBtn.setAttribute('aria-label', 'Play in Jellyfin');
+
+      const icon = downloadBtn.querySelector('.icon');
+      if (icon) icon.textContent = '▶';
+    }
+  }
+
+  /**
+   * Create a badge element
+   */
+  createBadge(label, className) {
+    const badge = document.createElement('span');
+    badge.className = `media-card-badge ${className}`;
+    badge.textContent = label;
+    return badge;
   }
 
   /**
@@ -213,7 +281,12 @@ export class MediaCard {
     if (downloadBtn) {
       downloadBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        this.handleDownload();
+
+        if (downloadBtn.classList.contains('jellyfin-btn')) {
+          this.handlePlayInJellyfin();
+        } else {
+          this.handleDownload();
+        }
       });
     }
 
@@ -280,6 +353,13 @@ export class MediaCard {
     this.element.dispatchEvent(event);
   }
 
+  /**
+   * Open the title in Jellyfin
+   */
+  handlePlayInJellyfin() {
+    window.open(this.mediaData.jellyfin_url, '_blank', 'noopener');
+  }
+
   /**
    * Handle favorite action
    */
@@ -289,12 +369,9 @@ export class MediaCard {
     
     console.log('Favorite:', { mediaId, mediaType, data: this.mediaData });
     
-    // Toggle favorite state
-    const favoriteBtn = this.element.querySelector('.favorite-btn');
-    if (favoriteBtn) {
-      const isFavorited = favoriteBtn.classList.toggle('favorited');
-      favoriteBtn.title = isFavorited ? 'Remove from favorites' : 'Add to favorites';
-    }
+    // Toggle favorite state; listeners persist it and revert through `card` on failure
+    const isFavorited = !this.element.querySelector('.favorite-btn')?.classList.contains('favorited');
+    this.setFavorited(isFavorited);
     
     // Dispatch custom event
     const event = new CustomEvent('media-card:favorite', {
@@ -302,7 +379,8 @@ export class MediaCard {
         mediaId,
         mediaType,
         mediaData: this.mediaData,
-        isFavorited: favoriteBtn?.classList.contains('favorited')
+        isFavorited,
+        card: this
       },
       bubbles: true
     });
@@ -311,13 +389,12 @@ export class MediaCard {
   }
 
   /**
-   * Build TMDB image URL
+   * Build TMDB image URL (proxied and cached by the server)
    */
   buildImageUrl(path, size = 'w500') {
     if (!path) return this.getPlaceholderImage();
-    
-    const baseUrl = 'https://image.tmdb.org/t/p/';
-    return `${baseUrl}${size}${path}`;
+
+    return mediaService.buildPosterUrl(path, size);
   }
 
   /**
@@ -0,0 +1,319 @@
+/**
+ * Notification Center Component
+ * Bell button with unread badge and a dropdown inbox, kept live over WebSocket
+ */
+import { wsClient } from '../../utils/websocket.js'
+import { notificationsService } from '../../services/notifications.js'
+
+const TYPE_ICONS = {
+  download: '⬇️',
+  system: '🖥️',
+  error: '⚠️',
+  warning: '⚠️',
+  info: 'ℹ️'
+}
+
+class NotificationCenter {
+  constructor(container) {
+    this.container = container
+    this.notifications = []
+    this.unreadCount = 0
+    this.isOpen = false
+    this.isInitialized = false
+    this.unsubscribe = null
+    this.removeAuthListener = null
+
+    // Bind methods
+    this.handleNotificationMessage = this.handleNotificationMessage.bind(this)
+    this.handleDocumentClick = this.handleDocumentClick.bind(this)
+    this.handleKeydown = this.handleKeydown.bind(this)
+  }
+
+  /**
+   * Initialize the notification center
+   */
+  async init() {
+    if (this.isInitialized || !this.container) return
+
+    this.render()
+    this.setupEventListeners()
+    this.subscribe()
+    await this.loadUnreadCount()
+
+    this.isInitialized = true
+  }
+
+  /**
+   * Render the bell button and the dropdown panel
+   */
+  render() {
+    this.container.innerHTML = `
+      <button class="notification-bell" aria-label="Notifications" aria-haspopup="true" aria-expanded="false">
+        <span class="notification-bell-icon">🔔</span>
+        <span class="notification-badge" hidden></span>
+      </button>
+      <div class="notification-panel" role="dialog" aria-label="Notifications" hidden>
+        <div class="notification-panel-header">
+          <h2 class="notification-panel-title">Notifications</h2>
+          <button class="notification-mark-all" type="button">Mark all read</button>
+        </div>
+        <ul class="notification-list"></ul>
+      </div>
+    `
+
+    this.bellButton = this.container.querySelector('.notification-bell')
+    this.badge = this.container.querySelector('.notification-badge')
+    this.panel = this.container.querySelector('.notification-panel')
+    this.list = this.container.querySelector('.notification-list')
+    this.markAllButton = this.container.querySelector('.notification-mark-all')
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    this.bellButton.addEventListener('click', (e) => {
+      e.stopPropagation()
+      this.toggle()
+    })
+
+    this.markAllButton.addEventListener('click', () => this.markAllAsRead())
+
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('.notification-item')
+      if (!item) return
+
+      if (e.target.closest('.notification-delete')) {
+        this.deleteNotification(item.dataset.id)
+      } else {
+        this.markAsRead(item.dataset.id)
+      }
+    })
+
+    document.addEventListener('click', this.handleDocumentClick)
+    document.addEventListener('keydown', this.handleKeydown)
+  }
+
+  /**
+   * Subscribe to the user's notification channel once the socket is authenticated
+   */
+  subscribe() {
+    if (wsClient.isAuthenticated) {
+      this.unsubscribe = wsClient.subscribeToNotifications(this.handleNotificationMessage)
+    }
+
+    this.removeAuthListener = wsClient.on('authenticated', () => {
+      if (this.unsubscribe) this.unsubscribe()
+      this.unsubscribe = wsClient.subscribeToNotifications(this.handleNotificationMessage)
+    })
+
+    wsClient.connect().catch(error => {
+      console.error('Notification center failed to connect:', error)
+    })
+  }
+
+  /**
+   * Handle messages pushed on the notifications channel
+   */
+  handleNotificationMessage(data) {
+    if (!data) return
+
+    if (data.notification) {
+      this.notifications = [data.notification, ...this.notifications
+        .filter(n => n.id !== data.notification.id)]
+      if (this.isOpen) this.renderList()
+    }
+
+    if (typeof data.unreadCount === 'number') {
+      this.setUnreadCount(data.unreadCount)
+    }
+  }
+
+  /**
+   * Load unread count from the API
+   */
+  async loadUnreadCount() {
+    try {
+      const response = await notificationsService.getUnreadCount()
+      this.setUnreadCount(response.data?.unreadCount || 0)
+    } catch (error) {
+      console.error('Failed to load unread notifications:', error)
+    }
+  }
+
+  /**
+   * Load the latest notifications from the API
+   */
+  async loadNotifications() {
+    try {
+      const response = await notificationsService.getNotifications({ limit: 20 })
+      this.notifications = response.data?.notifications || []
+      this.setUnreadCount(response.data?.unreadCount || 0)
+    } catch (error) {
+      console.error('Failed to load notifications:', error)
+    }
+    this.renderList()
+  }
+
+  /**
+   * Render the notification list
+   */
+  renderList() {
+    if (this.notifications.length === 0) {
+      this.list.innerHTML = '<li class="notification-empty">You\'re all caught up</li>'
+      return
+    }
+
+    this.list.innerHTML = this.notifications.map(notification => `
+      <li class="notification-item ${notification.read ? '' : 'unread'} notification-${notification.type}" data-id="${notification.id}">
+        <span class="notification-icon">${TYPE_ICONS[notification.type] || TYPE_ICONS.info}</span>
+        <div class="notification-content">
+          <p class="notification-title">${this.escapeHtml(notification.title)}</p>
+          <p class="notification-message">${this.escapeHtml(notification.message)}</p>
+          <time class="notification-time" datetime="${notification.createdAt}">${this.formatTime(notification.createdAt)}</time>
+        </div>
+        <button class="notification-delete" type="button" aria-label="Delete notification">×</button>
+      </li>
+    `).join('')
+  }
+
+  /**
+   * Update the badge
+   */
+  setUnreadCount(count) {
+    this.unreadCount = count
+    this.badge.textContent = count > 99 ? '99+' : String(count)
+    this.badge.hidden = count === 0
+    this.bellButton.setAttribute('aria-label', count > 0 ? `Notifications (${count} unread)` : 'Notifications')
+  }
+
+  /**
+   * Mark a notification as read
+   */
+  async markAsRead(id) {
+    const notification = this.notifications.find(n => n.id === id)
+    if (!notification || notification.read) return
+
+    try {
+      const response = await notificationsService.markAsRead(id)
+      notification.read = true
+      this.setUnreadCount(response.data?.unreadCount ?? Math.max(0, this.unreadCount - 1))
+      this.renderList()
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error)
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   */
+  async markAllAsRead() {
+    try {
+      await notificationsService.markAllAsRead()
+      this.notifications.forEach(n => { n.read = true })
+      this.setUnreadCount(0)
+      this.renderList()
+    } catch (error) {
+      console.error('Failed to mark all notifications as read:', error)
+    }
+  }
+
+  /**
+   * Delete a notification
+   */
+  async deleteNotification(id) {
+    try {
+      const response = await notificationsService.deleteNotification(id)
+      this.notifications = this.notifications.filter(n => n.id !== id)
+      if (typeof response.data?.unreadCount === 'number') {
+        this.setUnreadCount(response.data.unreadCount)
+      }
+      this.renderList()
+    } catch (error) {
+      console.error('Failed to delete notification:', error)
+    }
+  }
+
+  /**
+   * Toggle the dropdown panel
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  open() {
+    this.isOpen = true
+    this.panel.hidden = false
+    this.bellButton.setAttribute('aria-expanded', 'true')
+    this.loadNotifications()
+  }
+
+  close() {
+    this.isOpen = false
+    this.panel.hidden = true
+    this.bellButton.setAttribute('aria-expanded', 'false')
+  }
+
+  handleDocumentClick(e) {
+    if (this.isOpen && !this.container.contains(e.target)) {
+      this.close()
+    }
+  }
+
+  handleKeydown(e) {
+    if (e.key === 'Escape' && this.isOpen) {
+      this.close()
+    }
+  }
+
+  /**
+   * Format a timestamp relative to now
+   */
+  formatTime(timestamp) {
+    const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000)
+
+    if (seconds < 60) return 'Just now'
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`
+    return new Date(timestamp).toLocaleDateString()
+  }
+
+  escapeHtml(text = '') {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe()
+      this.unsubscribe = null
+    }
+
+    if (this.removeAuthListener) {
+      this.removeAuthListener()
+      this.removeAuthListener = null
+    }
+
+    wsClient.disconnect()
+
+    document.removeEventListener('click', this.handleDocumentClick)
+    document.removeEventListener('keydown', this.handleKeydown)
+
+    if (this.container) {
+      this.container.innerHTML = ''
+    }
+
+    this.notifications = []
+    this.isInitialized = false
+  }
+}
+
+export default NotificationCenter
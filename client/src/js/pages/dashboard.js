@@ -4,6 +4,8 @@
  */
 import BasePage from './base-page.js';
 import { mediaService } from '../services/media.js';
+import { torrentsService } from '../services/torrents.js';
+import { watchlistService } from '../services/watchlist.js';
 import MediaCard from '../components/media-card/media-card.js';
 
 class DashboardPage extends BasePage {
@@ -15,6 +17,7 @@ class DashboardPage extends BasePage {
     this.currentContentType = 'multi';
     this.currentGenre = '';
     this.currentSortBy = 'popularity.desc';
+    this.notOnMyServices = false;
     this.genres = { movie: [], tv: [] };
     this.activeTab = {
       trending: 'movie',
@@ -94,6 +97,17 @@ class DashboardPage extends BasePage {
       });
     }
 
+    // Hide titles already on the user's streaming subscriptions
+    const notOnMyServicesFilter = this.querySelector('#not-on-my-services-filter');
+    if (notOnMyServicesFilter) {
+      this.addEventListener(notOnMyServicesFilter, 'change', (e) => {
+        this.notOnMyServices = e.target.checked;
+        if (this.currentSearchQuery) {
+          this.performSearch();
+        }
+      });
+    }
+
     // Clear search button
     const clearSearchBtn = this.querySelector('#clear-search-btn');
     if (clearSearchBtn) {
@@ -444,6 +458,10 @@ class DashboardPage extends BasePage {
         searchOptions.with_genres = this.currentGenre;
       }
 
+      if (this.notOnMyServices) {
+        searchOptions.notOnMyServices = true;
+      }
+
       const searchResults = await mediaService.search(
         this.currentSearchQuery,
         this.currentContentType,
@@ -582,30 +600,49 @@ class DashboardPage extends BasePage {
   }
 
   /**
-   * Handle media download
+   * Handle media download - grab the best release for the default quality profile
    */
-  handleMediaDownload(detail) {
-    console.log('Download media:', detail);
-    
-    // TODO: Integrate with download system (will be implemented in task 5)
-    // For now, show a simple alert
+  async handleMediaDownload(detail) {
     const { mediaData } = detail;
     const title = mediaData.title || mediaData.name;
-    alert(`Download: ${title}\n\nThis will open the download search when implemented.`);
+    const mediaType = mediaData.media_type || (mediaData.title ? 'movie' : 'tv');
+
+    this.showToast(`Searching for ${title}...`);
+
+    try {
+      const response = await torrentsService.grab(mediaData.id, mediaType);
+
+      if (response.success) {
+        this.showToast(`Downloading ${response.data.winner.title}`);
+      } else {
+        this.showToast(response.message || `No release found for ${title}`, 'error');
+      }
+    } catch (error) {
+      console.error('Error grabbing media:', error);
+      this.showToast(error.message || `Failed to download ${title}`, 'error');
+    }
   }
 
   /**
    * Handle media favorite
    */
-  handleMediaFavorite(detail) {
-    console.log('Favorite media:', detail);
-    
-    // TODO: Implement favorites system
-    const { mediaData, isFavorited } = detail;
+  async handleMediaFavorite(detail) {
+    const { mediaId, mediaType, mediaData, isFavorited, card } = detail;
     const title = mediaData.title || mediaData.name;
-    const action = isFavorited ? 'Added to' : 'Removed from';
-    
-    this.showToast(`${action} favorites: ${title}`);
+
+    try {
+      if (isFavorited) {
+        await watchlistService.addMedia(mediaData, mediaType);
+        this.showToast(`Added to watchlist: ${title}`);
+      } else {
+        await watchlistService.remove(mediaId, mediaType);
+        this.showToast(`Removed from watchlist: ${title}`);
+      }
+    } catch (error) {
+      console.error('Error updating watchlist:', error);
+      card?.setFavorited(!isFavorited);
+      this.showToast(error.message || `Failed to update watchlist for ${title}`, 'error');
+    }
   }
 
   /**
@@ -714,7 +751,12 @@ class DashboardPage extends BasePage {
       }
 
       // Use discover API for better genre-based results
-      const genreResults = await mediaService.getByGenre(this.activeTab.browseGenres, genreId, 1);
+      const genreResults = await mediaService.getByGenre(
+        this.activeTab.browseGenres,
+        genreId,
+        1,
+        this.notOnMyServices ? { notOnMyServices: true } : {}
+      );
       this.displaySearchResults(genreResults);
 
       // Show success message
@@ -3,11 +3,22 @@
  * Vanilla JavaScript implementation
  */
 import BasePage from './base-page.js';
+import { torrentsService } from '../services/torrents.js';
+import { authService } from '../services/auth.js';
+import { wsClient } from '../utils/websocket.js';
 
 class DownloadsPage extends BasePage {
   constructor() {
     super();
     this.templatePath = '/src/pages/downloads.html';
+    this.bandwidth = null;
+    this.historyPageSize = 25;
+    this.historyOffset = 0;
+    this.isAdmin = false;
+    this.unsubscribeSystem = null;
+    this.removeSystemListener = null;
+    this.removeAuthListener = null;
+    this.handleSystemEvent = this.handleSystemEvent.bind(this);
   }
 
   async setupPage() {
@@ -15,18 +26,442 @@ class DownloadsPage extends BasePage {
   }
 
   setupEventListeners() {
-    // Placeholder for downloads functionality
-    console.log('Downloads page event listeners setup');
+    const applyBtn = this.querySelector('#bandwidth-apply');
+    if (applyBtn) {
+      this.addEventListener(applyBtn, 'click', () => {
+        this.handleBandwidthOverride();
+      });
+    }
+
+    const clearBtn = this.querySelector('#bandwidth-clear');
+    if (clearBtn) {
+      this.addEventListener(clearBtn, 'click', () => {
+        this.handleClearBandwidthOverride();
+      });
+    }
+
+    const statsBtn = this.querySelector('#stats-apply');
+    if (statsBtn) {
+      this.addEventListener(statsBtn, 'click', () => {
+        this.loadStats();
+        this.loadHistory();
+      });
+    }
+
+    const historyFilter = this.querySelector('#history-filter');
+    if (historyFilter) {
+      this.addEventListener(historyFilter, 'change', () => {
+        this.loadHistory();
+      });
+    }
+
+    const moreBtn = this.querySelector('#history-more');
+    if (moreBtn) {
+      this.addEventListener(moreBtn, 'click', () => {
+        this.loadHistory(true);
+      });
+    }
+
+    const exportBtn = this.querySelector('#history-export');
+    if (exportBtn) {
+      this.addEventListener(exportBtn, 'click', () => {
+        this.handleExportHistory();
+      });
+    }
+
+    // Profile changes made by the scheduler or other users arrive on the system channel
+    this.removeSystemListener = wsClient.on('system', this.handleSystemEvent);
+    if (wsClient.isAuthenticated) {
+      this.unsubscribeSystem = wsClient.subscribeToSystem();
+    }
+    this.removeAuthListener = wsClient.on('authenticated', () => {
+      if (this.unsubscribeSystem) this.unsubscribeSystem();
+      this.unsubscribeSystem = wsClient.subscribeToSystem();
+    });
   }
 
   async loadData() {
-    // Placeholder for downloads data loading
-    console.log('Loading downloads data...');
+    this.isAdmin = await authService.isAdmin();
+    this.querySelector('#history-export')?.classList.toggle('hidden', !this.isAdmin);
+
+    await Promise.all([
+      this.loadBandwidth(),
+      this.loadStats(),
+      this.loadHistory()
+    ]);
+  }
+
+  /**
+   * Load the active speed profile and the profiles available for an override
+   */
+  async loadBandwidth() {
+    try {
+      const response = await torrentsService.getBandwidth();
+      this.populateBandwidth(response.data);
+    } catch (error) {
+      console.error('Error loading speed limits:', error);
+      const status = this.querySelector('#bandwidth-status');
+      if (status) {
+        status.textContent = 'Speed limits are unavailable';
+      }
+    }
+  }
+
+  /**
+   * Render speed-limit status and profile choices
+   * @param {Object} bandwidth - Bandwidth status from the server
+   */
+  populateBandwidth(bandwidth) {
+    this.bandwidth = bandwidth;
+
+    const status = this.querySelector('#bandwidth-status');
+    const select = this.querySelector('#bandwidth-profile');
+    const clearBtn = this.querySelector('#bandwidth-clear');
+    if (!status || !select) return;
+
+    const active = bandwidth.active;
+    if (!active) {
+      status.textContent = 'The speed schedule is off; qBittorrent limits are left unchanged';
+    } else {
+      const source = {
+        override: `manual override${active.until ? ` until ${this.formatTime(active.until)}` : ''}`,
+        schedule: `scheduled ${active.rule.start}–${active.rule.end}`,
+        default: 'default profile'
+      }[active.source];
+
+      status.innerHTML = `<strong>${this.escapeHtml(active.profile.name)}</strong> · ${this.describeLimits(active.profile)} · ${source}`;
+    }
+
+    select.innerHTML = bandwidth.profiles.map(profile => `
+      <option value="${this.escapeHtml(profile.id)}">${this.escapeHtml(profile.name)}</option>
+    `).join('');
+    if (active) {
+      select.value = active.profile.id;
+    }
+
+    if (clearBtn) {
+      clearBtn.classList.toggle('hidden', !bandwidth.override);
+    }
+  }
+
+  /**
+   * Apply the selected profile now, overriding the schedule
+   */
+  async handleBandwidthOverride() {
+    const profileId = this.querySelector('#bandwidth-profile')?.value;
+    const duration = this.querySelector('#bandwidth-duration')?.value;
+    if (!profileId) return;
+
+    try {
+      const response = await torrentsService.setBandwidthOverride(profileId, duration ? parseInt(duration) : undefined);
+      this.populateBandwidth(response.data);
+      this.showToast(response.message || 'Speed profile applied');
+    } catch (error) {
+      console.error('Error applying speed profile:', error);
+      this.showToast('Failed to apply speed profile', 'error');
+    }
+  }
+
+  /**
+   * Hand speed limits back to the schedule
+   */
+  async handleClearBandwidthOverride() {
+    try {
+      const response = await torrentsService.clearBandwidthOverride();
+      this.populateBandwidth(response.data);
+      this.showToast(response.message || 'Schedule resumed');
+    } catch (error) {
+      console.error('Error clearing speed override:', error);
+      this.showToast('Failed to resume schedule', 'error');
+    }
+  }
+
+  /**
+   * Refresh speed limits when the server applies another profile
+   * @param {Object} message - System event ({ event, data })
+   */
+  handleSystemEvent(message) {
+    if (message?.event === 'bandwidth_changed') {
+      this.loadBandwidth();
+    }
+  }
+
+  /**
+   * Filters shared by the statistics, the history and the export
+   * @returns {Object} Query parameters
+   */
+  getHistoryFilters() {
+    const filters = {};
+    const dateFrom = this.querySelector('#stats-date-from')?.value;
+    const dateTo = this.querySelector('#stats-date-to')?.value;
+
+    if (dateFrom) filters.dateFrom = dateFrom;
+    if (dateTo) filters.dateTo = dateTo;
+    return filters;
+  }
+
+  /**
+   * Load download statistics for the selected period
+   */
+  async loadStats() {
+    const summary = this.querySelector('#download-stats-summary');
+
+    try {
+      const response = await torrentsService.getDownloadStats(this.getHistoryFilters());
+      this.renderStats(response.data);
+    } catch (error) {
+      console.error('Error loading download statistics:', error);
+      if (summary) {
+        summary.innerHTML = '<p>Statistics are unavailable</p>';
+      }
+    }
+  }
+
+  /**
+   * Render totals and the per month, category and user charts
+   * @param {Object} stats - Download statistics from the server
+   */
+  renderStats(stats) {
+    const summary = this.querySelector('#download-stats-summary');
+    if (!summary) return;
+
+    const { totals } = stats;
+    const cards = [
+      ['Downloads', totals.count],
+      ['Downloaded', torrentsService.formatFileSize(totals.downloaded)],
+      ['Uploaded', torrentsService.formatFileSize(totals.uploaded)],
+      ['Avg. completion', stats.avgCompletionTime === null ? '–' : this.formatDuration(stats.avgCompletionTime)],
+      ['Failure rate', `${Math.round(stats.failureRate * 1000) / 10}%`]
+    ];
+
+    summary.innerHTML = cards.map(([label, value]) => `
+      <div class="download-stat">
+        <span class="download-stat-value">${this.escapeHtml(String(value))}</span>
+        <span class="download-stat-label">${label}</span>
+      </div>
+    `).join('');
+
+    this.renderChart('#stats-by-month', stats.byMonth.map(entry => ({ ...entry, label: this.formatMonth(entry.month) })));
+    this.renderChart('#stats-by-category', stats.byCategory.map(entry => ({ ...entry, label: this.formatCategory(entry.category) })));
+
+    // Only worth a chart when there is more than one user to compare
+    const byUser = stats.byUser.map(entry => ({ ...entry, label: entry.username || entry.userId }));
+    this.querySelector('#stats-by-user-chart')?.classList.toggle('hidden', byUser.length < 2);
+    this.renderChart('#stats-by-user', byUser);
+  }
+
+  /**
+   * Render a bar chart of downloaded and uploaded bytes
+   * @param {string} selector - Chart container
+   * @param {Array} entries - Entries with label, downloaded and uploaded
+   */
+  renderChart(selector, entries) {
+    const chart = this.querySelector(selector);
+    if (!chart) return;
+
+    if (entries.length === 0) {
+      chart.innerHTML = '<p class="download-chart-empty">No downloads in this period</p>';
+      return;
+    }
+
+    const max = Math.max(1, ...entries.map(entry => Math.max(entry.downloaded, entry.uploaded)));
+    const width = (bytes) => `${Math.round(bytes / max * 1000) / 10}%`;
+
+    chart.innerHTML = entries.map(entry => `
+      <div class="download-chart-row" title="${entry.count} download${entry.count === 1 ? '' : 's'}">
+        <span class="download-chart-label">${this.escapeHtml(entry.label)}</span>
+        <div class="download-chart-track">
+          <div class="download-chart-bar downloaded" style="width: ${width(entry.downloaded)}"></div>
+          <div class="download-chart-bar uploaded" style="width: ${width(entry.uploaded)}"></div>
+        </div>
+        <span class="download-chart-value">
+          ↓ ${torrentsService.formatFileSize(entry.downloaded)} · ↑ ${torrentsService.formatFileSize(entry.uploaded)}
+        </span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Load a page of download history
+   * @param {boolean} append - Add the next page instead of starting over
+   */
+  async loadHistory(append = false) {
+    const rows = this.querySelector('#history-rows');
+    if (!rows) return;
+
+    this.historyOffset = append ? this.historyOffset + this.historyPageSize : 0;
+
+    const options = {
+      ...this.getHistoryFilters(),
+      limit: this.historyPageSize,
+      offset: this.historyOffset
+    };
+    if (this.querySelector('#history-filter')?.value === 'archived') {
+      options.archived = true;
+    }
+
+    try {
+      const response = await torrentsService.getDownloadHistory(options);
+      const { downloads, total } = response.data;
+
+      const html = downloads.map(download => this.renderHistoryRow(download)).join('');
+      rows.innerHTML = append ? rows.innerHTML + html : html;
+
+      this.querySelector('#history-empty')?.classList.toggle('hidden', total > 0);
+      this.querySelector('#history-more')?.classList.toggle('hidden', this.historyOffset + downloads.length >= total);
+    } catch (error) {
+      console.error('Error loading download history:', error);
+      this.showToast('Failed to load download history', 'error');
+    }
+  }
+
+  /**
+   * Render a download history table row
+   * @param {Object} download - Download record
+   * @returns {string} Row HTML
+   */
+  renderHistoryRow(download) {
+    const status = download.removedAt ? `${download.status}, removed` : download.status;
+    const downloaded = download.downloadedBytes !== undefined
+      ? torrentsService.formatFileSize(download.downloadedBytes)
+      : download.downloaded;
+
+    return `
+      <tr class="${download.removedAt ? 'archived' : ''}">
+        <td class="download-history-name" title="${this.escapeHtml(download.name)}">${this.escapeHtml(download.name)}</td>
+        <td>${this.formatCategory(download.category)}</td>
+        <td><span class="download-history-status status-${this.escapeHtml(download.status)}">${this.escapeHtml(status)}</span></td>
+        <td>${this.escapeHtml(downloaded)}</td>
+        <td>${torrentsService.formatFileSize(download.uploadedBytes || 0)}</td>
+        <td>${this.formatDate(download.addedAt)}</td>
+        <td>${download.completedAt ? this.formatDate(download.completedAt) : '–'}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Download the history for the selected period as CSV
+   */
+  async handleExportHistory() {
+    const options = this.getHistoryFilters();
+    if (this.querySelector('#history-filter')?.value === 'archived') {
+      options.archived = true;
+    }
+
+    try {
+      const blob = await torrentsService.exportDownloadHistory(options);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `download-history-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting download history:', error);
+      this.showToast('Failed to export download history', 'error');
+    }
+  }
+
+  formatCategory(category) {
+    return { movie: 'Movies', tv: 'TV', other: 'Other' }[category] || category;
+  }
+
+  formatMonth(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(year, monthIndex - 1, 1).toLocaleDateString([], { month: 'short', year: 'numeric' });
+  }
+
+  formatDate(isoString) {
+    return new Date(isoString).toLocaleDateString();
+  }
+
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${Math.max(minutes, 1)}m`;
+  }
+
+  describeLimits(profile) {
+    if (profile.alternative) return 'qBittorrent alternative limits';
+
+    const limit = (value) => {
+      if (!value) return 'unlimited';
+      return value >= 1024 ? `${(value / 1024).toFixed(1).replace(/\.0$/, '')} MB/s` : `${value} KB/s`;
+    };
+
+    return `${limit(profile.downloadLimit)} down, ${limit(profile.uploadLimit)} up`;
+  }
+
+  formatTime(isoString) {
+    return new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  escapeHtml(text = '') {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show toast notification
+   */
+  showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+
+    // Add toast styles if not already present
+    if (!document.querySelector('#toast-styles')) {
+      const style = document.createElement('style');
+      style.id = 'toast-styles';
+      style.textContent = `
+        .toast {
+          position: fixed;
+          top: 2rem;
+          right: 2rem;
+          padding: 1rem 1.5rem;
+          border-radius: 8px;
+          color: white;
+          font-weight: 500;
+          z-index: 1000;
+          transform: translateX(100%);
+          transition: transform 0.3s ease;
+        }
+        .toast.toast-success { background: var(--pb-accent); }
+        .toast.toast-error { background: var(--pb-error); }
+        .toast.toast-warning { background: var(--pb-warning); }
+        .toast.show { transform: translateX(0); }
+      `;
+      document.head.appendChild(style);
+    }
+
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+      toast.classList.add('show');
+    }, 100);
+
+    setTimeout(() => {
+      toast.classList.remove('show');
+      setTimeout(() => toast.remove(), 300);
+    }, 3000);
   }
 
   onRender() {
     console.log('Downloads page rendered');
   }
+
+  destroy() {
+    if (this.unsubscribeSystem) this.unsubscribeSystem();
+    if (this.removeSystemListener) this.removeSystemListener();
+    if (this.removeAuthListener) this.removeAuthListener();
+    super.destroy();
+  }
 }
 
-export default DownloadsPage;
\ No newline at end of file
+export default DownloadsPage;
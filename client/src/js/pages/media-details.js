@@ -4,6 +4,8 @@
  */
 import BasePage from './base-page.js';
 import { mediaService } from '../services/media.js';
+import { torrentsService } from '../services/torrents.js';
+import { watchlistService } from '../services/watchlist.js';
 import MediaCard from '../components/media-card/media-card.js';
 
 class MediaDetailsPage extends BasePage {
@@ -132,6 +134,18 @@ class MediaDetailsPage extends BasePage {
         this.copyUrl();
       });
     }
+
+    // Season pack / episode grab buttons
+    const episodesList = this.querySelector('#episodes-list');
+    if (episodesList) {
+      this.addEventListener(episodesList, 'click', (e) => {
+        const button = e.target.closest('.grab-missing-btn');
+        if (!button) return;
+
+        const { season, episode } = button.dataset;
+        this.handleGrabEpisodes(parseInt(season), episode !== undefined ? parseInt(episode) : undefined, button);
+      });
+    }
   }
 
   /**
@@ -147,6 +161,8 @@ class MediaDetailsPage extends BasePage {
       // Load additional data in parallel
       await Promise.all([
         this.loadStreamingAvailability(),
+        this.loadStreamingVerdict(),
+        this.loadEpisodes(),
         this.loadCredits(),
         this.loadVideos(),
         this.loadSimilarContent(),
@@ -174,6 +190,7 @@ class MediaDetailsPage extends BasePage {
       }
 
       this.populateMediaDetails();
+      this.loadWatchlistState();
       
     } catch (error) {
       console.error('Error loading media details:', error);
@@ -181,6 +198,18 @@ class MediaDetailsPage extends BasePage {
     }
   }
 
+  /**
+   * Load whether this title is on the watchlist
+   */
+  async loadWatchlistState() {
+    try {
+      await watchlistService.load();
+      this.updateFavoriteButton(watchlistService.has(this.mediaId, this.mediaType));
+    } catch (error) {
+      console.error('Error loading watchlist:', error);
+    }
+  }
+
   /**
    * Populate media details in the UI
    */
@@ -297,6 +326,43 @@ class MediaDetailsPage extends BasePage {
     }
   }
 
+  /**
+   * Load whether the title is already on one of the user's streaming subscriptions
+   */
+  async loadStreamingVerdict() {
+    try {
+      const comparison = await mediaService.getStreamingComparison(this.mediaType, this.mediaId);
+      this.populateStreamingVerdict(comparison?.verdict);
+
+    } catch (error) {
+      // The verdict is optional, the providers list still shows where to watch
+      console.error('Error loading streaming verdict:', error);
+    }
+  }
+
+  /**
+   * Populate the "already streaming" verdict
+   */
+  populateStreamingVerdict(verdict) {
+    const verdictElement = this.querySelector('#streaming-verdict');
+    if (!verdictElement) return;
+
+    if (!verdict?.streamable) {
+      verdictElement.hidden = true;
+      return;
+    }
+
+    const services = verdict.services.map(service => {
+      const name = `${service.name} (${service.region})`;
+      return service.url
+        ? `<a href="${service.url}" target="_blank" rel="noopener">${name}</a>`
+        : name;
+    });
+
+    verdictElement.innerHTML = `You can already stream this on ${services.join(', ')}`;
+    verdictElement.hidden = false;
+  }
+
   /**
    * Populate streaming providers
    */
@@ -346,7 +412,7 @@ class MediaDetailsPage extends BasePage {
 
       providerCard.innerHTML = `
         <img class="provider-logo" 
-             src="https://image.tmdb.org/t/p/w92${provider.logo_path}" 
+             src="${mediaService.buildImageUrl(provider.logo_path, 'w92')}" 
              alt="${provider.provider_name} logo"
              onerror="this.style.display='none'">
         <div class="provider-info">
@@ -373,6 +439,110 @@ class MediaDetailsPage extends BasePage {
     `;
   }
 
+  /**
+   * Load episode tracking (TV only)
+   */
+  async loadEpisodes() {
+    if (this.mediaType !== 'tv') return;
+
+    try {
+      const response = await torrentsService.getEpisodes(this.mediaId);
+      this.populateEpisodes(response.data);
+      
+    } catch (error) {
+      console.error('Error loading episodes:', error);
+    }
+  }
+
+  /**
+   * Populate seasons with their missing episodes
+   */
+  populateEpisodes(series) {
+    const section = this.querySelector('.episodes-section');
+    const episodesList = this.querySelector('#episodes-list');
+    if (!section || !episodesList || !series) return;
+
+    episodesList.innerHTML = '';
+    section.removeAttribute('hidden');
+
+    series.seasons.forEach(season => {
+      const seasonElement = document.createElement('div');
+      seasonElement.className = 'season-row';
+
+      const aired = season.episodeCount - season.unaired;
+      seasonElement.innerHTML = `
+        <div class="season-header">
+          <div class="season-info">
+            <h4 class="season-name"></h4>
+            <p class="season-stats">
+              ${season.available} of ${aired} in library
+              ${season.downloading ? ` · ${season.downloading} downloading` : ''}
+              ${season.missing ? ` · <span class="missing-count">${season.missing} missing</span>` : ''}
+              ${season.unaired ? ` · ${season.unaired} upcoming` : ''}
+            </p>
+          </div>
+        </div>
+        <ul class="missing-episodes"></ul>
+      `;
+      seasonElement.querySelector('.season-name').textContent = season.name;
+
+      if (season.missing > 0) {
+        const grabSeasonBtn = document.createElement('button');
+        grabSeasonBtn.className = 'btn btn-secondary grab-missing-btn';
+        grabSeasonBtn.dataset.season = season.season;
+        grabSeasonBtn.textContent = season.missing === aired ? 'Grab season' : 'Grab missing';
+        seasonElement.querySelector('.season-header').appendChild(grabSeasonBtn);
+      }
+
+      const missingList = seasonElement.querySelector('.missing-episodes');
+      season.episodes
+        .filter(episode => episode.state === 'missing')
+        .forEach(episode => {
+          const item = document.createElement('li');
+          item.className = 'missing-episode';
+          item.innerHTML = `
+            <span class="episode-number">E${String(episode.episode).padStart(2, '0')}</span>
+            <span class="episode-name"></span>
+            <span class="episode-date">${episode.airDate || ''}</span>
+            <button class="action-btn grab-missing-btn" data-season="${episode.season}" data-episode="${episode.episode}" title="Grab episode" aria-label="Grab episode">
+              <span class="icon">📥</span>
+            </button>
+          `;
+          item.querySelector('.episode-name').textContent = episode.name;
+          missingList.appendChild(item);
+        });
+
+      episodesList.appendChild(seasonElement);
+    });
+  }
+
+  /**
+   * Grab a season's missing episodes (as a pack when the whole season is missing) or one episode
+   */
+  async handleGrabEpisodes(season, episode, button) {
+    const label = episode === undefined
+      ? `season ${season}`
+      : `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+
+    button.disabled = true;
+    this.showToast(`Searching for ${label}...`);
+
+    try {
+      const response = await torrentsService.grabMissingEpisodes(this.mediaId, {
+        season,
+        episodes: episode === undefined ? undefined : [episode]
+      });
+
+      this.showToast(response.message, response.success ? 'success' : 'warning');
+      await this.loadEpisodes();
+
+    } catch (error) {
+      console.error('Error grabbing episodes:', error);
+      this.showToast(error.message || `Failed to grab ${label}`, 'error');
+      button.disabled = false;
+    }
+  }
+
   /**
    * Load cast and crew credits
    */
@@ -413,7 +583,7 @@ class MediaDetailsPage extends BasePage {
       personCard.className = 'person-card';
       
       const photoUrl = person.profile_path ? 
-        `https://image.tmdb.org/t/p/w185${person.profile_path}` : 
+        mediaService.buildImageUrl(person.profile_path, 'w185') : 
         this.getPersonPlaceholder();
 
       personCard.innerHTML = `
@@ -445,7 +615,7 @@ class MediaDetailsPage extends BasePage {
       personCard.className = 'person-card';
       
       const photoUrl = person.profile_path ? 
-        `https://image.tmdb.org/t/p/w185${person.profile_path}` : 
+        mediaService.buildImageUrl(person.profile_path, 'w185') : 
         this.getPersonPlaceholder();
 
       personCard.innerHTML = `
@@ -652,20 +822,38 @@ class MediaDetailsPage extends BasePage {
   /**
    * Handle favorite action
    */
-  handleFavorite() {
-    console.log('Favorite media:', this.mediaData);
-    
-    // TODO: Implement favorites system
-    const favoriteBtn = this.querySelector('.favorite-btn');
+  async handleFavorite() {
     const title = this.mediaData.title || this.mediaData.name;
-    
-    if (favoriteBtn) {
-      const isFavorited = favoriteBtn.classList.toggle('favorited');
-      const action = isFavorited ? 'Added to' : 'Removed from';
-      this.showToast(`${action} favorites: ${title}`);
+    const isFavorited = !watchlistService.has(this.mediaId, this.mediaType);
+
+    this.updateFavoriteButton(isFavorited);
+
+    try {
+      if (isFavorited) {
+        await watchlistService.addMedia(this.mediaData, this.mediaType);
+        this.showToast(`Added to watchlist: ${title}`);
+      } else {
+        await watchlistService.remove(this.mediaId, this.mediaType);
+        this.showToast(`Removed from watchlist: ${title}`);
+      }
+    } catch (error) {
+      console.error('Error updating watchlist:', error);
+      this.updateFavoriteButton(!isFavorited);
+      this.showToast(error.message || `Failed to update watchlist for ${title}`, 'error');
     }
   }
 
+  /**
+   * Reflect watchlist state on the favorite button
+   */
+  updateFavoriteButton(isFavorited) {
+    const favoriteBtn = this.querySelector('.favorite-btn');
+    if (!favoriteBtn) return;
+
+    favoriteBtn.classList.toggle('favorited', isFavorited);
+    favoriteBtn.setAttribute('aria-label', isFavorited ? 'Remove from watchlist' : 'Add to watchlist');
+  }
+
   /**
    * Show share modal
    */
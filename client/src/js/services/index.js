@@ -27,6 +27,12 @@ export { JellyfinService, jellyfinService } from './jellyfin.js'
 // Settings and configuration service
 export { SettingsService, settingsService } from './settings.js'
 
+// Watchlist service
+export { WatchlistService, watchlistService } from './watchlist.js'
+
+// Notifications service
+export { NotificationsService, notificationsService } from './notifications.js'
+
 // WebSocket client
 export { WebSocketClient, WebSocketError, wsClient } from '../utils/websocket.js'
 
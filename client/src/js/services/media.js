@@ -28,12 +28,12 @@ export class MediaService {
     }
 
     try {
-      const response = await this.client.get(`media/trending/${type}/${timeWindow}`)
+      const { data } = await this.client.get(`media/trending/${type}/${timeWindow}`)
       
       // Cache the response
-      this.setCache(cacheKey, response)
+      this.setCache(cacheKey, data)
       
-      return response
+      return data
     } catch (error) {
       console.error('Failed to get trending content:', error)
       throw error
@@ -55,12 +55,12 @@ export class MediaService {
     }
 
     try {
-      const response = await this.client.get(`media/popular/${type}`)
+      const { data } = await this.client.get(`media/popular/${type}`)
       
       // Cache the response
-      this.setCache(cacheKey, response)
+      this.setCache(cacheKey, data)
       
-      return response
+      return data
     } catch (error) {
       console.error('Failed to get popular content:', error)
       throw error
@@ -82,12 +82,12 @@ export class MediaService {
     }
 
     try {
-      const response = await this.client.get(`media/top-rated/${type}`)
+      const { data } = await this.client.get(`media/top-rated/${type}`)
       
       // Cache the response
-      this.setCache(cacheKey, response)
+      this.setCache(cacheKey, data)
       
-      return response
+      return data
     } catch (error) {
       console.error('Failed to get top rated content:', error)
       throw error
@@ -115,14 +115,14 @@ export class MediaService {
         ...options
       }
 
-      const response = await this.client.get('media/search', params)
+      const { data } = await this.client.get('media/search', params)
       
       // Apply client-side sorting if results need additional sorting
-      if (response.results && options.sort_by) {
-        response.results = this.applySorting(response.results, options.sort_by)
+      if (data.results && options.sort_by) {
+        data.results = this.applySorting(data.results, options.sort_by)
       }
       
-      return response
+      return data
     } catch (error) {
       console.error('Failed to search media:', error)
       throw error
@@ -145,12 +145,12 @@ export class MediaService {
     }
 
     try {
-      const response = await this.client.get(`media/${type}/${id}`)
+      const { data } = await this.client.get(`media/${type}/${id}`)
       
       // Cache the response
-      this.setCache(cacheKey, response)
+      this.setCache(cacheKey, data)
       
-      return response
+      return data
     } catch (error) {
       console.error('Failed to get content details:', error)
       throw error
@@ -172,12 +172,12 @@ export class MediaService {
     }
 
     try {
-      const response = await this.client.get(`media/genres/${type}`)
+      const { data } = await this.client.get(`media/genres/${type}`)
       
       // Cache the response with longer timeout for genres
-      this.setCache(cacheKey, response, 60 * 60 * 1000) // 1 hour
+      this.setCache(cacheKey, data, 60 * 60 * 1000) // 1 hour
       
-      return response
+      return data
     } catch (error) {
       console.error('Failed to get genres:', error)
       throw error
@@ -193,7 +193,7 @@ export class MediaService {
   async discover(type = 'movie', filters = {}) {
     try {
       const response = await this.client.get(`media/discover/${type}`, filters)
-      return response
+      return response.data
     } catch (error) {
       console.error('Failed to discover content:', error)
       throw error
@@ -205,13 +205,15 @@ export class MediaService {
    * @param {string} type - Content type ('movie' or 'tv')
    * @param {number} genreId - Genre ID
    * @param {number} page - Page number
+   * @param {Object} options - Extra discover filters (e.g. notOnMyServices)
    * @returns {Promise<Object>} Content list with pagination
    */
-  async getByGenre(type, genreId, page = 1) {
+  async getByGenre(type, genreId, page = 1, options = {}) {
     try {
       const response = await this.discover(type, {
         with_genres: genreId,
-        page
+        page,
+        ...options
       })
       return response
     } catch (error) {
@@ -229,13 +231,31 @@ export class MediaService {
   async getStreamingAvailability(type, id) {
     try {
       const response = await this.client.get(`media/${type}/${id}/watch-providers`)
-      return response
+      return response.data
     } catch (error) {
       console.error('Failed to get streaming availability:', error)
       throw error
     }
   }
 
+  /**
+   * Compare streaming availability across regions, with a verdict for the user's subscriptions
+   * @param {string} type - Content type ('movie' or 'tv')
+   * @param {number|string} id - Content ID
+   * @param {Array<string>} regions - Region codes; defaults to the regions of the user's subscriptions
+   * @returns {Promise<Object>} Availability per region and the verdict
+   */
+  async getStreamingComparison(type, id, regions = []) {
+    try {
+      const params = regions.length > 0 ? { regions: regions.join(',') } : {}
+      const response = await this.client.get(`streaming/availability/${type}/${id}`, params)
+      return response.data
+    } catch (error) {
+      console.error('Failed to compare streaming availability:', error)
+      throw error
+    }
+  }
+
   /**
    * Get similar content
    * @param {string} type - Content type ('movie' or 'tv')
@@ -245,7 +265,7 @@ export class MediaService {
   async getSimilar(type, id) {
     try {
       const response = await this.client.get(`media/${type}/${id}/similar`)
-      return response
+      return response.data
     } catch (error) {
       console.error('Failed to get similar content:', error)
       throw error
@@ -261,7 +281,7 @@ export class MediaService {
   async getRecommendations(type, id) {
     try {
       const response = await this.client.get(`media/${type}/${id}/recommendations`)
-      return response
+      return response.data
     } catch (error) {
       console.error('Failed to get recommendations:', error)
       throw error
@@ -277,7 +297,7 @@ export class MediaService {
   async getCredits(type, id) {
     try {
       const response = await this.client.get(`media/${type}/${id}/credits`)
-      return response
+      return response.data
     } catch (error) {
       console.error('Failed to get credits:', error)
       throw error
@@ -293,7 +313,7 @@ export class MediaService {
   async getVideos(type, id) {
     try {
       const response = await this.client.get(`media/${type}/${id}/videos`)
-      return response
+      return response.data
     } catch (error) {
       console.error('Failed to get videos:', error)
       throw error
@@ -374,7 +394,8 @@ export class MediaService {
   }
 
   /**
-   * Build image URL for TMDB images
+   * Build image URL for TMDB images, served through the server's image cache
+   * so posters keep working offline and clients never hit the TMDB CDN
    * @param {string} path - Image path
    * @param {string} size - Image size (w185, w300, w500, original, etc.)
    * @returns {string} Full image URL
@@ -383,9 +404,10 @@ export class MediaService {
     if (!path) {
       return null
     }
-    
-    const baseUrl = 'https://image.tmdb.org/t/p/'
-    return `${baseUrl}${size}${path}`
+
+    // Thumbnails come back as WebP when the server can convert them
+    const format = size === 'original' ? '' : '?format=webp'
+    return `${this.client.baseURL}/media/image/${size}${path}${format}`
   }
 
   /**
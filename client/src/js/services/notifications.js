@@ -0,0 +1,90 @@
+/**
+ * Notifications Service for Pandora PWA
+ * Handles the user's notification inbox (list, read state, removal)
+ */
+
+import { apiClient } from './api.js'
+
+export class NotificationsService {
+  constructor(client = apiClient) {
+    this.client = client
+  }
+
+  /**
+   * Get notifications
+   * @param {Object} filters - Optional filters (read, type, limit, offset)
+   * @returns {Promise<Object>} Notifications with total and unread count
+   */
+  async getNotifications(filters = {}) {
+    try {
+      const response = await this.client.get('notifications', filters)
+      return response
+    } catch (error) {
+      console.error('Failed to get notifications:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get unread notification count
+   * @returns {Promise<Object>} Unread count
+   */
+  async getUnreadCount() {
+    try {
+      const response = await this.client.get('notifications/unread-count')
+      return response
+    } catch (error) {
+      console.error('Failed to get unread notification count:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   * @param {string} id - Notification ID
+   * @returns {Promise<Object>} Updated notification
+   */
+  async markAsRead(id) {
+    try {
+      const response = await this.client.put(`notifications/${id}/read`)
+      return response
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   * @returns {Promise<Object>} Number of updated notifications
+   */
+  async markAllAsRead() {
+    try {
+      const response = await this.client.put('notifications/read-all')
+      return response
+    } catch (error) {
+      console.error('Failed to mark all notifications as read:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Delete a notification
+   * @param {string} id - Notification ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteNotification(id) {
+    try {
+      const response = await this.client.delete(`notifications/${id}`)
+      return response
+    } catch (error) {
+      console.error('Failed to delete notification:', error)
+      throw error
+    }
+  }
+}
+
+// Create default notifications service instance
+export const notificationsService = new NotificationsService()
+
+export default NotificationsService
@@ -145,6 +145,93 @@ export class SettingsService {
     }
   }
 
+  /**
+   * Get speed-limit profiles and weekly schedule
+   * @returns {Promise<Object>} Bandwidth settings
+   */
+  async getBandwidthSettings() {
+    try {
+      const response = await this.client.get('settings/bandwidth')
+      return response
+    } catch (error) {
+      console.error('Failed to get bandwidth settings:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Update speed-limit profiles and weekly schedule
+   * @param {Object} settings - Bandwidth settings (enabled, defaultProfile, profiles, schedule)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateBandwidthSettings(settings) {
+    try {
+      const response = await this.client.put('settings/bandwidth', settings)
+      return response
+    } catch (error) {
+      console.error('Failed to update bandwidth settings:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get seeding goals per download category
+   * @returns {Promise<Object>} Seeding settings
+   */
+  async getSeedingSettings() {
+    try {
+      const response = await this.client.get('settings/seeding')
+      return response
+    } catch (error) {
+      console.error('Failed to get seeding settings:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Update seeding goals
+   * @param {Object} settings - Seeding settings (enabled, rules per category)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSeedingSettings(settings) {
+    try {
+      const response = await this.client.put('settings/seeding', settings)
+      return response
+    } catch (error) {
+      console.error('Failed to update seeding settings:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get torrent search sources and indexer timeouts (admin only)
+   * @returns {Promise<Object>} Search settings with API keys masked
+   */
+  async getSearchSettings() {
+    try {
+      const response = await this.client.get('settings/search')
+      return response
+    } catch (error) {
+      console.error('Failed to get search settings:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Update torrent search sources and indexer timeouts
+   * @param {Object} settings - Search settings (perIndexer, indexerTimeout, sources)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSearchSettings(settings) {
+    try {
+      const response = await this.client.put('settings/search', settings)
+      return response
+    } catch (error) {
+      console.error('Failed to update search settings:', error)
+      throw error
+    }
+  }
+
   /**
    * Get media settings
    * @returns {Promise<Object>} Media settings
@@ -174,6 +261,35 @@ export class SettingsService {
     }
   }
 
+  /**
+   * Get the streaming services the user subscribes to
+   * @returns {Promise<Object>} Streaming settings (services, regions)
+   */
+  async getStreamingSettings() {
+    try {
+      const response = await this.client.get('settings/streaming')
+      return response
+    } catch (error) {
+      console.error('Failed to get streaming settings:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Update the streaming subscriptions
+   * @param {Object} settings - Watchmode source ids and the regions they are watched in
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateStreamingSettings(settings) {
+    try {
+      const response = await this.client.put('settings/streaming', settings)
+      return response
+    } catch (error) {
+      console.error('Failed to update streaming settings:', error)
+      throw error
+    }
+  }
+
   /**
    * Get system settings
    * @returns {Promise<Object>} System settings
@@ -4,6 +4,7 @@
  */
 
 import { apiClient } from './api.js'
+import { wsClient } from '../utils/websocket.js'
 
 export class TorrentsService {
   constructor(client = apiClient) {
@@ -53,6 +54,111 @@ export class TorrentsService {
     }
   }
 
+  /**
+   * Get speed-limit status (active profile, schedule and manual override)
+   * @returns {Promise<Object>} Bandwidth status
+   */
+  async getBandwidth() {
+    try {
+      const response = await this.client.get('downloads/bandwidth')
+      return response
+    } catch (error) {
+      console.error('Failed to get bandwidth status:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Apply a speed profile now, overriding the schedule
+   * @param {string} profileId - Speed profile ID
+   * @param {number} durationMinutes - Optional duration; omit to keep until cleared
+   * @returns {Promise<Object>} Bandwidth status
+   */
+  async setBandwidthOverride(profileId, durationMinutes) {
+    try {
+      const response = await this.client.put('downloads/bandwidth/override', { profileId, durationMinutes })
+      return response
+    } catch (error) {
+      console.error('Failed to set bandwidth override:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Clear the manual override so the schedule applies again
+   * @returns {Promise<Object>} Bandwidth status
+   */
+  async clearBandwidthOverride() {
+    try {
+      const response = await this.client.delete('downloads/bandwidth/override')
+      return response
+    } catch (error) {
+      console.error('Failed to clear bandwidth override:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get torrents close to or past their seeding goals
+   * @param {Object} options - Report options (nearGoal 0-1, all)
+   * @returns {Promise<Object>} Seeding rules, torrents and summary
+   */
+  async getSeedingReport(options = {}) {
+    try {
+      const response = await this.client.get('downloads/seeding/report', options)
+      return response
+    } catch (error) {
+      console.error('Failed to get seeding report:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get download history, including torrents qBittorrent no longer has
+   * @param {Object} options - Filters (category, status, dateFrom, dateTo, archived, userId for admins) and limit/offset
+   * @returns {Promise<Object>} Downloads and total count
+   */
+  async getDownloadHistory(options = {}) {
+    try {
+      const response = await this.client.get('downloads/history', options)
+      return response
+    } catch (error) {
+      console.error('Failed to get download history:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get download statistics (bytes per user, category and month, completion time, failure rate)
+   * @param {Object} options - Filters (category, dateFrom, dateTo, userId for admins)
+   * @returns {Promise<Object>} Download statistics
+   */
+  async getDownloadStats(options = {}) {
+    try {
+      const response = await this.client.get('downloads/stats', options)
+      return response
+    } catch (error) {
+      console.error('Failed to get download statistics:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Export download history as CSV (admin only)
+   * @param {Object} options - Filters (category, dateFrom, dateTo, archived, userId)
+   * @returns {Promise<Blob>} CSV file
+   */
+  async exportDownloadHistory(options = {}) {
+    try {
+      const params = new URLSearchParams(options).toString()
+      const response = await this.client.download(`downloads/history/export${params ? `?${params}` : ''}`)
+      return response
+    } catch (error) {
+      console.error('Failed to export download history:', error)
+      throw error
+    }
+  }
+
   /**
    * Get torrent details by hash
    * @param {string} hash - Torrent hash
@@ -69,15 +175,29 @@ export class TorrentsService {
   }
 
   /**
-   * Search torrents via Jackett
+   * Search torrents across every configured indexer
    * @param {string} query - Search query
    * @param {Array} categories - Category IDs to search
    * @param {Array} indexers - Indexer IDs to use
-   * @returns {Promise<Array>} Search results
+   * @param {Object} filters - Parsed release filters and sorting (resolution, source, codec, hdr, language, group, season, episode, sortBy, ...)
+   * @param {Function} onPartial - Optional callback receiving ({ indexer, results }) as each indexer answers
+   * @returns {Promise<Array>} Search results, with indexerStatus and failedIndexers
    */
-  async searchTorrents(query, categories = [], indexers = []) {
+  async searchTorrents(query, categories = [], indexers = [], filters = {}, onPartial = null) {
+    let removeListener = null
+
     try {
       const params = { query }
+
+      if (onPartial) {
+        params.searchId = this.createSearchId()
+        removeListener = this.listenForPartialResults(params.searchId, onPartial)
+      }
+
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return
+        params[key] = Array.isArray(value) ? value.join(',') : value
+      })
       
       if (categories.length > 0) {
         params.categories = categories.join(',')
@@ -92,6 +212,93 @@ export class TorrentsService {
     } catch (error) {
       console.error('Failed to search torrents:', error)
       throw error
+    } finally {
+      if (removeListener) removeListener()
+    }
+  }
+
+  /**
+   * Id tagging one search's streamed WebSocket results
+   * @returns {string} Search id
+   */
+  createSearchId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+  }
+
+  /**
+   * Pass each indexer's results for a search to a callback as they arrive
+   * @param {string} searchId - Search id sent with the request
+   * @param {Function} onPartial - Callback receiving ({ indexer, results })
+   * @returns {Function} Removes the listener
+   */
+  listenForPartialResults(searchId, onPartial) {
+    return wsClient.on('torrent_search', ({ event, data }) => {
+      if (event === 'indexer_results' && data?.searchId === searchId) {
+        onPartial({ indexer: data.indexer, results: data.results })
+      }
+    })
+  }
+
+  /**
+   * Pick the best release for a TMDB title using a quality profile and start downloading it
+   * @param {number} tmdbId - TMDB id
+   * @param {string} type - 'movie' or 'tv'
+   * @param {Object} options - Optional profileId, season, episode and dryRun
+   * @returns {Promise<Object>} Grab result with the winning release and download
+   */
+  async grab(tmdbId, type, options = {}) {
+    try {
+      const response = await this.client.post('downloads/grab', { tmdbId, type, ...options })
+      return response
+    } catch (error) {
+      console.error('Failed to grab torrent:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the seasons and episodes of a series with their library/download state
+   * @param {number} tmdbId - TMDB id of the series
+   * @param {Object} options - Optional includeSpecials and missingOnly
+   * @returns {Promise<Object>} Seasons with available, downloading and missing episodes
+   */
+  async getEpisodes(tmdbId, options = {}) {
+    try {
+      const response = await this.client.get(`downloads/tv/${tmdbId}/episodes`, options)
+      return response
+    } catch (error) {
+      console.error('Failed to get episodes:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Grab missing aired episodes of a series as season packs or single episodes
+   * @param {number} tmdbId - TMDB id of the series
+   * @param {Object} options - Optional season, episodes, mode ('auto', 'pack', 'episodes'), profileId and dryRun
+   * @returns {Promise<Object>} Per season/episode grab results
+   */
+  async grabMissingEpisodes(tmdbId, options = {}) {
+    try {
+      const response = await this.client.post(`downloads/tv/${tmdbId}/grab-missing`, options)
+      return response
+    } catch (error) {
+      console.error('Failed to grab missing episodes:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get quality profiles used by automatic grabs
+   * @returns {Promise<Object>} Default profile id and profiles
+   */
+  async getQualityProfiles() {
+    try {
+      const response = await this.client.get('downloads/profiles')
+      return response
+    } catch (error) {
+      console.error('Failed to get quality profiles:', error)
+      throw error
     }
   }
 
@@ -124,12 +331,13 @@ export class TorrentsService {
   }
 
   /**
-   * Get search history
+   * Get search history, newest first
+   * @param {Object} options - Optional limit and pinned (true for saved searches only, false for unsaved)
    * @returns {Promise<Array>} Search history
    */
-  async getSearchHistory() {
+  async getSearchHistory(options = {}) {
     try {
-      const response = await this.client.get('downloads/search-history')
+      const response = await this.client.get('downloads/search-history', options)
       return response
     } catch (error) {
       console.error('Failed to get search history:', error)
@@ -137,19 +345,102 @@ export class TorrentsService {
     }
   }
 
+  /**
+   * Get saved (pinned) searches
+   * @returns {Promise<Object>} Saved searches
+   */
+  async getSavedSearches() {
+    return this.getSearchHistory({ pinned: true, limit: 100 })
+  }
+
   /**
    * Clear search history
-   * @returns {Promise<void>}
+   * @param {boolean} includePinned - Also remove saved searches
+   * @returns {Promise<Object>} Number of removed searches
    */
-  async clearSearchHistory() {
+  async clearSearchHistory(includePinned = false) {
     try {
-      await this.client.delete('downloads/search-history')
+      const response = await this.client.delete(`downloads/search-history${includePinned ? '?includePinned=true' : ''}`)
+      return response
     } catch (error) {
       console.error('Failed to clear search history:', error)
       throw error
     }
   }
 
+  /**
+   * Remove a single search from history
+   * @param {string} searchId - Stored search id
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteSearch(searchId) {
+    try {
+      const response = await this.client.delete(`downloads/search-history/${searchId}`)
+      return response
+    } catch (error) {
+      console.error('Failed to delete search:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Run a stored search again with its saved filters
+   * @param {string} searchId - Stored search id
+   * @param {Function} onPartial - Optional callback receiving ({ indexer, results }) as each indexer answers
+   * @returns {Promise<Object>} Search results and the updated search
+   */
+  async rerunSearch(searchId, onPartial = null) {
+    let removeListener = null
+
+    try {
+      const body = {}
+
+      if (onPartial) {
+        body.searchId = this.createSearchId()
+        removeListener = this.listenForPartialResults(body.searchId, onPartial)
+      }
+
+      const response = await this.client.post(`downloads/search-history/${searchId}/run`, body)
+      return response
+    } catch (error) {
+      console.error('Failed to re-run search:', error)
+      throw error
+    } finally {
+      if (removeListener) removeListener()
+    }
+  }
+
+  /**
+   * Save a search with its filters
+   * @param {string} searchId - Stored search id
+   * @param {string} name - Optional display name
+   * @returns {Promise<Object>} Saved search
+   */
+  async pinSearch(searchId, name) {
+    try {
+      const response = await this.client.put(`downloads/search-history/${searchId}/pin`, name ? { name } : {})
+      return response
+    } catch (error) {
+      console.error('Failed to save search:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Stop keeping a saved search
+   * @param {string} searchId - Stored search id
+   * @returns {Promise<Object>} Updated search
+   */
+  async unpinSearch(searchId) {
+    try {
+      const response = await this.client.delete(`downloads/search-history/${searchId}/pin`)
+      return response
+    } catch (error) {
+      console.error('Failed to unsave search:', error)
+      throw error
+    }
+  }
+
   /**
    * Add torrent to qBittorrent
    * @param {Object} torrentData - Torrent data
@@ -185,16 +476,35 @@ export class TorrentsService {
     }
   }
 
+  /**
+   * Add several magnets in one request
+   * @param {string[]} magnetUris - Magnet URIs
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Per-magnet results with added/existing/failed counts
+   */
+  async addMagnets(magnetUris, options = {}) {
+    try {
+      return await this.addTorrent({
+        magnetUrls: magnetUris,
+        ...options
+      })
+    } catch (error) {
+      console.error('Failed to add magnets:', error)
+      throw error
+    }
+  }
+
   /**
    * Add torrent by file
-   * @param {File} torrentFile - Torrent file
+   * @param {File|File[]|FileList} torrentFile - Torrent file(s), up to 20
    * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Add result
+   * @returns {Promise<Object>} Add result (per-file results when several files are sent)
    */
   async addTorrentFile(torrentFile, options = {}) {
     try {
       const formData = new FormData()
-      formData.append('torrents', torrentFile)
+      const files = torrentFile instanceof File ? [torrentFile] : Array.from(torrentFile)
+      files.forEach(file => formData.append('torrents', file))
       
       // Add options to form data
       Object.keys(options).forEach(key => {
@@ -276,9 +586,9 @@ export class TorrentsService {
   }
 
   /**
-   * Set torrent priority
+   * Set torrent queue priority
    * @param {string} hash - Torrent hash
-   * @param {string} priority - Priority level
+   * @param {string} priority - 'increase', 'decrease', 'top' or 'bottom'
    * @returns {Promise<Object>} Priority result
    */
   async setTorrentPriority(hash, priority) {
@@ -324,7 +634,7 @@ export class TorrentsService {
    * Set file priority
    * @param {string} hash - Torrent hash
    * @param {number} fileId - File ID
-   * @param {number} priority - Priority (0-7)
+   * @param {number} priority - Priority (0 skip, 1 normal, 6 high, 7 maximum)
    * @returns {Promise<Object>} Priority result
    */
   async setFilePriority(hash, fileId, priority) {
@@ -380,9 +690,7 @@ export class TorrentsService {
    */
   async removeTracker(hash, trackerUrl) {
     try {
-      const response = await this.client.delete(`downloads/${hash}/trackers`, {
-        url: trackerUrl
-      })
+      const response = await this.client.delete(`downloads/${hash}/trackers?url=${encodeURIComponent(trackerUrl)}`)
       return response
     } catch (error) {
       console.error('Failed to remove tracker:', error)
@@ -0,0 +1,161 @@
+/**
+ * Watchlist Service for Pandora PWA
+ * Handles the user's watchlist and keeps a local copy for favorite state on media cards
+ */
+
+import { apiClient } from './api.js'
+
+export class WatchlistService {
+  constructor(client = apiClient) {
+    this.client = client
+    // Entries keyed by `${type}:${tmdbId}`, loaded once and kept in sync by add/remove
+    this.items = new Map()
+    this.loading = null
+  }
+
+  /**
+   * Get watchlist entries
+   * @param {Object} filters - Optional filters (type, status, monitored)
+   * @returns {Promise<Object>} Watchlist items and total
+   */
+  async getWatchlist(filters = {}) {
+    try {
+      const response = await this.client.get('watchlist', filters)
+      return response
+    } catch (error) {
+      console.error('Failed to get watchlist:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Load the watchlist into the local cache (only once unless forced)
+   * @param {boolean} force - Reload even if already loaded
+   * @returns {Promise<Map>} Cached entries
+   */
+  async load(force = false) {
+    if (!this.loading || force) {
+      this.loading = this.getWatchlist()
+        .then(response => {
+          this.items = new Map(response.data.items.map(item => [this.key(item.type, item.tmdbId), item]))
+          return this.items
+        })
+        .catch(error => {
+          this.loading = null
+          throw error
+        })
+    }
+
+    return this.loading
+  }
+
+  /**
+   * Check whether a title is on the watchlist (from the local cache)
+   * @param {number|string} tmdbId - TMDB ID
+   * @param {string} type - Media type (movie/tv)
+   * @returns {boolean} True if on the watchlist
+   */
+  has(tmdbId, type) {
+    return this.items.has(this.key(type, tmdbId))
+  }
+
+  /**
+   * Add a title to the watchlist
+   * @param {Object} media - Title to add (tmdbId, type, title, year, posterPath)
+   * @param {Object} options - Optional settings (monitored, autoGrab, profileId)
+   * @returns {Promise<Object>} Watchlist entry
+   */
+  async add(media, options = {}) {
+    try {
+      const response = await this.client.post('watchlist', { ...media, ...options })
+      this.items.set(this.key(response.data.type, response.data.tmdbId), response.data)
+      return response
+    } catch (error) {
+      console.error('Failed to add to watchlist:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Add a TMDB result (movie or TV show) to the watchlist
+   * @param {Object} mediaData - TMDB media object
+   * @param {string} type - Media type (movie/tv)
+   * @param {Object} options - Optional settings (monitored, autoGrab, profileId)
+   * @returns {Promise<Object>} Watchlist entry
+   */
+  async addMedia(mediaData, type, options = {}) {
+    const date = mediaData.release_date || mediaData.first_air_date
+
+    return this.add({
+      tmdbId: Number(mediaData.id),
+      type,
+      title: mediaData.title || mediaData.name,
+      year: date ? parseInt(date.substring(0, 4)) : undefined,
+      posterPath: mediaData.poster_path || undefined
+    }, options)
+  }
+
+  /**
+   * Update a watchlist entry
+   * @param {string} id - Watchlist entry ID
+   * @param {Object} changes - Changes (monitored, autoGrab, profileId)
+   * @returns {Promise<Object>} Updated entry
+   */
+  async update(id, changes) {
+    try {
+      const response = await this.client.patch(`watchlist/${id}`, changes)
+      this.items.set(this.key(response.data.type, response.data.tmdbId), response.data)
+      return response
+    } catch (error) {
+      console.error('Failed to update watchlist entry:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Remove a title from the watchlist
+   * @param {number|string} tmdbId - TMDB ID
+   * @param {string} type - Media type (movie/tv)
+   * @returns {Promise<Object>} Removal result
+   */
+  async remove(tmdbId, type) {
+    const item = this.items.get(this.key(type, tmdbId))
+    if (!item) {
+      return { success: true, data: null }
+    }
+
+    try {
+      const response = await this.client.delete(`watchlist/${item.id}`)
+      this.items.delete(this.key(type, tmdbId))
+      return response
+    } catch (error) {
+      console.error('Failed to remove from watchlist:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Search for a watchlist entry now
+   * @param {string} id - Watchlist entry ID
+   * @returns {Promise<Object>} Search result (status, best release, started download)
+   */
+  async search(id) {
+    try {
+      const response = await this.client.post(`watchlist/${id}/search`)
+      this.items.set(this.key(response.data.item.type, response.data.item.tmdbId), response.data.item)
+      return response
+    } catch (error) {
+      console.error('Failed to search for watchlist entry:', error)
+      throw error
+    }
+  }
+
+  key(type, tmdbId) {
+    return `${type}:${tmdbId}`
+  }
+}
+
+// Create default watchlist service instance
+export const watchlistService = new WatchlistService()
+
+export default WatchlistService
@@ -12,17 +12,30 @@ import { DatabaseService } from '@/services/database.js'
 import { WebSocketService } from '@/services/websocket.js'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { TmdbService } from '@/services/tmdb.js'
+import { DownloadMonitorService } from '@/services/downloadMonitor.js'
+import { WatchlistMonitorService } from '@/services/watchlistMonitor.js'
+import { ContainerMonitorService } from '@/services/containerMonitor.js'
+import { BandwidthSchedulerService } from '@/services/bandwidthScheduler.js'
+import { SeedingPolicyService } from '@/services/seedingPolicy.js'
+import { BackupService } from '@/services/backup.js'
+import { ImageCacheService } from '@/services/imageCache.js'
+import { LibraryIndexService } from '@/services/libraryIndex.js'
+import { SettingsService } from '@/services/settings.js'
 
 // Import routes
 import { createAuthRoutes } from '@/routes/auth.js'
 import { createMediaRoutes } from '@/routes/media.js'
+import { createImageRoutes } from '@/routes/images.js'
 import { createStreamingRoutes } from '@/routes/streaming.js'
 import { createDownloadsRoutes } from '@/routes/downloads.js'
+import { createDownloadHooksRoutes } from '@/routes/downloadHooks.js'
 import { createHealthRoutes } from '@/routes/health.js'
 import { createFilesRoutes } from '@/routes/files.js'
 import { createDockerRoutes } from '@/routes/docker.js'
 import { createJellyfinRoutes } from '@/routes/jellyfin.js'
-import settingsRoutes from '@/routes/settings.js'
+import { createNotificationsRoutes } from '@/routes/notifications.js'
+import { createWatchlistRoutes } from '@/routes/watchlist.js'
+import { createSettingsRoutes } from '@/routes/settings.js'
 
 class PandoraBoxServer {
   private app: Express
@@ -30,6 +43,15 @@ class PandoraBoxServer {
   private wsService: WebSocketService
   private apiProxyService: ApiProxyService
   private tmdbService: TmdbService
+  private downloadMonitor: DownloadMonitorService
+  private watchlistMonitor: WatchlistMonitorService
+  private containerMonitor: ContainerMonitorService
+  private bandwidthScheduler: BandwidthSchedulerService
+  private seedingPolicy: SeedingPolicyService
+  private backupService: BackupService
+  private imageCache: ImageCacheService
+  private libraryIndex: LibraryIndexService
+  private cleanupInterval: NodeJS.Timeout | null = null
 
   constructor() {
     this.app = express()
@@ -40,6 +62,14 @@ class PandoraBoxServer {
       apiKey: config.apis.tmdb.apiKey,
       baseUrl: config.apis.tmdb.baseUrl,
     })
+    this.downloadMonitor = new DownloadMonitorService(this.apiProxyService, this.databaseService, this.wsService)
+    this.watchlistMonitor = new WatchlistMonitorService(this.apiProxyService, this.databaseService, this.wsService)
+    this.containerMonitor = new ContainerMonitorService(this.apiProxyService, this.databaseService, this.wsService)
+    this.bandwidthScheduler = new BandwidthSchedulerService(this.apiProxyService, this.databaseService, this.wsService)
+    this.seedingPolicy = new SeedingPolicyService(this.apiProxyService, this.databaseService, this.wsService)
+    this.backupService = new BackupService(this.databaseService, this.wsService)
+    this.imageCache = new ImageCacheService()
+    this.libraryIndex = new LibraryIndexService(this.apiProxyService, this.databaseService)
   }
 
   // Initialize the server
@@ -52,6 +82,14 @@ class PandoraBoxServer {
       await this.databaseService.init()
       logger.info('Database initialized successfully')
 
+      // Log level and cache lifetimes saved in the system settings
+      await new SettingsService(this.databaseService).applySystemSettings()
+
+      // Schedule cleanup of expired sessions, cache entries and notifications
+      this.cleanupInterval = setInterval(() => {
+        this.databaseService.cleanup()
+      }, 60 * 60 * 1000) // 1 hour
+
       // Initialize authentication middleware
       logger.info('Initializing authentication middleware...')
       initAuthMiddleware(this.databaseService)
@@ -60,13 +98,32 @@ class PandoraBoxServer {
       // Initialize API proxy service
       logger.info('Initializing API proxy service...')
       await this.apiProxyService.init()
+      this.tmdbService.setApiKey(this.apiProxyService.getServiceConfig('tmdb')?.apiKey || '')
+      this.apiProxyService.onConfigChange((serviceName, serviceConfig) => {
+        if (serviceName === 'tmdb') {
+          this.tmdbService.setApiKey(serviceConfig.apiKey || '')
+        }
+      })
       logger.info('API Proxy Service initialized successfully')
 
+      // Index cached TMDB images
+      await this.imageCache.init()
+
       // Initialize WebSocket service
       logger.info('Initializing WebSocket service...')
       await this.wsService.init()
       logger.info('WebSocket service initialized successfully')
 
+      // Start background monitors
+      logger.info('Starting background monitors...')
+      this.downloadMonitor.start()
+      this.watchlistMonitor.start()
+      this.containerMonitor.start()
+      this.bandwidthScheduler.start()
+      this.seedingPolicy.start()
+      this.backupService.start()
+      this.libraryIndex.start()
+
       // Setup middleware
       logger.info('Setting up middleware...')
       this.setupMiddleware()
@@ -128,7 +185,9 @@ class PandoraBoxServer {
         error: 'Too many requests from this IP, please try again later.'
       },
       standardHeaders: true,
-      legacyHeaders: false
+      legacyHeaders: false,
+      // A page of posters would use up the allowance on its own; images have their own limits
+      skip: (req) => req.path.startsWith('/v1/media/image/')
     })
     this.app.use('/api/', limiter)
 
@@ -177,14 +236,22 @@ class PandoraBoxServer {
     router.use('/health', createHealthRoutes(this.databaseService, this.wsService))
     router.use('/auth', createAuthRoutes(this.databaseService))
 
+    // TMDB images through the local cache (<img> tags can't send a token)
+    router.use('/media/image', createImageRoutes(this.imageCache))
+
+    // Inbound webhooks (shared secret instead of a user session)
+    router.use('/downloads/hooks', createDownloadHooksRoutes(this.apiProxyService, this.databaseService, this.wsService))
+
     // Protected routes (authentication required)
-    router.use('/media', authenticate, createMediaRoutes(this.apiProxyService, this.databaseService, this.tmdbService))
+    router.use('/media', authenticate, createMediaRoutes(this.apiProxyService, this.databaseService, this.tmdbService, this.libraryIndex))
     router.use('/streaming', authenticate, createStreamingRoutes(this.apiProxyService, this.databaseService))
-    router.use('/downloads', authenticate, createDownloadsRoutes(this.apiProxyService, this.databaseService, this.wsService))
+    router.use('/downloads', authenticate, createDownloadsRoutes(this.apiProxyService, this.databaseService, this.wsService, this.bandwidthScheduler))
     router.use('/files', authenticate, createFilesRoutes(this.apiProxyService, this.databaseService, this.wsService))
     router.use('/docker', authenticate, createDockerRoutes(this.apiProxyService, this.databaseService, this.wsService))
     router.use('/jellyfin', authenticate, createJellyfinRoutes(this.apiProxyService, this.databaseService, this.wsService))
-    router.use('/settings', authenticate, settingsRoutes)
+    router.use('/watchlist', authenticate, createWatchlistRoutes(this.apiProxyService, this.databaseService, this.wsService))
+    router.use('/notifications', authenticate, createNotificationsRoutes(this.databaseService, this.wsService))
+    router.use('/settings', authenticate, createSettingsRoutes(this.apiProxyService, this.databaseService, this.wsService, this.backupService))
 
     return router
   }
@@ -211,6 +278,8 @@ class PandoraBoxServer {
           files: '/api/v1/files',
           docker: '/api/v1/docker',
           jellyfin: '/api/v1/jellyfin',
+          watchlist: '/api/v1/watchlist',
+          notifications: '/api/v1/notifications',
           settings: '/api/v1/settings'
         }
       })
@@ -302,6 +371,18 @@ class PandoraBoxServer {
     try {
       logger.info('Shutting down server...')
 
+      // Stop background jobs
+      this.downloadMonitor.stop()
+      this.watchlistMonitor.stop()
+      this.containerMonitor.stop()
+      this.bandwidthScheduler.stop()
+      this.seedingPolicy.stop()
+      this.backupService.stop()
+      this.libraryIndex.stop()
+      if (this.cleanupInterval) {
+        clearInterval(this.cleanupInterval)
+      }
+
       // Close WebSocket connections
       await this.wsService.close()
 
@@ -22,6 +22,10 @@ export interface Config {
     jwtRefreshExpiry: string
     bcryptRounds: number
   }
+  encryption: {
+    keyFile: string
+    secret: string
+  }
   websocket: {
     port: number
     heartbeatInterval: number
@@ -43,6 +47,44 @@ export interface Config {
     ttlDetails: number
     ttlAvailability: number
   }
+  downloads: {
+    monitorEnabled: boolean
+    pollInterval: number
+  }
+  containers: {
+    monitorEnabled: boolean
+    pollInterval: number
+  }
+  watchlist: {
+    monitorEnabled: boolean
+    searchInterval: number
+  }
+  bandwidth: {
+    checkInterval: number
+  }
+  seeding: {
+    checkInterval: number
+  }
+  backup: {
+    enabled: boolean
+    schedule: string
+    path: string
+    compress: boolean
+    keepDaily: number
+    keepWeekly: number
+  }
+  library: {
+    refreshInterval: number
+    scanDelay: number
+  }
+  images: {
+    cachePath: string
+    maxCacheSize: number
+    maxAge: number
+    webp: boolean
+    rateLimitMax: number
+    missLimitMax: number
+  }
   apis: {
     tmdb: {
       apiKey: string
@@ -72,6 +114,8 @@ export interface Config {
     }
     jellyfin: {
       url: string
+      // Address browsers reach Jellyfin at, when it differs from url
+      publicUrl: string
       apiKey: string
     }
   }
@@ -83,6 +127,7 @@ export interface Config {
   notifications: {
     enabled: boolean
     sound: boolean
+    ttl: number
   }
 }
 
@@ -104,6 +149,10 @@ const defaultConfig: Config = {
     jwtRefreshExpiry: process.env.JWT_REFRESH_EXPIRY || '90d',
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '12')
   },
+  encryption: {
+    keyFile: process.env.ENCRYPTION_KEY_FILE || '',
+    secret: process.env.ENCRYPTION_SECRET || ''
+  },
   websocket: {
     port: parseInt(process.env.WS_PORT || '8081'),
     heartbeatInterval: parseInt(process.env.WS_HEARTBEAT_INTERVAL || '30000')
@@ -130,6 +179,45 @@ const defaultConfig: Config = {
     ttlDetails: parseInt(process.env.CACHE_TTL_DETAILS || '86400'), // 24 hours
     ttlAvailability: parseInt(process.env.CACHE_TTL_AVAILABILITY || '86400') // 24 hours
   },
+  downloads: {
+    monitorEnabled: process.env.DOWNLOAD_MONITOR_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.DOWNLOAD_POLL_INTERVAL || '5000') // 5 seconds
+  },
+  containers: {
+    monitorEnabled: process.env.CONTAINER_MONITOR_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.CONTAINER_POLL_INTERVAL || '60000') // 1 minute
+  },
+  watchlist: {
+    monitorEnabled: process.env.WATCHLIST_MONITOR_ENABLED !== 'false',
+    searchInterval: parseInt(process.env.WATCHLIST_SEARCH_INTERVAL || '21600000') // 6 hours
+  },
+  bandwidth: {
+    checkInterval: parseInt(process.env.BANDWIDTH_CHECK_INTERVAL || '60000') // 1 minute
+  },
+  seeding: {
+    checkInterval: parseInt(process.env.SEEDING_CHECK_INTERVAL || '900000') // 15 minutes
+  },
+  backup: {
+    enabled: process.env.BACKUP_ENABLED !== 'false',
+    schedule: process.env.BACKUP_SCHEDULE || '0 3 * * *', // Daily at 03:00
+    path: process.env.BACKUP_PATH || './data/backups',
+    compress: process.env.BACKUP_COMPRESS !== 'false',
+    keepDaily: parseInt(process.env.BACKUP_KEEP_DAILY || '7'),
+    keepWeekly: parseInt(process.env.BACKUP_KEEP_WEEKLY || '4')
+  },
+  library: {
+    refreshInterval: parseInt(process.env.LIBRARY_INDEX_INTERVAL || '1800000'), // 30 minutes
+    scanDelay: parseInt(process.env.LIBRARY_INDEX_SCAN_DELAY || '120000') // 2 minutes after a scan starts
+  },
+  images: {
+    cachePath: process.env.IMAGE_CACHE_PATH || './data/images',
+    maxCacheSize: parseInt(process.env.IMAGE_CACHE_MAX_SIZE || '500') * 1024 * 1024, // 500 MB
+    maxAge: parseInt(process.env.IMAGE_CACHE_MAX_AGE || '2592000'), // 30 days, sent to browsers
+    webp: process.env.IMAGE_WEBP !== 'false',
+    // Per IP and rate limit window: all image requests, and those that have to be fetched from TMDB
+    rateLimitMax: parseInt(process.env.IMAGE_RATE_LIMIT_MAX || '1000'),
+    missLimitMax: parseInt(process.env.IMAGE_MISS_LIMIT_MAX || '200')
+  },
   apis: {
     tmdb: {
       apiKey: process.env.TMDB_API_KEY || '',
@@ -159,6 +247,7 @@ const defaultConfig: Config = {
     },
     jellyfin: {
       url: process.env.JELLYFIN_URL || 'http://localhost:8096',
+      publicUrl: process.env.JELLYFIN_PUBLIC_URL || '',
       apiKey: process.env.JELLYFIN_API_KEY || ''
     }
   },
@@ -169,7 +258,8 @@ const defaultConfig: Config = {
   },
   notifications: {
     enabled: process.env.ENABLE_NOTIFICATIONS === 'true',
-    sound: process.env.NOTIFICATION_SOUND === 'true'
+    sound: process.env.NOTIFICATION_SOUND === 'true',
+    ttl: parseInt(process.env.NOTIFICATION_TTL || '2592000') // 30 days
   }
 }
 
@@ -260,6 +350,38 @@ export function getCacheConfig() {
   return config.cache
 }
 
+export function getDownloadsConfig() {
+  return config.downloads
+}
+
+export function getContainersConfig() {
+  return config.containers
+}
+
+export function getWatchlistConfig() {
+  return config.watchlist
+}
+
+export function getBandwidthConfig() {
+  return config.bandwidth
+}
+
+export function getSeedingConfig() {
+  return config.seeding
+}
+
+export function getBackupConfig() {
+  return config.backup
+}
+
+export function getLibraryConfig() {
+  return config.library
+}
+
+export function getImagesConfig() {
+  return config.images
+}
+
 export function getPathsConfig() {
   return config.paths
 }
@@ -0,0 +1,111 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { BackupService } from '@/services/backup.js'
+import { getBackupConfig } from '@/config/config.js'
+import { asyncHandler, ValidationError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+
+export class BackupController {
+  private backupService: BackupService
+
+  constructor(backupService: BackupService) {
+    this.backupService = backupService
+  }
+
+  // Validation schemas
+  private createBackupSchema = Joi.object({
+    compress: Joi.boolean().optional()
+  })
+
+  private restoreBackupSchema = Joi.object({
+    name: Joi.string().required()
+  })
+
+  // Get backup configuration and available snapshots
+  getBackups = asyncHandler(async (req: Request, res: Response) => {
+    const { enabled, schedule, compress, keepDaily, keepWeekly } = getBackupConfig()
+    const backups = await this.backupService.listBackups()
+
+    res.json({
+      success: true,
+      data: {
+        settings: { enabled, schedule, compress, keepDaily, keepWeekly },
+        backups
+      }
+    })
+  })
+
+  // Create a manual snapshot
+  createBackup = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.createBackupSchema.validate(req.body || {})
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const backup = await this.backupService.createBackup('manual', value.compress)
+    logger.info(`Backup ${backup.name} created by ${req.user!.username}`)
+
+    res.status(201).json({
+      success: true,
+      message: 'Backup created successfully',
+      data: backup
+    })
+  })
+
+  // Download a snapshot file
+  downloadBackup = asyncHandler(async (req: Request, res: Response) => {
+    const backupPath = await this.backupService.getBackupPath(req.params.name)
+    res.download(backupPath, req.params.name)
+  })
+
+  // Verify a stored snapshot without restoring it
+  verifyBackup = asyncHandler(async (req: Request, res: Response) => {
+    const counts = await this.backupService.verifyBackup(req.params.name)
+
+    res.json({
+      success: true,
+      message: 'Backup verified successfully',
+      data: { name: req.params.name, collections: counts }
+    })
+  })
+
+  // Restore from an uploaded file or a stored snapshot ({ name })
+  restoreBackup = asyncHandler(async (req: Request, res: Response) => {
+    let result
+
+    if (req.file) {
+      result = await this.backupService.restoreFromBuffer(req.file.buffer, req.file.originalname, req.user!.username)
+    } else {
+      const { error, value } = this.restoreBackupSchema.validate(req.body)
+
+      if (error) {
+        throw new ValidationError(error.details[0].message)
+      }
+
+      result = await this.backupService.restoreBackup(value.name, req.user!.username)
+    }
+
+    res.json({
+      success: true,
+      message: 'Database restored successfully',
+      data: {
+        collections: result.counts,
+        safetyBackup: result.safetyBackup
+      }
+    })
+  })
+
+  // Delete a snapshot
+  deleteBackup = asyncHandler(async (req: Request, res: Response) => {
+    await this.backupService.deleteBackup(req.params.name)
+
+    res.json({
+      success: true,
+      message: 'Backup deleted',
+      data: { name: req.params.name }
+    })
+  })
+}
+
+export default BackupController
@@ -0,0 +1,55 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { BandwidthSchedulerService } from '@/services/bandwidthScheduler.js'
+import { asyncHandler, ValidationError } from '@/middleware/errorHandler.js'
+
+export class BandwidthController {
+  private bandwidthScheduler: BandwidthSchedulerService
+
+  constructor(bandwidthScheduler: BandwidthSchedulerService) {
+    this.bandwidthScheduler = bandwidthScheduler
+  }
+
+  // Validation schemas
+  private overrideSchema = Joi.object({
+    profileId: Joi.string().required(),
+    // Omit to keep the override until it is cleared
+    durationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).optional()
+  })
+
+  // Active speed profile, schedule and any manual override
+  getBandwidth = asyncHandler(async (req: Request, res: Response) => {
+    res.json({
+      success: true,
+      data: await this.bandwidthScheduler.getStatus()
+    })
+  })
+
+  // Apply a profile now, overriding the schedule
+  setOverride = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.overrideSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const status = await this.bandwidthScheduler.setOverride(value.profileId, req.user!.username, value.durationMinutes)
+
+    res.json({
+      success: true,
+      message: `Speed profile "${status.active?.profile.name}" applied`,
+      data: status
+    })
+  })
+
+  // Return to the schedule
+  clearOverride = asyncHandler(async (req: Request, res: Response) => {
+    res.json({
+      success: true,
+      message: 'Speed limits follow the schedule again',
+      data: await this.bandwidthScheduler.clearOverride(req.user!.username)
+    })
+  })
+}
+
+export default BandwidthController
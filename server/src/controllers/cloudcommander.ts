@@ -3,6 +3,7 @@ import Joi from 'joi'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { DatabaseService } from '@/services/database.js'
 import { WebSocketService } from '@/services/websocket.js'
+import { NotificationService } from '@/services/notifications.js'
 import { asyncHandler, ValidationError, ExternalServiceError } from '@/middleware/errorHandler.js'
 import { logger, logHelpers } from '@/utils/logger.js'
 import { getPathsConfig } from '@/config/config.js'
@@ -12,11 +13,13 @@ export class CloudCommanderController {
   private apiProxy: ApiProxyService
   private dbService: DatabaseService
   private wsService: WebSocketService
+  private notificationService: NotificationService
 
   constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
     this.apiProxy = apiProxy
     this.dbService = dbService
     this.wsService = wsService
+    this.notificationService = new NotificationService(dbService, wsService)
   }
 
   // Validation schemas
@@ -182,6 +185,18 @@ export class CloudCommanderController {
         logger.error('Error updating operation log:', logError)
       }
 
+      await this.notificationService.notify(userId, {
+        type: 'error',
+        title: 'File operation failed',
+        message: `Failed to ${operation} ${sourcePath}`,
+        data: {
+          operation,
+          sourcePath,
+          targetPath,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        }
+      })
+
       if (error instanceof ExternalServiceError || error instanceof ValidationError) {
         throw error
       }
@@ -199,25 +214,76 @@ export class CloudCommanderController {
     }
 
     try {
-      const paths = getPathsConfig()
-      const targetPath = mediaType === 'movies' ? paths.movies : paths.tvShows
-      
-      // Determine final path
-      const fileName = sourcePath.split('/').pop()
-      const finalTargetPath = `${targetPath}/${fileName}`
+      const { targetPath, result } = await this.importToMediaFolder(userId, sourcePath, mediaType)
 
-      // Perform move operation
-      await this.performFileOperation(
-        { ...req, body: { operation: 'move', sourcePath, targetPath: finalTargetPath } } as Request,
-        res
-      )
+      res.json({
+        success: true,
+        message: 'File move completed successfully',
+        data: { targetPath, result }
+      })
 
     } catch (error) {
       logger.error('Error moving to media folder:', error)
-      throw error
+
+      await this.notificationService.notify(userId, {
+        type: 'error',
+        title: 'File operation failed',
+        message: `Failed to move ${sourcePath}`,
+        data: {
+          operation: 'move',
+          sourcePath,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        }
+      })
+
+      if (error instanceof ExternalServiceError || error instanceof ValidationError) {
+        throw error
+      }
+      throw new ExternalServiceError('CloudCommander', 'Failed to move file')
     }
   })
 
+  // Move a file or folder into the movies/TV library and let Jellyfin pick it up
+  async importToMediaFolder(userId: string, sourcePath: string, mediaType: 'movies' | 'tv'): Promise<{ targetPath: string, result: any }> {
+    if (!this.apiProxy.isServiceAvailable('cloudcommander')) {
+      throw new ExternalServiceError('CloudCommander', 'Service not configured')
+    }
+
+    const paths = getPathsConfig()
+    const fileName = sourcePath.replace(/\/+$/, '').split('/').pop()
+    const targetPath = `${mediaType === 'movies' ? paths.movies : paths.tvShows}/${fileName}`
+
+    const operationRecord = await this.logFileOperation(userId, 'move', sourcePath, targetPath, 'in_progress')
+
+    try {
+      const result = await this.moveFile(this.apiProxy.getService('cloudcommander'), sourcePath, targetPath)
+
+      await this.dbService.update('file_operations', operationRecord.id, {
+        status: 'completed',
+        completedAt: new Date().toISOString()
+      })
+
+      this.wsService.broadcastFileOperation(userId, {
+        type: 'file_operation_completed',
+        operation: 'move',
+        sourcePath,
+        targetPath,
+        result
+      })
+
+      await this.triggerJellyfinScan(targetPath)
+
+      return { targetPath, result }
+    } catch (error) {
+      await this.dbService.update('file_operations', operationRecord.id, {
+        status: 'failed',
+        errorMessage: error instanceof Error ? error.message : 'Unknown error',
+        completedAt: new Date().toISOString()
+      })
+      throw error
+    }
+  }
+
   // Get file operation history
   getFileOperationHistory = asyncHandler(async (req: Request, res: Response) => {
     const userId = req.user!.id
@@ -0,0 +1,228 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { createHash, randomBytes, timingSafeEqual } from 'crypto'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { NotificationService } from '@/services/notifications.js'
+import { SettingsService } from '@/services/settings.js'
+import { MediaOrganizerService } from '@/services/organizer.js'
+import { asyncHandler, ValidationError, AuthenticationError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+import { Download, COLLECTIONS } from '@/types/database.js'
+
+const SECRET_SETTING_KEY = 'hooks.secret'
+const SECRET_HEADER = 'x-webhook-secret'
+
+export class DownloadHooksController {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private notificationService: NotificationService
+  private settingsService: SettingsService
+  private organizer: MediaOrganizerService
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.wsService = wsService
+    this.notificationService = new NotificationService(dbService, wsService)
+    this.settingsService = new SettingsService(dbService)
+    this.organizer = new MediaOrganizerService(apiProxy, dbService, wsService)
+  }
+
+  // Validation schemas
+  // qBittorrent: curl -d "hash=%I" -d "contentPath=%F" -d "category=%L" -d "name=%N"
+  private completedSchema = Joi.object({
+    hash: Joi.string().pattern(/^([a-fA-F0-9]{40}|[a-fA-F0-9]{64})$/).required(),
+    name: Joi.string().allow('').optional(),
+    category: Joi.string().allow('').optional(),
+    savePath: Joi.string().allow('').optional(),
+    contentPath: Joi.string().allow('').optional()
+  }).unknown(true)
+
+  // Torrent finished callback from qBittorrent
+  torrentCompleted = asyncHandler(async (req: Request, res: Response) => {
+    await this.verifySecret(req)
+
+    const { error, value } = this.completedSchema.validate({ ...req.query, ...req.body })
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const hash = value.hash.toLowerCase()
+    const downloads = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      infoHash: hash,
+      removedAt: { $exists: false }
+    })
+
+    if (downloads.length === 0) {
+      logger.info(`Completion hook for untracked torrent ${hash}`)
+    }
+
+    let imported = 0
+    for (const download of downloads) {
+      const completed = await this.markCompleted(download)
+      if (await this.importDownload(completed)) {
+        imported++
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Completion received',
+      data: {
+        hash,
+        matched: downloads.length,
+        imported
+      }
+    })
+  })
+
+  // Webhook details for configuring qBittorrent (admin only)
+  getWebhookConfig = asyncHandler(async (req: Request, res: Response) => {
+    const secret = await this.getSecret()
+
+    res.json({
+      success: true,
+      data: this.describeWebhook(req, secret)
+    })
+  })
+
+  // Invalidate the current secret
+  regenerateSecret = asyncHandler(async (req: Request, res: Response) => {
+    const secret = await this.storeNewSecret()
+    logger.info(`Webhook secret regenerated by ${req.user!.username}`)
+
+    res.json({
+      success: true,
+      message: 'Webhook secret regenerated',
+      data: this.describeWebhook(req, secret)
+    })
+  })
+
+  // Private helper methods
+  private async verifySecret(req: Request): Promise<void> {
+    // Header only; query strings end up in the request log
+    const provided = req.get(SECRET_HEADER)
+    if (!provided) {
+      throw new AuthenticationError('Webhook secret required')
+    }
+
+    const secret = await this.getSecret()
+
+    // Compare digests so the comparison is constant-time regardless of length
+    const expected = createHash('sha256').update(secret).digest()
+    const actual = createHash('sha256').update(provided).digest()
+
+    if (!timingSafeEqual(expected, actual)) {
+      logger.warn(`Rejected download hook with invalid secret from ${req.ip}`)
+      throw new AuthenticationError('Invalid webhook secret')
+    }
+  }
+
+  // Per-install secret, generated on first use
+  private async getSecret(): Promise<string> {
+    const setting = await this.dbService.getSetting(SECRET_SETTING_KEY)
+    return setting?.value || this.storeNewSecret()
+  }
+
+  private async storeNewSecret(): Promise<string> {
+    const secret = randomBytes(32).toString('hex')
+
+    await this.dbService.setSetting({
+      key: SECRET_SETTING_KEY,
+      value: secret,
+      category: 'system',
+      encrypted: true,
+      description: 'Shared secret for download completion webhooks'
+    })
+
+    return secret
+  }
+
+  private describeWebhook(req: Request, secret: string): Record<string, string> {
+    const url = `${req.protocol}://${req.get('host')}/api/v1/downloads/hooks/completed`
+
+    return {
+      url,
+      secret,
+      header: 'X-Webhook-Secret',
+      // For qBittorrent's "Run external program on torrent finished"
+      command: `curl -fsS -X POST -H "X-Webhook-Secret: ${secret}" -d "hash=%I" --data-urlencode "contentPath=%F" --data-urlencode "category=%L" ${url}`
+    }
+  }
+
+  private async markCompleted(download: Download): Promise<Download> {
+    if (download.completedAt && download.status === 'completed') {
+      return download
+    }
+
+    const updated = await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, {
+      status: 'completed',
+      progress: 100,
+      eta: '0s',
+      completedAt: download.completedAt || new Date().toISOString()
+    })
+
+    this.wsService.broadcastDownloadUpdate(download.userId, {
+      type: 'download_completed',
+      hash: download.infoHash,
+      download: updated
+    })
+
+    await this.notificationService.notify(download.userId, {
+      type: 'download',
+      title: 'Download completed',
+      message: `${download.name} has finished downloading`,
+      data: { downloadId: download.id, hash: download.infoHash, category: download.category, tmdbId: download.tmdbId }
+    })
+
+    logger.info(`Download completed via hook: ${download.name} (${download.infoHash})`)
+    return updated || download
+  }
+
+  // Rename and file movies and TV shows into the library once, when auto-move is enabled
+  private async importDownload(download: Download): Promise<boolean> {
+    if (download.importedAt || (download.category !== 'movie' && download.category !== 'tv')) {
+      return false
+    }
+
+    const { autoMove } = await this.settingsService.getGroup('downloads')
+    if (!autoMove) return false
+
+    try {
+      const { plan, failed } = await this.organizer.organize(download)
+
+      if (failed > 0) {
+        throw new Error(`${failed} file operations failed`)
+      }
+
+      await this.notificationService.notify(download.userId, {
+        type: 'info',
+        title: 'Added to library',
+        message: `${plan.title} was ${plan.mode === 'copy' ? 'copied' : 'moved'} to your ${download.category === 'movie' ? 'movies' : 'TV shows'} library`,
+        data: { downloadId: download.id, targetPath: plan.libraryPath, skipped: plan.skipped.length }
+      })
+
+      return true
+    } catch (error) {
+      logger.error(`Failed to import ${download.name}:`, error)
+
+      await this.notificationService.notify(download.userId, {
+        type: 'error',
+        title: 'Import failed',
+        message: `${download.name} could not be added to the library`,
+        data: {
+          downloadId: download.id,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        }
+      })
+
+      return false
+    }
+  }
+}
+
+export default DownloadHooksController
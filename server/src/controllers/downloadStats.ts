@@ -0,0 +1,130 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { DatabaseService } from '@/services/database.js'
+import { DownloadStatsService } from '@/services/downloadStats.js'
+import { asyncHandler, ValidationError } from '@/middleware/errorHandler.js'
+import { DownloadQuery } from '@/types/database.js'
+
+export class DownloadStatsController {
+  private downloadStats: DownloadStatsService
+
+  constructor(dbService: DatabaseService) {
+    this.downloadStats = new DownloadStatsService(dbService)
+  }
+
+  // Validation schemas
+  // Plain dates are kept as they are (isoDate() would turn them into midnight timestamps)
+  private dateSchema = Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value),
+    Joi.string().isoDate()
+  )
+
+  private filterSchema = {
+    // Admins only; team users always get their own downloads
+    userId: Joi.string(),
+    category: Joi.string().valid('movie', 'tv', 'other'),
+    dateFrom: this.dateSchema,
+    dateTo: this.dateSchema
+  }
+
+  private historySchema = Joi.object({
+    ...this.filterSchema,
+    status: Joi.string().valid('downloading', 'completed', 'paused', 'error', 'queued'),
+    // Only torrents qBittorrent no longer has
+    archived: Joi.boolean().default(false),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  })
+
+  private statsSchema = Joi.object(this.filterSchema)
+
+  private exportSchema = Joi.object({
+    ...this.filterSchema,
+    archived: Joi.boolean().default(false)
+  })
+
+  // Download records, including the ones qBittorrent has forgotten
+  getHistory = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.historySchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const query = this.buildQuery(req, value)
+    const { downloads, total } = await this.downloadStats.getHistory({
+      ...query,
+      status: value.status,
+      limit: value.limit,
+      offset: value.offset
+    })
+
+    res.json({
+      success: true,
+      data: {
+        downloads,
+        total,
+        limit: value.limit,
+        offset: value.offset
+      }
+    })
+  })
+
+  // Transfer totals per user, category and month, completion time and failure rate
+  getStats = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.statsSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const stats = await this.downloadStats.getStats(this.buildQuery(req, value))
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        dateFrom: value.dateFrom,
+        dateTo: value.dateTo
+      }
+    })
+  })
+
+  // Download history as CSV (admin only)
+  exportHistory = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.exportSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const csv = await this.downloadStats.exportCsv(this.buildQuery(req, value))
+    const filename = `pandora-download-history-${new Date().toISOString().split('T')[0]}.csv`
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.send(csv)
+  })
+
+  // Private helper methods
+  private buildQuery(req: Request, value: any): DownloadQuery {
+    const isAdmin = req.user!.role === 'admin'
+
+    return {
+      userId: isAdmin ? value.userId : req.user!.id,
+      category: value.category,
+      dateFrom: value.dateFrom && new Date(value.dateFrom).toISOString(),
+      dateTo: value.dateTo && this.endOfRange(value.dateTo),
+      removed: value.archived ? 'only' : 'include'
+    }
+  }
+
+  // A plain date includes the whole day
+  private endOfRange(date: string): string {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date)
+      ? `${date}T23:59:59.999Z`
+      : new Date(date).toISOString()
+  }
+}
+
+export default DownloadStatsController
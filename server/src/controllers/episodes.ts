@@ -0,0 +1,119 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { TorrentSearchService } from '@/services/torrentSearch.js'
+import { EpisodeTrackerService } from '@/services/episodeTracker.js'
+import { asyncHandler, ValidationError, ExternalServiceError, NotFoundError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+
+export class EpisodesController {
+  private episodeTracker: EpisodeTrackerService
+  private torrentSearch: TorrentSearchService
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.episodeTracker = new EpisodeTrackerService(apiProxy, dbService, wsService)
+    this.torrentSearch = new TorrentSearchService(apiProxy, dbService)
+  }
+
+  // Validation schemas
+  private tmdbIdSchema = Joi.number().integer().positive().required()
+
+  private episodesSchema = Joi.object({
+    includeSpecials: Joi.boolean().default(false),
+    // Only return seasons with missing episodes
+    missingOnly: Joi.boolean().default(false)
+  })
+
+  private grabMissingSchema = Joi.object({
+    season: Joi.number().integer().min(0).optional(),
+    episodes: Joi.array().items(Joi.number().integer().min(0)).min(1)
+      .when('season', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.forbidden() }),
+    mode: Joi.string().valid('auto', 'pack', 'episodes').default('auto'),
+    profileId: Joi.string().optional(),
+    includeSpecials: Joi.boolean().default(false),
+    dryRun: Joi.boolean().default(false)
+  })
+
+  // Seasons and episodes of a series with their library/download state
+  getEpisodes = asyncHandler(async (req: Request, res: Response) => {
+    const tmdbId = this.validateTmdbId(req.params.tmdbId)
+    const { error, value } = this.episodesSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    try {
+      const series = await this.episodeTracker.getSeries(tmdbId, value.includeSpecials)
+
+      if (value.missingOnly) {
+        series.seasons = series.seasons.filter(season => season.missing > 0)
+      }
+
+      res.json({
+        success: true,
+        data: series
+      })
+
+    } catch (error) {
+      logger.error('Error tracking episodes:', error)
+      if (error instanceof ExternalServiceError || error instanceof NotFoundError) {
+        throw error
+      }
+      throw new ExternalServiceError('TMDB', 'Failed to get episodes')
+    }
+  })
+
+  // Grab missing aired episodes as season packs or single episodes
+  grabMissing = asyncHandler(async (req: Request, res: Response) => {
+    const tmdbId = this.validateTmdbId(req.params.tmdbId)
+    const { error, value } = this.grabMissingSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    if (!await this.torrentSearch.hasSources()) {
+      throw new ExternalServiceError('Jackett', 'Torrent search service not configured')
+    }
+
+    try {
+      const grabs = await this.episodeTracker.grabMissing(req.user!.id, tmdbId, value)
+      const found = grabs.filter(grab => grab.infoHash)
+      const started = found.filter(grab => grab.download && !grab.existing)
+
+      res.json({
+        success: found.length > 0,
+        message: this.describeGrabs(grabs.length, found.length, started.length, value.dryRun),
+        data: { grabs, found: found.length, started: started.length }
+      })
+
+    } catch (error) {
+      logger.error('Error grabbing missing episodes:', error)
+      if (error instanceof ExternalServiceError || error instanceof NotFoundError) {
+        throw error
+      }
+      throw new ExternalServiceError('Jackett', 'Failed to grab missing episodes')
+    }
+  })
+
+  // Private helper methods
+  private validateTmdbId(param: string): number {
+    const { error, value } = this.tmdbIdSchema.validate(param)
+    if (error) {
+      throw new ValidationError('Invalid TMDB id')
+    }
+    return value
+  }
+
+  private describeGrabs(searched: number, found: number, started: number, dryRun: boolean): string {
+    if (searched === 0) return 'No missing episodes'
+    if (found === 0) return 'No matching releases found'
+    if (dryRun) return `Found releases for ${found} of ${searched} searches`
+    return `Started ${started} download(s), ${found - started} already in downloads`
+  }
+}
+
+export default EpisodesController
@@ -0,0 +1,211 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { TorrentSearchService } from '@/services/torrentSearch.js'
+import { QualityProfileService, QualityProfile, ReleaseTarget, ScoredRelease } from '@/services/qualityProfiles.js'
+import { asyncHandler, ValidationError, ExternalServiceError, NotFoundError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+import TorrentController from '@/controllers/torrent.js'
+import { QBittorrentController } from '@/controllers/qbittorrent.js'
+import { Download } from '@/types/database.js'
+
+export interface ReleaseSearch {
+  query: string
+  profile: QualityProfile
+  ranked: ScoredRelease[]
+  accepted: ScoredRelease[]
+}
+
+export class GrabController {
+  private apiProxy: ApiProxyService
+  private profileService: QualityProfileService
+  private torrentSearch: TorrentSearchService
+  private torrentController: TorrentController
+  private qbController: QBittorrentController
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.profileService = new QualityProfileService(dbService)
+    this.torrentSearch = new TorrentSearchService(apiProxy, dbService)
+    this.torrentController = new TorrentController(apiProxy, dbService)
+    this.qbController = new QBittorrentController(apiProxy, dbService, wsService)
+  }
+
+  // Validation schemas
+  private grabSchema = Joi.object({
+    tmdbId: Joi.number().integer().positive().required(),
+    type: Joi.string().valid('movie', 'tv').required(),
+    profileId: Joi.string().optional(),
+    season: Joi.number().integer().min(0).when('type', { is: 'tv', then: Joi.optional(), otherwise: Joi.forbidden() }),
+    episode: Joi.number().integer().min(0).when('season', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.forbidden() }),
+    // Score and return the candidates without adding anything
+    dryRun: Joi.boolean().default(false)
+  })
+
+  // Find the best torrent for a TMDB title under a quality profile and download it
+  grab = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.grabSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const { dryRun, ...request } = value
+    const userId = req.user!.id
+
+    if (!await this.torrentSearch.hasSources()) {
+      throw new ExternalServiceError('Jackett', 'Torrent search service not configured')
+    }
+
+    const profile = await this.profileService.getProfile(request.profileId)
+    const target = await this.getTarget(request.tmdbId, request.type, request.season, request.episode)
+
+    try {
+      const search = await this.findReleases(target, profile)
+      const summary = this.summarize(search)
+
+      if (search.accepted.length === 0) {
+        return res.json({
+          success: false,
+          message: `No release matches the "${profile.name}" profile`,
+          data: summary
+        })
+      }
+
+      const [winner] = search.accepted
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          data: { ...summary, winner: this.describe(winner) }
+        })
+      }
+
+      const { download, existing } = await this.addRelease(userId, request.tmdbId, target, winner)
+
+      res.json({
+        success: !existing,
+        message: existing ? 'Best release is already in downloads' : 'Download started',
+        data: { ...summary, winner: this.describe(winner), download, existing }
+      })
+
+    } catch (error) {
+      logger.error('Error grabbing torrent:', error)
+      if (error instanceof ExternalServiceError || error instanceof ValidationError) {
+        throw error
+      }
+      throw new ExternalServiceError('Jackett', 'Failed to grab torrent')
+    }
+  })
+
+  // List quality profiles for pickers
+  getProfiles = asyncHandler(async (req: Request, res: Response) => {
+    res.json({
+      success: true,
+      data: await this.profileService.getProfiles()
+    })
+  })
+
+  // Search Jackett and rank the results for a target; shared with the watchlist monitor
+  async findReleases(target: ReleaseTarget, profile: QualityProfile): Promise<ReleaseSearch> {
+    const query = this.buildQuery(target)
+    const { results } = await this.torrentController.searchReleases(query, target.type)
+    const ranked = this.profileService.rank(results, profile, target)
+
+    return {
+      query,
+      profile,
+      ranked,
+      accepted: ranked.filter(entry => !entry.rejected)
+    }
+  }
+
+  // Hand a ranked release to qBittorrent for the user
+  async addRelease(userId: string, tmdbId: number, target: ReleaseTarget, winner: ScoredRelease): Promise<{ download: Download, existing: boolean }> {
+    const result = await this.qbController.addMagnet(userId, {
+      magnetUrl: winner.result.magnetUrl,
+      category: target.type,
+      tmdbId: String(tmdbId),
+      title: winner.result.title,
+      quality: winner.result.release.resolution
+    })
+
+    if (!result.existing) {
+      logger.info(`Grabbed ${winner.result.title} for TMDB ${target.type} ${tmdbId} (score ${winner.score})`)
+    }
+
+    return result
+  }
+
+  // Titles and year from TMDB that a release has to match
+  async getTarget(tmdbId: number, type: 'movie' | 'tv', season?: number, episode?: number): Promise<ReleaseTarget> {
+    let details: any
+
+    try {
+      details = await this.apiProxy.getTMDBDetails(type, tmdbId)
+    } catch (error) {
+      logger.error(`TMDB lookup failed for ${type} ${tmdbId}:`, error)
+      throw new NotFoundError(`TMDB ${type} ${tmdbId} not found`)
+    }
+
+    const title = type === 'movie' ? details.title : details.name
+    const originalTitle = type === 'movie' ? details.original_title : details.original_name
+    const date = type === 'movie' ? details.release_date : details.first_air_date
+    const episodeCount = season !== undefined
+      ? details.seasons?.find((entry: any) => entry.season_number === season)?.episode_count
+      : details.number_of_episodes
+
+    return {
+      titles: [title, originalTitle].filter(Boolean),
+      year: date ? parseInt(date.substring(0, 4)) : undefined,
+      type,
+      season,
+      episode,
+      episodeCount: type === 'tv' ? episodeCount : undefined
+    }
+  }
+
+  // Fields of a scored release worth showing to the user
+  describe(entry: ScoredRelease): Record<string, any> {
+    const { title, size, sizeFormatted, seeders, indexer, infoHash, release } = entry.result
+    return { title, size, sizeFormatted, seeders, indexer, infoHash, release, score: entry.score, reasons: entry.reasons }
+  }
+
+  // Private helper methods
+  private buildQuery(target: ReleaseTarget): string {
+    const pad = (value: number) => String(value).padStart(2, '0')
+    // Indexers match words, so "Dune: Part Two" searches as "Dune Part Two"
+    const title = target.titles[0].replace(/[^\p{L}\p{N}\s&'-]/gu, ' ').replace(/\s+/g, ' ').trim()
+
+    if (target.type === 'movie') {
+      return target.year ? `${title} ${target.year}` : title
+    }
+
+    if (target.season === undefined) return title
+    if (target.episode === undefined) return `${title} S${pad(target.season)}`
+    return `${title} S${pad(target.season)}E${pad(target.episode)}`
+  }
+
+  private summarize(search: ReleaseSearch): Record<string, any> {
+    return {
+      query: search.query,
+      profile: { id: search.profile.id, name: search.profile.name },
+      searched: search.ranked.length,
+      accepted: search.accepted.length,
+      candidates: search.accepted.slice(0, 5).map(entry => this.describe(entry)),
+      rejections: this.countRejections(search.ranked)
+    }
+  }
+
+  private countRejections(ranked: ScoredRelease[]): Record<string, number> {
+    const counts: Record<string, number> = {}
+    for (const { rejected } of ranked) {
+      if (rejected) counts[rejected] = (counts[rejected] || 0) + 1
+    }
+    return counts
+  }
+}
+
+export default GrabController
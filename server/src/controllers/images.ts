@@ -0,0 +1,57 @@
+import { Request, Response } from 'express'
+import { createReadStream } from 'fs'
+import Joi from 'joi'
+import { ImageCacheService, IMAGE_SIZES, IMAGE_PATH_PATTERN } from '@/services/imageCache.js'
+import { getImagesConfig } from '@/config/config.js'
+import { asyncHandler, ValidationError } from '@/middleware/errorHandler.js'
+
+export class ImageController {
+  private imageCache: ImageCacheService
+
+  constructor(imageCache: ImageCacheService) {
+    this.imageCache = imageCache
+  }
+
+  // Validation schemas
+  private paramsSchema = Joi.object({
+    size: Joi.string().valid(...IMAGE_SIZES).required(),
+    path: Joi.string().pattern(IMAGE_PATH_PATTERN).required()
+  })
+
+  private querySchema = Joi.object({
+    format: Joi.string().valid('webp')
+  })
+
+  // Stream a TMDB image from the local cache
+  getImage = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.paramsSchema.validate(req.params)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const { error: queryError, value: query } = this.querySchema.validate(req.query)
+
+    if (queryError) {
+      throw new ValidationError(queryError.details[0].message)
+    }
+
+    const image = await this.imageCache.getImage(value.size, value.path, query.format)
+
+    // TMDB never changes the image behind a path, so browsers may keep it
+    res.setHeader('Content-Type', image.contentType)
+    res.setHeader('Cache-Control', `public, max-age=${getImagesConfig().maxAge}, immutable`)
+    res.setHeader('ETag', image.etag)
+    res.setHeader('Last-Modified', image.lastModified.toUTCString())
+
+    if (req.fresh) {
+      res.status(304).end()
+      return
+    }
+
+    res.setHeader('Content-Length', image.size)
+    createReadStream(image.file).pipe(res)
+  })
+}
+
+export default ImageController
@@ -3,18 +3,27 @@ import Joi from 'joi'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { DatabaseService } from '@/services/database.js'
 import { WebSocketService } from '@/services/websocket.js'
+import { NotificationService } from '@/services/notifications.js'
 import { asyncHandler, ValidationError, ExternalServiceError } from '@/middleware/errorHandler.js'
 import { logger, logHelpers } from '@/utils/logger.js'
 
+// How often a running scan is checked, and when to stop waiting for it
+const SCAN_POLL_INTERVAL = 5000
+const SCAN_TIMEOUT = 6 * 60 * 60 * 1000
+// A library refresh that never shows up as running within this long finished between two polls
+const SCAN_START_TIMEOUT = 2 * 60 * 1000
+
 export class JellyfinController {
   private apiProxy: ApiProxyService
   private dbService: DatabaseService
   private wsService: WebSocketService
+  private notificationService: NotificationService
 
   constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
     this.apiProxy = apiProxy
     this.dbService = dbService
     this.wsService = wsService
+    this.notificationService = new NotificationService(dbService, wsService)
   }
 
   // Validation schemas
@@ -137,18 +146,20 @@ export class JellyfinController {
 
       const jellyfinClient = this.apiProxy.getService('jellyfin')
       
-      let scanResult
+      // Libraries refreshed one by one; null when the whole library scan task runs
+      let libraryIds: string[] | null = null
       if (libraryId) {
         // Scan specific library
-        scanResult = await jellyfinClient.post(`/Items/${libraryId}/Refresh`, {
+        await jellyfinClient.post(`/Items/${libraryId}/Refresh`, {
           Recursive: true,
           ImageRefreshMode: 'Default',
           MetadataRefreshMode: 'Default'
         })
+        libraryIds = [libraryId]
       } else {
         // Scan all libraries of type or all libraries
         if (libraryType === 'all') {
-          scanResult = await jellyfinClient.post('/Library/Refresh')
+          await jellyfinClient.post('/Library/Refresh')
         } else {
           // Get libraries of specific type and scan them
           const libraries = await this.getLibrariesByType(libraryType)
@@ -159,15 +170,12 @@ export class JellyfinController {
               MetadataRefreshMode: 'Default'
             })
           )
-          scanResult = await Promise.all(scanPromises)
+          await Promise.all(scanPromises)
+          libraryIds = libraries.map(lib => lib.id)
         }
       }
 
-      // Update scan record
-      await this.dbService.update('jellyfin_scans', scanRecord.id, {
-        status: 'completed',
-        completedAt: new Date().toISOString()
-      })
+      this.apiProxy.notifyLibraryScan()
 
       // Broadcast scan started event
       this.wsService.broadcastToUser(userId, {
@@ -180,6 +188,11 @@ export class JellyfinController {
         }
       })
 
+      // Jellyfin scans in the background; the record is completed once it reports the scan finished
+      this.watchScan(userId, scanRecord, libraryId, libraryIds).catch(watchError => {
+        logger.error('Error watching library scan:', watchError)
+      })
+
       res.json({
         success: true,
         message: `Library scan initiated for ${libraryType}`,
@@ -212,6 +225,17 @@ export class JellyfinController {
         logger.error('Error updating scan log:', logError)
       }
 
+      await this.notificationService.notify(userId, {
+        type: 'error',
+        title: 'Library scan failed',
+        message: `Jellyfin ${libraryType} library scan failed`,
+        data: {
+          libraryType,
+          libraryId,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        }
+      })
+
       if (error instanceof ExternalServiceError || error instanceof ValidationError) {
         throw error
       }
@@ -437,6 +461,89 @@ export class JellyfinController {
     }
   }
 
+  // Wait for Jellyfin to finish a scan, then complete its record and tell the user
+  private async watchScan(userId: string, scanRecord: any, libraryId: string | undefined, libraryIds: string[] | null): Promise<void> {
+    const { id: scanId, libraryType } = scanRecord
+    const startedAt = new Date(scanRecord.startedAt).getTime()
+    let outcome: { status: 'completed' | 'failed', errorMessage?: string } | null = null
+    let seenRefreshing = false
+
+    while (!outcome && Date.now() - startedAt < SCAN_TIMEOUT) {
+      // Waiting first also gives Jellyfin time to pick the refresh up
+      await new Promise(resolve => setTimeout(resolve, SCAN_POLL_INTERVAL))
+
+      try {
+        if (libraryIds) {
+          // Idle before the refresh was seen running usually means Jellyfin hasn't started it yet
+          const refreshing = await this.isLibraryRefreshing(libraryIds)
+          seenRefreshing = seenRefreshing || refreshing
+
+          if (!refreshing && (seenRefreshing || Date.now() - startedAt >= SCAN_START_TIMEOUT)) {
+            outcome = { status: 'completed' }
+          }
+        } else {
+          outcome = await this.getScanTaskOutcome(startedAt)
+        }
+      } catch (error) {
+        // Jellyfin may be busy or restarting; keep waiting
+        logger.warn('Could not check library scan status:', error instanceof Error ? error.message : error)
+      }
+    }
+
+    outcome = outcome || { status: 'failed', errorMessage: 'Jellyfin did not report the scan finishing' }
+
+    await this.dbService.update('jellyfin_scans', scanId, {
+      ...outcome,
+      progress: outcome.status === 'completed' ? 100 : scanRecord.progress,
+      completedAt: new Date().toISOString()
+    })
+
+    this.wsService.broadcastToUser(userId, {
+      type: 'jellyfin',
+      event: outcome.status === 'completed' ? 'scan_completed' : 'scan_failed',
+      data: { libraryType, libraryId, scanId, errorMessage: outcome.errorMessage }
+    })
+
+    if (outcome.status === 'completed') {
+      await this.notificationService.notify(userId, {
+        type: 'info',
+        title: 'Library scan completed',
+        message: libraryType === 'all' ? 'All Jellyfin libraries were refreshed' : `Jellyfin ${libraryType} library was refreshed`,
+        data: { scanId, libraryType, libraryId }
+      })
+    } else {
+      await this.notificationService.notify(userId, {
+        type: 'error',
+        title: 'Library scan failed',
+        message: `Jellyfin ${libraryType} library scan failed`,
+        data: { scanId, libraryType, libraryId, error: outcome.errorMessage }
+      })
+    }
+  }
+
+  // "Scan Media Library" task result, once a run that ended after the scan started is reported
+  private async getScanTaskOutcome(startedAt: number): Promise<{ status: 'completed' | 'failed', errorMessage?: string } | null> {
+    const tasks = await this.apiProxy.getJellyfinScanStatus()
+    const task = tasks?.find((entry: any) => entry.Key === 'RefreshLibrary')
+    const result = task?.LastExecutionResult
+
+    if (!task || task.State !== 'Idle' || !result || new Date(result.EndTimeUtc).getTime() < startedAt) {
+      return null
+    }
+
+    return result.Status === 'Completed'
+      ? { status: 'completed' }
+      : { status: 'failed', errorMessage: result.ErrorMessage || `Scan ended with status ${result.Status}` }
+  }
+
+  // Single-library refreshes don't run the scan task; the libraries report their own refresh state
+  private async isLibraryRefreshing(libraryIds: string[]): Promise<boolean> {
+    const client = this.apiProxy.getService('jellyfin')
+    const folders: any[] = await client.get('/Library/VirtualFolders', null, { cache: false }) || []
+
+    return folders.some(folder => libraryIds.includes(folder.ItemId) && folder.RefreshStatus === 'Active')
+  }
+
   private calculateDuration(startTime: string, endTime: string): string {
     const start = new Date(startTime).getTime()
     const end = new Date(endTime).getTime()
@@ -500,6 +607,7 @@ export class JellyfinController {
           MetadataRefreshMode: 'Default'
         })
 
+        apiProxy.notifyLibraryScan()
         logger.info(`Jellyfin auto-scan triggered for library: ${matchingLibrary.Name}`)
       } else {
         logger.info(`No matching Jellyfin library found for path: ${libraryPath}`)
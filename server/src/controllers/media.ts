@@ -2,29 +2,51 @@ import { Request, Response } from 'express'
 import Joi from 'joi'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { DatabaseService } from '@/services/database.js'
-import { TmdbService } from '@/services/tmdb.js'
+import { TmdbService, TmdbLocale, DETAILS_APPEND } from '@/services/tmdb.js'
+import { LibraryIndexService } from '@/services/libraryIndex.js'
+import { StreamingAvailabilityService } from '@/services/streamingAvailability.js'
+import { SettingsService } from '@/services/settings.js'
 import { asyncHandler, ValidationError, ExternalServiceError } from '@/middleware/errorHandler.js'
 import { logger, logHelpers } from '@/utils/logger.js'
 import { getCacheConfig } from '@/config/config.js'
+import { MediaCache, COLLECTIONS } from '@/types/database.js'
+
+type MediaType = 'movie' | 'tv'
+
+interface CachedResult {
+  data: any
+  cached: boolean
+  cacheTime?: string
+}
 
 export class MediaController {
   private apiProxy: ApiProxyService
   private dbService: DatabaseService
   private tmdbService: TmdbService
+  private libraryIndex: LibraryIndexService
+  private streamingAvailability: StreamingAvailabilityService
+  private settingsService: SettingsService
 
-  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, tmdbService: TmdbService) {
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, tmdbService: TmdbService, libraryIndex: LibraryIndexService) {
     this.apiProxy = apiProxy
     this.dbService = dbService
     this.tmdbService = tmdbService
+    this.libraryIndex = libraryIndex
+    this.streamingAvailability = new StreamingAvailabilityService(apiProxy, dbService)
+    this.settingsService = new SettingsService(dbService)
   }
 
   // Validation schemas
+  private typeSchema = Joi.object({
+    type: Joi.string().valid('movie', 'tv').required()
+  })
+
   private trendingSchema = Joi.object({
     type: Joi.string().valid('movie', 'tv').required(),
     timeWindow: Joi.string().valid('day', 'week').default('day')
   })
 
-  private popularSchema = Joi.object({
+  private listSchema = Joi.object({
     type: Joi.string().valid('movie', 'tv').required(),
     page: Joi.number().integer().min(1).max(500).default(1)
   })
@@ -34,561 +56,552 @@ export class MediaController {
     type: Joi.string().valid('movie', 'tv', 'multi').default('multi'),
     page: Joi.number().integer().min(1).max(500).default(1),
     year: Joi.number().integer().min(1900).max(new Date().getFullYear() + 5).optional(),
-    include_adult: Joi.boolean().default(false)
+    // Defaults to the user's media settings
+    include_adult: Joi.boolean(),
+    // Narrows the results to a genre id
+    with_genres: Joi.number().integer(),
+    // Sorting is left to the client
+    sort_by: Joi.string(),
+    notOnMyServices: Joi.boolean()
   })
 
+  // Accepted by every list endpoint
+  private listFilterSchema = Joi.object({
+    // Leave out titles already streamable on the user's subscriptions
+    notOnMyServices: Joi.boolean().default(false)
+  }).unknown(true)
+
   private detailsSchema = Joi.object({
     type: Joi.string().valid('movie', 'tv').required(),
     id: Joi.number().integer().required()
   })
 
+  private relatedSchema = Joi.object({
+    type: Joi.string().valid('movie', 'tv').required(),
+    id: Joi.number().integer().required(),
+    page: Joi.number().integer().min(1).max(500).default(1)
+  })
+
+  private discoverSchema = Joi.object({
+    type: Joi.string().valid('movie', 'tv').required(),
+    page: Joi.number().integer().min(1).max(500).default(1),
+    // Genre ids; a comma list must match all of them, a pipe list any of them
+    genres: Joi.string().pattern(/^\d+([,|]\d+)*$/),
+    yearFrom: Joi.number().integer().min(1870).max(new Date().getFullYear() + 5),
+    yearTo: Joi.number().integer().min(1870).max(new Date().getFullYear() + 5),
+    minRating: Joi.number().min(0).max(10),
+    minVotes: Joi.number().integer().min(0),
+    runtimeMin: Joi.number().integer().min(0),
+    runtimeMax: Joi.number().integer().min(0),
+    // ISO 639-1 original language
+    language: Joi.string().lowercase().length(2),
+    sortBy: Joi.string().valid(
+      'popularity.desc', 'popularity.asc',
+      'vote_average.desc', 'vote_average.asc',
+      'release_date.desc', 'release_date.asc'
+    ).default('popularity.desc'),
+    notOnMyServices: Joi.boolean()
+  }).rename('with_genres', 'genres', { ignoreUndefined: true })
+
   // Get trending content
   getTrending = asyncHandler(async (req: Request, res: Response) => {
-    const { error, value } = this.trendingSchema.validate({
-      type: req.params.type,
-      timeWindow: req.params.timeWindow
-    })
+    const { error, value } = this.trendingSchema.validate(req.params)
 
     if (error) {
       throw new ValidationError(error.details[0].message)
     }
 
     const { type, timeWindow } = value
+    const { locale } = await this.getMediaSettings(req)
+
+    await this.sendMedia(req, res, await this.getCached({
+      cacheType: 'trending',
+      category: type,
+      key: timeWindow,
+      locale,
+      endpoint: `/trending/${type}/${timeWindow}`,
+      errorMessage: 'Failed to fetch trending content'
+    }, async () => this.transformResults(await this.tmdbService.getTrending(type, timeWindow, locale), locale, type)))
+  })
 
-    try {
-      // Check cache first
-      const cacheKey = `trending_${type}_${timeWindow}`
-      const cached = await this.dbService.getCachedData('trending', type, timeWindow)
-      
-      if (cached) {
-        logHelpers.logExternalApi('tmdb', `/trending/${type}/${timeWindow}`, 'GET', 200, 0, true)
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
-
-      // Fetch from TMDB
-      const data = await this.tmdbService.getTrending(type, timeWindow)
-      
-      // Transform and enrich data
-      const transformedData = await this.transformMediaList(data.results || [])
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'trending',
-        type,
-        { ...data, results: transformedData },
-        getCacheConfig().ttlTrending,
-        timeWindow
-      )
-
-      res.json({
-        success: true,
-        data: { ...data, results: transformedData },
-        cached: false
-      })
+  // Get popular content
+  getPopular = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.listSchema.validate({ type: req.params.type, page: req.query.page })
 
-    } catch (error) {
-      logger.error('Error searching content:', error)
-      throw new ExternalServiceError('TMDB', 'Failed to search content')
+    if (error) {
+      throw new ValidationError(error.details[0].message)
     }
+
+    const { type, page } = value
+    const { locale } = await this.getMediaSettings(req)
+
+    await this.sendMedia(req, res, await this.getCached({
+      cacheType: 'popular',
+      category: type,
+      key: page.toString(),
+      locale,
+      endpoint: `/${type}/popular`,
+      errorMessage: 'Failed to fetch popular content'
+    }, async () => this.transformResults(await this.tmdbService.getPopular(type, page, locale), locale, type)))
   })
 
-  // Get content details
-  getDetails = asyncHandler(async (req: Request, res: Response) => {
-    const { error, value } = this.detailsSchema.validate({
-      type: req.params.type,
-      id: req.params.id
-    })
+  // Get top rated content
+  getTopRated = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.listSchema.validate({ type: req.params.type, page: req.query.page })
 
     if (error) {
       throw new ValidationError(error.details[0].message)
     }
 
-    const { type, id } = value
+    const { type, page } = value
+    const { locale } = await this.getMediaSettings(req)
+
+    await this.sendMedia(req, res, await this.getCached({
+      cacheType: 'top_rated',
+      category: type,
+      key: page.toString(),
+      locale,
+      endpoint: `/${type}/top_rated`,
+      errorMessage: 'Failed to fetch top rated content'
+    }, async () => this.transformResults(await this.tmdbService.getTopRated(type, page, locale), locale, type)))
+  })
 
-    try {
-      // Check cache first
-      const cacheKey = `details_${type}_${id}`
-      const cached = await this.dbService.getCachedData('details', type, id.toString())
-
-      if (cached) {
-        logHelpers.logExternalApi('tmdb', `/${type}/${id}`, 'GET', 200, 0, true)
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+  // Search content
+  search = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.searchSchema.validate(req.query)
 
-      // Fetch from TMDB
-      const data = await this.tmdbService.getDetails(type, id)
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
 
-      // Transform and enrich data
-      const transformedData = this.transformMediaDetails(data)
+    const { query, type, page, year, with_genres } = value
+    const { locale, includeAdult } = await this.getMediaSettings(req)
+    const include_adult: boolean = value.include_adult ?? includeAdult
+
+    const result = await this.getCached({
+      cacheType: 'search',
+      category: type,
+      key: `${query.toLowerCase()}_${page}_${year || 'noYear'}_${include_adult}`,
+      locale,
+      endpoint: `/search/${type}`,
+      errorMessage: 'Failed to search content'
+    }, async () => this.transformResults(
+      await this.tmdbService.search(query, type, { page, year, include_adult }, locale),
+      locale,
+      type === 'multi' ? undefined : type
+    ))
+
+    if (with_genres) {
+      const data = result.data
+      result.data = { ...data, results: data.results.filter((item: any) => item.genre_ids.includes(with_genres)) }
+    }
 
-      // Cache the response
-      await this.dbService.setCachedData(
-        'details',
-        type,
-        transformedData,
-        getCacheConfig().ttlDetails,
-        id.toString()
-      )
+    await this.sendMedia(req, res, result)
+  })
 
-      res.json({
-        success: true,
-        data: transformedData,
-        cached: false
-      })
+  // Discover content by genre, year range, rating, runtime and language
+  discover = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.discoverSchema.validate({ ...req.query, type: req.params.type })
 
-    } catch (error) {
-      logger.error(`Error fetching ${type} details for ID ${id}:`, error)
-      throw new ExternalServiceError('TMDB', `Failed to fetch ${type} details`)
+    if (error) {
+      throw new ValidationError(error.details[0].message)
     }
+
+    const { type } = value
+    const params = this.buildDiscoverParams(value)
+    const { locale } = await this.getMediaSettings(req)
+
+    await this.sendMedia(req, res, await this.getCached({
+      cacheType: 'discover',
+      category: type,
+      key: new URLSearchParams(params as Record<string, string>).toString(),
+      locale,
+      endpoint: `/discover/${type}`,
+      errorMessage: `Failed to discover ${type} content`
+    }, async () => this.transformResults(await this.tmdbService.discover(type, params, locale), locale, type)))
   })
 
-  // Get genres
-  getGenres = asyncHandler(async (req: Request, res: Response) => {
-    const { error, value } = Joi.object({ type: Joi.string().valid('movie', 'tv').required() }).validate(req.params)
+  // Get content details, with credits, videos, related titles and providers from the same call
+  getDetails = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.detailsSchema.validate(req.params)
 
     if (error) {
       throw new ValidationError(error.details[0].message)
     }
 
-    const { type } = value
+    const { locale } = await this.getMediaSettings(req)
 
-    try {
-      // Check cache first
-      const cacheKey = `genres_${type}`
-      const cached = await this.dbService.getCachedData('genres', type, 'list')
-
-      if (cached) {
-        logHelpers.logExternalApi('tmdb', `/genre/${type}/list`, 'GET', 200, 0, true)
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+    await this.sendMedia(req, res, await this.getDetailsRecord(value.type, value.id, locale))
+  })
 
-      // Fetch from TMDB
-      const data = await this.tmdbService.getGenres(type)
+  // Get similar content; the first page comes with the details
+  getSimilar = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.relatedSchema.validate({ ...req.params, page: req.query.page })
 
-      // Cache the response
-      await this.dbService.setCachedData(
-        'genres',
-        type,
-        data,
-        getCacheConfig().ttlDetails,
-        'list'
-      )
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
 
-      res.json({ success: true, data, cached: false })
+    const { type, id, page } = value
+    const { locale } = await this.getMediaSettings(req)
 
-    } catch (error) {
-      logger.error(`Error fetching ${type} genres:`, error)
-      throw new ExternalServiceError('TMDB', `Failed to fetch ${type} genres`)
+    if (page === 1) {
+      return this.sendMedia(req, res, this.pick(await this.getDetailsRecord(type, id, locale), 'similar'))
     }
-  })
 
-  // Get image URL
-  getImageUrl = asyncHandler(async (req: Request, res: Response) => {
-    const { path, size } = req.params
-    if (!path) {
-      throw new ValidationError('Image path is required')
-    }
-    const imageUrl = this.tmdbService.getImageUrl(`/${path}`, size)
-    res.json({ success: true, url: imageUrl })
+    await this.sendMedia(req, res, await this.getCached({
+      cacheType: 'similar',
+      category: type,
+      key: `${id}_${page}`,
+      locale,
+      endpoint: `/${type}/${id}/similar`,
+      errorMessage: `Failed to fetch similar ${type} content`
+    }, async () => this.transformResults(await this.tmdbService.getSimilar(type, id, page, locale), locale, type)))
   })
 
-  // Transform media list for consistent frontend display
-  private async transformMediaList(mediaList: any[]): Promise<any[]> {
-    const genres = await this.dbService.getCollection('genres').find()
-    const genreMap = new Map()
-    genres.forEach((g: any) => genreMap.set(g.id, g.name))
-
-    return mediaList.map(item => ({
-      id: item.id,
-      title: item.title || item.name,
-      overview: item.overview,
-      poster_path: item.poster_path,
-      backdrop_path: item.backdrop_path,
-      release_date: item.release_date || item.first_air_date,
-      vote_average: item.vote_average,
-      media_type: item.media_type || (item.title ? 'movie' : 'tv'),
-      genre_names: item.genre_ids ? item.genre_ids.map((id: number) => genreMap.get(id)).filter(Boolean) : []
-    }))
-  }
+  // Get recommendations; the first page comes with the details
+  getRecommendations = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.relatedSchema.validate({ ...req.params, page: req.query.page })
 
-  // Transform media details for consistent frontend display
-  private transformMediaDetails(details: any): any {
-    return {
-      id: details.id,
-      title: details.title || details.name,
-      overview: details.overview,
-      poster_path: details.poster_path,
-      backdrop_path: details.backdrop_path,
-      release_date: details.release_date || details.first_air_date,
-      vote_average: details.vote_average,
-      runtime: details.runtime || details.episode_run_time?.[0],
-      genres: details.genres,
-      tagline: details.tagline,
-      status: details.status,
-      media_type: details.media_type || (details.title ? 'movie' : 'tv'),
-      // Add more fields as needed
+    if (error) {
+      throw new ValidationError(error.details[0].message)
     }
-  }
 
-  // Clear all media cache
-  clearCache = asyncHandler(async (req: Request, res: Response) => {
-    await this.dbService.clearCollection('media_cache')
-    res.json({ success: true, message: 'Media cache cleared' })
-  })
+    const { type, id, page } = value
+    const { locale } = await this.getMediaSettings(req)
 
-  // Get media cache stats
-  getCacheStats = asyncHandler(async (req: Request, res: Response) => {
-    const stats = await this.dbService.getCollection('media_cache').stats()
-    res.json({ success: true, stats })
+    if (page === 1) {
+      return this.sendMedia(req, res, this.pick(await this.getDetailsRecord(type, id, locale), 'recommendations'))
+    }
+
+    await this.sendMedia(req, res, await this.getCached({
+      cacheType: 'recommendations',
+      category: type,
+      key: `${id}_${page}`,
+      locale,
+      endpoint: `/${type}/${id}/recommendations`,
+      errorMessage: `Failed to fetch ${type} recommendations`
+    }, async () => this.transformResults(await this.tmdbService.getRecommendations(type, id, page, locale), locale, type)))
   })
-}
 
-export default MediaController
-        data: { ...data, results: transformedData },
-        cached: false
-      })
+  // Get cast and crew
+  getCredits = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.detailsSchema.validate(req.params)
 
-    } catch (error) {
-      logger.error('Error fetching trending content:', error)
-      throw new ExternalServiceError('TMDB', 'Failed to fetch trending content')
+    if (error) {
+      throw new ValidationError(error.details[0].message)
     }
+
+    const { locale } = await this.getMediaSettings(req)
+
+    this.send(res, this.pick(await this.getDetailsRecord(value.type, value.id, locale), 'credits'))
   })
 
-  // Get popular content
-  getPopular = asyncHandler(async (req: Request, res: Response) => {
-    const { error, value } = this.popularSchema.validate({
-      type: req.params.type,
-      page: req.query.page
-    })
+  // Get trailers, teasers and clips
+  getVideos = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.detailsSchema.validate(req.params)
 
     if (error) {
       throw new ValidationError(error.details[0].message)
     }
 
-    const { type, page } = value
+    const { locale } = await this.getMediaSettings(req)
 
-    try {
-      // Check cache first
-      const cacheKey = `popular_${type}_${page}`
-      const cached = await this.dbService.getCachedData('popular', type, page.toString())
-      
-      if (cached) {
-        logHelpers.logExternalApi('tmdb', `/popular/${type}`, 'GET', 200, 0, true)
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+    this.send(res, this.pick(await this.getDetailsRecord(value.type, value.id, locale), 'videos'))
+  })
 
-      // Fetch from TMDB
-      const data = await this.tmdbService.getPopular(type, page)
-      
-      // Transform and enrich data
-      const transformedData = await this.transformMediaList(data.results || [])
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'popular',
-        type,
-        { ...data, results: transformedData },
-        getCacheConfig().ttlTrending,
-        page.toString()
-      )
-
-      res.json({
-        success: true,
-        data: { ...data, results: transformedData },
-        cached: false
-      })
+  // Get streaming, rental and purchase providers per region
+  getWatchProviders = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.detailsSchema.validate(req.params)
 
-    } catch (error) {
-      logger.error('Error fetching popular content:', error)
-      throw new ExternalServiceError('TMDB', 'Failed to fetch popular content')
+    if (error) {
+      throw new ValidationError(error.details[0].message)
     }
+
+    const { locale } = await this.getMediaSettings(req)
+
+    this.send(res, this.pick(await this.getDetailsRecord(value.type, value.id, locale), 'watch_providers'))
   })
 
-  // Search content
-  search = asyncHandler(async (req: Request, res: Response) => {
-    const { error, value } = this.searchSchema.validate(req.query)
+  // Get genres
+  getGenres = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.typeSchema.validate(req.params)
 
     if (error) {
       throw new ValidationError(error.details[0].message)
     }
 
-    const { query, type, page, year, include_adult } = value
+    const { locale } = await this.getMediaSettings(req)
 
-    try {
-      // Check cache first
-      const cacheKey = `search_${type}_${query}_${page}_${year || 'noYear'}`
-      const cached = await this.dbService.getCachedData('search', type, cacheKey)
-      
-      if (cached) {
-        logHelpers.logExternalApi('tmdb', '/search', 'GET', 200, 0, true)
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+    this.send(res, await this.getGenreList(value.type, locale))
+  })
 
-      // Prepare search parameters
-      const searchParams: any = { query, page, include_adult }
-      if (year) searchParams.year = year
-
-      // Fetch from TMDB
-      const data = await this.tmdbService.search(query, type)
-      
-      // Transform and enrich data
-      const transformedData = await this.transformMediaList(data.results || [])
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'search',
-        type,
-        { ...data, results: transformedData },
-        getCacheConfig().ttlSearch,
-        cacheKey
-      )
-
-      res.json({
-        success: true,
-        data: { ...data, results: transformedData },
-        cached: false
-      })
+  // Clear media cache
+  clearCache = asyncHandler(async (req: Request, res: Response) => {
+    const removed = await this.dbService.deleteMany(COLLECTIONS.MEDIA_CACHE, {})
 
-    } catch (error) {
-      logger.error('Error searching content:', error)
-      throw new ExternalServiceError('TMDB', 'Failed to search content')
-    }
+    logger.info(`Media cache cleared (${removed} entries)`)
+
+    res.json({
+      success: true,
+      message: 'Media cache cleared successfully',
+      data: { removed }
+    })
   })
 
-  // Get content details
-  getDetails = asyncHandler(async (req: Request, res: Response) => {
-    const { error, value } = this.detailsSchema.validate({
-      type: req.params.type,
-      id: parseInt(req.params.id)
+  // Get cache statistics
+  getCacheStats = asyncHandler(async (req: Request, res: Response) => {
+    const types: MediaCache['type'][] = [
+      'trending', 'popular', 'top_rated', 'search', 'discover', 'details', 'similar', 'recommendations', 'genres'
+    ]
+    const byType: Record<string, number> = {}
+
+    for (const type of types) {
+      byType[type] = await this.dbService.count(COLLECTIONS.MEDIA_CACHE, { type })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        media_cache_entries: await this.dbService.count(COLLECTIONS.MEDIA_CACHE),
+        by_type: byType,
+        ttl: getCacheConfig()
+      }
     })
+  })
 
-    if (error) {
-      throw new ValidationError(error.details[0].message)
+  // Private helper methods
+
+  // How long each kind of record lives, from config.cache
+  private cacheTtl(type: MediaCache['type']): number {
+    const { ttlTrending, ttlSearch, ttlDetails, ttlAvailability } = getCacheConfig()
+
+    switch (type) {
+      case 'search':
+        return ttlSearch
+      case 'details':
+        // The record carries the watch providers too, which change more often
+        return Math.min(ttlDetails, ttlAvailability)
+      case 'genres':
+        return ttlDetails
+      default:
+        return ttlTrending
     }
+  }
 
-    const { type, id } = value
+  // Media cache record, fetched from TMDB and stored when missing or expired
+  private async getCached(options: {
+    cacheType: MediaCache['type']
+    category: string
+    key: string
+    locale: TmdbLocale
+    endpoint: string
+    errorMessage: string
+  }, fetch: () => Promise<any>): Promise<CachedResult> {
+    const { cacheType, category, locale, endpoint, errorMessage } = options
+    // TMDB answers in the user's language and region, so each locale has its own record
+    const key = `${options.key}_${locale.language}_${locale.region}`
+
+    const cached = await this.dbService.getCachedData(cacheType, category, key)
+
+    if (cached) {
+      logHelpers.logExternalApi('tmdb', endpoint, 'GET', 200, 0, true)
+      return { data: cached.data, cached: true, cacheTime: cached.createdAt }
+    }
 
-    try {
-      // Check cache first
-      const cacheKey = `details_${type}_${id}`
-      const cached = await this.dbService.getCachedData('details', type, id.toString())
-      
-      if (cached) {
-        logHelpers.logExternalApi('tmdb', `/details/${type}/${id}`, 'GET', 200, 0, true)
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+    if (!this.apiProxy.isServiceAvailable('tmdb')) {
+      throw new ExternalServiceError('TMDB', 'Service not configured')
+    }
 
-      // Fetch from TMDB
-      const data = await this.apiProxy.getTMDBDetails(type, id)
-      
-      // Transform and enrich data
-      const transformedData = await this.transformMediaDetails(data)
-      
-      // Try to get streaming availability from Watchmode
-      try {
-        if (this.apiProxy.isServiceAvailable('watchmode')) {
-          const availability = await this.apiProxy.getWatchmodeAvailability(id, type)
-          transformedData.streaming_availability = availability
-        }
-      } catch (error) {
-        logger.warn('Failed to fetch streaming availability:', error)
-        transformedData.streaming_availability = null
-      }
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'details',
-        type,
-        transformedData,
-        getCacheConfig().ttlDetails,
-        id.toString()
-      )
-
-      res.json({
-        success: true,
-        data: transformedData,
-        cached: false
-      })
+    try {
+      const data = await fetch()
+      await this.dbService.setCachedData(cacheType, category, data, this.cacheTtl(cacheType), key)
 
+      return { data, cached: false }
     } catch (error) {
-      logger.error('Error fetching content details:', error)
-      throw new ExternalServiceError('TMDB', 'Failed to fetch content details')
+      logger.error(`Error fetching ${endpoint}:`, error)
+      throw new ExternalServiceError('TMDB', errorMessage)
     }
-  })
+  }
 
-  // Get genres
-  getGenres = asyncHandler(async (req: Request, res: Response) => {
-    const { type } = req.params
+  private getDetailsRecord(type: MediaType, id: number, locale: TmdbLocale): Promise<CachedResult> {
+    return this.getCached({
+      cacheType: 'details',
+      category: type,
+      key: id.toString(),
+      locale,
+      endpoint: `/${type}/${id}?append_to_response=${DETAILS_APPEND[type]}`,
+      errorMessage: `Failed to fetch ${type} details`
+    }, async () => this.transformMediaDetails(await this.tmdbService.getDetails(type, id, locale), type, locale))
+  }
 
-    if (!['movie', 'tv'].includes(type)) {
-      throw new ValidationError('Type must be movie or tv')
-    }
+  private getGenreList(type: MediaType, locale: TmdbLocale): Promise<CachedResult> {
+    return this.getCached({
+      cacheType: 'genres',
+      category: type,
+      key: 'list',
+      locale,
+      endpoint: `/genre/${type}/list`,
+      errorMessage: `Failed to fetch ${type} genres`
+    }, () => this.tmdbService.getGenres(type, locale))
+  }
 
-    try {
-      // Check cache first
-      const cached = await this.dbService.getCachedData('genres', type)
-      
-      if (cached) {
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+  // TMDB language and region, and whether searches include adult titles, from the user's media settings
+  private async getMediaSettings(req: Request): Promise<{ locale: TmdbLocale, includeAdult: boolean }> {
+    const { language, region, includeAdult } = await this.settingsService.getGroup('media', req.user!.id)
+    return { locale: { language, region }, includeAdult }
+  }
 
-      // Fetch from TMDB
-      const tmdbClient = this.apiProxy.getService('tmdb')
-      const data = await tmdbClient.get(`/genre/${type}/list`, null, { 
-        cache: true, 
-        cacheTTL: 86400 // 24 hours
-      })
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'genres',
-        type,
-        data,
-        86400 // 24 hours
-      )
-
-      res.json({
-        success: true,
-        data: data,
-        cached: false
-      })
+  // One part of the details record, answered like a record of its own
+  private pick(result: CachedResult, field: string): CachedResult {
+    return { ...result, data: result.data[field] }
+  }
 
-    } catch (error) {
-      logger.error('Error fetching genres:', error)
-      throw new ExternalServiceError('TMDB', 'Failed to fetch genres')
+  private send(res: Response, result: CachedResult): void {
+    res.json({ success: true, ...result })
+  }
+
+  // Lists and details with whether each title is in Jellyfin or downloading; worked out per request, never cached
+  private async sendMedia(req: Request, res: Response, result: CachedResult): Promise<void> {
+    const data = result.data
+    const isList = Array.isArray(data.results)
+    // Cached records are live database objects, so the filtered list is a copy
+    const results = isList ? await this.filterList(req, data.results) : []
+
+    const items = isList ? results : [data, ...data.similar.results, ...data.recommendations.results]
+    const states = await this.libraryIndex.getStates(items)
+    const withState = (item: any) => ({ ...item, ...states.get(`${item.media_type}:${item.id}`) })
+
+    this.send(res, {
+      ...result,
+      data: isList
+        ? { ...data, results: results.map(withState) }
+        : {
+            ...withState(data),
+            similar: { ...data.similar, results: data.similar.results.map(withState) },
+            recommendations: { ...data.recommendations, results: data.recommendations.results.map(withState) }
+          }
+    })
+  }
+
+  // Apply the list filters that depend on the user rather than on TMDB
+  private async filterList(req: Request, results: any[]): Promise<any[]> {
+    const { error, value } = this.listFilterSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
     }
-  })
 
-  // Get top rated content
-  getTopRated = asyncHandler(async (req: Request, res: Response) => {
-    const { type } = req.params
-    const page = parseInt(req.query.page as string) || 1
+    if (!value.notOnMyServices) return results
+
+    const subscriptions = await this.streamingAvailability.getSubscriptions(req.user!.id)
+    return this.streamingAvailability.filterNotStreamable(results, subscriptions)
+  }
 
-    if (!['movie', 'tv'].includes(type)) {
-      throw new ValidationError('Type must be movie or tv')
+  // TMDB discover params from our filters; release dates are named differently for TV
+  private buildDiscoverParams(filters: any): Record<string, string | number> {
+    const dateField = filters.type === 'movie' ? 'primary_release_date' : 'first_air_date'
+    const [sortField, order] = filters.sortBy.split('.')
+    const params: Record<string, string | number> = {
+      page: filters.page,
+      sort_by: `${sortField === 'release_date' ? dateField : sortField}.${order}`
     }
 
-    try {
-      // Check cache first
-      const cached = await this.dbService.getCachedData('top_rated', type, page.toString())
-      
-      if (cached) {
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+    if (filters.genres) params.with_genres = filters.genres
+    if (filters.yearFrom) params[`${dateField}.gte`] = `${filters.yearFrom}-01-01`
+    if (filters.yearTo) params[`${dateField}.lte`] = `${filters.yearTo}-12-31`
+    if (filters.minRating !== undefined) params['vote_average.gte'] = filters.minRating
+    if (filters.runtimeMin !== undefined) params['with_runtime.gte'] = filters.runtimeMin
+    if (filters.runtimeMax !== undefined) params['with_runtime.lte'] = filters.runtimeMax
+    if (filters.language) params.with_original_language = filters.language
 
-      // Fetch from TMDB
-      const tmdbClient = this.apiProxy.getService('tmdb')
-      const data = await tmdbClient.get(`/${type}/top_rated`, { page }, { 
-        cache: true, 
-        cacheTTL: 21600 // 6 hours
-      })
-      
-      // Transform and enrich data
-      const transformedData = await this.transformMediaList(data.results || [])
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'top_rated',
-        type,
-        { ...data, results: transformedData },
-        21600, // 6 hours
-        page.toString()
-      )
-
-      res.json({
-        success: true,
-        data: { ...data, results: transformedData },
-        cached: false
-      })
+    // Rating sorts are topped by titles with a handful of votes otherwise
+    const minVotes = filters.minVotes ?? (sortField === 'vote_average' ? 200 : undefined)
+    if (minVotes !== undefined) params['vote_count.gte'] = minVotes
 
-    } catch (error) {
-      logger.error('Error fetching top rated content:', error)
-      throw new ExternalServiceError('TMDB', 'Failed to fetch top rated content')
+    return params
+  }
+
+  // Genre id to name for the types the results can contain
+  private async getGenreNames(types: MediaType[], locale: TmdbLocale): Promise<Map<number, string>> {
+    const names = new Map<number, string>()
+
+    for (const type of types) {
+      try {
+        const { data } = await this.getGenreList(type, locale)
+        data.genres?.forEach((genre: any) => names.set(genre.id, genre.name))
+      } catch (error) {
+        // Lists still work without genre names
+        logger.warn(`Genre names unavailable for ${type}:`, error instanceof Error ? error.message : error)
+      }
     }
-  })
 
-  // Transform media list for consistent response format
-  private async transformMediaList(results: any[]): Promise<any[]> {
-    return results.map(item => this.transformMediaItem(item))
+    return names
   }
 
-  // Transform individual media item
-  private transformMediaItem(item: any): any {
-    const isMovie = item.title !== undefined
-    
+  // Paged TMDB list with its items transformed; type is unknown for multi search
+  private async transformResults(data: any, locale: TmdbLocale, type?: MediaType): Promise<any> {
+    const genreNames = await this.getGenreNames(type ? [type] : ['movie', 'tv'], locale)
+    const results = (data.results || [])
+      // Multi search also finds people
+      .filter((item: any) => !item.media_type || item.media_type === 'movie' || item.media_type === 'tv')
+      .map((item: any) => this.transformMediaItem(item, genreNames, type))
+
+    return {
+      page: data.page,
+      total_pages: data.total_pages,
+      total_results: data.total_results,
+      results
+    }
+  }
+
+  // Transform individual media item; image paths stay relative, the client picks the size
+  private transformMediaItem(item: any, genreNames: Map<number, string>, type?: MediaType): any {
+    const mediaType: MediaType = item.media_type || type || (item.title !== undefined ? 'movie' : 'tv')
+    const isMovie = mediaType === 'movie'
+    const genreIds: number[] = item.genre_ids || []
+
     return {
       id: item.id,
       title: isMovie ? item.title : item.name,
       original_title: isMovie ? item.original_title : item.original_name,
       overview: item.overview,
-      poster_path: item.poster_path ? `https://image.tmdb.org/t/p/w500${item.poster_path}` : null,
-      backdrop_path: item.backdrop_path ? `https://image.tmdb.org/t/p/w1280${item.backdrop_path}` : null,
+      poster_path: item.poster_path,
+      backdrop_path: item.backdrop_path,
       release_date: isMovie ? item.release_date : item.first_air_date,
-      vote_average: Math.round(item.vote_average * 10) / 10,
+      vote_average: Math.round((item.vote_average || 0) * 10) / 10,
       vote_count: item.vote_count,
-      popularity: Math.round(item.popularity),
-      genre_ids: item.genre_ids || [],
+      popularity: Math.round(item.popularity || 0),
+      genre_ids: genreIds,
+      genre_names: genreIds.map(id => genreNames.get(id)).filter(Boolean),
       adult: item.adult || false,
-      media_type: isMovie ? 'movie' : 'tv',
+      media_type: mediaType,
       original_language: item.original_language
     }
   }
 
-  // Transform detailed media information
-  private async transformMediaDetails(data: any): Promise<any> {
-    const isMovie = data.title !== undefined
-    
+  // Transform detailed media information, including the appended responses
+  private async transformMediaDetails(data: any, type: MediaType, locale: TmdbLocale): Promise<any> {
+    const isMovie = type === 'movie'
+    const genreNames = await this.getGenreNames([type], locale)
+    const related = (list: any) => ({
+      page: list?.page || 1,
+      total_pages: list?.total_pages || 0,
+      total_results: list?.total_results || 0,
+      results: (list?.results || []).map((item: any) => this.transformMediaItem(item, genreNames, type))
+    })
+
     return {
       id: data.id,
       title: isMovie ? data.title : data.name,
       original_title: isMovie ? data.original_title : data.original_name,
       overview: data.overview,
-      poster_path: data.poster_path ? `https://image.tmdb.org/t/p/w500${data.poster_path}` : null,
-      backdrop_path: data.backdrop_path ? `https://image.tmdb.org/t/p/w1280${data.backdrop_path}` : null,
+      poster_path: data.poster_path,
+      backdrop_path: data.backdrop_path,
       release_date: isMovie ? data.release_date : data.first_air_date,
-      vote_average: Math.round(data.vote_average * 10) / 10,
+      vote_average: Math.round((data.vote_average || 0) * 10) / 10,
       vote_count: data.vote_count,
-      popularity: Math.round(data.popularity),
+      popularity: Math.round(data.popularity || 0),
       runtime: isMovie ? data.runtime : data.episode_run_time?.[0],
       genres: data.genres || [],
       production_companies: data.production_companies || [],
@@ -604,68 +617,21 @@ export default MediaController
       created_by: !isMovie ? data.created_by : undefined,
       networks: !isMovie ? data.networks : undefined,
       seasons: !isMovie ? data.seasons : undefined,
-      media_type: isMovie ? 'movie' : 'tv',
+      media_type: type,
       adult: data.adult || false,
       original_language: data.original_language,
-      credits: data.credits,
-      videos: data.videos,
-      images: data.images,
-      recommendations: data.recommendations?.results?.slice(0, 10) || [],
-      similar: data.similar?.results?.slice(0, 10) || []
+      imdb_id: data.external_ids?.imdb_id || data.imdb_id,
+      external_ids: data.external_ids || {},
+      // Certifications: release dates per country for movies, content ratings for TV
+      release_dates: isMovie ? data.release_dates?.results || [] : undefined,
+      content_ratings: !isMovie ? data.content_ratings?.results || [] : undefined,
+      credits: data.credits || { cast: [], crew: [] },
+      videos: data.videos || { results: [] },
+      similar: related(data.similar),
+      recommendations: related(data.recommendations),
+      watch_providers: data['watch/providers'] || { results: {} }
     }
   }
-
-  // Clear media cache
-  clearCache = asyncHandler(async (req: Request, res: Response) => {
-    try {
-      // Clear TMDB service cache
-      const tmdbClient = this.apiProxy.getService('tmdb')
-      tmdbClient.clearCache()
-      
-      // Clear database cache
-      const cacheTypes = ['trending', 'popular', 'search', 'details', 'genres', 'top_rated']
-      for (const type of cacheTypes) {
-        // This would need to be implemented in the database service
-        // await this.dbService.clearCacheByType(type)
-      }
-      
-      logger.info('Media cache cleared successfully')
-      
-      res.json({
-        success: true,
-        message: 'Media cache cleared successfully'
-      })
-      
-    } catch (error) {
-      logger.error('Error clearing media cache:', error)
-      throw new ExternalServiceError('Cache', 'Failed to clear media cache')
-    }
-  })
-
-  // Get cache statistics
-  getCacheStats = asyncHandler(async (req: Request, res: Response) => {
-    try {
-      const tmdbClient = this.apiProxy.getService('tmdb')
-      const cacheStats = tmdbClient.getCacheStats()
-      
-      // Get database cache stats
-      const dbStats = this.dbService.getStats()
-      
-      res.json({
-        success: true,
-        data: {
-          tmdb_client_cache: cacheStats,
-          database_cache: {
-            media_cache_entries: dbStats?.media_cache || 0
-          }
-        }
-      })
-      
-    } catch (error) {
-      logger.error('Error getting cache stats:', error)
-      throw new ExternalServiceError('Cache', 'Failed to get cache statistics')
-    }
-  })
 }
 
-export default MediaController
\ No newline at end of file
+export default MediaController
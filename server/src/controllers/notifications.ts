@@ -0,0 +1,138 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { asyncHandler, ValidationError, NotFoundError } from '@/middleware/errorHandler.js'
+import { Notification, COLLECTIONS } from '@/types/database.js'
+
+export class NotificationsController {
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+
+  constructor(dbService: DatabaseService, wsService: WebSocketService) {
+    this.dbService = dbService
+    this.wsService = wsService
+  }
+
+  // Validation schemas
+  private listNotificationsSchema = Joi.object({
+    read: Joi.boolean().optional(),
+    type: Joi.string().valid('download', 'system', 'error', 'info', 'warning').optional(),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+  })
+
+  // List notifications for the current user
+  getNotifications = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.listNotificationsSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const userId = req.user!.id
+    const query = { userId, ...value }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      this.dbService.findNotifications(query),
+      this.dbService.countNotifications({ userId, read: value.read, type: value.type }),
+      this.dbService.countNotifications({ userId, read: false })
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        total,
+        unreadCount,
+        limit: value.limit,
+        offset: value.offset
+      }
+    })
+  })
+
+  // Get unread notification count
+  getUnreadCount = asyncHandler(async (req: Request, res: Response) => {
+    const userId = req.user!.id
+    const unreadCount = await this.dbService.countNotifications({ userId, read: false })
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    })
+  })
+
+  // Mark a single notification as read
+  markAsRead = asyncHandler(async (req: Request, res: Response) => {
+    const userId = req.user!.id
+    const notification = await this.findOwnedNotification(req.params.id, userId)
+
+    const updated = notification.read
+      ? notification
+      : await this.dbService.update<Notification>(COLLECTIONS.NOTIFICATIONS, notification.id, {
+        read: true,
+        readAt: new Date().toISOString()
+      })
+
+    const unreadCount = await this.broadcastUnreadCount(userId)
+
+    res.json({
+      success: true,
+      data: { notification: updated, unreadCount }
+    })
+  })
+
+  // Mark all notifications as read
+  markAllAsRead = asyncHandler(async (req: Request, res: Response) => {
+    const userId = req.user!.id
+    const updated = await this.dbService.markAllNotificationsRead(userId)
+
+    await this.broadcastUnreadCount(userId)
+
+    res.json({
+      success: true,
+      message: `${updated} notifications marked as read`,
+      data: { updated, unreadCount: 0 }
+    })
+  })
+
+  // Delete a notification
+  deleteNotification = asyncHandler(async (req: Request, res: Response) => {
+    const userId = req.user!.id
+    const notification = await this.findOwnedNotification(req.params.id, userId)
+
+    await this.dbService.delete(COLLECTIONS.NOTIFICATIONS, notification.id)
+
+    const unreadCount = await this.broadcastUnreadCount(userId)
+
+    res.json({
+      success: true,
+      message: 'Notification deleted',
+      data: { id: notification.id, unreadCount }
+    })
+  })
+
+  // Private helper methods
+  private async findOwnedNotification(id: string, userId: string): Promise<Notification> {
+    const notification = await this.dbService.findById<Notification>(COLLECTIONS.NOTIFICATIONS, id)
+    if (!notification || notification.userId !== userId) {
+      throw new NotFoundError('Notification not found')
+    }
+    return notification
+  }
+
+  // Keep other open sessions of the same user in sync
+  private async broadcastUnreadCount(userId: string): Promise<number> {
+    const unreadCount = await this.dbService.countNotifications({ userId, read: false })
+
+    this.wsService.broadcast(`notifications:${userId}`, {
+      type: 'notification',
+      event: 'unread_count',
+      data: { unreadCount }
+    })
+
+    return unreadCount
+  }
+}
+
+export default NotificationsController
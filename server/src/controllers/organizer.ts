@@ -0,0 +1,80 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { MediaOrganizerService } from '@/services/organizer.js'
+import { asyncHandler, ValidationError, NotFoundError, AuthorizationError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+import { Download, COLLECTIONS } from '@/types/database.js'
+
+export class OrganizerController {
+  private dbService: DatabaseService
+  private organizer: MediaOrganizerService
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.dbService = dbService
+    this.organizer = new MediaOrganizerService(apiProxy, dbService, wsService)
+  }
+
+  // Validation schemas
+  private organizeSchema = Joi.object({
+    mode: Joi.string().valid('auto', 'copy', 'move').default('auto')
+  })
+
+  // Dry run: show the planned renames without touching any files
+  previewOrganize = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.organizeSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const download = await this.getOwnedDownload(req)
+    const plan = await this.organizer.plan(download, value.mode)
+
+    res.json({
+      success: true,
+      data: plan
+    })
+  })
+
+  // Rename and file the download into the library
+  organizeDownload = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.organizeSchema.validate(req.body || {})
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const download = await this.getOwnedDownload(req)
+    const result = await this.organizer.organize(download, value.mode)
+
+    logger.info(`Download ${download.name} organized by ${req.user!.username}`)
+
+    res.json({
+      success: result.failed === 0,
+      message: result.failed === 0
+        ? 'Download organized successfully'
+        : `${result.failed} file operations failed`,
+      data: result
+    })
+  })
+
+  // Private helper methods
+  private async getOwnedDownload(req: Request): Promise<Download> {
+    const download = await this.dbService.findById<Download>(COLLECTIONS.DOWNLOADS, req.params.id)
+
+    if (!download) {
+      throw new NotFoundError('Download not found')
+    }
+
+    if (download.userId !== req.user!.id && req.user!.role !== 'admin') {
+      throw new AuthorizationError('You can only organize your own downloads')
+    }
+
+    return download
+  }
+}
+
+export default OrganizerController
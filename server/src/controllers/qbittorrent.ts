@@ -1,19 +1,52 @@
 import { Request, Response } from 'express'
 import Joi from 'joi'
+import { posix } from 'path'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { DatabaseService } from '@/services/database.js'
 import { WebSocketService } from '@/services/websocket.js'
-import { asyncHandler, ValidationError, ExternalServiceError } from '@/middleware/errorHandler.js'
+import { asyncHandler, ValidationError, ExternalServiceError, NotFoundError, AuthorizationError } from '@/middleware/errorHandler.js'
 import { logger, logHelpers } from '@/utils/logger.js'
 import { getPathsConfig } from '@/config/config.js'
+import { parseMagnet, parseTorrentFile, buildMagnet, TorrentHashes } from '@/utils/torrentMeta.js'
+import { Download, COLLECTIONS } from '@/types/database.js'
+
+// Magnets plus uploaded files accepted by one add request
+const MAX_BATCH_SIZE = 50
+
+export interface AddTorrentOptions {
+  savePath?: string
+  category?: Download['category']
+  priority?: number
+  sequentialDownload?: boolean
+  firstLastPiecePrio?: boolean
+  tmdbId?: string
+  title?: string
+  quality?: string
+}
+
+export interface AddMagnetOptions extends AddTorrentOptions {
+  magnetUrl: string
+}
+
+export interface AddTorrentResult {
+  download: Download
+  existing: boolean
+}
+
+// Per-item outcome of a batch add
+interface BatchItemResult {
+  source: 'magnet' | 'file'
+  input: string
+  success: boolean
+  existing?: boolean
+  download?: Download
+  error?: string
+}
 
 export class QBittorrentController {
   private apiProxy: ApiProxyService
   private dbService: DatabaseService
   private wsService: WebSocketService
-  private sessionCookie: string | null = null
-  private lastLoginTime: number = 0
-  private readonly LOGIN_TIMEOUT = 3600000 // 1 hour
 
   constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
     this.apiProxy = apiProxy
@@ -22,8 +55,13 @@ export class QBittorrentController {
   }
 
   // Validation schemas
+  private magnetSchema = Joi.string().trim().pattern(/^magnet:\?/i).message('"magnetUrl" must be a magnet link')
+
+  // Sources: magnetUrl, a magnetUrls list, newline separated `urls` (qBittorrent style) and/or uploaded .torrent files
   private addTorrentSchema = Joi.object({
-    magnetUrl: Joi.string().required().pattern(/^magnet:\?xt=urn:btih:[a-fA-F0-9]{40,}/),
+    magnetUrl: this.magnetSchema.optional(),
+    magnetUrls: Joi.array().items(this.magnetSchema).single().max(MAX_BATCH_SIZE).default([]),
+    urls: Joi.string().allow('').optional(),
     savePath: Joi.string().optional(),
     category: Joi.string().valid('movie', 'tv', 'other').default('other'),
     priority: Joi.number().integer().min(1).max(7).default(1),
@@ -33,9 +71,32 @@ export class QBittorrentController {
     title: Joi.string().optional()
   })
 
+  private hashSchema = Joi.string().required().length(40).pattern(/^[a-fA-F0-9]+$/)
+
   private controlTorrentSchema = Joi.object({
-    action: Joi.string().valid('pause', 'resume', 'delete', 'recheck', 'increasePrio', 'decreasePrio', 'topPrio', 'bottomPrio').required(),
-    deleteFiles: Joi.boolean().default(false)
+    action: Joi.string().valid(
+      'pause', 'resume', 'delete', 'recheck', 'forceStart',
+      'setPriority', 'setLocation', 'rename',
+      'increasePrio', 'decreasePrio', 'topPrio', 'bottomPrio'
+    ).required(),
+    deleteFiles: Joi.boolean().default(false),
+    // forceStart: false turns force start back off
+    value: Joi.boolean().default(true),
+    priority: Joi.string().valid('increase', 'decrease', 'top', 'bottom')
+      .when('action', { is: 'setPriority', then: Joi.required(), otherwise: Joi.forbidden() }),
+    location: Joi.string().max(1000)
+      .when('action', { is: 'setLocation', then: Joi.required(), otherwise: Joi.forbidden() }),
+    name: Joi.string().max(500)
+      .when('action', { is: 'rename', then: Joi.required(), otherwise: Joi.forbidden() })
+  })
+
+  // qBittorrent file priorities: skip, normal, high, maximum
+  private filePrioritySchema = Joi.object({
+    priority: Joi.number().integer().valid(0, 1, 6, 7).required()
+  })
+
+  private trackerSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https', 'udp', 'ws', 'wss'] }).required()
   })
 
   private listTorrentsSchema = Joi.object({
@@ -47,163 +108,117 @@ export class QBittorrentController {
     offset: Joi.number().integer().min(0).default(0)
   })
 
-  // Ensure qBittorrent session is authenticated
-  private async ensureAuthenticated(): Promise<void> {
-    const now = Date.now()
-    
-    // Check if we need to login (no session or session expired)
-    if (!this.sessionCookie || (now - this.lastLoginTime) > this.LOGIN_TIMEOUT) {
-      try {
-        await this.login()
-      } catch (error) {
-        logger.error('qBittorrent authentication failed:', error)
-        throw new ExternalServiceError('qBittorrent', 'Authentication failed')
-      }
-    }
-  }
+  // Add torrents from magnets and/or uploaded .torrent files
+  addTorrent = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.addTorrentSchema.validate(req.body)
 
-  // Login to qBittorrent
-  private async login(): Promise<void> {
-    if (!this.apiProxy.isServiceAvailable('qbittorrent')) {
-      throw new ExternalServiceError('qBittorrent', 'Service not configured')
+    if (error) {
+      throw new ValidationError(error.details[0].message)
     }
 
-    const qbClient = this.apiProxy.getService('qbittorrent')
-    
-    try {
-      const response = await qbClient.post('/api/v2/auth/login', 
-        `username=${encodeURIComponent(process.env.QBITTORRENT_USERNAME || 'admin')}&password=${encodeURIComponent(process.env.QBITTORRENT_PASSWORD || 'adminpass')}`,
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
-      )
+    const { magnetUrl, magnetUrls, urls, ...options } = value
+    const files = (req.files as Express.Multer.File[] | undefined) || []
+    const magnets: string[] = [
+      ...(magnetUrl ? [magnetUrl] : []),
+      ...magnetUrls,
+      ...(urls || '').split(/\r?\n/).map((url: string) => url.trim()).filter(Boolean)
+    ]
 
-      // qBittorrent returns "Ok." on successful login
-      if (response === 'Ok.') {
-        this.sessionCookie = 'authenticated' // In real implementation, extract from cookies
-        this.lastLoginTime = Date.now()
-        logger.info('qBittorrent authentication successful')
-      } else {
-        throw new Error('Invalid credentials')
-      }
-    } catch (error) {
-      logger.error('qBittorrent login failed:', error)
-      throw new ExternalServiceError('qBittorrent', 'Login failed')
-    }
-  }
+    const total = magnets.length + files.length
 
-  // Add torrent
-  addTorrent = asyncHandler(async (req: Request, res: Response) => {
-    const { error, value } = this.addTorrentSchema.validate(req.body)
+    if (total === 0) {
+      throw new ValidationError('Provide a magnet link or a .torrent file')
+    }
 
-    if (error) {
-      throw new ValidationError(error.details[0].message)
+    if (total > MAX_BATCH_SIZE) {
+      throw new ValidationError(`At most ${MAX_BATCH_SIZE} torrents can be added at once`)
     }
 
-    const { magnetUrl, savePath, category, priority, sequentialDownload, firstLastPiecePrio, tmdbId, title } = value
     const userId = req.user!.id
 
-    try {
-      await this.ensureAuthenticated()
-
-      // Extract info hash from magnet URL
-      const infoHashMatch = magnetUrl.match(/xt=urn:btih:([a-fA-F0-9]{40}|[a-fA-F0-9]{32})/)
-      const infoHash = infoHashMatch ? infoHashMatch[1].toLowerCase() : ''
+    // A title only makes sense for a single torrent; batches use each torrent's own name
+    if (total > 1) {
+      delete options.title
+    }
 
-      if (!infoHash) {
-        throw new ValidationError('Invalid magnet URL - cannot extract info hash')
-      }
+    if (total === 1) {
+      try {
+        const { download, existing } = files.length > 0
+          ? await this.addTorrentFile(userId, files[0].buffer, options)
+          : await this.addMagnet(userId, { ...options, magnetUrl: magnets[0] })
+
+        if (existing) {
+          return res.json({
+            success: false,
+            message: 'Torrent already exists in downloads',
+            data: { existing: true, download }
+          })
+        }
 
-      // Check if torrent already exists
-      const existingDownload = await this.dbService.findById('downloads', infoHash)
-      if (existingDownload) {
         return res.json({
-          success: false,
-          message: 'Torrent already exists in downloads',
-          data: { existing: true, download: existingDownload }
+          success: true,
+          message: 'Torrent added successfully',
+          data: { download }
         })
-      }
 
-      // Determine save path
-      const paths = getPathsConfig()
-      let finalSavePath = savePath
-      if (!finalSavePath) {
-        switch (category) {
-          case 'movie':
-            finalSavePath = paths.movies
-            break
-          case 'tv':
-            finalSavePath = paths.tvShows
-            break
-          default:
-            finalSavePath = paths.downloads
+      } catch (error) {
+        logger.error('Error adding torrent:', error)
+        if (error instanceof ExternalServiceError || error instanceof ValidationError) {
+          throw error
         }
+        throw new ExternalServiceError('qBittorrent', 'Failed to add torrent')
       }
+    }
 
-      // Add torrent to qBittorrent
-      const qbClient = this.apiProxy.getService('qbittorrent')
-      const formData = new URLSearchParams()
-      formData.append('urls', magnetUrl)
-      formData.append('savepath', finalSavePath)
-      formData.append('category', category)
-      formData.append('priority', priority.toString())
-      formData.append('sequentialDownload', sequentialDownload.toString())
-      formData.append('firstLastPiecePrio', firstLastPiecePrio.toString())
-
-      await qbClient.post('/api/v2/torrents/add', formData.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      })
+    const results: BatchItemResult[] = []
 
-      // Create download record in database
-      const downloadData = {
-        userId,
-        name: title || 'Unknown',
-        magnetUrl,
-        infoHash,
-        status: 'queued' as const,
-        progress: 0,
-        speed: '0 B/s',
-        eta: '∞',
-        size: '0 B',
-        downloaded: '0 B',
-        seeders: 0,
-        leechers: 0,
-        ratio: 0,
-        category,
-        tmdbId,
-        savePath: finalSavePath,
-        addedAt: new Date().toISOString()
-      }
+    for (const magnet of magnets) {
+      results.push(await this.addBatchItem('magnet', magnet, () => this.addMagnet(userId, { ...options, magnetUrl: magnet })))
+    }
 
-      const download = await this.dbService.create('downloads', downloadData)
+    for (const file of files) {
+      results.push(await this.addBatchItem('file', file.originalname, () => this.addTorrentFile(userId, file.buffer, options)))
+    }
 
-      // Broadcast download added event
-      this.wsService.broadcastDownloadUpdate(userId, {
-        type: 'download_added',
-        download
-      })
+    const added = results.filter(result => result.success).length
+    const existing = results.filter(result => result.existing).length
 
-      // Log the download addition
-      logHelpers.logExternalApi('qbittorrent', '/torrents/add', 'POST', 200, 0, false)
+    res.json({
+      success: added > 0,
+      message: `Added ${added} of ${total} torrents`,
+      data: { results, added, existing, failed: total - added - existing }
+    })
+  })
 
-      res.json({
-        success: true,
-        message: 'Torrent added successfully',
-        data: { download }
-      })
+  // Send a magnet to qBittorrent and track it as a download (shared with automatic grabs)
+  async addMagnet(userId: string, options: AddMagnetOptions): Promise<AddTorrentResult> {
+    const { magnetUrl, ...rest } = options
+    const meta = parseMagnet(magnetUrl)
+
+    if (!meta) {
+      throw new ValidationError('Invalid magnet URL - cannot extract info hash')
+    }
+
+    return this.queueTorrent(userId, meta, { magnetUrl, name: rest.title || meta.name }, rest)
+  }
+
+  // Send an uploaded .torrent file to qBittorrent and track it as a download
+  async addTorrentFile(userId: string, data: Buffer, options: AddTorrentOptions = {}): Promise<AddTorrentResult> {
+    let meta: ReturnType<typeof parseTorrentFile>
 
+    try {
+      meta = parseTorrentFile(data)
     } catch (error) {
-      logger.error('Error adding torrent:', error)
-      if (error instanceof ExternalServiceError || error instanceof ValidationError) {
-        throw error
-      }
-      throw new ExternalServiceError('qBittorrent', 'Failed to add torrent')
+      throw new ValidationError(error instanceof Error ? error.message : 'Invalid torrent file')
     }
-  })
+
+    return this.queueTorrent(userId, meta, {
+      magnetUrl: buildMagnet(meta),
+      name: options.title || meta.name,
+      size: meta.size,
+      file: data
+    }, options)
+  }
 
   // List torrents
   listTorrents = asyncHandler(async (req: Request, res: Response) => {
@@ -217,10 +232,7 @@ export class QBittorrentController {
     const userId = req.user!.id
 
     try {
-      await this.ensureAuthenticated()
-
       // Get torrents from qBittorrent
-      const qbClient = this.apiProxy.getService('qbittorrent')
       const params = new URLSearchParams()
       if (filter !== 'all') params.append('filter', filter)
       if (category) params.append('category', category)
@@ -229,7 +241,8 @@ export class QBittorrentController {
       if (limit) params.append('limit', limit.toString())
       if (offset) params.append('offset', offset.toString())
 
-      const qbTorrents = await qbClient.get('/api/v2/torrents/info?' + params.toString(), null, { cache: false })
+      const qbTorrents = await this.apiProxy.withQBittorrentSession(qbClient =>
+        qbClient.get('/api/v2/torrents/info?' + params.toString(), null, { cache: false }))
 
       // Get database downloads for this user
       const dbDownloads = await this.dbService.findDownloadsByUser(userId)
@@ -268,102 +281,96 @@ export class QBittorrentController {
     }
   })
 
-  // Control torrent (pause, resume, delete, etc.)
+  // Control torrent (pause, resume, delete, recheck, force start, priority, location, rename)
   controlTorrent = asyncHandler(async (req: Request, res: Response) => {
-    const { error: paramsError } = Joi.object({
-      hash: Joi.string().required().length(40).pattern(/^[a-fA-F0-9]+$/)
-    }).validate(req.params)
-
-    if (paramsError) {
-      throw new ValidationError('Invalid torrent hash')
-    }
-
     const { error, value } = this.controlTorrentSchema.validate(req.body)
 
     if (error) {
       throw new ValidationError(error.details[0].message)
     }
 
-    const { hash } = req.params
     const { action, deleteFiles } = value
-    const userId = req.user!.id
-
-    try {
-      await this.ensureAuthenticated()
+    const download = await this.findOwnedDownload(req)
+    const hash = download.infoHash
 
-      // Verify user owns this download
-      const download = await this.dbService.findById('downloads', hash)
-      if (!download || download.userId !== userId) {
-        throw new ValidationError('Download not found or access denied')
-      }
-
-      const qbClient = this.apiProxy.getService('qbittorrent')
-      const formData = new URLSearchParams()
-      formData.append('hashes', hash)
+    if (action === 'setLocation') {
+      value.location = this.getAllowedLocation(value.location)
+    }
 
+    try {
       let endpoint = ''
-      let newStatus = download.status
+      const fields: Record<string, string> = { hashes: hash }
+      const changes: Partial<Download> = {}
 
       switch (action) {
         case 'pause':
           endpoint = '/api/v2/torrents/pause'
-          newStatus = 'paused'
+          changes.status = 'paused'
           break
         case 'resume':
           endpoint = '/api/v2/torrents/resume'
-          newStatus = 'downloading'
+          changes.status = 'downloading'
           break
         case 'delete':
           endpoint = '/api/v2/torrents/delete'
-          formData.append('deleteFiles', deleteFiles.toString())
-          newStatus = 'deleted'
+          fields.deleteFiles = String(deleteFiles)
           break
         case 'recheck':
           endpoint = '/api/v2/torrents/recheck'
           break
-        case 'increasePrio':
-          endpoint = '/api/v2/torrents/increasePrio'
+        case 'forceStart':
+          endpoint = '/api/v2/torrents/setForceStart'
+          fields.value = String(value.value)
           break
-        case 'decreasePrio':
-          endpoint = '/api/v2/torrents/decreasePrio'
+        case 'setPriority':
+          endpoint = `/api/v2/torrents/${value.priority}Prio`
           break
+        case 'increasePrio':
+        case 'decreasePrio':
         case 'topPrio':
-          endpoint = '/api/v2/torrents/topPrio'
-          break
         case 'bottomPrio':
-          endpoint = '/api/v2/torrents/bottomPrio'
+          endpoint = `/api/v2/torrents/${action}`
+          break
+        case 'setLocation':
+          endpoint = '/api/v2/torrents/setLocation'
+          fields.location = value.location
+          changes.savePath = value.location
+          break
+        case 'rename':
+          // The only torrents endpoint that takes a single "hash"
+          endpoint = '/api/v2/torrents/rename'
+          delete fields.hashes
+          fields.hash = hash
+          fields.name = value.name
+          changes.name = value.name
           break
       }
 
       // Execute action on qBittorrent
-      await qbClient.post(endpoint, formData.toString(), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      })
+      await this.postForm(endpoint, fields)
 
-      // Update database record
+      // Update database record; deleted torrents are kept as history
       if (action === 'delete') {
-        await this.dbService.delete('downloads', download.id)
-      } else {
-        await this.dbService.update('downloads', download.id, {
-          status: newStatus,
-          updatedAt: new Date().toISOString()
-        })
+        await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, { removedAt: new Date().toISOString() })
+      } else if (Object.keys(changes).length > 0) {
+        await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, changes)
       }
 
-      // Broadcast update
-      this.wsService.broadcastDownloadUpdate(userId, {
+      const status = action === 'delete' ? 'deleted' : changes.status || download.status
+
+      // Broadcast update to the owner (who may not be the one acting, for admins)
+      this.wsService.broadcastDownloadUpdate(download.userId, {
         type: 'download_updated',
         hash,
         action,
-        status: newStatus
+        status,
+        ...changes
       })
 
       res.json({
         success: true,
         message: `Torrent ${action} successful`,
-        data: { hash, action, status: newStatus }
+        data: { hash, action, status, ...changes }
       })
 
     } catch (error) {
@@ -377,30 +384,16 @@ export class QBittorrentController {
 
   // Get torrent details
   getTorrentDetails = asyncHandler(async (req: Request, res: Response) => {
-    const { hash } = req.params
-    const userId = req.user!.id
-
-    if (!hash || !/^[a-fA-F0-9]{40}$/.test(hash)) {
-      throw new ValidationError('Invalid torrent hash')
-    }
+    const download = await this.findOwnedDownload(req)
+    const hash = download.infoHash
 
     try {
-      await this.ensureAuthenticated()
-
-      // Verify user owns this download
-      const download = await this.dbService.findById('downloads', hash)
-      if (!download || download.userId !== userId) {
-        throw new ValidationError('Download not found or access denied')
-      }
-
-      const qbClient = this.apiProxy.getService('qbittorrent')
-      
       // Get torrent properties
-      const [properties, trackers, files] = await Promise.all([
+      const [properties, trackers, files] = await this.apiProxy.withQBittorrentSession(qbClient => Promise.all([
         qbClient.get(`/api/v2/torrents/properties?hash=${hash}`, null, { cache: false }),
         qbClient.get(`/api/v2/torrents/trackers?hash=${hash}`, null, { cache: false }),
         qbClient.get(`/api/v2/torrents/files?hash=${hash}`, null, { cache: false })
-      ])
+      ]))
 
       const details = {
         hash,
@@ -424,13 +417,155 @@ export class QBittorrentController {
     }
   })
 
+  // List the files of a torrent
+  getTorrentFiles = asyncHandler(async (req: Request, res: Response) => {
+    const download = await this.findOwnedDownload(req)
+
+    try {
+      const files = await this.apiProxy.withQBittorrentSession(qbClient =>
+        qbClient.get('/api/v2/torrents/files', { hash: download.infoHash }, { cache: false }))
+
+      res.json({
+        success: true,
+        data: { hash: download.infoHash, files: this.transformTorrentFiles(files) }
+      })
+
+    } catch (error) {
+      logger.error('Error getting torrent files:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
+      throw new ExternalServiceError('qBittorrent', 'Failed to get torrent files')
+    }
+  })
+
+  // Set the download priority of a single file (0 skips it)
+  setFilePriority = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.filePrioritySchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const { error: fileIdError, value: fileId } = Joi.number().integer().min(0).required().validate(req.params.fileId)
+
+    if (fileIdError) {
+      throw new ValidationError('Invalid file id')
+    }
+
+    const download = await this.findOwnedDownload(req)
+
+    try {
+      await this.postForm('/api/v2/torrents/filePrio', {
+        hash: download.infoHash,
+        id: String(fileId),
+        priority: String(value.priority)
+      })
+
+      res.json({
+        success: true,
+        message: 'File priority updated',
+        data: { hash: download.infoHash, fileId, priority: value.priority }
+      })
+
+    } catch (error) {
+      logger.error('Error setting file priority:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
+      throw new ExternalServiceError('qBittorrent', 'Failed to set file priority')
+    }
+  })
+
+  // List the trackers of a torrent
+  getTorrentTrackers = asyncHandler(async (req: Request, res: Response) => {
+    const download = await this.findOwnedDownload(req)
+
+    try {
+      const trackers = await this.apiProxy.withQBittorrentSession(qbClient =>
+        qbClient.get('/api/v2/torrents/trackers', { hash: download.infoHash }, { cache: false }))
+
+      res.json({
+        success: true,
+        data: { hash: download.infoHash, trackers: this.transformTorrentTrackers(trackers) }
+      })
+
+    } catch (error) {
+      logger.error('Error getting torrent trackers:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
+      throw new ExternalServiceError('qBittorrent', 'Failed to get torrent trackers')
+    }
+  })
+
+  // Add a tracker to a torrent
+  addTracker = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.trackerSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const download = await this.findOwnedDownload(req)
+
+    try {
+      await this.postForm('/api/v2/torrents/addTrackers', {
+        hash: download.infoHash,
+        urls: value.url
+      })
+
+      res.json({
+        success: true,
+        message: 'Tracker added',
+        data: { hash: download.infoHash, url: value.url }
+      })
+
+    } catch (error) {
+      logger.error('Error adding tracker:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
+      throw new ExternalServiceError('qBittorrent', 'Failed to add tracker')
+    }
+  })
+
+  // Remove a tracker from a torrent (url in the query string)
+  removeTracker = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.trackerSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const download = await this.findOwnedDownload(req)
+
+    try {
+      await this.postForm('/api/v2/torrents/removeTrackers', {
+        hash: download.infoHash,
+        urls: value.url
+      })
+
+      res.json({
+        success: true,
+        message: 'Tracker removed',
+        data: { hash: download.infoHash, url: value.url }
+      })
+
+    } catch (error) {
+      logger.error('Error removing tracker:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
+      throw new ExternalServiceError('qBittorrent', 'Failed to remove tracker')
+    }
+  })
+
   // Get qBittorrent preferences
   getPreferences = asyncHandler(async (req: Request, res: Response) => {
     try {
-      await this.ensureAuthenticated()
-
-      const qbClient = this.apiProxy.getService('qbittorrent')
-      const preferences = await qbClient.get('/api/v2/app/preferences', null, { cache: true, cacheTTL: 300 })
+      const preferences = await this.apiProxy.withQBittorrentSession(qbClient =>
+        qbClient.get('/api/v2/app/preferences', null, { cache: true, cacheTTL: 300 }))
 
       // Filter sensitive information
       const filteredPrefs = {
@@ -463,10 +598,8 @@ export class QBittorrentController {
   // Get global transfer info
   getTransferInfo = asyncHandler(async (req: Request, res: Response) => {
     try {
-      await this.ensureAuthenticated()
-
-      const qbClient = this.apiProxy.getService('qbittorrent')
-      const transferInfo = await qbClient.get('/api/v2/transfer/info', null, { cache: false })
+      const transferInfo = await this.apiProxy.withQBittorrentSession(qbClient =>
+        qbClient.get('/api/v2/transfer/info', null, { cache: false }))
 
       const formattedInfo = {
         dl_info_speed: this.formatBytes(transferInfo.dl_info_speed) + '/s',
@@ -490,6 +623,181 @@ export class QBittorrentController {
     }
   })
 
+  // Add a torrent (magnet or file contents) unless one with the same hash is already tracked
+  private async queueTorrent(
+    userId: string,
+    hashes: TorrentHashes,
+    source: { magnetUrl: string, name?: string, size?: number, file?: Buffer },
+    options: AddTorrentOptions
+  ): Promise<AddTorrentResult> {
+    const {
+      savePath,
+      category = 'other',
+      priority = 1,
+      sequentialDownload = false,
+      firstLastPiecePrio = false,
+      tmdbId,
+      quality
+    } = options
+    const { infoHash, infoHashV2 } = hashes
+
+    // Check if torrent already exists (hybrid torrents may have been added by their v2 hash);
+    // archived records don't count, the torrent can be added again
+    const [existingDownload] = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      $and: [
+        infoHashV2
+          ? { $or: [{ infoHash }, { infoHashV2 }, { infoHash: infoHashV2.substring(0, 40) }] }
+          : { infoHash },
+        { removedAt: { $exists: false } }
+      ]
+    })
+
+    if (existingDownload) {
+      return { download: existingDownload, existing: true }
+    }
+
+    // Determine save path
+    const paths = getPathsConfig()
+    let finalSavePath = savePath
+    if (!finalSavePath) {
+      switch (category) {
+        case 'movie':
+          finalSavePath = paths.movies
+          break
+        case 'tv':
+          finalSavePath = paths.tvShows
+          break
+        default:
+          finalSavePath = paths.downloads
+      }
+    }
+
+    const fields: Record<string, string> = {
+      savepath: finalSavePath,
+      category,
+      priority: priority.toString(),
+      sequentialDownload: sequentialDownload.toString(),
+      firstLastPiecePrio: firstLastPiecePrio.toString()
+    }
+
+    // Add torrent to qBittorrent
+    if (source.file) {
+      const formData = new FormData()
+      formData.append('torrents', new Blob([source.file], { type: 'application/x-bittorrent' }), `${infoHash}.torrent`)
+      for (const [key, value] of Object.entries(fields)) {
+        formData.append(key, value)
+      }
+      // The client defaults to JSON, which axios would serialize the form into; multipart gets its boundary added on send
+      await this.apiProxy.withQBittorrentSession(qbClient => qbClient.post('/api/v2/torrents/add', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      }))
+    } else {
+      await this.postForm('/api/v2/torrents/add', { urls: source.magnetUrl, ...fields })
+    }
+
+    // Create download record in database
+    const downloadData = {
+      userId,
+      name: source.name || 'Unknown',
+      magnetUrl: source.magnetUrl,
+      infoHash,
+      infoHashV2,
+      status: 'queued' as const,
+      progress: 0,
+      speed: '0 B/s',
+      eta: '∞',
+      size: source.size ? this.formatBytes(source.size) : '0 B',
+      downloaded: '0 B',
+      seeders: 0,
+      leechers: 0,
+      ratio: 0,
+      category,
+      quality,
+      tmdbId,
+      savePath: finalSavePath,
+      addedAt: new Date().toISOString()
+    }
+
+    const download = await this.dbService.create<Download>(COLLECTIONS.DOWNLOADS, downloadData)
+
+    // Broadcast download added event
+    this.wsService.broadcastDownloadUpdate(userId, {
+      type: 'download_added',
+      download
+    })
+
+    // Log the download addition
+    logHelpers.logExternalApi('qbittorrent', '/torrents/add', 'POST', 200, 0, false)
+
+    return { download, existing: false }
+  }
+
+  // Run one item of a batch add, turning failures into a per-item error
+  private async addBatchItem(source: BatchItemResult['source'], input: string, add: () => Promise<AddTorrentResult>): Promise<BatchItemResult> {
+    try {
+      const { download, existing } = await add()
+      return { source, input, success: !existing, existing, download }
+    } catch (error) {
+      logger.warn(`Failed to add ${source} ${input}:`, error instanceof Error ? error.message : error)
+      return {
+        source,
+        input,
+        success: false,
+        error: error instanceof ValidationError || error instanceof ExternalServiceError ? error.message : 'Failed to add torrent'
+      }
+    }
+  }
+
+  // Torrents can only be moved within the download and library folders, never elsewhere on the host
+  private getAllowedLocation(location: string): string {
+    const target = posix.normalize(location).replace(/(.)\/+$/, '$1')
+    const allowed = Object.values(getPathsConfig()).some(root => {
+      const base = posix.normalize(root).replace(/(.)\/+$/, '$1')
+      return target === base || target.startsWith(`${base}/`)
+    })
+
+    if (!allowed) {
+      throw new ValidationError('Location must be inside the downloads, movies or TV shows folder')
+    }
+
+    return target
+  }
+
+  // Download record for the :hash param; team users may only manage their own torrents
+  private async findOwnedDownload(req: Request): Promise<Download> {
+    const { error, value: hash } = this.hashSchema.validate(req.params.hash)
+
+    if (error) {
+      throw new ValidationError('Invalid torrent hash')
+    }
+
+    const [download] = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      infoHash: hash.toLowerCase(),
+      removedAt: { $exists: false }
+    })
+
+    if (!download) {
+      throw new NotFoundError('Download not found')
+    }
+
+    if (download.userId !== req.user!.id && req.user!.role !== 'admin') {
+      throw new AuthorizationError('You can only manage your own torrents')
+    }
+
+    return download
+  }
+
+  // POST a form-encoded command to the qBittorrent Web API
+  private async postForm(endpoint: string, fields: Record<string, string>): Promise<any> {
+    return this.apiProxy.withQBittorrentSession(qbClient => qbClient.post(endpoint, new URLSearchParams(fields).toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    }))
+  }
+
   // Merge qBittorrent torrent data with database download data
   private mergeTorrentData(qbTorrent: any, dbDownload?: any): any {
     return {
@@ -619,7 +927,9 @@ export class QBittorrentController {
 
   // Transform torrent files
   private transformTorrentFiles(files: any[]): any[] {
-    return files.map(file => ({
+    return files.map((file, position) => ({
+      // Older qBittorrent versions omit the index; it is the file's position
+      index: file.index ?? position,
       name: file.name,
       size: this.formatBytes(file.size),
       progress: Math.round(file.progress * 100),
@@ -0,0 +1,77 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { SettingsService } from '@/services/settings.js'
+import { SeedingPolicyService } from '@/services/seedingPolicy.js'
+import { asyncHandler, ValidationError, ExternalServiceError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+
+export class SeedingController {
+  private apiProxy: ApiProxyService
+  private settingsService: SettingsService
+  private seedingPolicy: SeedingPolicyService
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.settingsService = new SettingsService(dbService)
+    this.seedingPolicy = new SeedingPolicyService(apiProxy, dbService, wsService)
+  }
+
+  // Validation schemas
+  private reportSchema = Joi.object({
+    // Share of the goal from which a torrent counts as close to it
+    nearGoal: Joi.number().min(0).max(1).default(0.9),
+    // Include torrents still far from their goal
+    all: Joi.boolean().default(false)
+  })
+
+  // Torrents close to or past their seeding goals
+  getReport = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.reportSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    if (!this.apiProxy.isServiceAvailable('qbittorrent')) {
+      throw new ExternalServiceError('qBittorrent', 'Service not configured')
+    }
+
+    try {
+      const { enabled, rules } = await this.settingsService.getGroup('seeding')
+      const isAdmin = req.user!.role === 'admin'
+
+      const entries = (await this.seedingPolicy.evaluate(value.nearGoal))
+        .filter(entry => isAdmin || entry.userId === req.user!.id)
+      const count = (state: string) => entries.filter(entry => entry.state === state).length
+
+      res.json({
+        success: true,
+        data: {
+          enabled,
+          rules,
+          torrents: value.all ? entries : entries.filter(entry => entry.state !== 'seeding'),
+          summary: {
+            total: entries.length,
+            seeding: count('seeding'),
+            nearGoal: count('near_goal'),
+            goalMet: count('goal_met'),
+            awaitingImport: count('awaiting_import'),
+            stopped: count('stopped')
+          }
+        }
+      })
+
+    } catch (error) {
+      logger.error('Error building seeding report:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
+      throw new ExternalServiceError('qBittorrent', 'Failed to build seeding report')
+    }
+  })
+}
+
+export default SeedingController
@@ -0,0 +1,483 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { SettingsService, SettingsGroupName, SETTINGS_GROUPS } from '@/services/settings.js'
+import { asyncHandler, ValidationError, AuthorizationError, ExternalServiceError } from '@/middleware/errorHandler.js'
+import { config } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+
+// Categories that only admins may change
+const ADMIN_CATEGORIES = ['api', 'system']
+
+const THEMES = [
+  { id: 'netflix', name: 'Netflix' },
+  { id: 'prime-video', name: 'Prime Video' },
+  { id: 'hulu', name: 'Hulu' },
+  { id: 'hbo-max', name: 'HBO Max' },
+  { id: 'disney-plus', name: 'Disney+' },
+  { id: 'apple-tv', name: 'Apple TV+' }
+]
+
+export class SettingsController {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private settingsService: SettingsService
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.wsService = wsService
+    this.settingsService = new SettingsService(dbService)
+  }
+
+  // Validation schemas
+  private groupsSchema = Joi.array().items(
+    Joi.string().valid(...Object.keys(SETTINGS_GROUPS))
+  )
+
+  private resetSchema = Joi.object({
+    categories: this.groupsSchema.default([])
+  })
+
+  private defaultsSchema = Joi.object({
+    category: Joi.string().valid(...Object.keys(SETTINGS_GROUPS)).optional()
+  })
+
+  private testApiKeySchema = Joi.object({
+    service: Joi.string().valid(...Object.keys(SETTINGS_GROUPS.api.defaults())).required(),
+    apiKey: Joi.string().allow('').optional(),
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    username: Joi.string().allow('').optional(),
+    password: Joi.string().allow('').optional()
+  })
+
+  private setThemeSchema = Joi.object({
+    themeId: Joi.string().valid(...THEMES.map(theme => theme.id)).required()
+  })
+
+  // Get every settings group visible to the current user
+  getSettings = asyncHandler(async (req: Request, res: Response) => {
+    const settings: Record<string, any> = {}
+
+    for (const name of this.visibleGroups(req)) {
+      settings[name] = await this.readGroup(req, name)
+    }
+
+    res.json({
+      success: true,
+      data: settings
+    })
+  })
+
+  // Update several groups at once, e.g. { media: {...}, theme: {...} }
+  updateSettings = asyncHandler(async (req: Request, res: Response) => {
+    const updates = this.validateGroups(req, req.body)
+
+    const settings: Record<string, any> = {}
+    for (const [name, values] of updates) {
+      settings[name] = await this.saveGroup(req, name, values)
+    }
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    })
+  })
+
+  // Handlers for a single group, shared by the per-group routes
+  getGroup = (name: SettingsGroupName) => asyncHandler(async (req: Request, res: Response) => {
+    this.assertCanRead(req, name)
+
+    const settings = await this.readGroup(req, name)
+
+    res.json({
+      success: true,
+      data: settings
+    })
+  })
+
+  updateGroup = (name: SettingsGroupName) => asyncHandler(async (req: Request, res: Response) => {
+    const [[, values]] = this.validateGroups(req, { [name]: req.body })
+    const settings = await this.saveGroup(req, name, values)
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    })
+  })
+
+  // Check service credentials without saving them; omitted fields use the current values
+  testApiKey = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.testApiKeySchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    this.assertCanWrite(req, 'api')
+
+    const { service, url, ...fields } = value
+
+    // Masked values mean "use the saved secret"
+    const credentials = Object.fromEntries(
+      Object.entries(fields).filter(([, field]) => !this.settingsService.isMasked(field))
+    )
+
+    try {
+      const result = await this.apiProxy.testServiceConfig(service, {
+        ...credentials,
+        ...(url ? { baseURL: url } : {})
+      })
+
+      res.json({
+        success: true,
+        message: result.status === 'healthy' ? `${service} connection successful` : `${service} connection failed`,
+        data: {
+          ...result,
+          valid: result.status === 'healthy'
+        }
+      })
+    } catch (error) {
+      logger.error(`Error testing ${service} configuration:`, error)
+      throw new ExternalServiceError(service, 'Failed to test service configuration')
+    }
+  })
+
+  // Export visible settings as a downloadable JSON file
+  exportSettings = asyncHandler(async (req: Request, res: Response) => {
+    const settings: Record<string, any> = {}
+
+    for (const name of this.visibleGroups(req)) {
+      settings[name] = await this.readGroup(req, name)
+    }
+
+    const filename = `pandora-box-settings-${new Date().toISOString().split('T')[0]}.json`
+
+    res.setHeader('Content-Type', 'application/json')
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+    res.send(JSON.stringify({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      settings
+    }, null, 2))
+  })
+
+  // Import settings from an uploaded export file or a JSON body
+  importSettings = asyncHandler(async (req: Request, res: Response) => {
+    let payload: any = req.body
+
+    if (req.file) {
+      try {
+        payload = JSON.parse(req.file.buffer.toString('utf8'))
+      } catch (error) {
+        throw new ValidationError('Settings file is not valid JSON')
+      }
+    }
+
+    const groups = payload?.settings ?? payload
+    if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+      throw new ValidationError('Settings file does not contain any settings')
+    }
+
+    const results: Record<string, { imported: boolean, error?: string }> = {}
+
+    for (const [name, values] of Object.entries<any>(groups)) {
+      if (!this.settingsService.isGroup(name)) {
+        results[name] = { imported: false, error: 'Unknown settings category' }
+        continue
+      }
+
+      if (!this.canWrite(req, name)) {
+        results[name] = { imported: false, error: 'Admin role required' }
+        continue
+      }
+
+      const { error, value } = this.settingsService.validateGroup(name, values)
+      if (error) {
+        results[name] = { imported: false, error: error.details[0].message }
+        continue
+      }
+
+      await this.saveGroup(req, name, value)
+      results[name] = { imported: true }
+    }
+
+    const imported = Object.values(results).filter(result => result.imported).length
+
+    res.json({
+      success: true,
+      message: `${imported} settings categories imported`,
+      data: { results }
+    })
+  })
+
+  // Reset groups to their defaults; all writable groups when none are given
+  resetSettings = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.resetSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const requested: SettingsGroupName[] = value.categories.length > 0
+      ? value.categories
+      : this.settingsService.getGroupNames().filter(name => this.canWrite(req, name))
+
+    for (const name of requested) {
+      this.assertCanWrite(req, name)
+    }
+
+    const reset: SettingsGroupName[] = []
+    for (const name of requested) {
+      await this.settingsService.resetGroup(name, req.user!.id)
+      this.broadcastChange(req, name)
+      reset.push(name)
+
+      if (name === 'api') {
+        await this.reloadServices(Object.keys(SETTINGS_GROUPS.api.defaults()))
+      }
+
+      if (name === 'system') {
+        await this.settingsService.applySystemSettings()
+      }
+    }
+
+    logger.info(`Settings reset by ${req.user!.username}: ${reset.join(', ')}`)
+
+    res.json({
+      success: true,
+      message: 'Settings reset to defaults',
+      data: { categories: reset }
+    })
+  })
+
+  // Check values without saving them
+  validateSettings = asyncHandler(async (req: Request, res: Response) => {
+    const body = req.body || {}
+    const errors: Record<string, string[]> = {}
+
+    for (const [name, values] of Object.entries<any>(body)) {
+      if (!this.settingsService.isGroup(name)) {
+        errors[name] = ['Unknown settings category']
+        continue
+      }
+
+      const { error } = this.settingsService.validateGroup(name, values)
+      if (error) {
+        errors[name] = error.details.map(detail => detail.message)
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        valid: Object.keys(errors).length === 0,
+        errors
+      }
+    })
+  })
+
+  // Get default values, optionally for a single category
+  getDefaults = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.defaultsSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    if (value.category) {
+      this.assertCanRead(req, value.category)
+    }
+
+    const names: SettingsGroupName[] = value.category ? [value.category] : this.visibleGroups(req)
+    const defaults: Record<string, any> = {}
+
+    for (const name of names) {
+      defaults[name] = this.settingsService.maskGroup(name, this.settingsService.getDefaults(name))
+    }
+
+    res.json({
+      success: true,
+      data: defaults
+    })
+  })
+
+  // Describe each group's fields, scope and write permissions
+  getSchema = asyncHandler(async (req: Request, res: Response) => {
+    const schema: Record<string, any> = {}
+
+    for (const name of this.visibleGroups(req)) {
+      const group = SETTINGS_GROUPS[name]
+      schema[name] = {
+        description: group.description,
+        category: group.category,
+        scope: group.scope,
+        adminOnly: ADMIN_CATEGORIES.includes(group.category),
+        fields: group.schema.describe().keys
+      }
+    }
+
+    res.json({
+      success: true,
+      data: schema
+    })
+  })
+
+  // Theme endpoints
+  getThemes = asyncHandler(async (req: Request, res: Response) => {
+    res.json({
+      success: true,
+      data: THEMES
+    })
+  })
+
+  getCurrentTheme = asyncHandler(async (req: Request, res: Response) => {
+    const { themeId } = await this.settingsService.getGroup('theme', req.user!.id)
+
+    res.json({
+      success: true,
+      data: THEMES.find(theme => theme.id === themeId) || THEMES[0]
+    })
+  })
+
+  setTheme = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.setThemeSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    await this.saveGroup(req, 'theme', { themeId: value.themeId })
+
+    res.json({
+      success: true,
+      message: 'Theme updated successfully',
+      data: THEMES.find(theme => theme.id === value.themeId)
+    })
+  })
+
+  // Get application info
+  getAppInfo = asyncHandler(async (req: Request, res: Response) => {
+    res.json({
+      success: true,
+      data: {
+        name: 'Pandora Box',
+        version: '1.0.0',
+        environment: config.server.env,
+        nodeVersion: process.version,
+        platform: process.platform,
+        uptime: process.uptime()
+      }
+    })
+  })
+
+  // Private helper methods
+  private isAdmin(req: Request): boolean {
+    return req.user!.role === 'admin'
+  }
+
+  private canWrite(req: Request, name: SettingsGroupName): boolean {
+    return this.isAdmin(req) || !ADMIN_CATEGORIES.includes(SETTINGS_GROUPS[name].category)
+  }
+
+  private assertCanWrite(req: Request, name: SettingsGroupName): void {
+    if (!this.canWrite(req, name)) {
+      throw new AuthorizationError(`Admin role required to change ${name} settings`)
+    }
+  }
+
+  // Service credentials (API and search sources) are only visible to admins
+  private assertCanRead(req: Request, name: SettingsGroupName): void {
+    if (!this.canRead(req, name)) {
+      throw new AuthorizationError('Admin role required to view API settings')
+    }
+  }
+
+  private canRead(req: Request, name: SettingsGroupName): boolean {
+    return SETTINGS_GROUPS[name].category !== 'api' || this.isAdmin(req)
+  }
+
+  private visibleGroups(req: Request): SettingsGroupName[] {
+    return this.settingsService.getGroupNames().filter(name => this.canRead(req, name))
+  }
+
+  // Validate a { group: values } map, checking permissions before values
+  private validateGroups(req: Request, body: any): Array<[SettingsGroupName, Record<string, any>]> {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ValidationError('Settings must be an object')
+    }
+
+    const updates: Array<[SettingsGroupName, Record<string, any>]> = []
+
+    for (const [name, values] of Object.entries<any>(body)) {
+      if (!this.settingsService.isGroup(name)) {
+        throw new ValidationError(`Unknown settings category: ${name}`)
+      }
+
+      this.assertCanWrite(req, name)
+
+      const { error, value } = this.settingsService.validateGroup(name, values)
+      if (error) {
+        throw new ValidationError(error.details[0].message)
+      }
+
+      updates.push([name, value])
+    }
+
+    return updates
+  }
+
+  private async saveGroup(req: Request, name: SettingsGroupName, values: Record<string, any>): Promise<Record<string, any>> {
+    const settings = await this.settingsService.updateGroup(name, values, req.user!.id)
+
+    logger.info(`Settings updated by ${req.user!.username}: ${name} (${Object.keys(values).join(', ')})`)
+    this.broadcastChange(req, name)
+
+    // Rebuild the clients of services whose credentials changed
+    if (name === 'api') {
+      await this.reloadServices(Object.keys(values))
+    }
+
+    if (name === 'system') {
+      await this.settingsService.applySystemSettings()
+    }
+
+    return this.settingsService.maskGroup(name, settings)
+  }
+
+  // Resolved group values with secrets masked
+  private async readGroup(req: Request, name: SettingsGroupName): Promise<Record<string, any>> {
+    const settings = await this.settingsService.getGroup(name, req.user!.id)
+    return this.settingsService.maskGroup(name, settings)
+  }
+
+  private async reloadServices(serviceNames: string[]): Promise<void> {
+    for (const serviceName of serviceNames) {
+      try {
+        const status = await this.apiProxy.reloadService(serviceName)
+
+        logger.info(`Service ${serviceName} reloaded: ${status.status}`)
+        this.wsService.broadcastSystem('service_status_changed', status)
+      } catch (error) {
+        logger.error(`Failed to reload ${serviceName} service:`, error)
+      }
+    }
+  }
+
+  // Let other sessions know that shared settings changed
+  private broadcastChange(req: Request, name: SettingsGroupName): void {
+    if (SETTINGS_GROUPS[name].scope !== 'global') return
+
+    this.wsService.broadcastSystem('settings_updated', {
+      category: name,
+      updatedBy: req.user!.username
+    })
+  }
+}
+
+export default SettingsController
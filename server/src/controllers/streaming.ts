@@ -2,24 +2,28 @@ import { Request, Response } from 'express'
 import Joi from 'joi'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { DatabaseService } from '@/services/database.js'
+import { StreamingAvailabilityService, getStreamingVerdict } from '@/services/streamingAvailability.js'
 import { asyncHandler, ValidationError, ExternalServiceError } from '@/middleware/errorHandler.js'
 import { logger, logHelpers } from '@/utils/logger.js'
-import { getCacheConfig } from '@/config/config.js'
 
 export class StreamingController {
   private apiProxy: ApiProxyService
   private dbService: DatabaseService
+  private streamingAvailability: StreamingAvailabilityService
 
   constructor(apiProxy: ApiProxyService, dbService: DatabaseService) {
     this.apiProxy = apiProxy
     this.dbService = dbService
+    this.streamingAvailability = new StreamingAvailabilityService(apiProxy, dbService)
   }
 
   // Validation schemas
   private availabilitySchema = Joi.object({
     tmdbId: Joi.number().integer().required(),
     type: Joi.string().valid('movie', 'tv').required(),
-    region: Joi.string().length(2).default('US')
+    region: Joi.string().length(2).uppercase(),
+    // Comma list to compare several regions; defaults to the regions of the user's subscriptions
+    regions: Joi.string().uppercase().pattern(/^[A-Z]{2}(,[A-Z]{2}){0,9}$/)
   })
 
   private providersSchema = Joi.object({
@@ -27,23 +31,24 @@ export class StreamingController {
     type: Joi.string().valid('movie', 'tv', 'all').default('all')
   })
 
-  // Get streaming availability for content
+  // Get streaming availability for content in one or more regions, with a verdict for the user's subscriptions
   getAvailability = asyncHandler(async (req: Request, res: Response) => {
     const { error, value } = this.availabilitySchema.validate({
       tmdbId: parseInt(req.params.tmdbId),
       type: req.params.type,
-      region: req.query.region
+      region: req.query.region,
+      regions: req.query.regions
     })
 
     if (error) {
       throw new ValidationError(error.details[0].message)
     }
 
-    const { tmdbId, type, region } = value
+    const { tmdbId, type } = value
 
     try {
       // Check if Watchmode service is available
-      if (!this.apiProxy.isServiceAvailable('watchmode')) {
+      if (!this.streamingAvailability.isAvailable()) {
         return res.json({
           success: true,
           data: {
@@ -54,39 +59,25 @@ export class StreamingController {
         })
       }
 
-      // Check cache first
-      const cacheKey = `availability_${tmdbId}_${type}_${region}`
-      const cached = await this.dbService.getCachedData('availability', type, cacheKey)
-      
-      if (cached) {
-        logHelpers.logExternalApi('watchmode', '/availability', 'GET', 200, 0, true)
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
+      const subscriptions = await this.streamingAvailability.getSubscriptions(req.user!.id)
+      const regions: string[] = value.regions?.split(',') || (value.region ? [value.region] : subscriptions.regions)
 
-      // Fetch from Watchmode
-      const data = await this.apiProxy.getWatchmodeAvailability(tmdbId, type)
-      
-      // Transform the response
-      const transformedData = this.transformAvailabilityData(data, region)
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'availability',
+      // The verdict also needs the subscription regions; they come from the same request or the cache
+      const { regions: availability, cached } = await this.streamingAvailability.getAvailability(
+        tmdbId,
         type,
-        transformedData,
-        getCacheConfig().ttlAvailability,
-        cacheKey
+        [...new Set([...regions, ...subscriptions.regions])]
       )
 
       res.json({
         success: true,
-        data: transformedData,
-        cached: false
+        data: {
+          // The first region at the top level, as single-region clients expect
+          ...availability[regions[0]],
+          regions: Object.fromEntries(regions.map(region => [region, availability[region]])),
+          verdict: getStreamingVerdict(availability, subscriptions)
+        },
+        cached
       })
 
     } catch (error) {
@@ -371,45 +362,6 @@ export class StreamingController {
     }
   })
 
-  // Transform availability data
-  private transformAvailabilityData(data: any, region: string): any {
-    if (!data || !data.sources) {
-      return {
-        available: false,
-        sources: [],
-        region,
-        message: 'No streaming sources found'
-      }
-    }
-
-    const sources = data.sources.map((source: any) => ({
-      id: source.source_id,
-      name: source.name,
-      type: source.type, // subscription, rent, buy, free
-      logo: source.logo_100px,
-      url: source.web_url,
-      price: source.price,
-      quality: source.format, // HD, SD, 4K
-      region: source.region
-    }))
-
-    // Group by type
-    const groupedSources = {
-      subscription: sources.filter((s: any) => s.type === 'sub'),
-      rent: sources.filter((s: any) => s.type === 'rent'),
-      buy: sources.filter((s: any) => s.type === 'buy'),
-      free: sources.filter((s: any) => s.type === 'free')
-    }
-
-    return {
-      available: sources.length > 0,
-      sources: groupedSources,
-      region,
-      total_sources: sources.length,
-      last_updated: new Date().toISOString()
-    }
-  }
-
   // Transform providers data
   private transformProvidersData(data: any, region: string): any {
     if (!data) {
@@ -2,16 +2,43 @@ import { Request, Response } from 'express'
 import Joi from 'joi'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { DatabaseService } from '@/services/database.js'
-import { asyncHandler, ValidationError, ExternalServiceError } from '@/middleware/errorHandler.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { TorrentSearchService, IndexerOutcome } from '@/services/torrentSearch.js'
+import { asyncHandler, ValidationError, ExternalServiceError, NotFoundError } from '@/middleware/errorHandler.js'
 import { logger, logHelpers } from '@/utils/logger.js'
+import { parseMagnet } from '@/utils/torrentMeta.js'
+import { parseRelease, qualityRank, RESOLUTIONS, SOURCES, CODECS } from '@/utils/releaseParser.js'
+import { TorrentSearch, COLLECTIONS } from '@/types/database.js'
+
+// Unsaved searches kept per user; pinned searches don't count
+const MAX_SEARCH_HISTORY = 50
+
+// Comma-separated query list ("BluRay,WEB-DL"), matched case-insensitively against known values
+const listParam = (allowed?: readonly string[]) => Joi.string().custom((value: string, helpers) => {
+  const items = value.split(',').map(item => item.trim()).filter(Boolean)
+
+  if (!allowed) return items
+
+  const matched = items.map(item => allowed.find(option => option.toLowerCase() === item.toLowerCase()))
+  const invalid = items.find((item, index) => !matched[index])
+
+  return invalid
+    ? helpers.message({ custom: `"${invalid}" must be one of ${allowed.join(', ')}` })
+    : matched
+})
 
 export class TorrentController {
   private apiProxy: ApiProxyService
   private dbService: DatabaseService
+  private wsService?: WebSocketService
+  private torrentSearch: TorrentSearchService
 
-  constructor(apiProxy: ApiProxyService, dbService: DatabaseService) {
+  // Without a WebSocket service searches still work, only partial results aren't streamed
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService?: WebSocketService) {
     this.apiProxy = apiProxy
     this.dbService = dbService
+    this.wsService = wsService
+    this.torrentSearch = new TorrentSearchService(apiProxy, dbService)
   }
 
   // Validation schemas
@@ -20,16 +47,50 @@ export class TorrentController {
     category: Joi.string().valid('movie', 'tv', 'all').default('all'),
     minSeeders: Joi.number().integer().min(0).default(1),
     maxResults: Joi.number().integer().min(1).max(100).default(50),
-    sortBy: Joi.string().valid('seeders', 'size', 'name', 'date').default('seeders'),
+    sortBy: Joi.string().valid('seeders', 'size', 'name', 'date', 'quality', 'resolution').default('seeders'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
     quality: Joi.string().valid('4k', '1080p', '720p', '480p', 'any').default('any'),
-    trustedOnly: Joi.boolean().default(false)
+    trustedOnly: Joi.boolean().default(false),
+    // Filters on the parsed release name
+    resolution: listParam(RESOLUTIONS).optional(),
+    source: listParam(SOURCES).optional(),
+    codec: listParam(CODECS).optional(),
+    hdr: Joi.boolean().optional(),
+    remux: Joi.boolean().optional(),
+    language: listParam().optional(),
+    group: listParam().optional(),
+    excludeGroups: listParam().optional(),
+    season: Joi.number().integer().min(0).optional(),
+    episode: Joi.number().integer().min(0).optional(),
+    fullSeason: Joi.boolean().optional(),
+    // Limit the search to these indexers (ids or names)
+    indexers: listParam().optional(),
+    // Stream each indexer's results over the WebSocket, tagged with this id
+    searchId: Joi.string().max(100).optional()
   })
 
   private indexersSchema = Joi.object({
     category: Joi.string().valid('movie', 'tv', 'all').default('all')
   })
 
+  private historySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    // Only saved (true) or only unsaved (false) searches
+    pinned: Joi.boolean().optional()
+  })
+
+  private clearHistorySchema = Joi.object({
+    includePinned: Joi.boolean().default(false)
+  })
+
+  private pinSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional()
+  })
+
+  private rerunSchema = Joi.object({
+    searchId: Joi.string().max(100).optional()
+  })
+
   // Search torrents across all indexers
   searchTorrents = asyncHandler(async (req: Request, res: Response) => {
     const { error, value } = this.searchSchema.validate(req.query)
@@ -38,12 +99,10 @@ export class TorrentController {
       throw new ValidationError(error.details[0].message)
     }
 
-    const { query, category, minSeeders, maxResults, sortBy, sortOrder, quality, trustedOnly } = value
     const userId = req.user!.id
 
     try {
-      // Check if Jackett service is available
-      if (!this.apiProxy.isServiceAvailable('jackett')) {
+      if (!await this.torrentSearch.hasSources()) {
         return res.json({
           success: false,
           message: 'Torrent search service not configured',
@@ -55,56 +114,79 @@ export class TorrentController {
         })
       }
 
-      // Check cache first (shorter cache for torrent searches)
-      const cacheKey = `${query}_${category}_${quality}_${minSeeders}`
-      const cached = await this.dbService.getCachedData('torrent_search', category, cacheKey)
-      
-      if (cached && this.isCacheValid(cached.createdAt, 900)) { // 15 minutes cache
-        logHelpers.logExternalApi('jackett', '/search', 'GET', 200, 0, true)
+      const { data, cachedAt } = await this.runSearch(userId, value)
+
+      if (cachedAt) {
         return res.json({
           success: true,
-          data: cached.data,
+          data,
           cached: true,
-          cacheTime: cached.createdAt
+          cacheTime: cachedAt
         })
       }
 
-      // Build Jackett search parameters
-      const jackettParams = this.buildJackettParams(query, category, quality)
-      
-      // Fetch from Jackett
-      const data = await this.apiProxy.searchTorrents(query, jackettParams.category)
-      
-      // Process and filter results
-      const processedResults = this.processSearchResults(
-        data,
-        { minSeeders, maxResults, sortBy, sortOrder, quality, trustedOnly }
-      )
-      
       // Save search to database for history
-      await this.saveSearchHistory(userId, query, category, processedResults.results.length)
-      
-      // Cache the response (15 minutes for torrent searches)
-      await this.dbService.setCachedData(
-        'torrent_search',
-        category,
-        processedResults,
-        900, // 15 minutes
-        cacheKey
-      )
+      await this.saveSearchHistory(userId, value, data)
 
       res.json({
         success: true,
-        data: processedResults,
+        data,
         cached: false
       })
 
     } catch (error) {
       logger.error('Error searching torrents:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
       throw new ExternalServiceError('Jackett', 'Failed to search torrents')
     }
   })
 
+  // Search every configured indexer and parse every result. Results are cached unfiltered
+  // (15 minutes) so each filter/sort combination, and automatic grabs, can reuse them
+  async searchReleases(
+    query: string,
+    category: string,
+    options: { indexers?: string[], onIndexerResults?: (outcome: IndexerOutcome, results: any[]) => void } = {}
+  ): Promise<{ results: any[], indexers: IndexerOutcome[], cachedAt?: string }> {
+    const cacheKey = [query, category, ...(options.indexers || [])].join('_')
+    const cached = await this.dbService.getCachedData('torrent_search', category, cacheKey)
+
+    if (cached && this.isCacheValid(cached.createdAt, 900)) {
+      logHelpers.logExternalApi('jackett', '/search', 'GET', 200, 0, true)
+      return { results: cached.data, indexers: [], cachedAt: cached.createdAt }
+    }
+
+    // Fan out to every indexer; slow or broken ones only cost their own results
+    const { items, outcomes } = await this.torrentSearch.search(query, {
+      category: category === 'movie' || category === 'tv' ? category : undefined,
+      indexers: options.indexers,
+      onIndexerResults: options.onIndexerResults
+        ? (outcome, found) => options.onIndexerResults!(outcome, found.map(item => this.transformTorrentResult(item)))
+        : undefined
+    })
+
+    if (outcomes.length > 0 && outcomes.every(outcome => outcome.status !== 'ok')) {
+      throw new ExternalServiceError('Jackett', `All indexers failed: ${outcomes.map(outcome => `${outcome.indexer} (${outcome.error})`).join(', ')}`)
+    }
+
+    const results = items.map(item => this.transformTorrentResult(item))
+
+    // Incomplete results aren't cached so the next search retries the failed indexers
+    if (outcomes.every(outcome => outcome.status === 'ok')) {
+      await this.dbService.setCachedData(
+        'torrent_search',
+        category,
+        results,
+        900, // 15 minutes
+        cacheKey
+      )
+    }
+
+    return { results, indexers: outcomes }
+  }
+
   // Get available indexers
   getIndexers = asyncHandler(async (req: Request, res: Response) => {
     const { error, value } = this.indexersSchema.validate(req.query)
@@ -116,49 +198,32 @@ export class TorrentController {
     const { category } = value
 
     try {
-      // Check if Jackett service is available
-      if (!this.apiProxy.isServiceAvailable('jackett')) {
+      if (!await this.torrentSearch.hasSources()) {
         return res.json({
           success: false,
-          message: 'Jackett service not configured',
+          message: 'Torrent search service not configured',
           data: { indexers: [] }
         })
       }
 
-      // Check cache first
-      const cached = await this.dbService.getCachedData('indexers', 'global', category)
-      
-      if (cached && this.isCacheValid(cached.createdAt, 3600)) { // 1 hour cache
-        return res.json({
-          success: true,
-          data: cached.data,
-          cached: true,
-          cacheTime: cached.createdAt
-        })
-      }
-
-      // Fetch from Jackett
-      const jackettClient = this.apiProxy.getService('jackett')
-      const data = await jackettClient.get('/api/v2.0/indexers', {
-        configured: 'true'
-      }, { cache: true, cacheTTL: 3600 })
-      
-      // Transform indexer data
-      const transformedData = this.transformIndexersData(data, category)
-      
-      // Cache the response
-      await this.dbService.setCachedData(
-        'indexers',
-        'global',
-        transformedData,
-        3600, // 1 hour
-        category
-      )
+      // Indexer lists are cached per source for an hour
+      const { indexers, failedSources } = await this.torrentSearch.listIndexers()
 
       res.json({
         success: true,
-        data: transformedData,
-        cached: false
+        data: {
+          indexers: indexers.map(indexer => ({
+            id: indexer.key,
+            name: indexer.name,
+            source: indexer.sourceName,
+            categories: indexer.categories || [],
+            searchModes: indexer.searchModes || [],
+            status: 'online'
+          })),
+          category,
+          totalIndexers: indexers.length,
+          failedSources
+        }
       })
 
     } catch (error) {
@@ -167,73 +232,167 @@ export class TorrentController {
     }
   })
 
-  // Get search history for user
+  // Get search history for user, newest first
   getSearchHistory = asyncHandler(async (req: Request, res: Response) => {
-    const userId = req.user!.id
-    const limit = parseInt(req.query.limit as string) || 20
+    const { error, value } = this.historySchema.validate(req.query)
 
-    try {
-      const searches = await this.dbService.find('torrent_searches', 
-        { userId }, 
-        { limit, sort: 'createdAt', order: 'desc' }
-      )
-
-      res.json({
-        success: true,
-        data: { searches }
-      })
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
 
-    } catch (error) {
-      logger.error('Error fetching search history:', error)
-      throw new Error('Failed to fetch search history')
+    const query: any = { userId: req.user!.id }
+    if (value.pinned !== undefined) {
+      query.pinned = value.pinned ? true : { $ne: true }
     }
+
+    const searches = await this.dbService.find<TorrentSearch>(COLLECTIONS.TORRENT_SEARCHES, query, {
+      limit: value.limit,
+      sort: 'createdAt',
+      order: 'desc'
+    })
+
+    res.json({
+      success: true,
+      data: { searches }
+    })
   })
 
-  // Clear search history
+  // Clear search history; saved searches are kept unless asked otherwise
   clearSearchHistory = asyncHandler(async (req: Request, res: Response) => {
-    const userId = req.user!.id
+    const { error, value } = this.clearHistorySchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const query: any = { userId: req.user!.id }
+    if (!value.includePinned) {
+      query.pinned = { $ne: true }
+    }
+
+    const removed = await this.dbService.deleteMany(COLLECTIONS.TORRENT_SEARCHES, query)
+
+    res.json({
+      success: true,
+      message: `Removed ${removed} search${removed === 1 ? '' : 'es'} from history`,
+      data: { removed }
+    })
+  })
+
+  // Remove one search, saved or not
+  deleteSearch = asyncHandler(async (req: Request, res: Response) => {
+    const search = await this.findOwnSearch(req)
+
+    await this.dbService.delete(COLLECTIONS.TORRENT_SEARCHES, search.id)
+
+    res.json({
+      success: true,
+      message: 'Search removed'
+    })
+  })
+
+  // Save a search with its filters so it's kept and can be re-run
+  pinSearch = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.pinSchema.validate(req.body || {})
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const search = await this.findOwnSearch(req)
+    const updated = await this.dbService.update<TorrentSearch>(COLLECTIONS.TORRENT_SEARCHES, search.id, {
+      pinned: true,
+      name: value.name || search.name || search.query
+    })
+
+    res.json({
+      success: true,
+      message: 'Search saved',
+      data: updated
+    })
+  })
+
+  // Return a saved search to the history, where it can be pruned again
+  unpinSearch = asyncHandler(async (req: Request, res: Response) => {
+    const search = await this.findOwnSearch(req)
+    const updated = await this.dbService.update<TorrentSearch>(COLLECTIONS.TORRENT_SEARCHES, search.id, { pinned: false })
+
+    res.json({
+      success: true,
+      message: 'Search no longer saved',
+      data: updated
+    })
+  })
+
+  // Run a stored search again with the filters it was saved with
+  rerunSearch = asyncHandler(async (req: Request, res: Response) => {
+    const { error: bodyError, value: body } = this.rerunSchema.validate(req.body || {})
+
+    if (bodyError) {
+      throw new ValidationError(bodyError.details[0].message)
+    }
+
+    const search = await this.findOwnSearch(req)
+
+    // Stored list filters are arrays; the search schema reads them as comma-separated lists
+    const params = Object.fromEntries(Object.entries(search.filters || {})
+      .map(([key, item]) => [key, Array.isArray(item) ? item.join(',') : item]))
+    const { error, value } = this.searchSchema.validate({
+      ...params,
+      query: search.query,
+      category: search.category,
+      searchId: body.searchId
+    })
+
+    if (error) {
+      throw new ValidationError(`Stored search is no longer valid: ${error.details[0].message}`)
+    }
+
+    if (!await this.torrentSearch.hasSources()) {
+      throw new ExternalServiceError('Jackett', 'Torrent search service not configured')
+    }
 
     try {
-      // This would need to be implemented in the database service
-      // await this.dbService.deleteMany('torrent_searches', { userId })
+      const { data, cachedAt } = await this.runSearch(req.user!.id, value)
+      const updated = await this.dbService.update<TorrentSearch>(COLLECTIONS.TORRENT_SEARCHES, search.id, {
+        resultCount: data.results.length,
+        indexers: data.indexers,
+        lastRunAt: new Date().toISOString()
+      })
 
       res.json({
         success: true,
-        message: 'Search history cleared successfully'
+        data: { ...data, search: updated },
+        cached: Boolean(cachedAt),
+        cacheTime: cachedAt
       })
 
     } catch (error) {
-      logger.error('Error clearing search history:', error)
-      throw new Error('Failed to clear search history')
+      logger.error('Error re-running torrent search:', error)
+      if (error instanceof ExternalServiceError) {
+        throw error
+      }
+      throw new ExternalServiceError('Jackett', 'Failed to search torrents')
     }
   })
 
   // Get torrent categories
   getCategories = asyncHandler(async (req: Request, res: Response) => {
     try {
-      // Check if Jackett service is available
-      if (!this.apiProxy.isServiceAvailable('jackett')) {
+      if (!await this.torrentSearch.hasSources()) {
         return res.json({
           success: false,
-          message: 'Jackett service not configured',
+          message: 'Torrent search service not configured',
           data: { categories: [] }
         })
       }
 
-      // Static categories for Jackett
-      const categories = [
-        { id: 'all', name: 'All', description: 'Search all categories' },
-        { id: 'movie', name: 'Movies', description: 'Movies and films' },
-        { id: 'tv', name: 'TV Shows', description: 'TV series and episodes' },
-        { id: 'anime', name: 'Anime', description: 'Anime movies and series' },
-        { id: 'music', name: 'Music', description: 'Music and audio' },
-        { id: 'games', name: 'Games', description: 'Video games and software' },
-        { id: 'books', name: 'Books', description: 'E-books and audiobooks' }
-      ]
+      // Merged from the capabilities of every source's indexers
+      const { categories, failedSources } = await this.torrentSearch.getCategories()
 
       res.json({
         success: true,
-        data: { categories }
+        data: { categories, failedSources }
       })
 
     } catch (error) {
@@ -242,84 +401,147 @@ export class TorrentController {
     }
   })
 
-  // Build Jackett search parameters
-  private buildJackettParams(query: string, category: string, quality: string): any {
-    const params: any = {}
-    
-    // Category mapping
-    if (category === 'movie') {
-      params.category = '2000' // Movies category in Jackett
-    } else if (category === 'tv') {
-      params.category = '5000' // TV category in Jackett
-    }
-    // 'all' uses no category filter
-    
-    // Quality filtering in query
-    if (quality !== 'any') {
-      params.query = `${query} ${quality}`
-    } else {
-      params.query = query
-    }
-    
-    return params
-  }
+  // Search, stream each indexer's filtered answer when a searchId is given, and build the response data
+  private async runSearch(userId: string, value: any): Promise<{ data: any, cachedAt?: string }> {
+    const { query, category, quality, indexers, searchId, ...filters } = value
 
-  // Process and filter search results
-  private processSearchResults(data: any, filters: any): any {
-    if (!data || !data.Results) {
-      return {
-        results: [],
-        indexers: [],
-        totalResults: 0,
-        filters: filters
+    // Filter each indexer's answer like the final list and push it as soon as it arrives
+    const onIndexerResults = searchId && this.wsService
+      ? (outcome: IndexerOutcome, results: any[]) => {
+        this.wsService!.broadcastToUser(userId, {
+          type: 'torrent_search',
+          event: 'indexer_results',
+          data: {
+            searchId,
+            indexer: outcome,
+            results: this.processSearchResults(results, { ...filters, quality }).results
+          }
+        })
       }
-    }
+      : undefined
 
-    let results = data.Results.map((item: any) => this.transformTorrentResult(item))
-    
-    // Filter by minimum seeders
-    if (filters.minSeeders > 0) {
-      results = results.filter((item: any) => item.seeders >= filters.minSeeders)
+    const search = await this.searchReleases(query, category, { indexers, onIndexerResults })
+
+    // Process and filter results
+    const data = {
+      ...this.processSearchResults(search.results, { ...filters, quality }),
+      indexerStatus: search.indexers,
+      failedIndexers: search.indexers.filter(outcome => outcome.status !== 'ok')
     }
-    
-    // Filter by quality
-    if (filters.quality !== 'any') {
-      results = results.filter((item: any) => 
-        item.title.toLowerCase().includes(filters.quality.toLowerCase()) ||
-        item.description?.toLowerCase().includes(filters.quality.toLowerCase())
-      )
+
+    if (searchId && this.wsService) {
+      this.wsService.broadcastToUser(userId, {
+        type: 'torrent_search',
+        event: 'completed',
+        data: { searchId, totalResults: data.totalResults, failedIndexers: data.failedIndexers }
+      })
     }
-    
-    // Filter trusted only
-    if (filters.trustedOnly) {
-      results = results.filter((item: any) => item.trusted)
+
+    return { data, cachedAt: search.cachedAt }
+  }
+
+  private async findOwnSearch(req: Request): Promise<TorrentSearch> {
+    const [search] = await this.dbService.find<TorrentSearch>(COLLECTIONS.TORRENT_SEARCHES, {
+      id: req.params.id,
+      userId: req.user!.id
+    })
+
+    if (!search) {
+      throw new NotFoundError('Search not found')
     }
-    
+
+    return search
+  }
+
+  // Process and filter search results
+  private processSearchResults(items: any[], filters: any): any {
+    const resolutions = filters.quality !== 'any'
+      ? [filters.quality === '4k' ? '2160p' : filters.quality]
+      : filters.resolution
+    const languages = filters.language?.map((language: string) => language.toLowerCase())
+    const groups = filters.group?.map((group: string) => group.toLowerCase())
+    const excludedGroups = filters.excludeGroups?.map((group: string) => group.toLowerCase())
+
+    let results = items.filter((item: any) => {
+      const release = item.release
+
+      if (item.seeders < filters.minSeeders) return false
+      if (filters.trustedOnly && !item.trusted) return false
+      if (resolutions && !resolutions.includes(release.resolution)) return false
+      if (filters.source && !filters.source.includes(release.source)) return false
+      if (filters.codec && !filters.codec.includes(release.codec)) return false
+      if (filters.hdr !== undefined && (release.hdr.length > 0) !== filters.hdr) return false
+      if (filters.remux !== undefined && release.remux !== filters.remux) return false
+      if (languages && !release.languages.some((language: string) => languages.includes(language.toLowerCase()))) return false
+      if (groups && !groups.includes(release.group?.toLowerCase())) return false
+      if (excludedGroups && excludedGroups.includes(release.group?.toLowerCase())) return false
+      if (filters.fullSeason !== undefined && release.fullSeason !== filters.fullSeason) return false
+
+      // Season packs match any episode of their seasons
+      if (filters.season !== undefined && !release.seasons.includes(filters.season)) return false
+      if (filters.episode !== undefined && !release.fullSeason && !release.episodes.includes(filters.episode)) return false
+
+      return true
+    })
+
+    // Merge copies of the same torrent found on several indexers
+    results = this.deduplicateResults(results)
+
     // Sort results
     results = this.sortTorrentResults(results, filters.sortBy, filters.sortOrder)
-    
+
+    // Facets describe everything that matched before limiting
+    const facets = this.buildFacets(results)
+
     // Limit results
     if (filters.maxResults) {
       results = results.slice(0, filters.maxResults)
     }
-    
+
     // Get unique indexers
-    const indexers = [...new Set(results.map((item: any) => item.indexer))]
-    
-    // Deduplicate by info hash if available
-    const uniqueResults = this.deduplicateResults(results)
-    
+    const indexers = [...new Set(results.flatMap((item: any) => item.indexers))]
+
     return {
-      results: uniqueResults,
+      results,
       indexers,
-      totalResults: uniqueResults.length,
+      totalResults: results.length,
+      facets,
       filters,
       cached: false
     }
   }
 
+  // Count parsed values so clients can offer only filters that have matches
+  private buildFacets(results: any[]): Record<string, Record<string, number>> {
+    const facets: Record<string, Record<string, number>> = {
+      resolution: {},
+      source: {},
+      codec: {},
+      hdr: {},
+      languages: {},
+      group: {}
+    }
+
+    const count = (facet: string, value?: string) => {
+      if (value) facets[facet][value] = (facets[facet][value] || 0) + 1
+    }
+
+    for (const { release } of results) {
+      count('resolution', release.resolution)
+      count('source', release.source)
+      count('codec', release.codec)
+      count('group', release.group)
+      release.hdr.forEach((format: string) => count('hdr', format))
+      release.languages.forEach((language: string) => count('languages', language))
+    }
+
+    return facets
+  }
+
   // Transform individual torrent result
   private transformTorrentResult(item: any): any {
+    const release = parseRelease(item.Title || '')
+
     return {
       title: item.Title || '',
       description: item.Description || '',
@@ -330,14 +552,17 @@ export class TorrentController {
       ratio: item.Seeders && item.Peers ? (item.Seeders / (item.Seeders + item.Peers)).toFixed(2) : '0.00',
       magnetUrl: item.MagnetUri || '',
       downloadUrl: item.Link || '',
-      infoHash: this.extractInfoHash(item.MagnetUri || ''),
+      infoHash: this.extractInfoHash(item.MagnetUri || '') || (item.InfoHash || '').toLowerCase(),
       indexer: item.Tracker || 'Unknown',
+      indexers: [item.Tracker || 'Unknown'],
+      source: item.Source || 'Jackett',
       category: item.CategoryDesc || '',
       publishDate: item.PublishDate || '',
       trusted: this.isTrustedUploader(item.Title || '', item.Tracker || ''),
-      quality: this.extractQuality(item.Title || ''),
-      type: this.extractType(item.CategoryDesc || ''),
-      guid: item.Guid || ''
+      quality: this.formatQuality(release.resolution),
+      type: item.Type || this.extractType(item.CategoryDesc || ''),
+      guid: item.Guid || '',
+      release
     }
   }
 
@@ -359,6 +584,12 @@ export class TorrentController {
         case 'date':
           comparison = new Date(a.publishDate).getTime() - new Date(b.publishDate).getTime()
           break
+        case 'quality':
+          comparison = qualityRank(a.release) - qualityRank(b.release) || a.seeders - b.seeders
+          break
+        case 'resolution':
+          comparison = this.resolutionValue(a.release.resolution) - this.resolutionValue(b.release.resolution) || a.seeders - b.seeders
+          break
         default:
           comparison = a.seeders - b.seeders
       }
@@ -367,56 +598,55 @@ export class TorrentController {
     })
   }
 
-  // Deduplicate results by info hash
+  // Deduplicate results by info hash, keeping the best-seeded copy and every indexer that has it
   private deduplicateResults(results: any[]): any[] {
-    const seen = new Set()
-    return results.filter(item => {
-      if (item.infoHash && seen.has(item.infoHash)) {
-        return false
-      }
-      if (item.infoHash) {
-        seen.add(item.infoHash)
-      }
-      return true
-    })
-  }
+    const byHash = new Map<string, any>()
+    const merged: any[] = []
 
-  // Transform indexers data
-  private transformIndexersData(data: any, category: string): any {
-    if (!data) {
-      return { indexers: [] }
-    }
+    for (const item of results) {
+      const existing = item.infoHash && byHash.get(item.infoHash)
 
-    const indexers = data
-      .filter((indexer: any) => indexer.configured)
-      .map((indexer: any) => ({
-        id: indexer.id,
-        name: indexer.name,
-        description: indexer.description,
-        language: indexer.language,
-        type: indexer.type,
-        categories: indexer.caps?.categories || [],
-        status: 'online' // This would need real-time checking
-      }))
+      if (!existing) {
+        const copy = { ...item, indexers: [...item.indexers] }
+        if (item.infoHash) byHash.set(item.infoHash, copy)
+        merged.push(copy)
+        continue
+      }
 
-    return {
-      indexers,
-      category,
-      totalIndexers: indexers.length
+      const indexers = [...new Set([...existing.indexers, ...item.indexers])]
+      if (item.seeders > existing.seeders) {
+        Object.assign(existing, item)
+      }
+      existing.indexers = indexers
     }
+
+    return merged
   }
 
-  // Save search history
-  private async saveSearchHistory(userId: string, query: string, category: string, resultCount: number): Promise<void> {
+  // Save search history with its filters; results aren't stored, and only the newest unsaved searches are kept
+  private async saveSearchHistory(userId: string, value: any, data: any): Promise<void> {
+    const { query, category, searchId, ...filters } = value
+
     try {
-      await this.dbService.create('torrent_searches', {
+      await this.dbService.create(COLLECTIONS.TORRENT_SEARCHES, {
         userId,
         query,
         category,
-        results: [],
-        indexers: [],
-        createdAt: new Date().toISOString()
+        filters,
+        resultCount: data.results.length,
+        indexers: data.indexers,
+        pinned: false,
+        lastRunAt: new Date().toISOString()
       })
+
+      const expired = await this.dbService.find<TorrentSearch>(COLLECTIONS.TORRENT_SEARCHES,
+        { userId, pinned: { $ne: true } },
+        { sort: 'createdAt', order: 'desc', offset: MAX_SEARCH_HISTORY }
+      )
+
+      if (expired.length > 0) {
+        await this.dbService.deleteMany(COLLECTIONS.TORRENT_SEARCHES, { id: { $in: expired.map(search => search.id) } })
+      }
     } catch (error) {
       logger.error('Error saving search history:', error)
       // Don't throw, this is non-critical
@@ -433,8 +663,7 @@ export class TorrentController {
   }
 
   private extractInfoHash(magnetUrl: string): string {
-    const match = magnetUrl.match(/xt=urn:btih:([a-fA-F0-9]{40}|[a-fA-F0-9]{32})/)
-    return match ? match[1].toLowerCase() : ''
+    return parseMagnet(magnetUrl)?.infoHash || ''
   }
 
   private isTrustedUploader(title: string, tracker: string): boolean {
@@ -452,12 +681,13 @@ export class TorrentController {
            ['RARBG', 'EZTV', 'YTS', '1337x'].includes(tracker)
   }
 
-  private extractQuality(title: string): string {
-    if (/2160p|4k/i.test(title)) return '4K'
-    if (/1080p/i.test(title)) return '1080p'
-    if (/720p/i.test(title)) return '720p'
-    if (/480p/i.test(title)) return '480p'
-    return 'Unknown'
+  private formatQuality(resolution?: string): string {
+    if (!resolution) return 'Unknown'
+    return resolution === '2160p' ? '4K' : resolution
+  }
+
+  private resolutionValue(resolution?: string): number {
+    return resolution ? parseInt(resolution) : 0
   }
 
   private extractType(categoryDesc: string): string {
@@ -0,0 +1,212 @@
+import { Request, Response } from 'express'
+import Joi from 'joi'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { QualityProfileService } from '@/services/qualityProfiles.js'
+import { TorrentSearchService } from '@/services/torrentSearch.js'
+import { WatchlistMonitorService } from '@/services/watchlistMonitor.js'
+import { asyncHandler, ValidationError, NotFoundError, ExternalServiceError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+import { WatchlistItem, COLLECTIONS } from '@/types/database.js'
+
+export class WatchlistController {
+  private dbService: DatabaseService
+  private profileService: QualityProfileService
+  private monitor: WatchlistMonitorService
+  private torrentSearch: TorrentSearchService
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.dbService = dbService
+    this.profileService = new QualityProfileService(dbService)
+    this.monitor = new WatchlistMonitorService(apiProxy, dbService, wsService)
+    this.torrentSearch = new TorrentSearchService(apiProxy, dbService)
+  }
+
+  // Validation schemas
+  private listSchema = Joi.object({
+    type: Joi.string().valid('movie', 'tv').optional(),
+    status: Joi.string().valid('wanted', 'downloading', 'available').optional(),
+    monitored: Joi.boolean().optional()
+  })
+
+  private addSchema = Joi.object({
+    tmdbId: Joi.number().integer().positive().required(),
+    type: Joi.string().valid('movie', 'tv').required(),
+    title: Joi.string().max(500).required(),
+    year: Joi.number().integer().min(1870).max(2100).optional(),
+    posterPath: Joi.string().max(500).allow(null).optional(),
+    monitored: Joi.boolean().default(true),
+    autoGrab: Joi.boolean().default(false),
+    profileId: Joi.string().optional()
+  })
+
+  private updateSchema = Joi.object({
+    monitored: Joi.boolean().optional(),
+    autoGrab: Joi.boolean().optional(),
+    // null goes back to the default quality profile
+    profileId: Joi.string().allow(null).optional()
+  }).min(1)
+
+  // List the current user's watchlist, newest first
+  getWatchlist = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.listSchema.validate(req.query)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const items = await this.dbService.find<WatchlistItem>(
+      COLLECTIONS.WATCHLIST,
+      { userId: req.user!.id, ...value },
+      { sort: 'createdAt', order: 'desc' }
+    )
+
+    res.json({
+      success: true,
+      data: { items, total: items.length }
+    })
+  })
+
+  // Add a title; adding one that is already there returns the existing entry
+  addItem = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.addSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const userId = req.user!.id
+    const [existing] = await this.dbService.find<WatchlistItem>(COLLECTIONS.WATCHLIST, {
+      userId,
+      tmdbId: value.tmdbId,
+      type: value.type
+    })
+
+    if (existing) {
+      return res.json({
+        success: true,
+        message: 'Already on watchlist',
+        data: existing
+      })
+    }
+
+    if (value.profileId) {
+      await this.profileService.getProfile(value.profileId)
+    }
+
+    const item = await this.dbService.create<WatchlistItem>(COLLECTIONS.WATCHLIST, {
+      userId,
+      ...value,
+      posterPath: value.posterPath || undefined,
+      status: 'wanted'
+    })
+
+    if (item.monitored) {
+      this.searchInBackground(item)
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to watchlist',
+      data: item
+    })
+  })
+
+  // Change monitoring, auto-grab or the quality profile of an entry
+  updateItem = asyncHandler(async (req: Request, res: Response) => {
+    const { error, value } = this.updateSchema.validate(req.body)
+
+    if (error) {
+      throw new ValidationError(error.details[0].message)
+    }
+
+    const item = await this.findOwnedItem(req.params.id, req.user!.id)
+
+    if (value.profileId) {
+      await this.profileService.getProfile(value.profileId)
+    }
+
+    const updated = await this.dbService.update<WatchlistItem>(COLLECTIONS.WATCHLIST, item.id, {
+      ...value,
+      profileId: value.profileId === null ? undefined : value.profileId ?? item.profileId
+    })
+
+    if (updated && updated.monitored && !item.monitored) {
+      this.searchInBackground(updated)
+    }
+
+    res.json({
+      success: true,
+      data: updated
+    })
+  })
+
+  // Remove an entry
+  removeItem = asyncHandler(async (req: Request, res: Response) => {
+    const item = await this.findOwnedItem(req.params.id, req.user!.id)
+
+    await this.dbService.delete(COLLECTIONS.WATCHLIST, item.id)
+
+    res.json({
+      success: true,
+      message: 'Removed from watchlist',
+      data: { id: item.id, tmdbId: item.tmdbId, type: item.type }
+    })
+  })
+
+  // Search for an entry right away instead of waiting for the monitor
+  searchItem = asyncHandler(async (req: Request, res: Response) => {
+    const item = await this.findOwnedItem(req.params.id, req.user!.id)
+
+    if (!await this.torrentSearch.hasSources()) {
+      throw new ExternalServiceError('Jackett', 'Torrent search service not configured')
+    }
+
+    try {
+      // The user is looking at the result, so skip the notification
+      const result = await this.monitor.check(item, { notify: false })
+
+      res.json({
+        success: true,
+        message: this.describeCheck(result.item, !!result.release, !!result.download),
+        data: result
+      })
+
+    } catch (error) {
+      logger.error('Error searching watchlist item:', error)
+      if (error instanceof ExternalServiceError || error instanceof NotFoundError) {
+        throw error
+      }
+      throw new ExternalServiceError('Jackett', 'Failed to search for watchlist item')
+    }
+  })
+
+  // Private helper methods
+  private async findOwnedItem(id: string, userId: string): Promise<WatchlistItem> {
+    const item = await this.dbService.findById<WatchlistItem>(COLLECTIONS.WATCHLIST, id)
+    if (!item || item.userId !== userId) {
+      throw new NotFoundError('Watchlist item not found')
+    }
+    return item
+  }
+
+  // Newly monitored titles shouldn't wait for the next monitor run
+  private async searchInBackground(item: WatchlistItem): Promise<void> {
+    try {
+      if (!await this.torrentSearch.hasSources()) return
+      await this.monitor.check(item)
+    } catch (error) {
+      logger.warn(`Watchlist search failed for ${item.title}:`, error instanceof Error ? error.message : error)
+    }
+  }
+
+  private describeCheck(item: WatchlistItem, found: boolean, grabbed: boolean): string {
+    if (grabbed) return 'Download started'
+    if (item.status === 'available') return 'Already in the library'
+    if (item.status === 'downloading') return 'Already downloading'
+    return found ? 'Release found' : 'No matching release yet'
+  }
+}
+
+export default WatchlistController
@@ -0,0 +1,24 @@
+import { Router } from 'express'
+import DownloadHooksController from '@/controllers/downloadHooks.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { authenticate, requireAdmin } from '@/middleware/auth.js'
+
+const router = Router()
+
+// Create a function to initialize routes with services
+export const createDownloadHooksRoutes = (apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) => {
+  const hooksController = new DownloadHooksController(apiProxy, dbService, wsService)
+
+  // Called by qBittorrent, verified with the shared secret instead of a user session
+  router.post('/completed', hooksController.torrentCompleted)
+
+  // Webhook setup (admin only)
+  router.get('/config', authenticate, requireAdmin, hooksController.getWebhookConfig)
+  router.post('/config/regenerate', authenticate, requireAdmin, hooksController.regenerateSecret)
+
+  return router
+}
+
+export default router
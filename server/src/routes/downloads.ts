@@ -1,17 +1,42 @@
 import { Router } from 'express'
+import multer from 'multer'
 import TorrentController from '@/controllers/torrent.js'
 import { QBittorrentController } from '@/controllers/qbittorrent.js'
+import OrganizerController from '@/controllers/organizer.js'
+import GrabController from '@/controllers/grab.js'
+import EpisodesController from '@/controllers/episodes.js'
+import BandwidthController from '@/controllers/bandwidth.js'
+import SeedingController from '@/controllers/seeding.js'
+import DownloadStatsController from '@/controllers/downloadStats.js'
 import { ApiProxyService } from '@/services/apiProxy.js'
 import { DatabaseService } from '@/services/database.js'
 import { WebSocketService } from '@/services/websocket.js'
-import { authenticate } from '@/middleware/auth.js'
+import { BandwidthSchedulerService } from '@/services/bandwidthScheduler.js'
+import { authenticate, requireAdmin } from '@/middleware/auth.js'
 
 const router = Router()
 
+// .torrent files are small, keep uploads in memory
+const torrentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 20 }
+})
+
 // Create a function to initialize routes with services
-export const createDownloadsRoutes = (apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) => {
-  const torrentController = new TorrentController(apiProxy, dbService)
+export const createDownloadsRoutes = (
+  apiProxy: ApiProxyService,
+  dbService: DatabaseService,
+  wsService: WebSocketService,
+  bandwidthScheduler: BandwidthSchedulerService
+) => {
+  const torrentController = new TorrentController(apiProxy, dbService, wsService)
   const qbController = new QBittorrentController(apiProxy, dbService, wsService)
+  const organizerController = new OrganizerController(apiProxy, dbService, wsService)
+  const grabController = new GrabController(apiProxy, dbService, wsService)
+  const episodesController = new EpisodesController(apiProxy, dbService, wsService)
+  const bandwidthController = new BandwidthController(bandwidthScheduler)
+  const seedingController = new SeedingController(apiProxy, dbService, wsService)
+  const downloadStatsController = new DownloadStatsController(dbService)
 
   // Apply authentication middleware to all routes
   router.use(authenticate)
@@ -20,6 +45,19 @@ export const createDownloadsRoutes = (apiProxy: ApiProxyService, dbService: Data
   router.get('/', qbController.listTorrents)
   router.get('/transfer-info', qbController.getTransferInfo)
   router.get('/preferences', qbController.getPreferences)
+
+  // Speed-limit profiles: schedule status and manual override
+  router.get('/bandwidth', bandwidthController.getBandwidth)
+  router.put('/bandwidth/override', bandwidthController.setOverride)
+  router.delete('/bandwidth/override', bandwidthController.clearOverride)
+
+  // Seeding goals: torrents close to or past their ratio/seed-time goals
+  router.get('/seeding/report', seedingController.getReport)
+
+  // Download history (kept after qBittorrent removes a torrent) and statistics
+  router.get('/history', downloadStatsController.getHistory)
+  router.get('/history/export', requireAdmin, downloadStatsController.exportHistory)
+  router.get('/stats', downloadStatsController.getStats)
   router.get('/:hash/details', qbController.getTorrentDetails)
 
   // Torrent search routes (Jackett integration)
@@ -27,14 +65,37 @@ export const createDownloadsRoutes = (apiProxy: ApiProxyService, dbService: Data
   router.get('/indexers', torrentController.getIndexers)
   router.get('/categories', torrentController.getCategories)
   
-  // Search history
+  // Search history and saved (pinned) searches
   router.get('/search-history', torrentController.getSearchHistory)
   router.delete('/search-history', torrentController.clearSearchHistory)
+  router.delete('/search-history/:id', torrentController.deleteSearch)
+  router.post('/search-history/:id/run', torrentController.rerunSearch)
+  router.put('/search-history/:id/pin', torrentController.pinSearch)
+  router.delete('/search-history/:id/pin', torrentController.unpinSearch)
 
   // Download management (qBittorrent integration)
-  router.post('/add', qbController.addTorrent)
+  router.post('/add', torrentUpload.array('torrents', 20), qbController.addTorrent)
   router.post('/:hash/control', qbController.controlTorrent)
 
+  // Torrent files and trackers
+  router.get('/:hash/files', qbController.getTorrentFiles)
+  router.post('/:hash/files/:fileId/priority', qbController.setFilePriority)
+  router.get('/:hash/trackers', qbController.getTorrentTrackers)
+  router.post('/:hash/trackers', qbController.addTracker)
+  router.delete('/:hash/trackers', qbController.removeTracker)
+
+  // Automatic grabs scored against quality profiles
+  router.get('/profiles', grabController.getProfiles)
+  router.post('/grab', grabController.grab)
+
+  // TV episode tracking (missing episodes, season packs and single episodes)
+  router.get('/tv/:tmdbId/episodes', episodesController.getEpisodes)
+  router.post('/tv/:tmdbId/grab-missing', episodesController.grabMissing)
+
+  // Library import (rename and file into Jellyfin layout)
+  router.get('/:id/organize/preview', organizerController.previewOrganize)
+  router.post('/:id/organize', organizerController.organizeDownload)
+
   return router
 }
 
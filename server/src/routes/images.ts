@@ -0,0 +1,39 @@
+import { Router } from 'express'
+import rateLimit from 'express-rate-limit'
+import ImageController from '@/controllers/images.js'
+import { ImageCacheService } from '@/services/imageCache.js'
+import { config, getImagesConfig } from '@/config/config.js'
+
+const router = Router()
+
+// Create a function to initialize routes with services
+export const createImageRoutes = (imageCache: ImageCacheService) => {
+  const imageController = new ImageController(imageCache)
+  const { rateLimitMax, missLimitMax } = getImagesConfig()
+
+  // Higher than the API limit, a page of posters is dozens of requests
+  const imageLimiter = rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: rateLimitMax,
+    message: { error: 'Too many image requests from this IP, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false
+  })
+
+  // Cache misses cost a TMDB fetch (and a conversion) and evict other images, so they are limited separately
+  const missLimiter = rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: missLimitMax,
+    message: { error: 'Too many uncached image requests from this IP, please try again later.' },
+    standardHeaders: false,
+    legacyHeaders: false,
+    skip: (req) => imageCache.isCached(req.params.size, req.params.path, req.query.format === 'webp' ? 'webp' : undefined)
+  })
+
+  // Posters, backdrops and logos through the local cache; public so <img> tags can load them
+  router.get('/:size/:path', imageLimiter, missLimiter, imageController.getImage)
+
+  return router
+}
+
+export default router
@@ -1,14 +1,15 @@
 import { Router } from 'express'
 import MediaController from '@/controllers/media.js'
 import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
 import { TmdbService } from '@/services/tmdb.js'
+import { LibraryIndexService } from '@/services/libraryIndex.js'
 
 const router = Router()
 
 // Create a function to initialize routes with services
-export const createMediaRoutes = (apiProxy: ApiProxyService, dbService: any, tmdbService: TmdbService) => {
-  const mediaController = new MediaController(apiProxy, dbService, tmdbService)
-  const mediaController = new MediaController(apiProxy, dbService)
+export const createMediaRoutes = (apiProxy: ApiProxyService, dbService: DatabaseService, tmdbService: TmdbService, libraryIndex: LibraryIndexService) => {
+  const mediaController = new MediaController(apiProxy, dbService, tmdbService, libraryIndex)
 
   // Trending content
   router.get('/trending/:type/:timeWindow', mediaController.getTrending)
@@ -22,20 +23,27 @@ export const createMediaRoutes = (apiProxy: ApiProxyService, dbService: any, tmd
   // Search content
   router.get('/search', mediaController.search)
 
-  // Content details
-  router.get('/:type/:id', mediaController.getDetails)
+  // Discover with filters (genre, year range, rating, runtime, language, sort)
+  router.get('/discover/:type', mediaController.discover)
 
   // Genres
   router.get('/genres/:type', mediaController.getGenres)
 
-  // Image URL helper
-  router.get('/image/:path', mediaController.getImageUrl)
-
   // Cache management
   router.delete('/cache', mediaController.clearCache)
   router.get('/cache/stats', mediaController.getCacheStats)
 
+  // Content details (registered last, /:type/:id would match the routes above)
+  router.get('/:type/:id', mediaController.getDetails)
+
+  // Related content, cast, trailers and where to watch; served from the details record
+  router.get('/:type/:id/similar', mediaController.getSimilar)
+  router.get('/:type/:id/recommendations', mediaController.getRecommendations)
+  router.get('/:type/:id/credits', mediaController.getCredits)
+  router.get('/:type/:id/videos', mediaController.getVideos)
+  router.get('/:type/:id/watch-providers', mediaController.getWatchProviders)
+
   return router
 }
 
-export default router
\ No newline at end of file
+export default router
@@ -0,0 +1,30 @@
+import { Router } from 'express'
+import NotificationsController from '@/controllers/notifications.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { authenticate } from '@/middleware/auth.js'
+
+const router = Router()
+
+// Create a function to initialize routes with services
+export const createNotificationsRoutes = (dbService: DatabaseService, wsService: WebSocketService) => {
+  const notificationsController = new NotificationsController(dbService, wsService)
+
+  // Apply authentication middleware to all routes
+  router.use(authenticate)
+
+  // Notification listing
+  router.get('/', notificationsController.getNotifications)
+  router.get('/unread-count', notificationsController.getUnreadCount)
+
+  // Read state
+  router.put('/read-all', notificationsController.markAllAsRead)
+  router.put('/:id/read', notificationsController.markAsRead)
+
+  // Removal
+  router.delete('/:id', notificationsController.deleteNotification)
+
+  return router
+}
+
+export default router
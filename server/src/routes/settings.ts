@@ -1,22 +1,92 @@
 import { Router } from 'express'
+import multer from 'multer'
+import SettingsController from '@/controllers/settings.js'
+import BackupController from '@/controllers/backup.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { BackupService } from '@/services/backup.js'
+import { authenticate, requireAdmin } from '@/middleware/auth.js'
 
 const router = Router()
 
-// Settings management routes - placeholder
-router.get('/', (req, res) => {
-  res.status(501).json({ success: false, message: 'Settings endpoints not yet implemented' })
+// Settings exports are small JSON files, keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
 })
 
-router.put('/:category', (req, res) => {
-  res.status(501).json({ success: false, message: 'Settings endpoints not yet implemented' })
+// Database snapshots can be much larger
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 }
 })
 
-router.get('/users', (req, res) => {
-  res.status(501).json({ success: false, message: 'Settings endpoints not yet implemented' })
-})
+// Create a function to initialize routes with services
+export const createSettingsRoutes = (
+  apiProxy: ApiProxyService,
+  dbService: DatabaseService,
+  wsService: WebSocketService,
+  backupService: BackupService
+) => {
+  const settingsController = new SettingsController(apiProxy, dbService, wsService)
+  const backupController = new BackupController(backupService)
 
-router.post('/users', (req, res) => {
-  res.status(501).json({ success: false, message: 'Settings endpoints not yet implemented' })
-})
+  // Apply authentication middleware to all routes
+  router.use(authenticate)
+
+  // All settings
+  router.get('/', settingsController.getSettings)
+  router.put('/', settingsController.updateSettings)
+
+  // Settings groups (admin-only writes are enforced in the controller)
+  router.get('/api-keys', settingsController.getGroup('api'))
+  router.put('/api-keys', settingsController.updateGroup('api'))
+  router.post('/api-keys/test', settingsController.testApiKey)
+  router.get('/search', settingsController.getGroup('search'))
+  router.put('/search', settingsController.updateGroup('search'))
+  router.get('/notifications', settingsController.getGroup('notifications'))
+  router.put('/notifications', settingsController.updateGroup('notifications'))
+  router.get('/downloads', settingsController.getGroup('downloads'))
+  router.put('/downloads', settingsController.updateGroup('downloads'))
+  router.get('/quality-profiles', settingsController.getGroup('quality'))
+  router.put('/quality-profiles', settingsController.updateGroup('quality'))
+  router.get('/bandwidth', settingsController.getGroup('bandwidth'))
+  router.put('/bandwidth', settingsController.updateGroup('bandwidth'))
+  router.get('/seeding', settingsController.getGroup('seeding'))
+  router.put('/seeding', settingsController.updateGroup('seeding'))
+  router.get('/media', settingsController.getGroup('media'))
+  router.put('/media', settingsController.updateGroup('media'))
+  router.get('/streaming', settingsController.getGroup('streaming'))
+  router.put('/streaming', settingsController.updateGroup('streaming'))
+  router.get('/system', settingsController.getGroup('system'))
+  router.put('/system', settingsController.updateGroup('system'))
+
+  // Import, export and reset
+  router.get('/export', settingsController.exportSettings)
+  router.post('/import', upload.single('settings'), settingsController.importSettings)
+  router.post('/reset', settingsController.resetSettings)
+
+  // Validation and metadata
+  router.post('/validate', settingsController.validateSettings)
+  router.get('/defaults', settingsController.getDefaults)
+  router.get('/schema', settingsController.getSchema)
+  router.get('/app-info', settingsController.getAppInfo)
+
+  // Database backups (admin only)
+  router.get('/backup', requireAdmin, backupController.getBackups)
+  router.post('/backup/create', requireAdmin, backupController.createBackup)
+  router.post('/backup/restore', requireAdmin, backupUpload.single('backup'), backupController.restoreBackup)
+  router.get('/backup/:name/download', requireAdmin, backupController.downloadBackup)
+  router.get('/backup/:name/verify', requireAdmin, backupController.verifyBackup)
+  router.delete('/backup/:name', requireAdmin, backupController.deleteBackup)
+
+  // Themes
+  router.get('/themes', settingsController.getThemes)
+  router.get('/themes/current', settingsController.getCurrentTheme)
+  router.post('/themes/set', settingsController.setTheme)
+
+  return router
+}
 
-export default router
\ No newline at end of file
+export default router
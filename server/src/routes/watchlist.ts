@@ -0,0 +1,25 @@
+import { Router } from 'express'
+import WatchlistController from '@/controllers/watchlist.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+
+const router = Router()
+
+// Create a function to initialize routes with services
+export const createWatchlistRoutes = (apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) => {
+  const watchlistController = new WatchlistController(apiProxy, dbService, wsService)
+
+  // Watchlist entries
+  router.get('/', watchlistController.getWatchlist)
+  router.post('/', watchlistController.addItem)
+  router.patch('/:id', watchlistController.updateItem)
+  router.delete('/:id', watchlistController.removeItem)
+
+  // Search now instead of waiting for the monitor
+  router.post('/:id/search', watchlistController.searchItem)
+
+  return router
+}
+
+export default router
@@ -0,0 +1,33 @@
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { BackupService } from '@/services/backup.js'
+import { logger } from '@/utils/logger.js'
+
+// Write a manual snapshot and apply the retention policy.
+//
+//   npm run db:backup
+//   npm run db:backup -- --no-compress
+
+async function backup(): Promise<void> {
+  const dbService = new DatabaseService()
+  const backupService = new BackupService(dbService, new WebSocketService())
+
+  await dbService.init()
+
+  try {
+    const created = await backupService.createBackup('manual', process.argv.includes('--no-compress') ? false : undefined)
+    logger.info(`Backup created: ${created.name} (${created.size} bytes)`)
+
+    const removed = await backupService.applyRetention()
+    if (removed.length > 0) {
+      logger.info(`Removed ${removed.length} expired scheduled backups`)
+    }
+  } finally {
+    await dbService.close()
+  }
+}
+
+backup().catch((error) => {
+  logger.error('Database backup failed:', error instanceof Error ? error.message : error)
+  process.exit(1)
+})
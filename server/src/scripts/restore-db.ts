@@ -0,0 +1,35 @@
+import { readFile } from 'fs/promises'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { BackupService } from '@/services/backup.js'
+import { logger } from '@/utils/logger.js'
+
+// Restore the database from a snapshot file (gzipped or plain JSON).
+// Stop the server first, it keeps the database in memory.
+//
+//   npm run db:restore -- ./data/backups/pandora-2024-01-01T03-00-00-000Z-scheduled.json.gz
+
+async function restore(): Promise<void> {
+  const file = process.argv[2]
+  if (!file) {
+    throw new Error('Usage: npm run db:restore -- <backup file>')
+  }
+
+  const dbService = new DatabaseService()
+  const backupService = new BackupService(dbService, new WebSocketService())
+
+  await dbService.init()
+
+  try {
+    const { counts, safetyBackup } = await backupService.restoreFromBuffer(await readFile(file), file, 'cli')
+    logger.info(`Database restored from ${file}`, counts)
+    logger.info(`Previous database saved as ${safetyBackup.name}`)
+  } finally {
+    await dbService.close()
+  }
+}
+
+restore().catch((error) => {
+  logger.error('Database restore failed:', error instanceof Error ? error.message : error)
+  process.exit(1)
+})
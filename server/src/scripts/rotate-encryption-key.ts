@@ -0,0 +1,51 @@
+import { DatabaseService } from '@/services/database.js'
+import { EncryptionService, loadEncryptionSecret } from '@/services/encryption.js'
+import { logger } from '@/utils/logger.js'
+
+// Re-encrypt all encrypted settings with a new master secret.
+//
+//   NEW_ENCRYPTION_SECRET=... npm run secrets:rotate
+//   npm run secrets:rotate -- --key-file /run/secrets/new-settings-key
+//
+// The current key comes from ENCRYPTION_KEY_FILE / ENCRYPTION_SECRET as usual.
+// Stop the server first, and point the environment at the new key afterwards.
+
+function getNewSecret(args: string[]): string {
+  const keyFileIndex = args.indexOf('--key-file')
+  const keyFile = keyFileIndex >= 0 ? args[keyFileIndex + 1] : undefined
+
+  if (keyFileIndex >= 0 && !keyFile) {
+    throw new Error('--key-file requires a path')
+  }
+
+  const secret = keyFile
+    ? loadEncryptionSecret(keyFile)
+    : process.env.NEW_ENCRYPTION_SECRET
+
+  if (!secret) {
+    throw new Error('Provide the new key with --key-file <path> or NEW_ENCRYPTION_SECRET')
+  }
+
+  return secret
+}
+
+async function rotate(): Promise<void> {
+  const next = new EncryptionService(getNewSecret(process.argv.slice(2)))
+  const dbService = new DatabaseService()
+
+  await dbService.init()
+
+  try {
+    const count = await dbService.rotateEncryptionKey(next)
+    await dbService.save()
+    logger.info(`Encryption key rotated: ${count} settings re-encrypted (new key id ${next.keyId})`)
+    logger.info('Update ENCRYPTION_KEY_FILE or ENCRYPTION_SECRET before starting the server again')
+  } finally {
+    await dbService.close()
+  }
+}
+
+rotate().catch((error) => {
+  logger.error('Encryption key rotation failed:', error instanceof Error ? error.message : error)
+  process.exit(1)
+})
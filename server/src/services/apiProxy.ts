@@ -16,11 +16,41 @@ export interface ServiceConfig {
   enabled?: boolean
 }
 
+export interface ServiceStatus {
+  name: string
+  enabled: boolean
+  status: 'healthy' | 'unhealthy' | 'disabled'
+  message?: string
+}
+
+type ServiceConfigListener = (serviceName: string, serviceConfig: ServiceConfig) => void
+type LibraryScanListener = () => void
+
+// Services with a fixed public API URL
+const FIXED_URL_SERVICES = ['tmdb', 'watchmode']
+
+// Services that cannot be used without an API key
+const API_KEY_SERVICES = ['tmdb', 'watchmode', 'jackett', 'portainer', 'jellyfin']
+
+// Lightweight authenticated endpoints used to verify a service configuration
+const HEALTH_ENDPOINTS: Record<string, string> = {
+  tmdb: '/configuration',
+  watchmode: '/status/',
+  jackett: '/api/v2.0/indexers/all/results/torznab/api',
+  cloudcommander: '/api/v1/fs',
+  portainer: '/api/endpoints',
+  jellyfin: '/System/Info'
+}
+
 export class ApiProxyService {
   private httpFactory: HttpClientFactory
   private dbService: DatabaseService
   private services: Map<string, HttpClient> = new Map()
   private serviceConfigs: Map<string, ServiceConfig> = new Map()
+  private configListeners: ServiceConfigListener[] = []
+  private scanListeners: LibraryScanListener[] = []
+  // qBittorrent logins per client, shared by concurrent requests
+  private qbLogins: WeakMap<HttpClient, Promise<void>> = new WeakMap()
 
   constructor(dbService: DatabaseService) {
     this.dbService = dbService
@@ -36,77 +66,9 @@ export class ApiProxyService {
   // Initialize all external services
   private async initializeServices(): Promise<void> {
     try {
-      // Define service configurations
-      const serviceConfigs: ServiceConfig[] = [
-        {
-          name: 'tmdb',
-          baseURL: 'https://api.themoviedb.org/3',
-          apiKey: config.apis.tmdb.apiKey,
-          timeout: 10000,
-          retries: 3,
-          cacheTTL: 3600, // 1 hour
-          enabled: !!config.apis.tmdb.apiKey
-        },
-        {
-          name: 'watchmode',
-          baseURL: 'https://api.watchmode.com/v1',
-          apiKey: config.apis.watchmode.apiKey,
-          timeout: 10000,
-          retries: 3,
-          cacheTTL: 86400, // 24 hours
-          enabled: !!config.apis.watchmode.apiKey
-        },
-        {
-          name: 'jackett',
-          baseURL: config.apis.jackett.url,
-          apiKey: config.apis.jackett.apiKey,
-          timeout: 30000,
-          retries: 2,
-          cacheTTL: 900, // 15 minutes
-          enabled: !!config.apis.jackett.url && !!config.apis.jackett.apiKey
-        },
-        {
-          name: 'qbittorrent',
-          baseURL: config.apis.qbittorrent.url,
-          username: config.apis.qbittorrent.username,
-          password: config.apis.qbittorrent.password,
-          timeout: 15000,
-          retries: 3,
-          cacheTTL: 0, // No caching for real-time data
-          enabled: !!config.apis.qbittorrent.url
-        },
-        {
-          name: 'cloudcommander',
-          baseURL: config.apis.cloudCommander.url,
-          username: config.apis.cloudCommander.username,
-          password: config.apis.cloudCommander.password,
-          timeout: 20000,
-          retries: 2,
-          cacheTTL: 0, // No caching for file operations
-          enabled: !!config.apis.cloudCommander.url
-        },
-        {
-          name: 'portainer',
-          baseURL: config.apis.portainer.url,
-          apiKey: config.apis.portainer.apiKey,
-          timeout: 15000,
-          retries: 2,
-          cacheTTL: 300, // 5 minutes
-          enabled: !!config.apis.portainer.url && !!config.apis.portainer.apiKey
-        },
-        {
-          name: 'jellyfin',
-          baseURL: config.apis.jellyfin.url,
-          apiKey: config.apis.jellyfin.apiKey,
-          timeout: 15000,
-          retries: 2,
-          cacheTTL: 600, // 10 minutes
-          enabled: !!config.apis.jellyfin.url && !!config.apis.jellyfin.apiKey
-        }
-      ]
+      for (const defaultConfig of this.getDefaultServiceConfigs()) {
+        const serviceConfig = await this.applyStoredSettings(defaultConfig)
 
-      // Initialize enabled services
-      for (const serviceConfig of serviceConfigs) {
         if (serviceConfig.enabled) {
           await this.initializeService(serviceConfig)
         } else {
@@ -123,61 +85,96 @@ export class ApiProxyService {
     }
   }
 
-  // Initialize individual service
-  private async initializeService(serviceConfig: ServiceConfig): Promise<void> {
-    try {
-      const clientConfig: HttpClientConfig = {
-        baseURL: serviceConfig.baseURL,
-        timeout: serviceConfig.timeout,
-        retries: serviceConfig.retries,
-        cacheTTL: serviceConfig.cacheTTL
+  // Service configurations from environment variables
+  private getDefaultServiceConfigs(): ServiceConfig[] {
+    return [
+      {
+        name: 'tmdb',
+        baseURL: 'https://api.themoviedb.org/3',
+        apiKey: config.apis.tmdb.apiKey,
+        timeout: 10000,
+        retries: 3,
+        cacheTTL: 3600 // 1 hour
+      },
+      {
+        name: 'watchmode',
+        baseURL: 'https://api.watchmode.com/v1',
+        apiKey: config.apis.watchmode.apiKey,
+        timeout: 10000,
+        retries: 3,
+        cacheTTL: 86400 // 24 hours
+      },
+      {
+        name: 'jackett',
+        baseURL: config.apis.jackett.url,
+        apiKey: config.apis.jackett.apiKey,
+        timeout: 30000,
+        retries: 2,
+        cacheTTL: 900 // 15 minutes
+      },
+      {
+        name: 'qbittorrent',
+        baseURL: config.apis.qbittorrent.url,
+        username: config.apis.qbittorrent.username,
+        password: config.apis.qbittorrent.password,
+        timeout: 15000,
+        retries: 3,
+        cacheTTL: 0 // No caching for real-time data
+      },
+      {
+        name: 'cloudcommander',
+        baseURL: config.apis.cloudCommander.url,
+        username: config.apis.cloudCommander.username,
+        password: config.apis.cloudCommander.password,
+        timeout: 20000,
+        retries: 2,
+        cacheTTL: 0 // No caching for file operations
+      },
+      {
+        name: 'portainer',
+        baseURL: config.apis.portainer.url,
+        apiKey: config.apis.portainer.apiKey,
+        timeout: 15000,
+        retries: 2,
+        cacheTTL: 300 // 5 minutes
+      },
+      {
+        name: 'jellyfin',
+        baseURL: config.apis.jellyfin.url,
+        apiKey: config.apis.jellyfin.apiKey,
+        timeout: 15000,
+        retries: 2,
+        cacheTTL: 600 // 10 minutes
       }
+    ]
+  }
 
-      // Configure authentication based on service
-      if (serviceConfig.apiKey) {
-        if (serviceConfig.name === 'tmdb') {
-          clientConfig.auth = {
-            type: 'api-key',
-            apiKey: serviceConfig.apiKey,
-            apiKeyHeader: 'Authorization'
-          }
-          clientConfig.headers = {
-            'Authorization': `Bearer ${serviceConfig.apiKey}`
-          }
-        } else if (serviceConfig.name === 'watchmode') {
-          clientConfig.auth = {
-            type: 'api-key',
-            apiKey: serviceConfig.apiKey,
-            apiKeyHeader: 'X-API-Key'
-          }
-        } else if (serviceConfig.name === 'jackett') {
-          clientConfig.auth = {
-            type: 'api-key',
-            apiKey: serviceConfig.apiKey,
-            apiKeyHeader: 'X-Api-Key'
-          }
-        } else if (serviceConfig.name === 'portainer') {
-          clientConfig.auth = {
-            type: 'api-key',
-            apiKey: serviceConfig.apiKey,
-            apiKeyHeader: 'X-API-Key'
-          }
-        } else if (serviceConfig.name === 'jellyfin') {
-          clientConfig.auth = {
-            type: 'api-key',
-            apiKey: serviceConfig.apiKey,
-            apiKeyHeader: 'X-Emby-Token'
-          }
-        }
-      } else if (serviceConfig.username && serviceConfig.password) {
-        clientConfig.auth = {
-          type: 'basic',
-          username: serviceConfig.username,
-          password: serviceConfig.password
-        }
-      }
+  // Values saved through the settings API take precedence over environment variables
+  private async applyStoredSettings(serviceConfig: ServiceConfig): Promise<ServiceConfig> {
+    const setting = await this.dbService.getSetting(`api.${serviceConfig.name}`)
+    const stored = setting?.value || {}
+
+    const merged: ServiceConfig = {
+      ...serviceConfig,
+      baseURL: FIXED_URL_SERVICES.includes(serviceConfig.name) ? serviceConfig.baseURL : (stored.url ?? serviceConfig.baseURL),
+      apiKey: stored.apiKey ?? serviceConfig.apiKey,
+      username: stored.username ?? serviceConfig.username,
+      password: stored.password ?? serviceConfig.password
+    }
 
-      const client = this.httpFactory.createClient(serviceConfig.name, clientConfig)
+    return { ...merged, enabled: this.isConfigured(merged) }
+  }
+
+  // A service needs a URL, plus an API key unless it authenticates with a username
+  private isConfigured(serviceConfig: ServiceConfig): boolean {
+    if (!serviceConfig.baseURL) return false
+    return API_KEY_SERVICES.includes(serviceConfig.name) ? !!serviceConfig.apiKey : true
+  }
+
+  // Initialize individual service
+  private async initializeService(serviceConfig: ServiceConfig): Promise<void> {
+    try {
+      const client = this.httpFactory.createClient(serviceConfig.name, this.buildClientConfig(serviceConfig))
       this.services.set(serviceConfig.name, client)
       
       logger.info(`Initialized ${serviceConfig.name} service client`)
@@ -187,6 +184,67 @@ export class ApiProxyService {
     }
   }
 
+  // Build the HTTP client configuration, including service specific authentication
+  private buildClientConfig(serviceConfig: ServiceConfig): HttpClientConfig {
+    const clientConfig: HttpClientConfig = {
+      baseURL: serviceConfig.baseURL,
+      timeout: serviceConfig.timeout,
+      retries: serviceConfig.retries,
+      cacheTTL: serviceConfig.cacheTTL
+    }
+
+    // Configure authentication based on service
+    if (serviceConfig.apiKey) {
+      if (serviceConfig.name === 'tmdb') {
+        clientConfig.auth = {
+          type: 'api-key',
+          apiKey: serviceConfig.apiKey,
+          apiKeyHeader: 'Authorization'
+        }
+        clientConfig.headers = {
+          'Authorization': `Bearer ${serviceConfig.apiKey}`
+        }
+      } else if (serviceConfig.name === 'watchmode') {
+        clientConfig.auth = {
+          type: 'api-key',
+          apiKey: serviceConfig.apiKey,
+          apiKeyHeader: 'X-API-Key'
+        }
+      } else if (serviceConfig.name === 'jackett') {
+        clientConfig.auth = {
+          type: 'api-key',
+          apiKey: serviceConfig.apiKey,
+          apiKeyHeader: 'X-Api-Key'
+        }
+      } else if (serviceConfig.name === 'portainer') {
+        clientConfig.auth = {
+          type: 'api-key',
+          apiKey: serviceConfig.apiKey,
+          apiKeyHeader: 'X-API-Key'
+        }
+      } else if (serviceConfig.name === 'jellyfin') {
+        clientConfig.auth = {
+          type: 'api-key',
+          apiKey: serviceConfig.apiKey,
+          apiKeyHeader: 'X-Emby-Token'
+        }
+      }
+    } else if (serviceConfig.username && serviceConfig.password) {
+      clientConfig.auth = {
+        type: 'basic',
+        username: serviceConfig.username,
+        password: serviceConfig.password
+      }
+    }
+
+    // qBittorrent authenticates requests with the SID cookie its login sets
+    if (serviceConfig.name === 'qbittorrent') {
+      clientConfig.cookies = true
+    }
+
+    return clientConfig
+  }
+
   // Get service client
   getService(serviceName: string): HttpClient {
     const client = this.services.get(serviceName)
@@ -228,32 +286,70 @@ export class ApiProxyService {
     return client.get(`/${mediaType}/${id}`, null, { cache: true, cacheTTL: 86400 })
   }
 
+  // Shorter TTL than details so newly announced or aired episodes show up the same day
+  async getTMDBSeason(tvId: number, seasonNumber: number): Promise<any> {
+    const client = this.getService('tmdb')
+    return client.get(`/tv/${tvId}/season/${seasonNumber}`, null, { cache: true, cacheTTL: 21600 })
+  }
+
   // Watchmode proxy methods
-  async getWatchmodeAvailability(tmdbId: number, sourceType: 'movie' | 'tv'): Promise<any> {
+  // Sources of a title in the given regions; Watchmode accepts TMDB ids as "movie-603" / "tv-1396"
+  async getWatchmodeAvailability(tmdbId: number, sourceType: 'movie' | 'tv', regions: string[] = ['US']): Promise<any> {
     const client = this.getService('watchmode')
-    return client.get('/title/sources', { 
-      source_ids: `tmdb:${tmdbId}`,
-      source_type: sourceType
+    return client.get(`/title/${sourceType}-${tmdbId}/sources/`, {
+      regions: regions.join(',')
     }, { cache: true, cacheTTL: 86400 })
   }
 
-  // Jackett proxy methods
-  async searchTorrents(query: string, category?: string): Promise<any> {
-    const client = this.getService('jackett')
-    return client.get('/api/v2.0/indexers/all/results', {
-      apikey: config.apis.jackett.apiKey,
-      Query: query,
-      Category: category
-    }, { cache: true, cacheTTL: 900 })
-  }
-
   // qBittorrent proxy methods
   async qBittorrentLogin(): Promise<any> {
     const client = this.getService('qbittorrent')
-    return client.post('/api/v2/auth/login', {
-      username: config.apis.qbittorrent.username,
-      password: config.apis.qbittorrent.password
-    })
+    const { username = '', password = '' } = this.serviceConfigs.get('qbittorrent')!
+    return client.post('/api/v2/auth/login',
+      `username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`,
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    )
+  }
+
+  // Run requests against qBittorrent, logging in once per client instance and again when the session expires
+  async withQBittorrentSession<T>(request: (client: HttpClient) => Promise<T>): Promise<T> {
+    const client = this.getService('qbittorrent')
+    const login = this.loginQBittorrent(client)
+    await login
+
+    try {
+      return await request(client)
+    } catch (error) {
+      // qBittorrent answers 403 once the SID cookie has expired
+      if (!(error instanceof ExternalServiceError) || !error.message.endsWith('Access forbidden')) throw error
+
+      logger.info('qBittorrent session expired, logging in again')
+      if (this.qbLogins.get(client) === login) this.qbLogins.delete(client)
+
+      await this.loginQBittorrent(client)
+      return request(client)
+    }
+  }
+
+  private loginQBittorrent(client: HttpClient): Promise<void> {
+    let login = this.qbLogins.get(client)
+
+    if (!login) {
+      login = this.qBittorrentLogin().then(response => {
+        if (response !== 'Ok.') {
+          throw new ExternalServiceError('qBittorrent', 'Login failed')
+        }
+      })
+      // Let the next request try again after a failed login
+      login.catch(() => this.qbLogins.delete(client))
+      this.qbLogins.set(client, login)
+    }
+
+    return login
   }
 
   async getQBittorrentTorrents(): Promise<any> {
@@ -269,6 +365,27 @@ export class ApiProxyService {
     })
   }
 
+  // Global speed limits in bytes/s, 0 meaning unlimited
+  async setQBittorrentSpeedLimits(downloadLimit: number, uploadLimit: number): Promise<void> {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' }
+
+    await this.withQBittorrentSession(async client => {
+      await client.post('/api/v2/transfer/setDownloadLimit', `limit=${downloadLimit}`, { headers })
+      await client.post('/api/v2/transfer/setUploadLimit', `limit=${uploadLimit}`, { headers })
+    })
+  }
+
+  // Turn qBittorrent's alternative speed limits on or off (the API only offers a toggle)
+  async setQBittorrentAlternativeSpeed(enabled: boolean): Promise<void> {
+    await this.withQBittorrentSession(async client => {
+      const mode = await client.get('/api/v2/transfer/speedLimitsMode', null, { cache: false })
+
+      if ((Number(mode) === 1) !== enabled) {
+        await client.post('/api/v2/transfer/toggleSpeedLimitsMode')
+      }
+    })
+  }
+
   async controlQBittorrentTorrent(hash: string, action: 'pause' | 'resume' | 'delete'): Promise<any> {
     const client = this.getService('qbittorrent')
     const endpoint = `/api/v2/torrents/${action}`
@@ -332,7 +449,9 @@ export class ApiProxyService {
 
   async scanJellyfinLibrary(libraryId: string): Promise<any> {
     const client = this.getService('jellyfin')
-    return client.post(`/Library/Refresh?itemId=${libraryId}`)
+    const result = await client.post(`/Library/Refresh?itemId=${libraryId}`)
+    this.notifyLibraryScan()
+    return result
   }
 
   async getJellyfinScanStatus(): Promise<any> {
@@ -340,6 +459,25 @@ export class ApiProxyService {
     return client.get('/ScheduledTasks', null, { cache: false })
   }
 
+  // Library item matched by its TMDB provider id, or null if it isn't in Jellyfin
+  async findJellyfinItemByTmdbId(mediaType: 'movie' | 'tv', tmdbId: number): Promise<any> {
+    const client = this.getService('jellyfin')
+    const response = await client.get('/Items', {
+      AnyProviderIdEquals: `tmdb.${tmdbId}`,
+      IncludeItemTypes: mediaType === 'movie' ? 'Movie' : 'Series',
+      Recursive: true,
+      Limit: 1
+    }, { cache: false })
+    return response?.Items?.[0] || null
+  }
+
+  // Episodes of a series that have files (Jellyfin also lists virtual "missing" episodes)
+  async getJellyfinEpisodes(seriesId: string): Promise<any[]> {
+    const client = this.getService('jellyfin')
+    const response = await client.get(`/Shows/${seriesId}/Episodes`, null, { cache: false })
+    return (response?.Items || []).filter((episode: any) => episode.LocationType !== 'Virtual')
+  }
+
   // Health check all services
   async healthCheckAll(): Promise<Record<string, any>> {
     const results = await this.httpFactory.healthCheckAll()
@@ -367,14 +505,123 @@ export class ApiProxyService {
     const updatedConfig = { ...currentConfig, ...newConfig }
     this.serviceConfigs.set(serviceName, updatedConfig)
 
+    // The factory caches clients by name, so drop the old one before rebuilding
+    this.httpFactory.removeClient(serviceName)
+    this.services.delete(serviceName)
+
     // Reinitialize service if it was enabled
     if (updatedConfig.enabled) {
       await this.initializeService(updatedConfig)
       logger.info(`Service ${serviceName} configuration updated and reinitialized`)
     } else {
-      this.services.delete(serviceName)
       logger.info(`Service ${serviceName} disabled`)
     }
+
+    for (const listener of this.configListeners) {
+      try {
+        listener(serviceName, updatedConfig)
+      } catch (error) {
+        logger.error(`Service config listener failed for ${serviceName}:`, error)
+      }
+    }
+  }
+
+  // Re-read a service's stored settings, rebuild its client and check it
+  async reloadService(serviceName: string): Promise<ServiceStatus> {
+    const defaultConfig = this.getDefaultServiceConfigs().find(serviceConfig => serviceConfig.name === serviceName)
+    if (!defaultConfig) {
+      throw new Error(`Service ${serviceName} not found`)
+    }
+
+    const serviceConfig = await this.applyStoredSettings(defaultConfig)
+    await this.updateServiceConfig(serviceName, serviceConfig)
+
+    return this.checkServiceHealth(serviceName)
+  }
+
+  // Check a configured service against its health endpoint
+  async checkServiceHealth(serviceName: string): Promise<ServiceStatus> {
+    const serviceConfig = this.serviceConfigs.get(serviceName)
+    const client = this.services.get(serviceName)
+
+    if (!serviceConfig || !client) {
+      return { name: serviceName, enabled: false, status: 'disabled', message: 'Service not configured' }
+    }
+
+    const result = await this.probeService(client, serviceConfig)
+    return { name: serviceName, enabled: true, ...result }
+  }
+
+  // Check credentials without touching the live client
+  async testServiceConfig(serviceName: string, overrides: Partial<ServiceConfig>): Promise<ServiceStatus> {
+    const currentConfig = this.serviceConfigs.get(serviceName)
+    if (!currentConfig) {
+      throw new Error(`Service ${serviceName} not found`)
+    }
+
+    const serviceConfig = { ...currentConfig, ...overrides }
+    if (!this.isConfigured(serviceConfig)) {
+      return { name: serviceName, enabled: false, status: 'disabled', message: 'Service not configured' }
+    }
+
+    const client = new HttpClient(`${serviceName}-test`, { ...this.buildClientConfig(serviceConfig), retries: 0 })
+    const result = await this.probeService(client, serviceConfig)
+
+    return { name: serviceName, enabled: true, ...result }
+  }
+
+  // Run one authenticated request against a service
+  private async probeService(client: HttpClient, serviceConfig: ServiceConfig): Promise<Pick<ServiceStatus, 'status' | 'message'>> {
+    if (serviceConfig.name === 'qbittorrent') {
+      try {
+        const response = await client.post('/api/v2/auth/login',
+          `username=${encodeURIComponent(serviceConfig.username || '')}&password=${encodeURIComponent(serviceConfig.password || '')}`,
+          {
+            headers: {
+              'Content-Type': 'application/x-www-form-urlencoded'
+            }
+          }
+        )
+
+        return response === 'Ok.'
+          ? { status: 'healthy' }
+          : { status: 'unhealthy', message: 'Invalid credentials' }
+      } catch (error) {
+        return { status: 'unhealthy', message: error instanceof Error ? error.message : 'Unknown error' }
+      }
+    }
+
+    // Jackett only accepts the API key as a query parameter on Torznab endpoints
+    const params = serviceConfig.name === 'jackett'
+      ? { apikey: serviceConfig.apiKey, t: 'caps' }
+      : undefined
+
+    return client.healthCheck(HEALTH_ENDPOINTS[serviceConfig.name], params)
+  }
+
+  // Get a service's effective configuration, including credentials
+  getServiceConfig(serviceName: string): ServiceConfig | undefined {
+    return this.serviceConfigs.get(serviceName)
+  }
+
+  // Register a callback for service configuration changes
+  onConfigChange(listener: ServiceConfigListener): void {
+    this.configListeners.push(listener)
+  }
+
+  // Register a callback for Jellyfin library scans started from Pandora
+  onLibraryScan(listener: LibraryScanListener): void {
+    this.scanListeners.push(listener)
+  }
+
+  notifyLibraryScan(): void {
+    for (const listener of this.scanListeners) {
+      try {
+        listener()
+      } catch (error) {
+        logger.error('Library scan listener failed:', error)
+      }
+    }
   }
 
   // Clear all caches
@@ -0,0 +1,256 @@
+import cron, { ScheduledTask } from 'node-cron'
+import { join, basename } from 'path'
+import { existsSync } from 'fs'
+import { readdir, readFile, stat, unlink } from 'fs/promises'
+import { promisify } from 'util'
+import { gunzip } from 'zlib'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { NotificationService } from '@/services/notifications.js'
+import { getBackupConfig } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+import { ValidationError, NotFoundError } from '@/middleware/errorHandler.js'
+
+const gunzipAsync = promisify(gunzip)
+
+// Names written by DatabaseService.backup(); anything else in the directory is ignored
+const BACKUP_NAME_PATTERN = /^pandora-([0-9TZ-]+)-(manual|scheduled|pre-restore)\.json(\.gz)?$/
+// The ISO timestamp in those names, with ':' and '.' swapped for '-'
+const BACKUP_TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/
+
+export type BackupKind = 'manual' | 'scheduled' | 'pre-restore'
+
+export interface BackupInfo {
+  name: string
+  kind: BackupKind
+  size: number
+  compressed: boolean
+  createdAt: string
+}
+
+export class BackupService {
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private notificationService: NotificationService
+  private task: ScheduledTask | null = null
+  private isRunning = false
+
+  constructor(dbService: DatabaseService, wsService: WebSocketService) {
+    this.dbService = dbService
+    this.wsService = wsService
+    this.notificationService = new NotificationService(dbService, wsService)
+  }
+
+  // Schedule automatic snapshots
+  start(): void {
+    const { enabled, schedule } = getBackupConfig()
+
+    if (!enabled) {
+      logger.info('Scheduled backups disabled')
+      return
+    }
+
+    if (this.task) return
+
+    if (!cron.validate(schedule)) {
+      logger.error(`Invalid BACKUP_SCHEDULE "${schedule}", scheduled backups disabled`)
+      return
+    }
+
+    this.task = cron.schedule(schedule, () => {
+      this.runScheduledBackup()
+    })
+
+    logger.info(`Scheduled backups started (${schedule})`)
+  }
+
+  // Stop automatic snapshots
+  stop(): void {
+    if (this.task) {
+      this.task.stop()
+      this.task = null
+      logger.info('Scheduled backups stopped')
+    }
+  }
+
+  // Create a snapshot and prune old scheduled ones, alerting admins on failure
+  async runScheduledBackup(): Promise<void> {
+    if (this.isRunning) return
+
+    this.isRunning = true
+
+    try {
+      const backup = await this.createBackup('scheduled')
+      const removed = await this.applyRetention()
+      logger.info(`Scheduled backup ${backup.name} created, ${removed.length} old backups removed`)
+    } catch (error) {
+      logger.error('Scheduled backup failed:', error)
+
+      await this.notificationService.notifyAdmins({
+        type: 'error',
+        title: 'Backup failed',
+        message: `Scheduled database backup failed: ${error instanceof Error ? error.message : 'Unknown error'}`
+      })
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  async createBackup(kind: BackupKind = 'manual', compress?: boolean): Promise<BackupInfo> {
+    const backupPath = await this.dbService.backup({ kind, compress })
+    return this.getBackupInfo(basename(backupPath))
+  }
+
+  // List backups, newest first
+  async listBackups(): Promise<BackupInfo[]> {
+    const { path } = getBackupConfig()
+    if (!existsSync(path)) return []
+
+    const names = (await readdir(path)).filter(name => BACKUP_NAME_PATTERN.test(name))
+    const backups = await Promise.all(names.map(name => this.getBackupInfo(name)))
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  }
+
+  // Resolve a backup name to its file, rejecting anything outside the backups directory
+  async getBackupPath(name: string): Promise<string> {
+    if (!BACKUP_NAME_PATTERN.test(name)) {
+      throw new NotFoundError('Backup not found')
+    }
+
+    const backupPath = join(getBackupConfig().path, name)
+    if (!existsSync(backupPath)) {
+      throw new NotFoundError('Backup not found')
+    }
+
+    return backupPath
+  }
+
+  async deleteBackup(name: string): Promise<void> {
+    await unlink(await this.getBackupPath(name))
+    logger.info(`Backup ${name} deleted`)
+  }
+
+  // Check a stored backup without restoring it
+  async verifyBackup(name: string): Promise<Record<string, number>> {
+    const snapshot = await this.readSnapshot(await readFile(await this.getBackupPath(name)))
+    return this.verify(snapshot)
+  }
+
+  async restoreBackup(name: string, restoredBy: string): Promise<{ counts: Record<string, number>, safetyBackup: BackupInfo }> {
+    return this.restoreFromBuffer(await readFile(await this.getBackupPath(name)), name, restoredBy)
+  }
+
+  // Verify a snapshot, keep a copy of the current database, then swap it in
+  async restoreFromBuffer(data: Buffer, source: string, restoredBy: string): Promise<{ counts: Record<string, number>, safetyBackup: BackupInfo }> {
+    const snapshot = await this.readSnapshot(data)
+    this.verify(snapshot)
+
+    const safetyBackup = await this.createBackup('pre-restore')
+    const counts = await this.dbService.restoreSnapshot(snapshot)
+
+    logger.info(`Database restored from ${source} by ${restoredBy} (previous state saved as ${safetyBackup.name})`)
+
+    this.wsService.broadcastSystem('database_restored', {
+      source,
+      restoredBy,
+      safetyBackup: safetyBackup.name
+    })
+
+    await this.notificationService.notifyAdmins({
+      type: 'system',
+      title: 'Database restored',
+      message: `${restoredBy} restored the database from ${source}`,
+      data: { source, safetyBackup: safetyBackup.name }
+    })
+
+    return { counts, safetyBackup }
+  }
+
+  // Keep the newest scheduled backup of each of the last N days and M weeks
+  async applyRetention(): Promise<string[]> {
+    const { keepDaily, keepWeekly } = getBackupConfig()
+    const scheduled = (await this.listBackups()).filter(backup => backup.kind === 'scheduled')
+
+    const keep = new Set<string>()
+    const days = new Set<string>()
+    const weeks = new Set<string>()
+
+    for (const backup of scheduled) {
+      const day = backup.createdAt.substring(0, 10)
+      if (!days.has(day) && days.size < keepDaily) {
+        days.add(day)
+        keep.add(backup.name)
+      }
+
+      const week = this.getWeekStart(backup.createdAt)
+      if (!weeks.has(week) && weeks.size < keepWeekly) {
+        weeks.add(week)
+        keep.add(backup.name)
+      }
+    }
+
+    const removed: string[] = []
+    for (const backup of scheduled) {
+      if (keep.has(backup.name)) continue
+
+      await this.deleteBackup(backup.name)
+      removed.push(backup.name)
+    }
+
+    return removed
+  }
+
+  private async getBackupInfo(name: string): Promise<BackupInfo> {
+    const stats = await stat(join(getBackupConfig().path, name))
+    const match = BACKUP_NAME_PATTERN.exec(name)!
+
+    return {
+      name,
+      kind: match[2] as BackupKind,
+      size: stats.size,
+      compressed: !!match[3],
+      // Copying or restoring the directory resets mtime, so only fall back to it for names that don't parse
+      createdAt: this.parseTimestamp(match[1]) || stats.mtime.toISOString()
+    }
+  }
+
+  private parseTimestamp(timestamp: string): string | null {
+    const match = BACKUP_TIMESTAMP_PATTERN.exec(timestamp)
+    if (!match) return null
+
+    const [, day, hours, minutes, seconds, milliseconds] = match
+    const date = new Date(`${day}T${hours}:${minutes}:${seconds}.${milliseconds}Z`)
+
+    return isNaN(date.getTime()) ? null : date.toISOString()
+  }
+
+  // Accept both gzipped and plain JSON snapshots
+  private async readSnapshot(data: Buffer): Promise<string> {
+    const isGzip = data.length > 2 && data[0] === 0x1f && data[1] === 0x8b
+
+    try {
+      return (isGzip ? await gunzipAsync(data) : data).toString('utf8')
+    } catch (error) {
+      throw new ValidationError('Backup file is corrupted')
+    }
+  }
+
+  private verify(snapshot: string): Record<string, number> {
+    try {
+      return this.dbService.verifySnapshot(snapshot)
+    } catch (error) {
+      throw new ValidationError(`Backup failed verification: ${error instanceof Error ? error.message : 'Unknown error'}`)
+    }
+  }
+
+  // Monday of the (UTC) week the date falls in
+  private getWeekStart(isoDate: string): string {
+    const date = new Date(isoDate)
+    date.setUTCHours(0, 0, 0, 0)
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7))
+    return date.toISOString().substring(0, 10)
+  }
+}
+
+export default BackupService
@@ -0,0 +1,258 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { SettingsService } from '@/services/settings.js'
+import { getBandwidthConfig } from '@/config/config.js'
+import { NotFoundError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+
+export interface BandwidthProfile {
+  id: string
+  name: string
+  // KB/s; 0 means unlimited
+  downloadLimit: number
+  uploadLimit: number
+  alternative: boolean
+}
+
+export interface BandwidthRule {
+  // 0 = Sunday
+  days: number[]
+  start: string
+  end: string
+  profileId: string
+}
+
+export interface BandwidthOverride {
+  profileId: string
+  setBy: string
+  setAt: string
+  // Open-ended overrides last until cleared (or a server restart)
+  until?: string
+}
+
+export interface ActiveBandwidth {
+  profile: BandwidthProfile
+  source: 'override' | 'schedule' | 'default'
+  rule?: BandwidthRule
+  until?: string
+}
+
+export interface AppliedBandwidth extends ActiveBandwidth {
+  appliedAt: string
+  // Profile id and limits, so edits to the active profile are applied too
+  signature: string
+}
+
+export interface BandwidthStatus {
+  enabled: boolean
+  active: ActiveBandwidth | null
+  applied: AppliedBandwidth | null
+  override: BandwidthOverride | null
+  profiles: BandwidthProfile[]
+  schedule: BandwidthRule[]
+}
+
+export class BandwidthSchedulerService {
+  private apiProxy: ApiProxyService
+  private wsService: WebSocketService
+  private settingsService: SettingsService
+  private checkTimer: NodeJS.Timeout | null = null
+  private isApplying = false
+  private override: BandwidthOverride | null = null
+  private applied: AppliedBandwidth | null = null
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.wsService = wsService
+    this.settingsService = new SettingsService(dbService)
+  }
+
+  // Check the schedule periodically and apply profile changes
+  start(): void {
+    if (this.checkTimer) return
+
+    const { checkInterval } = getBandwidthConfig()
+
+    this.checkTimer = setInterval(() => {
+      this.apply()
+    }, checkInterval)
+
+    this.apply()
+    logger.info(`Bandwidth scheduler started (${checkInterval}ms interval)`)
+  }
+
+  // Stop checking
+  stop(): void {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer)
+      this.checkTimer = null
+      logger.info('Bandwidth scheduler stopped')
+    }
+  }
+
+  async getStatus(): Promise<BandwidthStatus> {
+    const settings = await this.settingsService.getGroup('bandwidth')
+
+    return {
+      enabled: settings.enabled,
+      active: this.resolve(settings, new Date()),
+      applied: this.applied,
+      override: this.currentOverride(),
+      profiles: settings.profiles,
+      schedule: settings.schedule
+    }
+  }
+
+  // Apply a profile until cleared or for a number of minutes
+  async setOverride(profileId: string, setBy: string, durationMinutes?: number): Promise<BandwidthStatus> {
+    const settings = await this.settingsService.getGroup('bandwidth')
+
+    if (!this.findProfile(settings, profileId)) {
+      throw new NotFoundError(`Bandwidth profile "${profileId}" not found`)
+    }
+
+    const now = new Date()
+    this.override = {
+      profileId,
+      setBy,
+      setAt: now.toISOString(),
+      until: durationMinutes ? new Date(now.getTime() + durationMinutes * 60000).toISOString() : undefined
+    }
+
+    logger.info(`Bandwidth override "${profileId}" set by ${setBy}${this.override.until ? ` until ${this.override.until}` : ''}`)
+    await this.apply(true)
+
+    return this.getStatus()
+  }
+
+  // Hand control back to the schedule
+  async clearOverride(clearedBy: string): Promise<BandwidthStatus> {
+    if (this.override) {
+      logger.info(`Bandwidth override "${this.override.profileId}" cleared by ${clearedBy}`)
+      this.override = null
+      await this.apply(true)
+    }
+
+    return this.getStatus()
+  }
+
+  // Push the active profile to qBittorrent if it differs from what was last applied
+  async apply(force = false): Promise<void> {
+    if (this.isApplying || !this.apiProxy.isServiceAvailable('qbittorrent')) return
+
+    this.isApplying = true
+
+    try {
+      const settings = await this.settingsService.getGroup('bandwidth')
+      let active = this.resolve(settings, new Date())
+
+      // With the schedule off, restore the default profile once an override ends instead of keeping its limits
+      if (!active && this.applied?.source === 'override') {
+        active = this.defaultBandwidth(settings)
+      }
+
+      if (!active) return
+
+      const signature = this.signature(active.profile)
+      if (!force && this.applied?.signature === signature) return
+
+      const { profile } = active
+
+      await this.apiProxy.setQBittorrentAlternativeSpeed(profile.alternative)
+      if (!profile.alternative) {
+        await this.apiProxy.setQBittorrentSpeedLimits(profile.downloadLimit * 1024, profile.uploadLimit * 1024)
+      }
+
+      const previous = this.applied
+      this.applied = { ...active, appliedAt: new Date().toISOString(), signature }
+
+      logger.info(`Bandwidth profile "${profile.name}" applied (${active.source}): ${this.describeLimits(profile)}`)
+
+      this.wsService.broadcastSystem('bandwidth_changed', {
+        profile,
+        source: active.source,
+        until: active.until,
+        previousProfileId: previous?.profile.id,
+        override: this.override
+      })
+    } catch (error) {
+      logger.error('Failed to apply bandwidth profile:', error)
+    } finally {
+      this.isApplying = false
+    }
+  }
+
+  // Override first, then the first matching schedule rule, then the default profile; null when the schedule is off
+  resolve(settings: Record<string, any>, now: Date): ActiveBandwidth | null {
+    const override = this.currentOverride(now)
+    const overrideProfile = override && this.findProfile(settings, override.profileId)
+
+    if (overrideProfile) {
+      return { profile: overrideProfile, source: 'override', until: override.until }
+    }
+
+    if (!settings.enabled) return null
+
+    for (const rule of settings.schedule as BandwidthRule[]) {
+      const profile = this.findProfile(settings, rule.profileId)
+      if (profile && this.ruleMatches(rule, now)) {
+        return { profile, source: 'schedule', rule }
+      }
+    }
+
+    return this.defaultBandwidth(settings)
+  }
+
+  // Private helper methods
+  private currentOverride(now = new Date()): BandwidthOverride | null {
+    if (this.override?.until && new Date(this.override.until) <= now) {
+      logger.info(`Bandwidth override "${this.override.profileId}" expired`)
+      this.override = null
+    }
+
+    return this.override
+  }
+
+  private defaultBandwidth(settings: Record<string, any>): ActiveBandwidth | null {
+    const profile = this.findProfile(settings, settings.defaultProfile) || settings.profiles[0]
+    return profile ? { profile, source: 'default' } : null
+  }
+
+  private findProfile(settings: Record<string, any>, id: string): BandwidthProfile | undefined {
+    return (settings.profiles as BandwidthProfile[]).find(profile => profile.id === id)
+  }
+
+  private ruleMatches(rule: BandwidthRule, now: Date): boolean {
+    const minutes = now.getHours() * 60 + now.getMinutes()
+    const start = this.toMinutes(rule.start)
+    const end = this.toMinutes(rule.end)
+    const today = now.getDay()
+
+    if (start < end) {
+      return rule.days.includes(today) && minutes >= start && minutes < end
+    }
+
+    // Runs past midnight: the start day's evening or the following morning
+    const yesterday = (today + 6) % 7
+    return (rule.days.includes(today) && minutes >= start) || (rule.days.includes(yesterday) && minutes < end)
+  }
+
+  private toMinutes(time: string): number {
+    const [hours, minutes] = time.split(':').map(Number)
+    return hours * 60 + minutes
+  }
+
+  private signature(profile: BandwidthProfile): string {
+    return `${profile.id}:${profile.downloadLimit}:${profile.uploadLimit}:${profile.alternative}`
+  }
+
+  private describeLimits(profile: BandwidthProfile): string {
+    if (profile.alternative) return 'alternative speed limits'
+
+    const limit = (value: number) => value > 0 ? `${value} KB/s` : 'unlimited'
+    return `${limit(profile.downloadLimit)} down, ${limit(profile.uploadLimit)} up`
+  }
+}
+
+export default BandwidthSchedulerService
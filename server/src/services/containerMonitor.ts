@@ -0,0 +1,148 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { NotificationService } from '@/services/notifications.js'
+import { getContainersConfig } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+import { ContainerLog, COLLECTIONS } from '@/types/database.js'
+
+// User actions that legitimately stop a container
+const MANUAL_STOP_ACTIONS = ['stop', 'kill', 'remove', 'restart', 'update']
+const MANUAL_STOP_WINDOW = 5 * 60 * 1000 // 5 minutes
+
+export class ContainerMonitorService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private notificationService: NotificationService
+  private pollTimer: NodeJS.Timeout | null = null
+  private isPolling = false
+  private endpointId: number = 1 // Default local endpoint
+  // Last seen state per container id
+  private states: Map<string, string> = new Map()
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.wsService = wsService
+    this.notificationService = new NotificationService(dbService, wsService)
+  }
+
+  // Start watching container states in the background
+  start(): void {
+    const { monitorEnabled, pollInterval } = getContainersConfig()
+
+    if (!monitorEnabled) {
+      logger.info('Container monitor disabled')
+      return
+    }
+
+    if (this.pollTimer) return
+
+    this.pollTimer = setInterval(() => {
+      this.poll()
+    }, pollInterval)
+
+    this.poll()
+    logger.info(`Container monitor started (${pollInterval}ms interval)`)
+  }
+
+  // Stop watching
+  stop(): void {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = null
+      logger.info('Container monitor stopped')
+    }
+  }
+
+  // Compare current container states with the previous poll
+  async poll(): Promise<void> {
+    if (this.isPolling || !this.apiProxy.isServiceAvailable('portainer')) return
+
+    this.isPolling = true
+
+    try {
+      const portainerClient = this.apiProxy.getService('portainer')
+      const containers = await portainerClient.get(`/api/endpoints/${this.endpointId}/docker/containers/json`, {
+        all: true
+      }, { cache: false })
+
+      const seen = new Set<string>()
+
+      for (const container of containers || []) {
+        seen.add(container.Id)
+        const previousState = this.states.get(container.Id)
+        this.states.set(container.Id, container.State)
+
+        if (previousState === 'running' && this.isCrashState(container)) {
+          await this.handleCrash(container)
+        }
+      }
+
+      // Forget containers that no longer exist
+      for (const id of this.states.keys()) {
+        if (!seen.has(id)) this.states.delete(id)
+      }
+    } catch (error) {
+      logger.warn('Container monitor poll failed:', error instanceof Error ? error.message : error)
+    } finally {
+      this.isPolling = false
+    }
+  }
+
+  // A container crashed if it died or exited with a non-zero code
+  private isCrashState(container: any): boolean {
+    if (container.State === 'dead') return true
+    if (container.State !== 'exited') return false
+
+    const exitCode = this.getExitCode(container.Status)
+    return exitCode !== null && exitCode !== 0
+  }
+
+  private getExitCode(status: string): number | null {
+    const match = /Exited \((-?\d+)\)/.exec(status || '')
+    return match ? parseInt(match[1]) : null
+  }
+
+  private async handleCrash(container: any): Promise<void> {
+    const name = container.Names?.[0]?.replace('/', '') || container.Id.substring(0, 12)
+
+    if (await this.wasStoppedManually(container.Id)) {
+      return
+    }
+
+    logger.warn(`Container crashed: ${name} (${container.Status})`)
+
+    this.wsService.broadcastSystem('container_crashed', {
+      id: container.Id,
+      name,
+      state: container.State,
+      status: container.Status
+    })
+
+    await this.notificationService.notifyAdmins({
+      type: 'error',
+      title: 'Container crashed',
+      message: `${name} stopped unexpectedly: ${container.Status}`,
+      data: {
+        containerId: container.Id,
+        containerName: name,
+        exitCode: this.getExitCode(container.Status)
+      }
+    })
+  }
+
+  private async wasStoppedManually(containerId: string): Promise<boolean> {
+    const since = new Date(Date.now() - MANUAL_STOP_WINDOW).toISOString()
+    const logs = await this.dbService.find<ContainerLog>(COLLECTIONS.CONTAINER_LOGS, {
+      containerId,
+      action: { $in: MANUAL_STOP_ACTIONS },
+      createdAt: { $gte: since }
+    }, { limit: 1 })
+
+    return logs.length > 0
+  }
+}
+
+export default ContainerMonitorService
@@ -1,21 +1,28 @@
 import Loki from 'lokijs'
 import { join } from 'path'
 import { existsSync, mkdirSync } from 'fs'
+import { writeFile } from 'fs/promises'
+import { promisify } from 'util'
+import { gzip } from 'zlib'
 import { createHash, randomUUID } from 'crypto'
-import { config } from '@/config/config.js'
+import { config, getBackupConfig } from '@/config/config.js'
 import { logger, logHelpers } from '@/utils/logger.js'
+import { EncryptionService, createEncryptionService } from '@/services/encryption.js'
 import {
   User, Session, Setting, Download, MediaCache, FileOperation,
   ContainerLog, ApiLog, Notification, TorrentSearch, JellyfinScan,
   COLLECTIONS, COLLECTION_INDEXES,
   QueryOptions, UserQuery, DownloadQuery, NotificationQuery, MediaCacheQuery,
-  UserCreateData, UserUpdateData, DownloadCreateData, SettingData
+  UserCreateData, UserUpdateData, DownloadCreateData, NotificationCreateData, SettingData
 } from '@/types/database.js'
 
+const gzipAsync = promisify(gzip)
+
 export class DatabaseService {
   private db: Loki | null = null
   private isInitialized = false
   private collections: Map<string, Collection<any>> = new Map()
+  private encryption: EncryptionService | null = null
 
   constructor() {
     // Ensure data directory exists
@@ -118,8 +125,8 @@ export class DatabaseService {
       const settingsCollection = this.getCollection<Setting>(COLLECTIONS.SETTINGS)
       const defaultSettings = [
         {
-          key: 'app.theme',
-          value: 'dark',
+          key: 'theme.themeId',
+          value: 'netflix',
           category: 'theme' as const,
           encrypted: false,
           description: 'Application theme'
@@ -141,11 +148,12 @@ export class DatabaseService {
       ]
 
       for (const setting of defaultSettings) {
-        const existing = settingsCollection.findOne({ key: setting.key, userId: { $eq: null } })
+        const existing = settingsCollection.findOne({ key: setting.key, userId: { $aeq: null } })
         if (!existing) {
           const settingData: Setting = {
             id: randomUUID(),
             ...setting,
+            userId: null,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
           }
@@ -286,6 +294,32 @@ export class DatabaseService {
     }
   }
 
+  // Remove every record matching a LokiJS query and return how many went
+  async deleteMany(collectionName: string, query: any): Promise<number> {
+    const start = Date.now()
+
+    try {
+      const collection = this.getCollection(collectionName)
+      const records = collection.find(query)
+
+      if (records.length > 0) {
+        collection.remove(records)
+      }
+
+      logHelpers.logDatabase('deleteMany', collectionName, Date.now() - start, records.length)
+      return records.length
+    } catch (error) {
+      logger.error(`Error deleting records in ${collectionName}:`, error)
+      throw error
+    }
+  }
+
+  async count(collectionName: string, query: any = {}): Promise<number> {
+    const collection = this.getCollection(collectionName)
+    // LokiJS counts nothing for an empty query object
+    return Object.keys(query).length > 0 ? collection.count(query) : collection.count()
+  }
+
   // User-specific methods
   async createUser(userData: UserCreateData): Promise<User> {
     const bcrypt = await import('bcryptjs')
@@ -361,29 +395,99 @@ export class DatabaseService {
   // Settings methods
   async getSetting(key: string, userId?: string): Promise<Setting | null> {
     const collection = this.getCollection<Setting>(COLLECTIONS.SETTINGS)
-    return collection.findOne({ key, userId: userId || null })
+    const setting = collection.findOne({ key, userId: this.settingScope(userId) })
+    return setting ? this.readSetting(setting) : null
+  }
+
+  async findSettings(category: Setting['category'], userId?: string): Promise<Setting[]> {
+    const collection = this.getCollection<Setting>(COLLECTIONS.SETTINGS)
+    return collection.find({ category, userId: this.settingScope(userId) })
+      .map(setting => this.readSetting(setting))
+      .filter((setting): setting is Setting => setting !== null)
+  }
+
+  async deleteSetting(key: string, userId?: string): Promise<boolean> {
+    const collection = this.getCollection<Setting>(COLLECTIONS.SETTINGS)
+    const existing = collection.findOne({ key, userId: this.settingScope(userId) })
+    if (!existing) return false
+
+    collection.remove(existing)
+    return true
   }
 
   async setSetting(data: SettingData, userId?: string): Promise<Setting> {
     const collection = this.getCollection<Setting>(COLLECTIONS.SETTINGS)
-    const existing = collection.findOne({ key: data.key, userId: userId || null })
+    const existing = collection.findOne({ key: data.key, userId: this.settingScope(userId) })
+    // Once a setting is encrypted it stays encrypted
+    const encrypted = data.encrypted ?? existing?.encrypted ?? false
+    const value = encrypted ? this.getEncryption().encrypt(data.value) : data.value
     
+    let setting: Setting
     if (existing) {
-      return this.update<Setting>(COLLECTIONS.SETTINGS, existing.id, {
-        value: data.value,
-        encrypted: data.encrypted || false,
+      setting = (await this.update<Setting>(COLLECTIONS.SETTINGS, existing.id, {
+        value,
+        encrypted,
         description: data.description
-      })!
+      }))!
     } else {
-      return this.create<Setting>(COLLECTIONS.SETTINGS, {
+      setting = await this.create<Setting>(COLLECTIONS.SETTINGS, {
         key: data.key,
-        value: data.value,
+        value,
         category: data.category,
-        encrypted: data.encrypted || false,
-        userId: userId || undefined,
+        encrypted,
+        userId: userId || null,
         description: data.description
       })
     }
+
+    return { ...setting, value: data.value }
+  }
+
+  // Re-encrypt every encrypted setting with a new key and switch to it
+  async rotateEncryptionKey(next: EncryptionService): Promise<number> {
+    const current = this.getEncryption()
+    const collection = this.getCollection<Setting>(COLLECTIONS.SETTINGS)
+    const encrypted = collection.find({ encrypted: true })
+
+    // Decrypt everything first so a wrong current key leaves the database untouched
+    const decrypted = encrypted
+      .filter(setting => !next.isOwnPayload(setting.value))
+      .map(setting => ({ setting, value: current.decrypt(setting.value) }))
+
+    for (const { setting, value } of decrypted) {
+      setting.value = next.encrypt(value)
+      setting.updatedAt = new Date().toISOString()
+      collection.update(setting)
+    }
+
+    this.encryption = next
+    logger.info(`Re-encrypted ${decrypted.length} settings with key ${next.keyId}`)
+
+    return decrypted.length
+  }
+
+  private getEncryption(): EncryptionService {
+    if (!this.encryption) {
+      this.encryption = createEncryptionService()
+    }
+    return this.encryption
+  }
+
+  // Return a decrypted copy so stored documents keep their ciphertext
+  private readSetting(setting: Setting): Setting | null {
+    if (!setting.encrypted) return setting
+
+    try {
+      return { ...setting, value: this.getEncryption().decrypt(setting.value) }
+    } catch (error) {
+      logger.error(`Failed to decrypt setting ${setting.key}:`, error instanceof Error ? error.message : error)
+      return null
+    }
+  }
+
+  // Global settings are stored without a userId (null or missing on older records)
+  private settingScope(userId?: string): any {
+    return userId ? userId : { $aeq: null }
   }
 
   // Download methods
@@ -411,12 +515,86 @@ export class DatabaseService {
   }
 
   async findDownloadsByUser(userId: string, query: DownloadQuery = {}): Promise<Download[]> {
-    const filter: any = { userId }
-    
-    if (query.status) filter.status = query.status
-    if (query.category) filter.category = query.category
-    
-    return this.find<Download>(COLLECTIONS.DOWNLOADS, filter, query)
+    return this.findDownloads({ ...query, userId })
+  }
+
+  // Downloads of every user unless query.userId is set
+  async findDownloads(query: DownloadQuery = {}): Promise<Download[]> {
+    return this.find<Download>(COLLECTIONS.DOWNLOADS, this.buildDownloadFilter(query), query)
+  }
+
+  async countDownloads(query: DownloadQuery = {}): Promise<number> {
+    const collection = this.getCollection<Download>(COLLECTIONS.DOWNLOADS)
+    return collection.count(this.buildDownloadFilter(query))
+  }
+
+  private buildDownloadFilter(query: DownloadQuery): any {
+    const conditions: any[] = []
+
+    if (query.userId) conditions.push({ userId: query.userId })
+    if (query.status) conditions.push({ status: query.status })
+    if (query.category) conditions.push({ category: query.category })
+    if (query.dateFrom) conditions.push({ addedAt: { $gte: query.dateFrom } })
+    if (query.dateTo) conditions.push({ addedAt: { $lte: query.dateTo } })
+    if (query.removed === 'only') conditions.push({ removedAt: { $exists: true } })
+    else if (query.removed !== 'include') conditions.push({ removedAt: { $exists: false } })
+
+    return conditions.length > 1 ? { $and: conditions } : conditions[0] || {}
+  }
+
+  // Notification methods
+  async createNotification(userId: string, data: NotificationCreateData): Promise<Notification> {
+    const expiresAt = data.expiresAt ||
+      new Date(Date.now() + config.notifications.ttl * 1000).toISOString()
+
+    return this.create<Notification>(COLLECTIONS.NOTIFICATIONS, {
+      userId,
+      type: data.type,
+      title: data.title,
+      message: data.message,
+      data: data.data,
+      read: false,
+      expiresAt
+    })
+  }
+
+  async findNotifications(query: NotificationQuery): Promise<Notification[]> {
+    return this.find<Notification>(COLLECTIONS.NOTIFICATIONS, this.buildNotificationFilter(query), {
+      sort: 'createdAt',
+      order: 'desc',
+      ...query
+    })
+  }
+
+  async countNotifications(query: NotificationQuery): Promise<number> {
+    const collection = this.getCollection<Notification>(COLLECTIONS.NOTIFICATIONS)
+    return collection.count(this.buildNotificationFilter(query))
+  }
+
+  async markAllNotificationsRead(userId: string): Promise<number> {
+    const collection = this.getCollection<Notification>(COLLECTIONS.NOTIFICATIONS)
+    const unread = collection.find(this.buildNotificationFilter({ userId, read: false }))
+    const readAt = new Date().toISOString()
+
+    unread.forEach(notification => {
+      notification.read = true
+      notification.readAt = readAt
+      collection.update(notification)
+    })
+
+    return unread.length
+  }
+
+  private buildNotificationFilter(query: NotificationQuery): any {
+    const filter: any = {
+      userId: query.userId,
+      expiresAt: { $gt: new Date().toISOString() }
+    }
+
+    if (query.read !== undefined) filter.read = query.read
+    if (query.type) filter.type = query.type
+
+    return filter
   }
 
   // Cache methods
@@ -478,27 +656,103 @@ export class DatabaseService {
       const apiLogsCollection = this.getCollection<ApiLog>(COLLECTIONS.API_LOGS)
       const oldApiLogs = apiLogsCollection.find({ createdAt: { $lt: thirtyDaysAgo } })
       oldApiLogs.forEach(log => apiLogsCollection.remove(log))
+
+      // Cleanup expired notifications
+      const notificationsCollection = this.getCollection<Notification>(COLLECTIONS.NOTIFICATIONS)
+      const expiredNotifications = notificationsCollection.find({ expiresAt: { $lt: now } })
+      expiredNotifications.forEach(notification => notificationsCollection.remove(notification))
       
-      logger.info(`Cleanup completed: ${expiredSessions.length} sessions, ${expiredCache.length} cache entries, ${oldApiLogs.length} old logs removed`)
+      logger.info(`Cleanup completed: ${expiredSessions.length} sessions, ${expiredCache.length} cache entries, ${oldApiLogs.length} old logs, ${expiredNotifications.length} notifications removed`)
     } catch (error) {
       logger.error('Cleanup error:', error)
     }
   }
 
-  // Backup database
-  async backup(): Promise<string> {
+  // Write a consistent snapshot of the in-memory database to the backups directory
+  async backup(options: { compress?: boolean, kind?: string } = {}): Promise<string> {
     if (!this.db) throw new Error('Database not initialized')
     
+    const backupConfig = getBackupConfig()
+    const compress = options.compress ?? backupConfig.compress
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
-    const backupPath = join(process.cwd(), 'data', `backup-${timestamp}.db`)
+    const backupPath = join(backupConfig.path, `pandora-${timestamp}-${options.kind || 'manual'}.json${compress ? '.gz' : ''}`)
     
+    if (!existsSync(backupConfig.path)) {
+      mkdirSync(backupConfig.path, { recursive: true })
+    }
+
+    const snapshot = Buffer.from(this.db.serialize(), 'utf8')
+    await writeFile(backupPath, compress ? await gzipAsync(snapshot) : snapshot)
+
+    logger.info(`Database backup written to ${backupPath}`)
+    return backupPath
+  }
+
+  // Check that a serialized snapshot loads and contains usable data, returning document counts
+  verifySnapshot(serialized: string): Record<string, number> {
+    const snapshotDb = new Loki('verify.db')
+
+    try {
+      snapshotDb.loadJSON(serialized)
+    } catch (error) {
+      throw new Error('Snapshot is not a valid database')
+    }
+
+    if (!snapshotDb.getCollection(COLLECTIONS.USERS)) {
+      throw new Error(`Snapshot is missing the ${COLLECTIONS.USERS} collection`)
+    }
+
+    const counts: Record<string, number> = {}
+    for (const collectionName of Object.values(COLLECTIONS)) {
+      // Snapshots from older versions lack newer collections; restoring creates them empty
+      const collection = snapshotDb.getCollection(collectionName)
+      if (!collection) {
+        counts[collectionName] = 0
+        continue
+      }
+
+      const documents = collection.find()
+      if (documents.some(document => !document.id)) {
+        throw new Error(`Snapshot contains ${collectionName} documents without an id`)
+      }
+      counts[collectionName] = documents.length
+    }
+
+    // Restoring a database without an admin would lock everyone out
+    const admins = snapshotDb.getCollection<User>(COLLECTIONS.USERS).find({ role: 'admin', isActive: true })
+    if (admins.length === 0) {
+      throw new Error('Snapshot does not contain an active admin user')
+    }
+
+    return counts
+  }
+
+  // Replace the live database with a verified snapshot
+  async restoreSnapshot(serialized: string): Promise<Record<string, number>> {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const counts = this.verifySnapshot(serialized)
+
+    this.db.loadJSON(serialized)
+    this.collections.clear()
+    this.setupCollections()
+    this.createIndexes()
+    await this.save()
+
+    logger.info('Database restored from snapshot')
+    return counts
+  }
+
+  // Flush pending changes to disk
+  async save(): Promise<void> {
+    if (!this.db) throw new Error('Database not initialized')
+
     return new Promise((resolve, reject) => {
       this.db!.saveDatabase((error) => {
         if (error) {
           reject(error)
         } else {
-          // Copy current database to backup location
-          resolve(backupPath)
+          resolve()
         }
       })
     })
@@ -0,0 +1,277 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { HttpClient } from '@/services/httpClient.js'
+import { NotificationService } from '@/services/notifications.js'
+import { getDownloadsConfig } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+import { Download, COLLECTIONS } from '@/types/database.js'
+
+type DownloadStatus = Download['status']
+
+export class DownloadMonitorService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private notificationService: NotificationService
+  private pollTimer: NodeJS.Timeout | null = null
+  private isPolling = false
+  // Client the sync state belongs to; a new client (changed credentials) starts over
+  private syncedClient: HttpClient | null = null
+  // qBittorrent sync state: last response id and the merged torrent map
+  private rid = 0
+  private torrents: Map<string, any> = new Map()
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.wsService = wsService
+    this.notificationService = new NotificationService(dbService, wsService)
+  }
+
+  // Start polling qBittorrent in the background
+  start(): void {
+    const { monitorEnabled, pollInterval } = getDownloadsConfig()
+
+    if (!monitorEnabled) {
+      logger.info('Download monitor disabled')
+      return
+    }
+
+    if (this.pollTimer) return
+
+    this.pollTimer = setInterval(() => {
+      this.poll()
+    }, pollInterval)
+
+    this.poll()
+    logger.info(`Download monitor started (${pollInterval}ms interval)`)
+  }
+
+  // Stop polling
+  stop(): void {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = null
+      logger.info('Download monitor stopped')
+    }
+  }
+
+  // Run a single sync cycle, skipping if the previous one is still running
+  async poll(): Promise<void> {
+    if (this.isPolling || !this.apiProxy.isServiceAvailable('qbittorrent')) return
+
+    this.isPolling = true
+
+    try {
+      const mainData = await this.apiProxy.withQBittorrentSession(qbClient => {
+        if (qbClient !== this.syncedClient) {
+          this.syncedClient = qbClient
+          this.rid = 0
+        }
+
+        return qbClient.get('/api/v2/sync/maindata', { rid: this.rid }, { cache: false })
+      })
+
+      const { changedHashes, removedHashes } = this.applyMainData(mainData)
+
+      for (const hash of changedHashes) {
+        await this.syncDownloads(hash, this.torrents.get(hash))
+      }
+
+      for (const hash of removedHashes) {
+        await this.archiveDownloads(hash)
+      }
+    } catch (error) {
+      logger.warn('Download monitor poll failed:', error instanceof Error ? error.message : error)
+
+      // Force a full update on the next cycle
+      this.syncedClient = null
+      this.rid = 0
+    } finally {
+      this.isPolling = false
+    }
+  }
+
+  // Merge a maindata delta into the torrent map, returning the hashes that changed or went away
+  private applyMainData(mainData: any): { changedHashes: string[], removedHashes: string[] } {
+    if (!mainData) return { changedHashes: [], removedHashes: [] }
+
+    const removedHashes: string[] = []
+
+    if (mainData.full_update) {
+      // Torrents missing from a full update were removed while we weren't looking
+      const current = new Set(Object.keys(mainData.torrents || {}).map(hash => hash.toLowerCase()))
+      removedHashes.push(...[...this.torrents.keys()].filter(hash => !current.has(hash)))
+      this.torrents.clear()
+    }
+
+    for (const hash of mainData.torrents_removed || []) {
+      this.torrents.delete(hash.toLowerCase())
+      removedHashes.push(hash.toLowerCase())
+    }
+
+    const changedHashes: string[] = []
+    for (const [hash, delta] of Object.entries<any>(mainData.torrents || {})) {
+      const key = hash.toLowerCase()
+      this.torrents.set(key, { ...this.torrents.get(key), ...delta, hash: key })
+      changedHashes.push(key)
+    }
+
+    this.rid = mainData.rid ?? 0
+    return { changedHashes, removedHashes }
+  }
+
+  // Update every download record tracking this torrent and notify its owner
+  private async syncDownloads(hash: string, torrent: any): Promise<void> {
+    if (!torrent) return
+
+    const downloads = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      infoHash: hash,
+      removedAt: { $exists: false }
+    })
+
+    for (const download of downloads) {
+      try {
+        const status = this.mapQBStateToStatus(torrent.state)
+        const progress = Math.round((torrent.progress || 0) * 100)
+        const speed = this.formatBytes(torrent.dlspeed || 0) + '/s'
+
+        const isNewlyCompleted = progress >= 100 && !download.completedAt
+        const hasChanged = isNewlyCompleted ||
+          status !== download.status ||
+          progress !== download.progress ||
+          speed !== download.speed
+
+        if (!hasChanged) {
+          // Seeding torrents keep uploading; record it for the statistics without notifying anyone
+          if ((torrent.uploaded || 0) !== (download.uploadedBytes || 0)) {
+            await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, {
+              uploadedBytes: torrent.uploaded || 0,
+              ratio: Math.round((torrent.ratio || 0) * 100) / 100
+            })
+          }
+          continue
+        }
+
+        const updates: Partial<Download> = {
+          status,
+          progress,
+          speed,
+          eta: this.formatETA(torrent.eta ?? -1),
+          size: this.formatBytes(torrent.size || 0),
+          downloaded: this.formatBytes(torrent.downloaded || 0),
+          sizeBytes: torrent.size || 0,
+          downloadedBytes: torrent.downloaded || 0,
+          uploadedBytes: torrent.uploaded || 0,
+          seeders: torrent.num_seeds || 0,
+          leechers: torrent.num_leechs || 0,
+          ratio: Math.round((torrent.ratio || 0) * 100) / 100
+        }
+
+        if (isNewlyCompleted) {
+          updates.completedAt = torrent.completion_on > 0
+            ? new Date(torrent.completion_on * 1000).toISOString()
+            : new Date().toISOString()
+        }
+
+        const updated = await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, updates)
+
+        this.wsService.broadcastDownloadUpdate(download.userId, {
+          type: 'download_status_update',
+          hash,
+          status,
+          progress,
+          speed,
+          eta: updates.eta
+        })
+
+        if (isNewlyCompleted) {
+          this.wsService.broadcastDownloadUpdate(download.userId, {
+            type: 'download_completed',
+            hash,
+            download: updated
+          })
+          logger.info(`Download completed: ${download.name} (${hash})`)
+
+          await this.notificationService.notify(download.userId, {
+            type: 'download',
+            title: 'Download completed',
+            message: `${download.name} has finished downloading`,
+            data: { downloadId: download.id, hash, category: download.category, tmdbId: download.tmdbId }
+          })
+        }
+      } catch (error) {
+        logger.error(`Error syncing download ${download.id}:`, error)
+      }
+    }
+  }
+
+  // Keep the records of a torrent qBittorrent no longer has as download history
+  private async archiveDownloads(hash: string): Promise<void> {
+    const downloads = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      infoHash: hash,
+      removedAt: { $exists: false }
+    })
+
+    for (const download of downloads) {
+      try {
+        await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, { removedAt: new Date().toISOString() })
+        logger.info(`Download archived: ${download.name} (${hash})`)
+      } catch (error) {
+        logger.error(`Error archiving download ${download.id}:`, error)
+      }
+    }
+  }
+
+  // Map qBittorrent state to our status
+  private mapQBStateToStatus(state: string): DownloadStatus {
+    switch (state) {
+      case 'downloading':
+      case 'forcedDL':
+      case 'stalledDL':
+      case 'metaDL':
+        return 'downloading'
+      case 'uploading':
+      case 'forcedUP':
+      case 'stalledUP':
+        return 'completed'
+      case 'pausedDL':
+      case 'pausedUP':
+        return 'paused'
+      case 'error':
+      case 'missingFiles':
+        return 'error'
+      default:
+        return 'queued'
+    }
+  }
+
+  // Helper functions
+  private formatBytes(bytes: number): string {
+    if (bytes === 0) return '0 B'
+    const k = 1024
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+  }
+
+  private formatETA(seconds: number): string {
+    if (seconds === 8640000 || seconds < 0) return '∞'
+    if (seconds === 0) return '0s'
+
+    const hours = Math.floor(seconds / 3600)
+    const minutes = Math.floor((seconds % 3600) / 60)
+    const secs = seconds % 60
+
+    if (hours > 0) {
+      return `${hours}h ${minutes}m`
+    } else if (minutes > 0) {
+      return `${minutes}m ${secs}s`
+    } else {
+      return `${secs}s`
+    }
+  }
+}
+
+export default DownloadMonitorService
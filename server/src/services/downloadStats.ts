@@ -0,0 +1,157 @@
+import { DatabaseService } from '@/services/database.js'
+import { Download, DownloadQuery, User, COLLECTIONS } from '@/types/database.js'
+
+export interface TransferTotals {
+  count: number
+  downloaded: number
+  uploaded: number
+}
+
+export interface DownloadStats {
+  totals: TransferTotals & { completed: number, failed: number, removed: number }
+  byUser: Array<TransferTotals & { userId: string, username?: string }>
+  byCategory: Array<TransferTotals & { category: Download['category'] }>
+  // Months (YYYY-MM) the downloads were added in, oldest first
+  byMonth: Array<TransferTotals & { month: string }>
+  // Seconds from adding to completion, null without completed downloads
+  avgCompletionTime: number | null
+  // Failed share of the downloads that finished one way or the other
+  failureRate: number
+}
+
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB']
+
+// Bytes of a size formatted by formatBytes ("1.5 GB"), for records that predate the byte counters
+export function parseByteSize(size?: string): number {
+  const match = size?.trim().match(/^([\d.]+)\s*([KMGT]?B)$/i)
+  if (!match) return 0
+
+  const unit = UNITS.indexOf(match[2].toUpperCase())
+  return Math.round(parseFloat(match[1]) * Math.pow(1024, unit))
+}
+
+export function summarizeDownloads(downloads: Download[]): DownloadStats {
+  const totals = { count: 0, downloaded: 0, uploaded: 0, completed: 0, failed: 0, removed: 0 }
+  const byUser = new Map<string, TransferTotals & { userId: string }>()
+  const byCategory = new Map<string, TransferTotals & { category: Download['category'] }>()
+  const byMonth = new Map<string, TransferTotals & { month: string }>()
+  let completionTime = 0
+
+  const add = (entry: TransferTotals, downloaded: number, uploaded: number) => {
+    entry.count++
+    entry.downloaded += downloaded
+    entry.uploaded += uploaded
+  }
+
+  for (const download of downloads) {
+    const downloaded = download.downloadedBytes ?? parseByteSize(download.downloaded)
+    const uploaded = download.uploadedBytes || 0
+    const month = download.addedAt.substring(0, 7)
+
+    add(totals, downloaded, uploaded)
+
+    if (!byUser.has(download.userId)) byUser.set(download.userId, { userId: download.userId, count: 0, downloaded: 0, uploaded: 0 })
+    add(byUser.get(download.userId)!, downloaded, uploaded)
+
+    if (!byCategory.has(download.category)) byCategory.set(download.category, { category: download.category, count: 0, downloaded: 0, uploaded: 0 })
+    add(byCategory.get(download.category)!, downloaded, uploaded)
+
+    if (!byMonth.has(month)) byMonth.set(month, { month, count: 0, downloaded: 0, uploaded: 0 })
+    add(byMonth.get(month)!, downloaded, uploaded)
+
+    if (download.removedAt) totals.removed++
+
+    if (download.completedAt) {
+      totals.completed++
+      completionTime += Math.max(0, Date.parse(download.completedAt) - Date.parse(download.addedAt))
+    } else if (download.status === 'error') {
+      totals.failed++
+    }
+  }
+
+  const finished = totals.completed + totals.failed
+
+  return {
+    totals,
+    byUser: [...byUser.values()].sort((a, b) => b.downloaded - a.downloaded),
+    byCategory: [...byCategory.values()].sort((a, b) => b.downloaded - a.downloaded),
+    byMonth: [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month)),
+    avgCompletionTime: totals.completed > 0 ? Math.round(completionTime / totals.completed / 1000) : null,
+    failureRate: finished > 0 ? Math.round(totals.failed / finished * 1000) / 1000 : 0
+  }
+}
+
+const CSV_COLUMNS: Array<[string, (download: Download, username?: string) => unknown]> = [
+  ['id', download => download.id],
+  ['user', (download, username) => username || download.userId],
+  ['name', download => download.name],
+  ['category', download => download.category],
+  ['status', download => download.status],
+  ['infoHash', download => download.infoHash],
+  ['tmdbId', download => download.tmdbId],
+  ['sizeBytes', download => download.sizeBytes ?? parseByteSize(download.size)],
+  ['downloadedBytes', download => download.downloadedBytes ?? parseByteSize(download.downloaded)],
+  ['uploadedBytes', download => download.uploadedBytes || 0],
+  ['ratio', download => download.ratio],
+  ['addedAt', download => download.addedAt],
+  ['completedAt', download => download.completedAt],
+  ['removedAt', download => download.removedAt],
+  ['errorMessage', download => download.errorMessage]
+]
+
+function csvField(value: unknown): string {
+  if (value === undefined || value === null) return ''
+
+  const text = String(value)
+
+  // Torrent names come from indexers; spreadsheets would run one starting like a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export class DownloadStatsService {
+  private dbService: DatabaseService
+
+  constructor(dbService: DatabaseService) {
+    this.dbService = dbService
+  }
+
+  // Statistics over every download record, archived ones included
+  async getStats(query: DownloadQuery = {}): Promise<DownloadStats> {
+    const stats = summarizeDownloads(await this.dbService.findDownloads({ ...query, removed: 'include' }))
+    const usernames = await this.getUsernames()
+
+    stats.byUser = stats.byUser.map(entry => ({ ...entry, username: usernames.get(entry.userId) }))
+    return stats
+  }
+
+  // Newest first, with the total for paging
+  async getHistory(query: DownloadQuery): Promise<{ downloads: Download[], total: number }> {
+    const [downloads, total] = await Promise.all([
+      this.dbService.findDownloads({ sort: 'addedAt', order: 'desc', ...query }),
+      this.dbService.countDownloads(query)
+    ])
+
+    return { downloads, total }
+  }
+
+  async exportCsv(query: DownloadQuery): Promise<string> {
+    const downloads = await this.dbService.findDownloads({ sort: 'addedAt', order: 'desc', ...query })
+    const usernames = await this.getUsernames()
+
+    const rows = downloads.map(download =>
+      CSV_COLUMNS.map(([, value]) => csvField(value(download, usernames.get(download.userId)))).join(','))
+
+    return [CSV_COLUMNS.map(([name]) => name).join(','), ...rows].join('\r\n') + '\r\n'
+  }
+
+  private async getUsernames(): Promise<Map<string, string>> {
+    const users = await this.dbService.find<User>(COLLECTIONS.USERS)
+    return new Map(users.map(user => [user.id, user.username]))
+  }
+}
+
+export default DownloadStatsService
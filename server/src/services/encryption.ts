@@ -0,0 +1,88 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from 'crypto'
+import { existsSync, readFileSync } from 'fs'
+import { config } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+
+const ALGORITHM = 'aes-256-gcm'
+const FORMAT_VERSION = 'v1'
+const IV_LENGTH = 12
+const KEY_SALT = 'pandora-box:settings'
+
+// Authenticated encryption for secrets stored in the database.
+// Payloads look like `v1:<keyId>:<iv>:<authTag>:<ciphertext>` (base64 parts).
+export class EncryptionService {
+  private key: Buffer
+  readonly keyId: string
+
+  constructor(secret: string) {
+    if (!secret) {
+      throw new Error('Encryption secret must not be empty')
+    }
+
+    this.key = scryptSync(secret, KEY_SALT, 32)
+    this.keyId = createHash('sha256').update(this.key).digest('hex').substring(0, 8)
+  }
+
+  // Encrypt any JSON-serializable value
+  encrypt(value: any): string {
+    const iv = randomBytes(IV_LENGTH)
+    const cipher = createCipheriv(ALGORITHM, this.key, iv)
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+
+    return [
+      FORMAT_VERSION,
+      this.keyId,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      ciphertext.toString('base64')
+    ].join(':')
+  }
+
+  // Decrypt a payload produced by encrypt(), failing if it was tampered with
+  decrypt(payload: string): any {
+    const parts = typeof payload === 'string' ? payload.split(':') : []
+    if (parts.length !== 5 || parts[0] !== FORMAT_VERSION) {
+      throw new Error('Invalid encrypted payload')
+    }
+
+    const [, keyId, iv, authTag, ciphertext] = parts
+    if (keyId !== this.keyId) {
+      throw new Error(`Payload was encrypted with a different key (${keyId})`)
+    }
+
+    const decipher = createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'))
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()])
+
+    return JSON.parse(plaintext.toString('utf8'))
+  }
+
+  // Check whether a payload was encrypted with this key
+  isOwnPayload(payload: any): boolean {
+    return typeof payload === 'string' && payload.startsWith(`${FORMAT_VERSION}:${this.keyId}:`)
+  }
+}
+
+// Resolve the master secret: key file, then explicit secret, then the JWT secret
+export function loadEncryptionSecret(keyFile?: string, secret?: string): string {
+  if (keyFile) {
+    if (!existsSync(keyFile)) {
+      throw new Error(`Encryption key file not found: ${keyFile}`)
+    }
+    return readFileSync(keyFile, 'utf8').trim()
+  }
+
+  if (secret) {
+    return secret
+  }
+
+  logger.warn('ENCRYPTION_KEY_FILE and ENCRYPTION_SECRET are not set, deriving the settings key from JWT_SECRET')
+  return config.auth.jwtSecret
+}
+
+export function createEncryptionService(): EncryptionService {
+  const { keyFile, secret } = config.encryption
+  return new EncryptionService(loadEncryptionSecret(keyFile, secret))
+}
+
+export default EncryptionService
@@ -0,0 +1,287 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { QualityProfileService, QualityProfile, ScoredRelease } from '@/services/qualityProfiles.js'
+import { GrabController } from '@/controllers/grab.js'
+import { NotFoundError } from '@/middleware/errorHandler.js'
+import { parseRelease } from '@/utils/releaseParser.js'
+import { logger } from '@/utils/logger.js'
+import { Download, COLLECTIONS } from '@/types/database.js'
+
+// Jackett searches per grab request when falling back to single episodes
+const MAX_EPISODE_SEARCHES = 10
+
+export type EpisodeState = 'available' | 'downloading' | 'missing' | 'unaired'
+
+export interface TrackedEpisode {
+  season: number
+  episode: number
+  name: string
+  airDate?: string
+  state: EpisodeState
+  downloadId?: string
+}
+
+export interface TrackedSeason {
+  season: number
+  name: string
+  airDate?: string
+  // Every announced episode has aired, so a season pack can exist
+  finished: boolean
+  episodeCount: number
+  available: number
+  downloading: number
+  missing: number
+  unaired: number
+  episodes: TrackedEpisode[]
+}
+
+export interface SeriesTracking {
+  tmdbId: number
+  title: string
+  inLibrary: boolean
+  missing: number
+  seasons: TrackedSeason[]
+}
+
+export interface GrabMissingOptions {
+  season?: number
+  episodes?: number[]
+  // auto: season pack when the whole finished season is missing, single episodes otherwise
+  mode?: 'auto' | 'pack' | 'episodes'
+  profileId?: string
+  includeSpecials?: boolean
+  dryRun?: boolean
+}
+
+export interface EpisodeGrab {
+  season: number
+  episode?: number
+  release?: Record<string, any>
+  infoHash?: string
+  download?: Download
+  existing?: boolean
+  error?: string
+}
+
+export class EpisodeTrackerService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private profileService: QualityProfileService
+  private grabController: GrabController
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.profileService = new QualityProfileService(dbService)
+    this.grabController = new GrabController(apiProxy, dbService, wsService)
+  }
+
+  // Every TMDB episode of a series with its state in Jellyfin and downloads
+  async getSeries(tmdbId: number, includeSpecials = false): Promise<SeriesTracking> {
+    let details: any
+
+    try {
+      details = await this.apiProxy.getTMDBDetails('tv', tmdbId)
+    } catch (error) {
+      logger.error(`TMDB lookup failed for tv ${tmdbId}:`, error)
+      throw new NotFoundError(`TMDB tv ${tmdbId} not found`)
+    }
+
+    const [library, downloads] = await Promise.all([
+      this.getLibraryEpisodes(tmdbId),
+      this.getDownloadedEpisodes(tmdbId)
+    ])
+
+    const today = new Date().toISOString().substring(0, 10)
+    const seasonNumbers: number[] = (details.seasons || [])
+      .map((season: any) => season.season_number)
+      .filter((season: number) => includeSpecials || season > 0)
+
+    const seasons: TrackedSeason[] = []
+
+    for (const seasonNumber of seasonNumbers) {
+      const season = await this.apiProxy.getTMDBSeason(tmdbId, seasonNumber)
+      const episodes: TrackedEpisode[] = (season.episodes || []).map((episode: any) => {
+        const key = `${seasonNumber}:${episode.episode_number}`
+        const downloadId = downloads.episodes.get(key) || downloads.seasons.get(seasonNumber) || downloads.series
+
+        let state: EpisodeState = 'missing'
+        if (library?.has(key)) state = 'available'
+        else if (downloadId) state = 'downloading'
+        else if (!episode.air_date || episode.air_date > today) state = 'unaired'
+
+        return {
+          season: seasonNumber,
+          episode: episode.episode_number,
+          name: episode.name,
+          airDate: episode.air_date || undefined,
+          state,
+          downloadId: state === 'downloading' ? downloadId : undefined
+        }
+      })
+
+      const count = (state: EpisodeState) => episodes.filter(episode => episode.state === state).length
+
+      seasons.push({
+        season: seasonNumber,
+        name: season.name,
+        airDate: season.air_date || undefined,
+        finished: episodes.length > 0 && count('unaired') === 0,
+        episodeCount: episodes.length,
+        available: count('available'),
+        downloading: count('downloading'),
+        missing: count('missing'),
+        unaired: count('unaired'),
+        episodes
+      })
+    }
+
+    return {
+      tmdbId,
+      title: details.name,
+      inLibrary: library !== null,
+      missing: seasons.reduce((total, season) => total + season.missing, 0),
+      seasons
+    }
+  }
+
+  // Grab missing aired episodes, as season packs or single episodes
+  async grabMissing(userId: string, tmdbId: number, options: GrabMissingOptions = {}): Promise<EpisodeGrab[]> {
+    const { mode = 'auto', dryRun = false } = options
+    const profile = await this.profileService.getProfile(options.profileId)
+    const series = await this.getSeries(tmdbId, options.includeSpecials || options.season === 0)
+    const grabs: EpisodeGrab[] = []
+    let episodeSearches = 0
+
+    const seasons = series.seasons.filter(season => {
+      return (options.season === undefined || season.season === options.season) && season.missing > 0
+    })
+
+    for (const season of seasons) {
+      const missing = season.episodes.filter(episode => {
+        return episode.state === 'missing' && (!options.episodes || options.episodes.includes(episode.episode))
+      })
+
+      if (missing.length === 0) continue
+
+      const wholeSeasonMissing = season.finished && season.available === 0 && season.downloading === 0
+      const tryPack = mode === 'pack' || (mode === 'auto' && !options.episodes && wholeSeasonMissing)
+
+      if (tryPack) {
+        const grab = await this.grabRelease(userId, tmdbId, profile, season.season, undefined, dryRun)
+        if (grab.infoHash || mode === 'pack') {
+          grabs.push(grab)
+          continue
+        }
+      }
+
+      for (const episode of missing) {
+        if (episodeSearches >= MAX_EPISODE_SEARCHES) break
+        episodeSearches++
+
+        const grab = await this.grabRelease(userId, tmdbId, profile, season.season, episode.episode, dryRun)
+        grabs.push(grab)
+
+        // A pack that won for one episode covers the rest of the season
+        if (grab.release?.release?.fullSeason) break
+      }
+    }
+
+    return grabs
+  }
+
+  // Private helper methods
+  private async grabRelease(userId: string, tmdbId: number, profile: QualityProfile, season: number, episode: number | undefined, dryRun: boolean): Promise<EpisodeGrab> {
+    const grab: EpisodeGrab = { season, episode }
+
+    try {
+      const target = await this.grabController.getTarget(tmdbId, 'tv', season, episode)
+      const { accepted } = await this.grabController.findReleases(target, profile)
+
+      if (accepted.length === 0) {
+        grab.error = `No release matches the "${profile.name}" profile`
+        return grab
+      }
+
+      const [winner]: ScoredRelease[] = accepted
+      grab.release = this.grabController.describe(winner)
+      grab.infoHash = winner.result.infoHash
+
+      if (!dryRun) {
+        const { download, existing } = await this.grabController.addRelease(userId, tmdbId, target, winner)
+        grab.download = download
+        grab.existing = existing
+      }
+    } catch (error) {
+      logger.warn(`Episode grab failed for tv ${tmdbId} S${season}${episode !== undefined ? `E${episode}` : ''}:`, error instanceof Error ? error.message : error)
+      grab.error = error instanceof Error ? error.message : 'Grab failed'
+    }
+
+    return grab
+  }
+
+  // "season:episode" keys of episodes with files in Jellyfin, or null if the series isn't there
+  private async getLibraryEpisodes(tmdbId: number): Promise<Set<string> | null> {
+    if (!this.apiProxy.isServiceAvailable('jellyfin')) return null
+
+    try {
+      const series = await this.apiProxy.findJellyfinItemByTmdbId('tv', tmdbId)
+      if (!series) return null
+
+      const keys = new Set<string>()
+      for (const episode of await this.apiProxy.getJellyfinEpisodes(series.Id)) {
+        if (episode.ParentIndexNumber === undefined || episode.IndexNumber === undefined) continue
+
+        // Multi-episode files report the last episode separately
+        const last = episode.IndexNumberEnd ?? episode.IndexNumber
+        for (let number = episode.IndexNumber; number <= last; number++) {
+          keys.add(`${episode.ParentIndexNumber}:${number}`)
+        }
+      }
+      return keys
+    } catch (error) {
+      logger.warn(`Jellyfin episode lookup failed for tv ${tmdbId}:`, error instanceof Error ? error.message : error)
+      return null
+    }
+  }
+
+  // Episodes covered by downloads of the series, worked out from the release names
+  private async getDownloadedEpisodes(tmdbId: number): Promise<{ episodes: Map<string, string>, seasons: Map<number, string>, series?: string }> {
+    const downloads = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      tmdbId: String(tmdbId),
+      category: 'tv',
+      status: { $ne: 'error' },
+      // Torrents removed before they finished don't cover anything
+      $or: [{ removedAt: { $exists: false } }, { completedAt: { $exists: true } }]
+    })
+
+    const episodes = new Map<string, string>()
+    const seasons = new Map<number, string>()
+    let series: string | undefined
+
+    for (const download of downloads) {
+      const release = parseRelease(download.name)
+
+      if (release.seasons.length === 0) {
+        // "Complete series" packs carry no season numbers
+        if (release.complete) series = download.id
+        continue
+      }
+
+      for (const season of release.seasons) {
+        if (release.fullSeason) {
+          seasons.set(season, download.id)
+          continue
+        }
+        for (const episode of release.episodes) {
+          episodes.set(`${season}:${episode}`, download.id)
+        }
+      }
+    }
+
+    return { episodes, seasons, series }
+  }
+}
+
+export default EpisodeTrackerService
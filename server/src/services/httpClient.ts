@@ -11,6 +11,8 @@ export interface HttpClientConfig {
   retries?: number
   retryDelay?: number
   cacheTTL?: number
+  // Keep cookies set by the service and send them back, for session based logins
+  cookies?: boolean
   auth?: {
     type: 'bearer' | 'basic' | 'api-key'
     token?: string
@@ -33,6 +35,7 @@ export class HttpClient {
   private config: HttpClientConfig
   private dbService?: DatabaseService
   private cache: Map<string, CachedResponse> = new Map()
+  private cookies: Map<string, string> = new Map()
 
   constructor(serviceName: string, config: HttpClientConfig, dbService?: DatabaseService) {
     this.serviceName = serviceName
@@ -61,6 +64,10 @@ export class HttpClient {
       (config) => {
         const start = Date.now()
         config.metadata = { start }
+
+        if (this.config.cookies && this.cookies.size > 0) {
+          config.headers.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ')
+        }
         
         logHelpers.logExternalApi(
           this.serviceName,
@@ -92,6 +99,10 @@ export class HttpClient {
           duration,
           false
         )
+
+        if (this.config.cookies) {
+          this.storeCookies(response.headers['set-cookie'])
+        }
         
         return response
       },
@@ -141,6 +152,17 @@ export class HttpClient {
     }
   }
 
+  // Remember cookies from Set-Cookie headers, dropping the attributes
+  private storeCookies(setCookie?: string[]): void {
+    for (const cookie of setCookie || []) {
+      const [pair] = cookie.split(';')
+      const separator = pair.indexOf('=')
+      if (separator <= 0) continue
+
+      this.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim())
+    }
+  }
+
   // Handle axios errors
   private handleError(error: AxiosError): Error {
     if (error.response) {
@@ -303,11 +325,12 @@ export class HttpClient {
   }
 
   // Health check
-  async healthCheck(): Promise<{ status: 'healthy' | 'unhealthy', message?: string }> {
+  async healthCheck(endpoint: string = '/health', params?: any): Promise<{ status: 'healthy' | 'unhealthy', message?: string }> {
     try {
       await this.client.request({
         method: 'GET',
-        url: '/health',
+        url: endpoint,
+        params,
         timeout: 5000
       })
       
@@ -370,6 +393,15 @@ export class HttpClientFactory {
     return this.clients.get(serviceName)
   }
 
+  // Drop a client so the next createClient call builds a fresh one
+  removeClient(serviceName: string): boolean {
+    const client = this.clients.get(serviceName)
+    if (!client) return false
+
+    client.clearCache()
+    return this.clients.delete(serviceName)
+  }
+
   // Health check all clients
   async healthCheckAll(): Promise<Record<string, any>> {
     const results: Record<string, any> = {}
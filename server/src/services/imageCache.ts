@@ -0,0 +1,238 @@
+import axios from 'axios'
+import { join } from 'path'
+import { existsSync } from 'fs'
+import { mkdir, readdir, rename, stat, unlink, utimes, writeFile } from 'fs/promises'
+import { getImagesConfig } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+import { ExternalServiceError, NotFoundError } from '@/middleware/errorHandler.js'
+
+const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p'
+
+// Sizes TMDB serves for posters, backdrops, profiles, logos and stills
+export const IMAGE_SIZES = ['w45', 'w92', 'w154', 'w185', 'w300', 'w342', 'w500', 'w780', 'w1280', 'h632', 'original']
+
+// TMDB file names ("/kqjL17yufvn9OVLyXYpvtyrFfak.jpg" without the slash); also keeps cache paths inside the cache directory
+export const IMAGE_PATH_PATTERN = /^[A-Za-z0-9_-]+\.(jpg|jpeg|png|svg)$/
+
+const CONTENT_TYPES: Record<string, string> = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp'
+}
+
+export interface CachedImage {
+  file: string
+  contentType: string
+  size: number
+  etag: string
+  lastModified: Date
+}
+
+interface CacheEntry {
+  size: number
+  lastAccess: number
+}
+
+export interface ImageCacheOptions {
+  cachePath: string
+  maxCacheSize: number
+  webp: boolean
+}
+
+// Cache file name of an image, or null for requests that aren't TMDB images
+export function getCacheName(size: string, path: string, format?: 'webp'): string | null {
+  if (!IMAGE_SIZES.includes(size) || !IMAGE_PATH_PATTERN.test(path)) return null
+
+  // WebP is only produced for thumbnails; vector logos stay as they are
+  return format === 'webp' && size !== 'original' && !path.endsWith('.svg')
+    ? `${size}-${path.replace(/\.\w+$/, '')}.webp`
+    : `${size}-${path}`
+}
+
+let sharpLoader: Promise<any> | null = null
+
+// sharp is optional; without it images are served as TMDB sends them
+function loadSharp(): Promise<any> {
+  if (!sharpLoader) {
+    const moduleName = 'sharp'
+    sharpLoader = import(moduleName).then(module => module.default, () => {
+      logger.info('sharp is not installed, WebP thumbnails disabled')
+      return null
+    })
+  }
+  return sharpLoader
+}
+
+export class ImageCacheService {
+  private options: ImageCacheOptions
+  // Insertion order is access order, least recently used first
+  private entries = new Map<string, CacheEntry>()
+  private totalSize = 0
+  private pending = new Map<string, Promise<void>>()
+
+  constructor(options: ImageCacheOptions = getImagesConfig()) {
+    this.options = options
+  }
+
+  // Index the images already on disk, oldest access first
+  async init(): Promise<void> {
+    const { cachePath } = this.options
+
+    if (!existsSync(cachePath)) {
+      await mkdir(cachePath, { recursive: true })
+    }
+
+    const files = await readdir(cachePath)
+    const found: Array<[string, CacheEntry]> = []
+
+    for (const name of files) {
+      if (name.endsWith('.tmp')) {
+        await unlink(join(cachePath, name)).catch(() => {})
+        continue
+      }
+
+      const stats = await stat(join(cachePath, name))
+      if (stats.isFile()) {
+        found.push([name, { size: stats.size, lastAccess: stats.atimeMs }])
+      }
+    }
+
+    this.entries.clear()
+    this.totalSize = 0
+
+    for (const [name, entry] of found.sort((a, b) => a[1].lastAccess - b[1].lastAccess)) {
+      this.entries.set(name, entry)
+      this.totalSize += entry.size
+    }
+
+    await this.prune()
+    logger.info(`Image cache ready (${this.entries.size} images, ${Math.round(this.totalSize / 1024 / 1024)} MB)`)
+  }
+
+  // Whether an image can be served without going to TMDB
+  async isCached(size: string, path: string, format?: 'webp'): Promise<boolean> {
+    const { name } = await this.resolve(size, path, format)
+    return name !== null && this.entries.has(name)
+  }
+
+  // Cached copy of a TMDB image, fetching (and converting) it on first use
+  async getImage(size: string, path: string, format?: 'webp'): Promise<CachedImage> {
+    const { name, webp } = await this.resolve(size, path, format)
+
+    if (!name) {
+      throw new NotFoundError('Image not found')
+    }
+
+    if (!this.entries.has(name)) {
+      // Concurrent requests for the same image share one download
+      if (!this.pending.has(name)) {
+        this.pending.set(name, this.fetchImage(name, size, path, webp).finally(() => this.pending.delete(name)))
+      }
+      await this.pending.get(name)
+    }
+
+    const file = join(this.options.cachePath, name)
+    const stats = await stat(file).catch(() => null)
+
+    if (!stats) {
+      // Removed behind our back; fetch it again next time
+      this.forget(name)
+      throw new NotFoundError('Image not found')
+    }
+
+    this.touch(name, file, stats.mtime)
+
+    return {
+      file,
+      contentType: CONTENT_TYPES[name.split('.').pop()!],
+      size: stats.size,
+      etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+      lastModified: stats.mtime
+    }
+  }
+
+  // Evict least recently used images until the cache fits its size cap
+  async prune(keep?: string): Promise<string[]> {
+    const removed: string[] = []
+
+    for (const name of [...this.entries.keys()]) {
+      if (this.totalSize <= this.options.maxCacheSize) break
+      if (name === keep) continue
+
+      this.forget(name)
+      removed.push(name)
+      await unlink(join(this.options.cachePath, name)).catch(() => {})
+    }
+
+    if (removed.length > 0) {
+      logger.debug(`Image cache evicted ${removed.length} images`)
+    }
+
+    return removed
+  }
+
+  // Private helper methods
+  // Cache name of the variant that is served; WebP only when sharp can produce it
+  private async resolve(size: string, path: string, format?: 'webp'): Promise<{ name: string | null, webp: boolean }> {
+    const webp = format === 'webp' && this.options.webp && await loadSharp() !== null
+    return { name: getCacheName(size, path, webp ? 'webp' : undefined), webp }
+  }
+
+  private async fetchImage(name: string, size: string, path: string, webp: boolean): Promise<void> {
+    let data: Buffer
+
+    try {
+      const response = await axios.get(`${TMDB_IMAGE_URL}/${size}/${path}`, {
+        responseType: 'arraybuffer',
+        timeout: 15000
+      })
+      data = Buffer.from(response.data)
+    } catch (error: any) {
+      if (error.response?.status === 404) {
+        throw new NotFoundError('Image not found')
+      }
+      throw new ExternalServiceError('TMDB', `Failed to fetch image: ${error.message}`)
+    }
+
+    if (webp) {
+      const sharp = await loadSharp()
+      data = await sharp(data).webp({ quality: 80 }).toBuffer()
+    }
+
+    // Write next to the final name first so a half-written file is never served
+    const file = join(this.options.cachePath, name)
+    await writeFile(`${file}.tmp`, data)
+    await rename(`${file}.tmp`, file)
+
+    this.forget(name)
+    this.entries.set(name, { size: data.length, lastAccess: Date.now() })
+    this.totalSize += data.length
+
+    await this.prune(name)
+  }
+
+  // Move to the most recently used end; the access time on disk survives restarts
+  private touch(name: string, file: string, mtime: Date): void {
+    const entry = this.entries.get(name)
+    if (!entry) return
+
+    const now = Date.now()
+    this.entries.delete(name)
+    this.entries.set(name, { ...entry, lastAccess: now })
+
+    // The modification time is part of the ETag, so it is kept
+    utimes(file, now / 1000, mtime).catch(() => {})
+  }
+
+  private forget(name: string): void {
+    const entry = this.entries.get(name)
+    if (entry) {
+      this.totalSize -= entry.size
+      this.entries.delete(name)
+    }
+  }
+}
+
+export default ImageCacheService
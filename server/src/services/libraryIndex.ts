@@ -0,0 +1,174 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { config, getLibraryConfig } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+import { Download, COLLECTIONS } from '@/types/database.js'
+
+type MediaType = 'movie' | 'tv'
+
+// What the user can do with a title right now; null when it's neither in Jellyfin nor on its way
+export interface LibraryState {
+  library_status: 'available' | 'downloading' | null
+  jellyfin_id?: string
+  jellyfin_url?: string
+  download_progress?: number
+}
+
+const ACTIVE_STATUSES: Download['status'][] = ['downloading', 'queued', 'paused']
+
+const PAGE_SIZE = 500
+
+export class LibraryIndexService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  // "movie:603" -> Jellyfin item id
+  private items = new Map<string, string>()
+  private serverId: string | null = null
+  private refreshTimer: NodeJS.Timeout | null = null
+  private scanTimer: NodeJS.Timeout | null = null
+  private refreshing: Promise<void> | null = null
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+
+    // Scans finish in the background, so the index is rebuilt once Jellyfin has had time to import
+    this.apiProxy.onLibraryScan(() => this.scheduleRefresh())
+    this.apiProxy.onConfigChange(serviceName => {
+      if (serviceName === 'jellyfin') this.scheduleRefresh(0)
+    })
+  }
+
+  // Rebuild the index now and then periodically, for changes made outside Pandora
+  start(): void {
+    if (this.refreshTimer) return
+
+    const { refreshInterval } = getLibraryConfig()
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh()
+    }, refreshInterval)
+
+    this.refresh()
+    logger.info(`Library index started (${refreshInterval}ms interval)`)
+  }
+
+  stop(): void {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer)
+      this.refreshTimer = null
+    }
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer)
+      this.scanTimer = null
+    }
+    logger.info('Library index stopped')
+  }
+
+  // Rebuild after a delay; repeated scans push the rebuild back
+  scheduleRefresh(delay: number = getLibraryConfig().scanDelay): void {
+    if (this.scanTimer) clearTimeout(this.scanTimer)
+
+    this.scanTimer = setTimeout(() => {
+      this.scanTimer = null
+      this.refresh()
+    }, delay)
+  }
+
+  // Index every movie and series in Jellyfin by its TMDB id; concurrent calls share one rebuild
+  refresh(): Promise<void> {
+    if (!this.refreshing) {
+      this.refreshing = this.buildIndex().finally(() => {
+        this.refreshing = null
+      })
+    }
+    return this.refreshing
+  }
+
+  // Library and download state of TMDB items, keyed like the index
+  async getStates(items: Array<{ id: number, media_type: MediaType }>): Promise<Map<string, LibraryState>> {
+    const states = new Map<string, LibraryState>()
+    if (items.length === 0) return states
+
+    // Downloads record the TMDB id as a string
+    const downloads = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      tmdbId: { $in: [...new Set(items.map(item => String(item.id)))] },
+      status: { $in: ACTIVE_STATUSES },
+      removedAt: { $exists: false }
+    })
+
+    for (const item of items) {
+      const key = `${item.media_type}:${item.id}`
+      const itemId = this.items.get(key)
+
+      if (itemId) {
+        states.set(key, { library_status: 'available', jellyfin_id: itemId, jellyfin_url: this.getPlayUrl(itemId) })
+        continue
+      }
+
+      const active = downloads.filter(download => download.category === item.media_type && download.tmdbId === String(item.id))
+      states.set(key, active.length > 0
+        ? { library_status: 'downloading', download_progress: Math.max(...active.map(download => download.progress)) }
+        : { library_status: null })
+    }
+
+    return states
+  }
+
+  // Private helper methods
+  private async buildIndex(): Promise<void> {
+    if (!this.apiProxy.isServiceAvailable('jellyfin')) {
+      this.items.clear()
+      return
+    }
+
+    try {
+      const client = this.apiProxy.getService('jellyfin')
+      const items = new Map<string, string>()
+      let startIndex = 0
+      let total = 0
+
+      do {
+        const response = await client.get('/Items', {
+          Recursive: true,
+          IncludeItemTypes: 'Movie,Series',
+          Fields: 'ProviderIds',
+          StartIndex: startIndex,
+          Limit: PAGE_SIZE
+        }, { cache: false })
+
+        for (const item of response?.Items || []) {
+          const tmdbId = this.getTmdbId(item.ProviderIds)
+          if (tmdbId) items.set(`${item.Type === 'Movie' ? 'movie' : 'tv'}:${tmdbId}`, item.Id)
+        }
+
+        total = response?.TotalRecordCount || 0
+        startIndex += PAGE_SIZE
+      } while (startIndex < total)
+
+      const info = await client.get('/System/Info', null, { cache: true, cacheTTL: 300 })
+
+      this.items = items
+      this.serverId = info?.Id || null
+      logger.debug(`Library index refreshed (${items.size} titles)`)
+    } catch (error) {
+      // Keep the last index; badges are better slightly stale than gone
+      logger.warn('Library index refresh failed:', error instanceof Error ? error.message : error)
+    }
+  }
+
+  // Jellyfin spells the provider "Tmdb", plugins have used other cases
+  private getTmdbId(providerIds: Record<string, string> = {}): string | null {
+    const key = Object.keys(providerIds).find(name => name.toLowerCase() === 'tmdb')
+    return key ? providerIds[key] : null
+  }
+
+  // Item page in the Jellyfin web client
+  private getPlayUrl(itemId: string): string {
+    const baseUrl = (config.apis.jellyfin.publicUrl || this.apiProxy.getServiceConfig('jellyfin')?.baseURL || '').replace(/\/+$/, '')
+    const serverId = this.serverId ? `&serverId=${this.serverId}` : ''
+    return `${baseUrl}/web/index.html#!/details?id=${itemId}${serverId}`
+  }
+}
+
+export default LibraryIndexService
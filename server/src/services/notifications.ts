@@ -0,0 +1,63 @@
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { SettingsService } from '@/services/settings.js'
+import { logger } from '@/utils/logger.js'
+import { Notification, NotificationCreateData, User, COLLECTIONS } from '@/types/database.js'
+
+// Notification preference that covers each type
+const TYPE_PREFERENCES: Partial<Record<Notification['type'], string>> = {
+  download: 'downloads',
+  error: 'errors',
+  warning: 'errors',
+  system: 'system'
+}
+
+export class NotificationService {
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private settingsService: SettingsService
+
+  constructor(dbService: DatabaseService, wsService: WebSocketService) {
+    this.dbService = dbService
+    this.wsService = wsService
+    this.settingsService = new SettingsService(dbService)
+  }
+
+  // Persist a notification and push it to the user's notification channel, unless they turned it off
+  async notify(userId: string, data: NotificationCreateData): Promise<Notification | null> {
+    try {
+      if (!await this.isWanted(userId, data.type)) return null
+
+      const notification = await this.dbService.createNotification(userId, data)
+      const unreadCount = await this.dbService.countNotifications({ userId, read: false })
+
+      this.wsService.broadcastNotification(userId, { notification, unreadCount })
+
+      return notification
+    } catch (error) {
+      // Notifications are best-effort and must never break the caller
+      logger.error('Error creating notification:', error)
+      return null
+    }
+  }
+
+  // Notify every active admin, used for system-level events
+  async notifyAdmins(data: NotificationCreateData): Promise<void> {
+    try {
+      const admins = await this.dbService.find<User>(COLLECTIONS.USERS, { role: 'admin', isActive: true })
+      await Promise.all(admins.map(admin => this.notify(admin.id, data)))
+    } catch (error) {
+      logger.error('Error notifying admins:', error)
+    }
+  }
+
+  // Private helper methods
+  private async isWanted(userId: string, type: Notification['type']): Promise<boolean> {
+    const preferences = await this.settingsService.getGroup('notifications', userId)
+    const preference = TYPE_PREFERENCES[type]
+
+    return preferences.enabled && (!preference || preferences[preference])
+  }
+}
+
+export default NotificationService
@@ -0,0 +1,467 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { SettingsService } from '@/services/settings.js'
+import { ConflictError, ExternalServiceError, NotFoundError, ValidationError } from '@/middleware/errorHandler.js'
+import { logger } from '@/utils/logger.js'
+import { parseRelease } from '@/utils/releaseParser.js'
+import { Download, FileOperation, COLLECTIONS } from '@/types/database.js'
+import JellyfinController from '@/controllers/jellyfin.js'
+
+const VIDEO_EXTENSIONS = ['mkv', 'mp4', 'avi', 'm4v', 'mov', 'wmv', 'ts', 'webm']
+const SUBTITLE_EXTENSIONS = ['srt', 'ass', 'ssa', 'sub', 'idx', 'vtt']
+
+// Videos below this size are treated as samples or trailers
+const MIN_VIDEO_SIZE = 50 * 1024 * 1024
+
+// Files named as a sample stay samples up to this size (4K samples run to a few hundred MB)
+const MAX_SAMPLE_SIZE = 500 * 1024 * 1024
+
+// Folders releases put samples and bonus material in; titles never count, only these folder names
+const JUNK_FOLDERS = ['sample', 'samples', 'extra', 'extras', 'featurette', 'featurettes']
+
+const SAMPLE_SUFFIX = /[.-]sample$/i
+
+// Subtitle language tags worth keeping in the file name
+const LANGUAGE_CODES = [
+  'en', 'eng', 'es', 'spa', 'fr', 'fre', 'fra', 'de', 'ger', 'deu', 'it', 'ita', 'pt', 'por',
+  'nl', 'dut', 'nld', 'sv', 'swe', 'da', 'dan', 'no', 'nor', 'fi', 'fin', 'pl', 'pol', 'ru', 'rus',
+  'ja', 'jpn', 'ko', 'kor', 'zh', 'chi', 'zho', 'ar', 'ara', 'tr', 'tur', 'he', 'heb', 'hi', 'hin'
+]
+
+// qBittorrent states in which the files must stay where they are
+const SEEDING_STATES = ['uploading', 'stalledUP', 'forcedUP', 'queuedUP', 'checkingUP']
+
+export type OrganizeMode = 'auto' | 'copy' | 'move'
+
+export interface OrganizeStep {
+  operation: 'create' | 'copy' | 'move'
+  kind: 'directory' | 'video' | 'subtitle'
+  sourcePath: string
+  targetPath?: string
+  size?: number
+}
+
+export interface OrganizePlan {
+  downloadId: string
+  name: string
+  mediaType: 'movie' | 'tv'
+  title: string
+  year?: number
+  mode: 'copy' | 'move'
+  seeding: boolean
+  state?: string
+  libraryPath: string
+  steps: OrganizeStep[]
+  skipped: Array<{ path: string, reason: string }>
+  warnings: string[]
+}
+
+export interface OrganizeResult {
+  plan: OrganizePlan
+  operations: FileOperation[]
+  failed: number
+}
+
+interface TorrentFile {
+  name: string
+  size: number
+}
+
+interface EpisodeInfo {
+  season: number
+  episodes: number[]
+}
+
+export class MediaOrganizerService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private settingsService: SettingsService
+  private inProgress = new Set<string>()
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.wsService = wsService
+    this.settingsService = new SettingsService(dbService)
+  }
+
+  // Work out where every file of a download should go, without touching anything
+  async plan(download: Download, mode: OrganizeMode = 'auto'): Promise<OrganizePlan> {
+    if (download.category !== 'movie' && download.category !== 'tv') {
+      throw new ValidationError('Only movie and TV downloads can be organized')
+    }
+
+    const mediaType = download.category
+    const warnings: string[] = []
+    const { torrent, files } = await this.getTorrentFiles(download.infoHash)
+    const savePath = this.trimSlashes(torrent.save_path || download.savePath)
+    const { title, year } = await this.resolveTitle(download, warnings)
+
+    const { moviesPath, tvShowsPath } = await this.settingsService.getGroup('downloads')
+    const folderName = this.sanitize(year && mediaType === 'movie' ? `${title} (${year})` : title)
+    const libraryPath = `${this.trimSlashes(mediaType === 'movie' ? moviesPath : tvShowsPath)}/${folderName}`
+
+    const seeding = SEEDING_STATES.includes(torrent.state)
+    const operation = mode === 'auto' ? (seeding ? 'copy' : 'move') : mode
+
+    if (seeding && operation === 'move') {
+      warnings.push('Torrent is still seeding; moving its files will stop it from seeding')
+    }
+
+    const skipped: OrganizePlan['skipped'] = []
+    const videos: TorrentFile[] = []
+    const subtitles: TorrentFile[] = []
+
+    for (const file of files) {
+      const extension = this.getExtension(file.name)
+
+      if (SUBTITLE_EXTENSIONS.includes(extension)) {
+        subtitles.push(file)
+      } else if (!VIDEO_EXTENSIONS.includes(extension)) {
+        skipped.push({ path: file.name, reason: 'Not a video or subtitle file' })
+      } else if (this.isInJunkFolder(file.name)) {
+        skipped.push({ path: file.name, reason: 'Sample or extra' })
+      } else if (SAMPLE_SUFFIX.test(this.stripExtension(file.name)) && file.size < MAX_SAMPLE_SIZE) {
+        skipped.push({ path: file.name, reason: 'Sample' })
+      } else if (file.size < MIN_VIDEO_SIZE) {
+        skipped.push({ path: file.name, reason: 'Too small, probably a sample' })
+      } else {
+        videos.push(file)
+      }
+    }
+
+    if (videos.length === 0) {
+      throw new ValidationError('No video files found in this download')
+    }
+
+    const targets = new Map<TorrentFile, string>()
+
+    if (mediaType === 'movie') {
+      const sorted = [...videos].sort((a, b) => a.name.localeCompare(b.name))
+      sorted.forEach((file, index) => {
+        const part = sorted.length > 1 ? ` - part${index + 1}` : ''
+        targets.set(file, `${libraryPath}/${folderName}${part}.${this.getExtension(file.name)}`)
+      })
+
+      for (const subtitle of subtitles) {
+        const video = this.findMatchingVideo(subtitle, sorted)
+        if (!video) {
+          skipped.push({ path: subtitle.name, reason: 'No matching video file' })
+          continue
+        }
+        targets.set(subtitle, this.subtitleTarget(targets.get(video)!, subtitle.name))
+      }
+    } else {
+      const byEpisode = new Map<string, string>()
+
+      for (const file of videos) {
+        const episode = this.parseEpisode(file.name)
+        if (!episode) {
+          skipped.push({ path: file.name, reason: 'Could not detect season and episode' })
+          continue
+        }
+
+        const target = `${libraryPath}/Season ${this.pad(episode.season)}/${this.episodeName(folderName, episode)}.${this.getExtension(file.name)}`
+        if ([...targets.values()].includes(target)) {
+          skipped.push({ path: file.name, reason: 'Duplicate episode' })
+          continue
+        }
+
+        targets.set(file, target)
+        byEpisode.set(this.episodeKey(episode), target)
+      }
+
+      for (const subtitle of subtitles) {
+        const episode = this.parseEpisode(subtitle.name)
+        const video = episode && byEpisode.get(this.episodeKey(episode))
+        if (!video) {
+          skipped.push({ path: subtitle.name, reason: 'No matching episode' })
+          continue
+        }
+        targets.set(subtitle, this.subtitleTarget(video, subtitle.name))
+      }
+    }
+
+    if (targets.size === 0) {
+      throw new ValidationError('No files in this download could be matched to the library layout')
+    }
+
+    // Create each target directory once, before the files that go into it
+    const steps: OrganizeStep[] = []
+    const directories = new Set<string>()
+
+    if (mediaType === 'tv') {
+      directories.add(libraryPath)
+      steps.push({ operation: 'create', kind: 'directory', sourcePath: libraryPath })
+    }
+
+    for (const [file, targetPath] of targets) {
+      const directory = targetPath.substring(0, targetPath.lastIndexOf('/'))
+      if (!directories.has(directory)) {
+        directories.add(directory)
+        steps.push({ operation: 'create', kind: 'directory', sourcePath: directory })
+      }
+
+      steps.push({
+        operation,
+        kind: SUBTITLE_EXTENSIONS.includes(this.getExtension(file.name)) ? 'subtitle' : 'video',
+        sourcePath: `${savePath}/${file.name}`,
+        targetPath,
+        size: file.size
+      })
+    }
+
+    return {
+      downloadId: download.id,
+      name: download.name,
+      mediaType,
+      title,
+      year,
+      mode: operation,
+      seeding,
+      state: torrent.state,
+      libraryPath,
+      steps,
+      skipped,
+      warnings
+    }
+  }
+
+  // Execute the plan, recording every step as a file operation
+  async organize(download: Download, mode: OrganizeMode = 'auto'): Promise<OrganizeResult> {
+    if (!this.apiProxy.isServiceAvailable('cloudcommander')) {
+      throw new ExternalServiceError('CloudCommander', 'Service not configured')
+    }
+
+    if (this.inProgress.has(download.id)) {
+      throw new ConflictError('This download is already being organized')
+    }
+
+    this.inProgress.add(download.id)
+
+    try {
+      const plan = await this.plan(download, mode)
+      const operations: FileOperation[] = []
+      let failed = 0
+
+      for (const step of plan.steps) {
+        const operation = await this.runStep(download, step)
+        operations.push(operation)
+
+        if (operation.status === 'failed') {
+          failed++
+          // Without its directory none of the following files can land
+          if (step.kind === 'directory') break
+        }
+      }
+
+      if (failed === 0) {
+        await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, {
+          importedAt: new Date().toISOString(),
+          importPath: plan.libraryPath
+        })
+
+        await this.triggerJellyfinScan(plan.libraryPath)
+      }
+
+      this.wsService.broadcastFileOperation(download.userId, {
+        type: failed === 0 ? 'organize_completed' : 'organize_failed',
+        downloadId: download.id,
+        libraryPath: plan.libraryPath,
+        mode: plan.mode,
+        operations: operations.length,
+        failed
+      })
+
+      logger.info(`Organized ${download.name} into ${plan.libraryPath} (${operations.length - failed}/${plan.steps.length} steps succeeded)`)
+
+      return { plan, operations, failed }
+    } finally {
+      this.inProgress.delete(download.id)
+    }
+  }
+
+  private async runStep(download: Download, step: OrganizeStep): Promise<FileOperation> {
+    const record = await this.dbService.create<FileOperation>(COLLECTIONS.FILE_OPERATIONS, {
+      userId: download.userId,
+      downloadId: download.id,
+      operation: step.operation,
+      sourcePath: step.sourcePath,
+      targetPath: step.targetPath,
+      status: 'in_progress',
+      progress: 0,
+      createdAt: new Date().toISOString()
+    })
+
+    try {
+      if (step.operation === 'create') {
+        await this.createDirectory(step.sourcePath)
+      } else if (step.operation === 'copy') {
+        await this.apiProxy.copyFile(step.sourcePath, step.targetPath!)
+      } else {
+        await this.apiProxy.moveFile(step.sourcePath, step.targetPath!)
+      }
+
+      return (await this.dbService.update<FileOperation>(COLLECTIONS.FILE_OPERATIONS, record.id, {
+        status: 'completed',
+        progress: 100,
+        completedAt: new Date().toISOString()
+      }))!
+    } catch (error) {
+      logger.error(`Organizer ${step.operation} failed for ${step.sourcePath}:`, error)
+
+      return (await this.dbService.update<FileOperation>(COLLECTIONS.FILE_OPERATIONS, record.id, {
+        status: 'failed',
+        errorMessage: error instanceof Error ? error.message : 'Unknown error',
+        completedAt: new Date().toISOString()
+      }))!
+    }
+  }
+
+  // Cloud Commander refuses to create a directory that already exists
+  private async createDirectory(path: string): Promise<void> {
+    const client = this.apiProxy.getService('cloudcommander')
+
+    try {
+      await client.post('/api/v1/fs', { path, type: 'directory' })
+    } catch (error) {
+      await this.apiProxy.browsePath(path).catch(() => {
+        throw error
+      })
+    }
+  }
+
+  private async getTorrentFiles(hash: string): Promise<{ torrent: any, files: TorrentFile[] }> {
+    if (!this.apiProxy.isServiceAvailable('qbittorrent')) {
+      throw new ExternalServiceError('qBittorrent', 'Service not configured')
+    }
+
+    const { torrent, files } = await this.apiProxy.withQBittorrentSession(async client => {
+      const torrents = await client.get('/api/v2/torrents/info', { hashes: hash }, { cache: false })
+      const torrent = Array.isArray(torrents) ? torrents[0] : undefined
+
+      if (!torrent) {
+        throw new NotFoundError('Torrent not found in qBittorrent')
+      }
+
+      return { torrent, files: await client.get('/api/v2/torrents/files', { hash }, { cache: false }) }
+    })
+
+    return {
+      torrent,
+      files: (files || []).map((file: any) => ({ name: file.name, size: file.size || 0 }))
+    }
+  }
+
+  // Prefer TMDB's title and year, falling back to the release name
+  private async resolveTitle(download: Download, warnings: string[]): Promise<{ title: string, year?: number }> {
+    if (download.tmdbId && this.apiProxy.isServiceAvailable('tmdb')) {
+      try {
+        const details = await this.apiProxy.getTMDBDetails(download.category as 'movie' | 'tv', Number(download.tmdbId))
+        const title = download.category === 'movie' ? details.title : details.name
+        const date = download.category === 'movie' ? details.release_date : details.first_air_date
+
+        if (title) {
+          return { title, year: date ? parseInt(date.substring(0, 4)) : undefined }
+        }
+      } catch (error) {
+        logger.warn(`TMDB lookup failed for ${download.name}:`, error)
+      }
+      warnings.push('TMDB details unavailable, naming from the release name')
+    } else {
+      warnings.push('No TMDB id, naming from the release name')
+    }
+
+    const { title, year } = parseRelease(download.name)
+    return { title: title || download.name, year }
+  }
+
+  // Season and episodes from the file name, falling back to the folders above it
+  private parseEpisode(path: string): EpisodeInfo | null {
+    const parts = path.split('/').reverse()
+
+    for (const part of parts) {
+      const { seasons, episodes } = parseRelease(part)
+      if (seasons.length === 1 && episodes.length > 0) {
+        return { season: seasons[0], episodes }
+      }
+    }
+
+    return null
+  }
+
+  private episodeName(show: string, episode: EpisodeInfo): string {
+    const first = episode.episodes[0]
+    const last = episode.episodes[episode.episodes.length - 1]
+    const range = last !== first ? `-E${this.pad(last)}` : ''
+    return `${show} - S${this.pad(episode.season)}E${this.pad(first)}${range}`
+  }
+
+  private episodeKey(episode: EpisodeInfo): string {
+    return `${episode.season}:${episode.episodes[0]}`
+  }
+
+  // A subtitle belongs to the video sharing its folder or base name
+  private findMatchingVideo(subtitle: TorrentFile, videos: TorrentFile[]): TorrentFile | undefined {
+    if (videos.length === 1) return videos[0]
+
+    const base = this.stripExtension(subtitle.name.split('/').pop()!).toLowerCase()
+    return videos.find(video => base.startsWith(this.stripExtension(video.name.split('/').pop()!).toLowerCase()))
+  }
+
+  // Keep language and forced/sdh tags: Title (Year).en.forced.srt
+  private subtitleTarget(videoTarget: string, subtitlePath: string): string {
+    const fileName = subtitlePath.split('/').pop()!
+    const extension = this.getExtension(fileName)
+    const tags = this.stripExtension(fileName).match(/(?:[._ -]([a-z]{2,3}))?(?:[._ -](forced|sdh))?$/i)
+    const language = tags?.[1] && LANGUAGE_CODES.includes(tags[1].toLowerCase()) ? `.${tags[1].toLowerCase()}` : ''
+    const flag = tags?.[2] ? `.${tags[2].toLowerCase()}` : ''
+
+    return `${this.stripExtension(videoTarget)}${language}${flag}.${extension}`
+  }
+
+  private async triggerJellyfinScan(path: string): Promise<void> {
+    try {
+      await JellyfinController.triggerAutoScan(path, this.apiProxy, this.dbService)
+    } catch (error) {
+      logger.error('Error triggering Jellyfin scan:', error)
+    }
+  }
+
+  // Only the folders count, so titles such as "Trailer Park Boys" or "The Extra Man" are never junk
+  private isInJunkFolder(path: string): boolean {
+    return path.split('/').slice(0, -1).some(folder => JUNK_FOLDERS.includes(folder.toLowerCase()))
+  }
+
+  private getExtension(path: string): string {
+    const fileName = path.split('/').pop() || ''
+    const index = fileName.lastIndexOf('.')
+    return index > 0 ? fileName.substring(index + 1).toLowerCase() : ''
+  }
+
+  private stripExtension(path: string): string {
+    const index = path.lastIndexOf('.')
+    return index > path.lastIndexOf('/') ? path.substring(0, index) : path
+  }
+
+  // Characters Windows/Samba shares reject, plus trailing dots and spaces
+  private sanitize(name: string): string {
+    return name
+      .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/[. ]+$/, '')
+      .trim()
+  }
+
+  private trimSlashes(path: string): string {
+    return path.replace(/\/+$/, '')
+  }
+
+  private pad(value: number): string {
+    return String(value).padStart(2, '0')
+  }
+}
+
+export default MediaOrganizerService
@@ -0,0 +1,199 @@
+import { DatabaseService } from '@/services/database.js'
+import { SettingsService } from '@/services/settings.js'
+import { NotFoundError } from '@/middleware/errorHandler.js'
+import { ParsedRelease, Resolution, Source, Codec } from '@/utils/releaseParser.js'
+
+const GB = 1024 * 1024 * 1024
+
+export interface QualityProfile {
+  id: string
+  name: string
+  resolutions: Resolution[]
+  preferredCodecs: Codec[]
+  preferredSources: Source[]
+  rejectedSources: Source[]
+  preferHdr: boolean
+  minSize: number
+  maxSize: number
+  minSeeders: number
+  preferredTerms: string[]
+  rejectedTerms: string[]
+}
+
+// What the release has to be, beyond the profile (title, year, episodes)
+export interface ReleaseTarget {
+  titles: string[]
+  year?: number
+  type: 'movie' | 'tv'
+  season?: number
+  episode?: number
+  // Episodes a season (or series) pack would hold; size bounds apply per episode
+  episodeCount?: number
+}
+
+export interface ScoredRelease {
+  result: any
+  score: number
+  rejected?: string
+  reasons: string[]
+}
+
+export class QualityProfileService {
+  private settingsService: SettingsService
+
+  constructor(dbService: DatabaseService) {
+    this.settingsService = new SettingsService(dbService)
+  }
+
+  async getProfiles(): Promise<{ defaultProfile: string, profiles: QualityProfile[] }> {
+    const { defaultProfile, profiles } = await this.settingsService.getGroup('quality')
+    return { defaultProfile, profiles }
+  }
+
+  // Named profile, or the default one (falling back to the first if the default was removed)
+  async getProfile(id?: string): Promise<QualityProfile> {
+    const { defaultProfile, profiles } = await this.getProfiles()
+    const profile = id
+      ? profiles.find(entry => entry.id === id)
+      : profiles.find(entry => entry.id === defaultProfile) || profiles[0]
+
+    if (!profile) {
+      throw new NotFoundError(`Quality profile "${id}" not found`)
+    }
+
+    return profile
+  }
+
+  // Score every result; acceptable ones first, best score first
+  rank(results: any[], profile: QualityProfile, target: ReleaseTarget): ScoredRelease[] {
+    return results
+      .map(result => this.score(result, profile, target))
+      .sort((a, b) => {
+        if (!!a.rejected !== !!b.rejected) return a.rejected ? 1 : -1
+        return b.score - a.score || b.result.seeders - a.result.seeders
+      })
+  }
+
+  score(result: any, profile: QualityProfile, target: ReleaseTarget): ScoredRelease {
+    const release: ParsedRelease = result.release
+    const title = result.title.toLowerCase()
+    const reasons: string[] = []
+    const reject = (reason: string): ScoredRelease => ({ result, score: 0, rejected: reason, reasons })
+
+    // Hard requirements
+    if (!result.magnetUrl || !result.infoHash) return reject('No magnet link')
+    if (!this.matchesTitle(release, target)) return reject('Different title')
+    if (target.type === 'movie' && target.year && release.year && Math.abs(release.year - target.year) > 1) {
+      return reject(`Year ${release.year} does not match ${target.year}`)
+    }
+
+    const episodeMismatch = this.checkEpisodes(release, target)
+    if (episodeMismatch) return reject(episodeMismatch)
+
+    if (result.seeders < profile.minSeeders) return reject(`Fewer than ${profile.minSeeders} seeders`)
+    const episodes = release.fullSeason && target.episodeCount ? target.episodeCount : 1
+    const perEpisode = episodes > 1 ? ' per episode' : ''
+    if (profile.minSize && result.size < profile.minSize * GB * episodes) return reject(`Smaller than ${profile.minSize} GB${perEpisode}`)
+    if (profile.maxSize && result.size > profile.maxSize * GB * episodes) return reject(`Larger than ${profile.maxSize} GB${perEpisode}`)
+
+    if (profile.resolutions.length > 0 && (!release.resolution || !profile.resolutions.includes(release.resolution))) {
+      return reject(`Resolution ${release.resolution || 'unknown'} not allowed`)
+    }
+
+    if (release.source && profile.rejectedSources.includes(release.source)) {
+      return reject(`Source ${release.source} rejected`)
+    }
+
+    const rejectedTerm = profile.rejectedTerms.find(term => title.includes(term.toLowerCase()))
+    if (rejectedTerm) return reject(`Contains "${rejectedTerm}"`)
+
+    // Preferences
+    let score = 0
+
+    if (release.resolution) {
+      const index = profile.resolutions.indexOf(release.resolution)
+      // Profiles list resolutions best first; without a list, plain resolution wins
+      const points = index >= 0 ? 40 - index * 10 : parseInt(release.resolution) / 100
+      score += points
+      reasons.push(`${release.resolution} +${Math.round(points)}`)
+    }
+
+    if (release.codec && profile.preferredCodecs.includes(release.codec)) {
+      score += 15
+      reasons.push(`${release.codec} +15`)
+    }
+
+    if (release.source && profile.preferredSources.includes(release.source)) {
+      score += 10
+      reasons.push(`${release.source} +10`)
+    }
+
+    if (profile.preferHdr && release.hdr.length > 0) {
+      score += 10
+      reasons.push(`${release.hdr.join('/')} +10`)
+    }
+
+    for (const term of profile.preferredTerms) {
+      if (title.includes(term.toLowerCase())) {
+        score += 10
+        reasons.push(`"${term}" +10`)
+      }
+    }
+
+    if (release.proper || release.repack) {
+      score += 5
+      reasons.push(`${release.proper ? 'PROPER' : 'REPACK'} +5`)
+    }
+
+    // Swarm health, with diminishing returns
+    const seederPoints = Math.min(20, Math.round(Math.log2(result.seeders + 1) * 3))
+    score += seederPoints
+    reasons.push(`${result.seeders} seeders +${seederPoints}`)
+
+    return { result, score, reasons }
+  }
+
+  private matchesTitle(release: ParsedRelease, target: ReleaseTarget): boolean {
+    const parsed = this.normalizeTitle(release.title)
+    return target.titles.some(title => this.normalizeTitle(title) === parsed)
+  }
+
+  // Without a season, TV grabs want whole seasons; with one, a pack or the exact episode
+  private checkEpisodes(release: ParsedRelease, target: ReleaseTarget): string | null {
+    if (target.type === 'movie') {
+      return release.seasons.length > 0 || release.episodes.length > 0 ? 'TV release' : null
+    }
+
+    if (target.season === undefined) {
+      return release.fullSeason ? null : 'Single episodes need a season and episode'
+    }
+
+    if (release.seasons.length > 0 && !release.seasons.includes(target.season)) {
+      return `Not season ${target.season}`
+    }
+
+    if (release.seasons.length === 0 && !release.complete) {
+      return 'No season information'
+    }
+
+    if (target.episode === undefined) {
+      return release.fullSeason ? null : 'Single episode, season pack wanted'
+    }
+
+    return release.fullSeason || release.episodes.includes(target.episode)
+      ? null
+      : `Not episode ${target.episode}`
+  }
+
+  private normalizeTitle(title: string): string {
+    return title
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/&/g, 'and')
+      .replace(/^the\s+/, '')
+      .replace(/[^a-z0-9]/g, '')
+  }
+}
+
+export default QualityProfileService
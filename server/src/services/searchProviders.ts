@@ -0,0 +1,255 @@
+import { HttpClient } from '@/services/httpClient.js'
+import {
+  parseTorznabCaps,
+  parseTorznabResults,
+  categoriesFor,
+  mediaTypeOf,
+  TORZNAB_CATEGORIES,
+  TorznabCategory,
+  TorznabItem,
+  MediaCategory
+} from '@/utils/torznab.js'
+
+// Pseudo-indexer id for a source's aggregate endpoint
+export const ALL_INDEXERS = 'all'
+
+export type SearchSourceType = 'jackett' | 'prowlarr' | 'torznab'
+
+export interface SearchSource {
+  id: string
+  name: string
+  type: SearchSourceType
+  // Torznab sources point at the endpoint itself (e.g. http://prowlarr:9696/1/api)
+  url: string
+  apiKey: string
+  enabled: boolean
+}
+
+export interface SearchIndexer {
+  // `${sourceId}:${id}`, unique across sources
+  key: string
+  id: string
+  name: string
+  sourceId: string
+  sourceName: string
+  // From t=caps where the source reports them
+  categories?: TorznabCategory[]
+  searchModes?: string[]
+}
+
+// A release in Jackett's result format, which every provider maps to
+export interface SearchResultItem {
+  Title: string
+  Description?: string
+  Size: number
+  Seeders: number
+  Peers: number
+  MagnetUri?: string
+  Link?: string
+  InfoHash?: string
+  Tracker: string
+  CategoryDesc?: string
+  PublishDate?: string
+  Guid?: string
+  Source: string
+  // Our category, when the provider can tell from the release's category ids
+  Type?: MediaCategory
+}
+
+export interface SearchRequest {
+  query: string
+  // Omit to search every category
+  category?: MediaCategory
+}
+
+export interface SearchProvider {
+  readonly source: SearchSource
+  // Indexers must be listed, with their capabilities, before they can be searched
+  readonly needsIndexerList: boolean
+  listIndexers(): Promise<SearchIndexer[]>
+  // Stands for every indexer behind the source when per-indexer search is off
+  aggregateIndexer(): SearchIndexer
+  search(indexer: SearchIndexer, request: SearchRequest): Promise<SearchResultItem[]>
+}
+
+// Jackett's JSON API
+export class JackettSearchProvider implements SearchProvider {
+  readonly source: SearchSource
+  readonly needsIndexerList = false
+  private client: HttpClient
+
+  constructor(source: SearchSource, client: HttpClient) {
+    this.source = source
+    this.client = client
+  }
+
+  async listIndexers(): Promise<SearchIndexer[]> {
+    const data: any[] = await this.client.get('/api/v2.0/indexers', { apikey: this.source.apiKey, configured: 'true' }, { cache: false }) || []
+
+    return data
+      .filter(indexer => indexer.configured)
+      .map(indexer => toIndexer(this.source, indexer.id, indexer.name, {
+        categories: indexer.caps
+          ?.map((category: any) => ({ id: parseInt(category.ID), name: category.Name }))
+          .filter((category: TorznabCategory) => !isNaN(category.id))
+      }))
+  }
+
+  aggregateIndexer(): SearchIndexer {
+    return toIndexer(this.source, ALL_INDEXERS, this.source.name)
+  }
+
+  async search(indexer: SearchIndexer, request: SearchRequest): Promise<SearchResultItem[]> {
+    const data = await this.client.get(`/api/v2.0/indexers/${encodeURIComponent(indexer.id)}/results`, {
+      apikey: this.source.apiKey,
+      Query: request.query,
+      // Jackett maps the standard parent categories onto each indexer's own
+      Category: request.category ? TORZNAB_CATEGORIES[request.category] : undefined
+    }, { cache: true, cacheTTL: 900 })
+
+    return (data?.Results || []).map((item: any) => ({ ...item, Source: this.source.name }))
+  }
+}
+
+// Prowlarr's JSON API
+export class ProwlarrSearchProvider implements SearchProvider {
+  readonly source: SearchSource
+  readonly needsIndexerList = false
+  private client: HttpClient
+
+  constructor(source: SearchSource, client: HttpClient) {
+    this.source = source
+    this.client = client
+  }
+
+  async listIndexers(): Promise<SearchIndexer[]> {
+    const data: any[] = await this.client.get('/api/v1/indexer', null, { cache: false }) || []
+
+    return data
+      .filter(indexer => indexer.enable && indexer.protocol === 'torrent')
+      .map(indexer => toIndexer(this.source, String(indexer.id), indexer.name, {
+        categories: indexer.capabilities?.categories?.map((category: any) => ({ id: category.id, name: category.name }))
+      }))
+  }
+
+  aggregateIndexer(): SearchIndexer {
+    return toIndexer(this.source, ALL_INDEXERS, this.source.name)
+  }
+
+  async search(indexer: SearchIndexer, request: SearchRequest): Promise<SearchResultItem[]> {
+    const data: any[] = await this.client.get('/api/v1/search', {
+      query: request.query,
+      type: 'search',
+      categories: request.category ? TORZNAB_CATEGORIES[request.category] : undefined,
+      indexerIds: indexer.id === ALL_INDEXERS ? undefined : indexer.id
+    }, { cache: true, cacheTTL: 900 }) || []
+
+    return data
+      .filter(item => item.protocol !== 'usenet')
+      .map(item => ({
+        Title: item.title,
+        Description: item.description,
+        Size: item.size,
+        Seeders: item.seeders,
+        Peers: item.leechers,
+        MagnetUri: item.magnetUrl,
+        Link: item.downloadUrl,
+        InfoHash: item.infoHash,
+        Tracker: item.indexer,
+        CategoryDesc: item.categories?.[0]?.name,
+        PublishDate: item.publishDate,
+        Guid: item.guid,
+        Source: this.source.name
+      }))
+  }
+}
+
+// Any Torznab endpoint; each one is a single indexer, described by its t=caps response
+export class TorznabSearchProvider implements SearchProvider {
+  readonly source: SearchSource
+  readonly needsIndexerList = true
+  private client: HttpClient
+
+  constructor(source: SearchSource, client: HttpClient) {
+    this.source = source
+    this.client = client
+  }
+
+  async listIndexers(): Promise<SearchIndexer[]> {
+    const caps = parseTorznabCaps(await this.client.get('', { t: 'caps', apikey: this.source.apiKey }, { cache: false }))
+
+    return [toIndexer(this.source, ALL_INDEXERS, caps.title || this.source.name, {
+      categories: caps.categories,
+      searchModes: Object.keys(caps.searching).filter(mode => caps.searching[mode].available)
+    })]
+  }
+
+  aggregateIndexer(): SearchIndexer {
+    return toIndexer(this.source, ALL_INDEXERS, this.source.name)
+  }
+
+  async search(indexer: SearchIndexer, request: SearchRequest): Promise<SearchResultItem[]> {
+    const { category } = request
+    const categories = category ? categoriesFor(category, indexer.categories || []) : undefined
+
+    const xml = await this.client.get('', {
+      t: this.searchFunction(indexer, category),
+      q: request.query,
+      cat: categories?.join(','),
+      extended: 1,
+      apikey: this.source.apiKey
+    }, { cache: true, cacheTTL: 900 })
+
+    return parseTorznabResults(xml).map(item => ({
+      Title: item.title,
+      Description: item.description,
+      Size: item.size,
+      Seeders: item.seeders,
+      Peers: item.peers,
+      MagnetUri: item.magnetUrl,
+      Link: item.link,
+      InfoHash: item.infoHash,
+      Tracker: item.indexer || indexer.name,
+      CategoryDesc: this.describeCategory(item, indexer),
+      PublishDate: item.publishDate,
+      Guid: item.guid,
+      Source: this.source.name,
+      Type: item.categories.map(id => mediaTypeOf(id, indexer.categories)).find(Boolean)
+    }))
+  }
+
+  // Movie and TV search modes match better, but only when the indexer offers them
+  private searchFunction(indexer: SearchIndexer, category?: MediaCategory): string {
+    const modes = indexer.searchModes || []
+
+    if (category === 'movie' && modes.includes('movie-search')) return 'movie'
+    if (category === 'tv' && modes.includes('tv-search')) return 'tvsearch'
+    return 'search'
+  }
+
+  // Category name from the caps, falling back to the standard parent's
+  private describeCategory(item: TorznabItem, indexer: SearchIndexer): string {
+    for (const id of item.categories) {
+      const known = indexer.categories?.find(category => category.id === id)
+      if (known) return known.name
+    }
+
+    const type = item.categories.map(id => mediaTypeOf(id)).find(Boolean)
+    return type === 'movie' ? 'Movies' : type === 'tv' ? 'TV' : ''
+  }
+}
+
+export function createSearchProvider(source: SearchSource, client: HttpClient): SearchProvider {
+  switch (source.type) {
+    case 'prowlarr':
+      return new ProwlarrSearchProvider(source, client)
+    case 'torznab':
+      return new TorznabSearchProvider(source, client)
+    default:
+      return new JackettSearchProvider(source, client)
+  }
+}
+
+function toIndexer(source: SearchSource, id: string, name: string, extra: Partial<SearchIndexer> = {}): SearchIndexer {
+  return { key: `${source.id}:${id}`, id, name, sourceId: source.id, sourceName: source.name, ...extra }
+}
@@ -0,0 +1,246 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { SettingsService } from '@/services/settings.js'
+import { NotificationService } from '@/services/notifications.js'
+import { getSeedingConfig } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+import { Download, COLLECTIONS } from '@/types/database.js'
+
+export interface SeedingRule {
+  ratio: number
+  // Minutes
+  minSeedTime: number
+  maxSeedTime: number
+  action: 'pause' | 'remove' | 'none'
+  deleteFiles: boolean
+}
+
+export type SeedingState = 'seeding' | 'near_goal' | 'goal_met' | 'awaiting_import' | 'stopped'
+
+export interface SeedingEntry {
+  downloadId: string
+  userId: string
+  name: string
+  hash: string
+  category: Download['category']
+  ratio: number
+  // Seconds
+  seedTime: number
+  rule: SeedingRule
+  // 0..1 towards the rule's goal; 1 once met
+  progress: number
+  state: SeedingState
+  reason?: string
+}
+
+export class SeedingPolicyService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private wsService: WebSocketService
+  private settingsService: SettingsService
+  private notificationService: NotificationService
+  private checkTimer: NodeJS.Timeout | null = null
+  private isChecking = false
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.wsService = wsService
+    this.settingsService = new SettingsService(dbService)
+    this.notificationService = new NotificationService(dbService, wsService)
+  }
+
+  // Check seeding goals periodically; rules only act while enabled in settings
+  start(): void {
+    if (this.checkTimer) return
+
+    const { checkInterval } = getSeedingConfig()
+
+    this.checkTimer = setInterval(() => {
+      this.enforce()
+    }, checkInterval)
+
+    this.enforce()
+    logger.info(`Seeding policy started (${checkInterval}ms interval)`)
+  }
+
+  // Stop checking
+  stop(): void {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer)
+      this.checkTimer = null
+      logger.info('Seeding policy stopped')
+    }
+  }
+
+  // Pause or remove torrents whose goals are met
+  async enforce(): Promise<void> {
+    if (this.isChecking || !this.apiProxy.isServiceAvailable('qbittorrent')) return
+
+    this.isChecking = true
+
+    try {
+      const { enabled } = await this.settingsService.getGroup('seeding')
+      if (!enabled) return
+
+      const entries = await this.evaluate()
+
+      for (const entry of entries) {
+        if (entry.state !== 'goal_met' || entry.rule.action === 'none') continue
+
+        try {
+          await this.stopSeeding(entry)
+        } catch (error) {
+          logger.error(`Failed to ${entry.rule.action} ${entry.name} after its seeding goal:`, error)
+        }
+      }
+    } catch (error) {
+      logger.warn('Seeding policy check failed:', error instanceof Error ? error.message : error)
+    } finally {
+      this.isChecking = false
+    }
+  }
+
+  // Seeding progress of every completed download still in qBittorrent
+  async evaluate(nearGoal = 0.9): Promise<SeedingEntry[]> {
+    const { rules } = await this.settingsService.getGroup('seeding')
+    const torrents: any[] = await this.apiProxy.withQBittorrentSession(client =>
+      client.get('/api/v2/torrents/info', { filter: 'completed' }, { cache: false })) || []
+    const entries: SeedingEntry[] = []
+
+    for (const torrent of torrents) {
+      const hash = String(torrent.hash).toLowerCase()
+      const [download] = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+        infoHash: hash,
+        removedAt: { $exists: false }
+      })
+      if (!download) continue
+
+      const rule: SeedingRule = rules[download.category] || rules.other
+      const seedTime = this.getSeedTime(torrent)
+      const ratio = Math.round((torrent.ratio || 0) * 100) / 100
+      const progress = this.getProgress(rule, ratio, seedTime)
+
+      let state: SeedingState = progress >= 1 ? 'goal_met' : progress >= nearGoal ? 'near_goal' : 'seeding'
+      let reason: string | undefined
+
+      if (download.seedingAction) {
+        // Left alone after stopping once, so a manual resume isn't undone
+        state = 'stopped'
+        reason = `${download.seedingAction === 'pause' ? 'Paused' : 'Removed'} by the seeding policy`
+      } else if (state === 'goal_met' && this.needsImport(download)) {
+        // Files must not be paused or deleted away before they reach the library
+        state = 'awaiting_import'
+        reason = 'Waiting for the media to be imported into the library'
+      }
+
+      entries.push({
+        downloadId: download.id,
+        userId: download.userId,
+        name: download.name,
+        hash,
+        category: download.category,
+        ratio,
+        seedTime,
+        rule,
+        progress: Math.round(Math.min(progress, 1) * 100) / 100,
+        state,
+        reason
+      })
+    }
+
+    return entries.sort((a, b) => b.progress - a.progress)
+  }
+
+  // Private helper methods
+  private async stopSeeding(entry: SeedingEntry): Promise<void> {
+    const [download] = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, { id: entry.downloadId })
+    if (!download) return
+
+    const { action } = entry.rule
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' }
+    const deleteFiles = action !== 'pause' && entry.rule.deleteFiles && await this.canDeleteFiles(download)
+
+    await this.apiProxy.withQBittorrentSession(client => action === 'pause'
+      ? client.post('/api/v2/torrents/pause', new URLSearchParams({ hashes: entry.hash }).toString(), { headers })
+      : client.post('/api/v2/torrents/delete', new URLSearchParams({
+        hashes: entry.hash,
+        deleteFiles: String(deleteFiles)
+      }).toString(), { headers }))
+
+    const updated = await this.dbService.update<Download>(COLLECTIONS.DOWNLOADS, download.id, {
+      status: action === 'pause' ? 'paused' : download.status,
+      seedingAction: action,
+      seedingStoppedAt: new Date().toISOString()
+    })
+
+    const goal = `ratio ${entry.ratio}, seeded ${this.formatSeedTime(entry.seedTime)}`
+    logger.info(`Seeding goal met for ${download.name} (${goal}), torrent ${action === 'pause' ? 'paused' : 'removed'}`)
+
+    this.wsService.broadcastDownloadUpdate(download.userId, {
+      type: 'download_seeding_stopped',
+      hash: entry.hash,
+      action,
+      download: updated
+    })
+
+    await this.notificationService.notify(download.userId, {
+      type: 'info',
+      title: 'Seeding goal reached',
+      message: `${download.name} was ${action === 'pause' ? 'paused' : 'removed from qBittorrent'} (${goal})`,
+      data: { downloadId: download.id, hash: entry.hash, action, ratio: entry.ratio, seedTime: entry.seedTime }
+    })
+  }
+
+  // Movies and TV shows only count once organized into the library
+  private needsImport(download: Download): boolean {
+    return (download.category === 'movie' || download.category === 'tv') && !download.importedAt
+  }
+
+  // Never delete files that were moved into the library rather than copied
+  private async canDeleteFiles(download: Download): Promise<boolean> {
+    const [torrent] = await this.apiProxy.withQBittorrentSession(client =>
+      client.get('/api/v2/torrents/info', { hashes: download.infoHash }, { cache: false })) || []
+    const contentPath = this.trimSlashes(torrent?.content_path || torrent?.save_path || download.savePath)
+
+    if (!contentPath) return false
+    if (!download.importPath) return true
+
+    const importPath = this.trimSlashes(download.importPath)
+    return contentPath !== importPath && !contentPath.startsWith(`${importPath}/`) && !importPath.startsWith(`${contentPath}/`)
+  }
+
+  // Goals met when the minimum seed time has passed and the ratio or maximum seed time is reached
+  private getProgress(rule: SeedingRule, ratio: number, seedTime: number): number {
+    const minutes = seedTime / 60
+    const minProgress = rule.minSeedTime > 0 ? minutes / rule.minSeedTime : 1
+    const goals: number[] = []
+
+    if (rule.ratio > 0) goals.push(ratio / rule.ratio)
+    if (rule.maxSeedTime > 0) goals.push(minutes / rule.maxSeedTime)
+
+    // Without a ratio or maximum the minimum seed time is the goal
+    const goalProgress = goals.length > 0 ? Math.max(...goals) : 1
+
+    return Math.min(goalProgress, minProgress)
+  }
+
+  // qBittorrent 4.4+ reports seeding_time; older versions only have the completion time
+  private getSeedTime(torrent: any): number {
+    if (typeof torrent.seeding_time === 'number') return torrent.seeding_time
+    if (torrent.completion_on > 0) return Math.max(0, Math.floor(Date.now() / 1000) - torrent.completion_on)
+    return 0
+  }
+
+  private formatSeedTime(seconds: number): string {
+    const hours = Math.floor(seconds / 3600)
+    return hours >= 48 ? `${Math.floor(hours / 24)}d` : `${hours}h ${Math.floor((seconds % 3600) / 60)}m`
+  }
+
+  private trimSlashes(path: string): string {
+    return (path || '').replace(/\/+$/, '')
+  }
+}
+
+export default SeedingPolicyService
@@ -0,0 +1,525 @@
+import Joi from 'joi'
+import { DatabaseService } from '@/services/database.js'
+import { config } from '@/config/config.js'
+import { setLogLevel } from '@/utils/logger.js'
+import { Setting } from '@/types/database.js'
+import { RESOLUTIONS, SOURCES, CODECS } from '@/utils/releaseParser.js'
+
+export type SettingsGroupName = 'api' | 'search' | 'notifications' | 'downloads' | 'quality' | 'bandwidth' | 'seeding' | 'media' | 'streaming' | 'system' | 'theme'
+
+export interface SettingsGroup {
+  category: Setting['category']
+  // 'user' groups are stored per user, 'global' groups apply to everyone
+  scope: 'user' | 'global'
+  description: string
+  schema: Joi.ObjectSchema
+  defaults: () => Record<string, any>
+  // Stored with AES-GCM; secret fields are masked in API responses
+  encrypted?: boolean
+  secretFields?: string[]
+}
+
+// Prefix of masked secrets; values sent back unchanged by clients are ignored on update
+export const SECRET_MASK = '********'
+
+// Cache lifetimes from the environment; the system group overrides config.cache at runtime
+const ENV_CACHE = { ...config.cache }
+
+const serviceUrl = Joi.string().uri({ scheme: ['http', 'https'] }).allow('')
+
+const qualityProfile = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required(),
+  name: Joi.string().min(1).max(100).required(),
+  // Allowed resolutions, best first; empty allows any
+  resolutions: Joi.array().items(Joi.string().valid(...RESOLUTIONS)).default([]),
+  preferredCodecs: Joi.array().items(Joi.string().valid(...CODECS)).default([]),
+  preferredSources: Joi.array().items(Joi.string().valid(...SOURCES)).default([]),
+  rejectedSources: Joi.array().items(Joi.string().valid(...SOURCES)).default([]),
+  preferHdr: Joi.boolean().default(false),
+  // Sizes in GB; 0 means no limit
+  minSize: Joi.number().min(0).default(0),
+  maxSize: Joi.number().min(0).default(0),
+  minSeeders: Joi.number().integer().min(0).default(1),
+  preferredTerms: Joi.array().items(Joi.string().min(1)).default([]),
+  rejectedTerms: Joi.array().items(Joi.string().min(1)).default([])
+})
+
+const clockTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('{{#label}} must be a HH:MM time')
+
+const bandwidthProfile = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).required(),
+  name: Joi.string().min(1).max(100).required(),
+  // KB/s; 0 means unlimited
+  downloadLimit: Joi.number().integer().min(0).default(0),
+  uploadLimit: Joi.number().integer().min(0).default(0),
+  // Use qBittorrent's alternative speed limits instead of the limits above
+  alternative: Joi.boolean().default(false)
+})
+
+// Weekly rule in server local time; an end at or before the start runs past midnight
+const bandwidthRule = Joi.object({
+  days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+  start: clockTime.required(),
+  end: clockTime.required(),
+  profileId: Joi.string().required()
+})
+
+// Seeding goals for one download category; times in minutes, 0 disables a goal
+const seedingRule = Joi.object({
+  ratio: Joi.number().min(0).default(1),
+  // Never act before the torrent has seeded this long
+  minSeedTime: Joi.number().integer().min(0).default(0),
+  // Act once seeded this long, whatever the ratio
+  maxSeedTime: Joi.number().integer().min(0).default(0),
+  action: Joi.string().valid('pause', 'remove', 'none').default('pause'),
+  // Only with "remove"; files inside the library import path are always kept
+  deleteFiles: Joi.boolean().default(false)
+})
+
+const searchSource = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9-]+$/).max(50).invalid('jackett').required(),
+  name: Joi.string().min(1).max(100).required(),
+  type: Joi.string().valid('jackett', 'prowlarr', 'torznab').required(),
+  // Torznab sources use the full endpoint URL, e.g. http://prowlarr:9696/1/api
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  apiKey: Joi.string().allow('').default(''),
+  enabled: Joi.boolean().default(true)
+})
+
+// Settings groups, each stored as one record per field under `${group}.${field}`
+export const SETTINGS_GROUPS: Record<SettingsGroupName, SettingsGroup> = {
+  api: {
+    category: 'api',
+    scope: 'global',
+    description: 'External service URLs and credentials',
+    encrypted: true,
+    secretFields: ['apiKey', 'password'],
+    schema: Joi.object({
+      tmdb: Joi.object({ apiKey: Joi.string().allow('') }),
+      watchmode: Joi.object({ apiKey: Joi.string().allow('') }),
+      jackett: Joi.object({ url: serviceUrl, apiKey: Joi.string().allow('') }),
+      qbittorrent: Joi.object({ url: serviceUrl, username: Joi.string().allow(''), password: Joi.string().allow('') }),
+      cloudcommander: Joi.object({ url: serviceUrl, username: Joi.string().allow(''), password: Joi.string().allow('') }),
+      portainer: Joi.object({ url: serviceUrl, apiKey: Joi.string().allow('') }),
+      jellyfin: Joi.object({ url: serviceUrl, apiKey: Joi.string().allow('') })
+    }),
+    defaults: () => ({
+      tmdb: { apiKey: config.apis.tmdb.apiKey },
+      watchmode: { apiKey: config.apis.watchmode.apiKey },
+      jackett: { url: config.apis.jackett.url, apiKey: config.apis.jackett.apiKey },
+      qbittorrent: {
+        url: config.apis.qbittorrent.url,
+        username: config.apis.qbittorrent.username,
+        password: config.apis.qbittorrent.password
+      },
+      cloudcommander: {
+        url: config.apis.cloudCommander.url,
+        username: config.apis.cloudCommander.username,
+        password: config.apis.cloudCommander.password
+      },
+      portainer: { url: config.apis.portainer.url, apiKey: config.apis.portainer.apiKey },
+      jellyfin: { url: config.apis.jellyfin.url, apiKey: config.apis.jellyfin.apiKey }
+    })
+  },
+  search: {
+    category: 'api',
+    scope: 'global',
+    description: 'Torrent search sources and timeouts',
+    encrypted: true,
+    secretFields: ['apiKey'],
+    schema: Joi.object({
+      // Query each indexer separately so slow ones don't hold up the rest
+      perIndexer: Joi.boolean(),
+      indexerTimeout: Joi.number().integer().min(1000).max(120000),
+      // Jackett or Prowlarr instances searched alongside the Jackett service from the API settings
+      sources: Joi.array().items(searchSource).unique('id')
+    }),
+    defaults: () => ({
+      perIndexer: true,
+      indexerTimeout: 15000,
+      sources: []
+    })
+  },
+  notifications: {
+    category: 'notification',
+    scope: 'user',
+    description: 'Which notifications to receive',
+    schema: Joi.object({
+      enabled: Joi.boolean(),
+      // Per notification type; info notifications only follow "enabled"
+      downloads: Joi.boolean(),
+      errors: Joi.boolean(),
+      system: Joi.boolean()
+    }),
+    defaults: () => ({
+      enabled: config.notifications.enabled,
+      downloads: true,
+      errors: true,
+      system: true
+    })
+  },
+  downloads: {
+    category: 'system',
+    scope: 'global',
+    description: 'Download locations and behaviour',
+    schema: Joi.object({
+      autoMove: Joi.boolean(),
+      defaultCategory: Joi.string().valid('movie', 'tv', 'other'),
+      sequentialDownload: Joi.boolean(),
+      downloadsPath: Joi.string().min(1),
+      moviesPath: Joi.string().min(1),
+      tvShowsPath: Joi.string().min(1)
+    }),
+    defaults: () => ({
+      autoMove: true,
+      defaultCategory: 'other',
+      sequentialDownload: false,
+      downloadsPath: config.paths.downloads,
+      moviesPath: config.paths.movies,
+      tvShowsPath: config.paths.tvShows
+    })
+  },
+  quality: {
+    category: 'system',
+    scope: 'global',
+    description: 'Quality profiles used to pick torrents automatically',
+    schema: Joi.object({
+      defaultProfile: Joi.string(),
+      profiles: Joi.array().items(qualityProfile).min(1).unique('id')
+    }),
+    defaults: () => ({
+      defaultProfile: 'hd-1080p',
+      profiles: [
+        {
+          id: 'hd-1080p',
+          name: '1080p HEVC preferred, max 8 GB, no CAM',
+          resolutions: ['1080p'],
+          preferredCodecs: ['x265'],
+          preferredSources: ['BluRay', 'WEB-DL'],
+          rejectedSources: ['CAM', 'TELESYNC', 'SCREENER'],
+          preferHdr: false,
+          minSize: 0,
+          maxSize: 8,
+          minSeeders: 1,
+          preferredTerms: [],
+          rejectedTerms: []
+        },
+        {
+          id: 'uhd-hdr',
+          name: '2160p HDR, max 40 GB',
+          resolutions: ['2160p', '1080p'],
+          preferredCodecs: ['x265'],
+          preferredSources: ['BluRay', 'WEB-DL'],
+          rejectedSources: ['CAM', 'TELESYNC', 'SCREENER'],
+          preferHdr: true,
+          minSize: 0,
+          maxSize: 40,
+          minSeeders: 1,
+          preferredTerms: [],
+          rejectedTerms: []
+        },
+        {
+          id: 'any',
+          name: 'Any quality, most seeders',
+          resolutions: [],
+          preferredCodecs: [],
+          preferredSources: [],
+          rejectedSources: ['CAM', 'TELESYNC'],
+          preferHdr: false,
+          minSize: 0,
+          maxSize: 0,
+          minSeeders: 1,
+          preferredTerms: [],
+          rejectedTerms: []
+        }
+      ]
+    })
+  },
+  bandwidth: {
+    category: 'system',
+    scope: 'global',
+    description: 'qBittorrent speed-limit profiles and weekly schedule',
+    schema: Joi.object({
+      // When off the server only changes limits for a manual override
+      enabled: Joi.boolean(),
+      // Profile applied outside scheduled rules
+      defaultProfile: Joi.string(),
+      profiles: Joi.array().items(bandwidthProfile).min(1).unique('id'),
+      // First matching rule wins
+      schedule: Joi.array().items(bandwidthRule)
+    }),
+    defaults: () => ({
+      enabled: false,
+      defaultProfile: 'unlimited',
+      profiles: [
+        { id: 'unlimited', name: 'Unlimited', downloadLimit: 0, uploadLimit: 0, alternative: false },
+        { id: 'evening', name: 'Evening: 2 MB/s down, 200 KB/s up', downloadLimit: 2048, uploadLimit: 200, alternative: false },
+        { id: 'alternative', name: 'qBittorrent alternative limits', downloadLimit: 0, uploadLimit: 0, alternative: true }
+      ],
+      schedule: [
+        { days: [0, 1, 2, 3, 4, 5, 6], start: '18:00', end: '23:00', profileId: 'evening' }
+      ]
+    })
+  },
+  seeding: {
+    category: 'system',
+    scope: 'global',
+    description: 'Seeding goals per download category and what to do once they are met',
+    schema: Joi.object({
+      enabled: Joi.boolean(),
+      rules: Joi.object({
+        movie: seedingRule,
+        tv: seedingRule,
+        other: seedingRule
+      })
+    }),
+    defaults: () => ({
+      enabled: false,
+      rules: {
+        movie: { ratio: 1, minSeedTime: 1440, maxSeedTime: 20160, action: 'pause', deleteFiles: false },
+        tv: { ratio: 1, minSeedTime: 1440, maxSeedTime: 20160, action: 'pause', deleteFiles: false },
+        other: { ratio: 1, minSeedTime: 60, maxSeedTime: 10080, action: 'pause', deleteFiles: false }
+      }
+    })
+  },
+  media: {
+    category: 'user',
+    scope: 'user',
+    description: 'Language and region of TMDB results, and adult titles in searches',
+    schema: Joi.object({
+      region: Joi.string().length(2).uppercase(),
+      language: Joi.string().pattern(/^[a-z]{2}(-[A-Z]{2})?$/),
+      includeAdult: Joi.boolean()
+    }),
+    defaults: () => ({
+      region: 'US',
+      language: 'en-US',
+      includeAdult: false
+    })
+  },
+  streaming: {
+    category: 'user',
+    scope: 'user',
+    description: 'Streaming services you subscribe to',
+    schema: Joi.object({
+      // Watchmode source ids, as listed by GET /streaming/providers
+      services: Joi.array().items(Joi.number().integer()).unique().max(100),
+      // Regions the subscriptions are watched in
+      regions: Joi.array().items(Joi.string().length(2).uppercase()).unique().min(1).max(10)
+    }),
+    defaults: () => ({
+      services: [],
+      regions: ['US']
+    })
+  },
+  system: {
+    category: 'system',
+    scope: 'global',
+    description: 'Server behaviour and cache lifetimes',
+    schema: Joi.object({
+      logLevel: Joi.string().valid('error', 'warn', 'info', 'debug'),
+      cacheTtlTrending: Joi.number().integer().min(60),
+      cacheTtlSearch: Joi.number().integer().min(60),
+      cacheTtlDetails: Joi.number().integer().min(60),
+      cacheTtlAvailability: Joi.number().integer().min(60)
+    }),
+    defaults: () => ({
+      logLevel: config.logging.level,
+      cacheTtlTrending: ENV_CACHE.ttlTrending,
+      cacheTtlSearch: ENV_CACHE.ttlSearch,
+      cacheTtlDetails: ENV_CACHE.ttlDetails,
+      cacheTtlAvailability: ENV_CACHE.ttlAvailability
+    })
+  },
+  theme: {
+    category: 'theme',
+    scope: 'user',
+    description: 'Interface theme',
+    schema: Joi.object({
+      themeId: Joi.string().valid('netflix', 'prime-video', 'hulu', 'hbo-max', 'disney-plus', 'apple-tv')
+    }),
+    defaults: () => ({
+      themeId: 'netflix'
+    })
+  }
+}
+
+export class SettingsService {
+  private dbService: DatabaseService
+
+  constructor(dbService: DatabaseService) {
+    this.dbService = dbService
+  }
+
+  // Check whether a group name exists
+  isGroup(name: string): name is SettingsGroupName {
+    return Object.prototype.hasOwnProperty.call(SETTINGS_GROUPS, name)
+  }
+
+  getGroupNames(): SettingsGroupName[] {
+    return Object.keys(SETTINGS_GROUPS) as SettingsGroupName[]
+  }
+
+  getDefaults(name: SettingsGroupName): Record<string, any> {
+    return SETTINGS_GROUPS[name].defaults()
+  }
+
+  // Resolve a group: user values override global values, which override defaults
+  async getGroup(name: SettingsGroupName, userId?: string): Promise<Record<string, any>> {
+    const group = SETTINGS_GROUPS[name]
+    const values = group.defaults()
+
+    const stored = await this.dbService.findSettings(group.category)
+    this.applyStored(values, name, stored)
+
+    if (group.scope === 'user' && userId) {
+      const userStored = await this.dbService.findSettings(group.category, userId)
+      this.applyStored(values, name, userStored)
+    }
+
+    return values
+  }
+
+  // Apply the system group to the running server: log level and cache lifetimes
+  async applySystemSettings(): Promise<void> {
+    const { logLevel, cacheTtlTrending, cacheTtlSearch, cacheTtlDetails, cacheTtlAvailability } = await this.getGroup('system')
+
+    setLogLevel(logLevel)
+    Object.assign(config.cache, {
+      ttlTrending: cacheTtlTrending,
+      ttlSearch: cacheTtlSearch,
+      ttlDetails: cacheTtlDetails,
+      ttlAvailability: cacheTtlAvailability
+    })
+  }
+
+  // Validate a partial update for a group
+  validateGroup(name: SettingsGroupName, values: any): Joi.ValidationResult {
+    return SETTINGS_GROUPS[name].schema.validate(values, { abortEarly: false })
+  }
+
+  // Persist a validated partial update and return the resolved group
+  async updateGroup(name: SettingsGroupName, values: Record<string, any>, userId?: string): Promise<Record<string, any>> {
+    const group = SETTINGS_GROUPS[name]
+    const scopeUserId = group.scope === 'user' ? userId : undefined
+    const current = await this.getGroup(name, userId)
+
+    for (const [field, value] of Object.entries(this.stripMasked(name, values))) {
+      // Nested objects (e.g. per-service credentials) are merged, not replaced
+      let merged = this.isPlainObject(value) && this.isPlainObject(current[field])
+        ? { ...current[field], ...value }
+        : value
+
+      if (Array.isArray(value) && Array.isArray(current[field])) {
+        merged = this.restoreMaskedEntries(name, value, current[field])
+      }
+
+      await this.dbService.setSetting({
+        key: `${name}.${field}`,
+        value: merged,
+        category: group.category,
+        encrypted: group.encrypted || false,
+        description: `${group.description}: ${field}`
+      }, scopeUserId)
+    }
+
+    return this.getGroup(name, userId)
+  }
+
+  // Remove stored values so the group falls back to its defaults
+  async resetGroup(name: SettingsGroupName, userId?: string): Promise<number> {
+    const group = SETTINGS_GROUPS[name]
+    const scopeUserId = group.scope === 'user' ? userId : undefined
+    let removed = 0
+
+    for (const field of Object.keys(group.defaults())) {
+      if (await this.dbService.deleteSetting(`${name}.${field}`, scopeUserId)) {
+        removed++
+      }
+    }
+
+    return removed
+  }
+
+  // Replace secret values with a mask that keeps the last characters recognisable
+  maskGroup(name: SettingsGroupName, values: Record<string, any>): Record<string, any> {
+    const secretFields = SETTINGS_GROUPS[name].secretFields || []
+    const mask = (entry: Record<string, any>): Record<string, any> => {
+      const masked: Record<string, any> = {}
+      for (const [key, value] of Object.entries(entry)) {
+        if (secretFields.includes(key) && typeof value === 'string') {
+          masked[key] = this.maskSecret(value)
+        } else if (Array.isArray(value)) {
+          masked[key] = value.map(item => this.isPlainObject(item) ? mask(item) : item)
+        } else {
+          masked[key] = this.isPlainObject(value) ? mask(value) : value
+        }
+      }
+      return masked
+    }
+
+    return mask(values)
+  }
+
+  isMasked(value: any): boolean {
+    return typeof value === 'string' && value.startsWith(SECRET_MASK)
+  }
+
+  private maskSecret(value: string): string {
+    if (!value) return ''
+    return value.length > 12 ? `${SECRET_MASK}${value.slice(-4)}` : SECRET_MASK
+  }
+
+  // Drop masked secrets so unchanged values are kept as stored
+  private stripMasked(name: SettingsGroupName, values: Record<string, any>): Record<string, any> {
+    const secretFields = SETTINGS_GROUPS[name].secretFields || []
+    const strip = (entry: Record<string, any>): Record<string, any> => {
+      const stripped: Record<string, any> = {}
+      for (const [key, value] of Object.entries(entry)) {
+        if (secretFields.includes(key) && this.isMasked(value)) continue
+        stripped[key] = this.isPlainObject(value) ? strip(value) : value
+      }
+      return stripped
+    }
+
+    return strip(values)
+  }
+
+  // List entries with an id (e.g. search sources) keep their stored secrets when sent back masked
+  private restoreMaskedEntries(name: SettingsGroupName, entries: any[], stored: any[]): any[] {
+    const secretFields = SETTINGS_GROUPS[name].secretFields || []
+
+    return entries.map(entry => {
+      if (!this.isPlainObject(entry)) return entry
+
+      const previous = stored.find(item => this.isPlainObject(item) && item.id === entry.id)
+      const restored = { ...entry }
+      for (const key of secretFields) {
+        if (this.isMasked(restored[key])) {
+          restored[key] = previous?.[key] ?? ''
+        }
+      }
+      return restored
+    })
+  }
+
+  private applyStored(values: Record<string, any>, name: string, stored: Setting[]): void {
+    const prefix = `${name}.`
+    for (const setting of stored) {
+      if (!setting.key.startsWith(prefix)) continue
+
+      const field = setting.key.substring(prefix.length)
+      if (!(field in values)) continue
+
+      values[field] = this.isPlainObject(setting.value) && this.isPlainObject(values[field])
+        ? { ...values[field], ...setting.value }
+        : setting.value
+    }
+  }
+
+  private isPlainObject(value: any): boolean {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+  }
+}
+
+export default SettingsService
@@ -0,0 +1,185 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { SettingsService } from '@/services/settings.js'
+import { getCacheConfig } from '@/config/config.js'
+import { logger, logHelpers } from '@/utils/logger.js'
+
+type MediaType = 'movie' | 'tv'
+
+export interface StreamingSource {
+  id: number
+  name: string
+  // sub, rent, buy, free or tve (TV provider login)
+  type: string
+  logo?: string
+  url?: string
+  price?: number
+  quality?: string
+  region: string
+}
+
+export interface RegionAvailability {
+  available: boolean
+  sources: {
+    subscription: StreamingSource[]
+    rent: StreamingSource[]
+    buy: StreamingSource[]
+    free: StreamingSource[]
+  }
+  region: string
+  total_sources: number
+  last_updated: string
+}
+
+export interface StreamingSubscriptions {
+  // Watchmode source ids
+  services: number[]
+  regions: string[]
+}
+
+export interface StreamingVerdict {
+  streamable: boolean
+  services: Array<{ id: number, name: string, region: string, url?: string }>
+}
+
+// Titles checked at once when filtering a list; each check may cost a Watchmode request
+const FILTER_CONCURRENCY = 4
+
+// One region's sources, grouped by how they are offered
+export function groupSources(sources: StreamingSource[], region: string): RegionAvailability {
+  const inRegion = sources.filter(source => !source.region || source.region === region)
+
+  return {
+    available: inRegion.length > 0,
+    sources: {
+      subscription: inRegion.filter(source => source.type === 'sub'),
+      rent: inRegion.filter(source => source.type === 'rent'),
+      buy: inRegion.filter(source => source.type === 'buy'),
+      free: inRegion.filter(source => source.type === 'free')
+    },
+    region,
+    total_sources: inRegion.length,
+    last_updated: new Date().toISOString()
+  }
+}
+
+// Subscribed services that stream the title (or show it free) in one of the subscriber's regions
+export function getStreamingVerdict(availability: Record<string, RegionAvailability>, subscriptions: StreamingSubscriptions): StreamingVerdict {
+  const services: StreamingVerdict['services'] = []
+
+  for (const region of subscriptions.regions) {
+    // Entries cached before the sources were grouped have no groups
+    const sources = availability[region]?.sources
+    if (!sources?.subscription) continue
+
+    for (const source of [...sources.subscription, ...sources.free]) {
+      if (subscriptions.services.includes(source.id) && !services.some(service => service.id === source.id && service.region === region)) {
+        services.push({ id: source.id, name: source.name, region, url: source.url })
+      }
+    }
+  }
+
+  return { streamable: services.length > 0, services }
+}
+
+export class StreamingAvailabilityService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private settingsService: SettingsService
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.settingsService = new SettingsService(dbService)
+  }
+
+  isAvailable(): boolean {
+    return this.apiProxy.isServiceAvailable('watchmode')
+  }
+
+  async getSubscriptions(userId: string): Promise<StreamingSubscriptions> {
+    return await this.settingsService.getGroup('streaming', userId) as StreamingSubscriptions
+  }
+
+  // Availability per region from the availability cache; only regions missing from it are fetched, in one request
+  async getAvailability(tmdbId: number, type: MediaType, regions: string[]): Promise<{ regions: Record<string, RegionAvailability>, cached: boolean }> {
+    const result: Record<string, RegionAvailability> = {}
+    const missing: string[] = []
+
+    for (const region of regions) {
+      const cached = await this.dbService.getCachedData('availability', type, this.cacheKey(tmdbId, type, region))
+      if (cached) {
+        result[region] = cached.data
+      } else {
+        missing.push(region)
+      }
+    }
+
+    if (missing.length === 0) {
+      logHelpers.logExternalApi('watchmode', '/title/sources', 'GET', 200, 0, true)
+      return { regions: result, cached: true }
+    }
+
+    const sources = this.transformSources(await this.apiProxy.getWatchmodeAvailability(tmdbId, type, missing))
+
+    for (const region of missing) {
+      result[region] = groupSources(sources, region)
+      await this.dbService.setCachedData('availability', type, result[region], getCacheConfig().ttlAvailability, this.cacheKey(tmdbId, type, region))
+    }
+
+    return { regions: result, cached: false }
+  }
+
+  // Whether the title is on one of the subscriptions
+  async getVerdict(tmdbId: number, type: MediaType, subscriptions: StreamingSubscriptions): Promise<StreamingVerdict> {
+    if (subscriptions.services.length === 0) return { streamable: false, services: [] }
+
+    const { regions } = await this.getAvailability(tmdbId, type, subscriptions.regions)
+    return getStreamingVerdict(regions, subscriptions)
+  }
+
+  // Drop the titles that can already be streamed on a subscription; titles that can't be checked are kept
+  async filterNotStreamable<T extends { id: number, media_type: MediaType }>(items: T[], subscriptions: StreamingSubscriptions): Promise<T[]> {
+    if (subscriptions.services.length === 0 || !this.isAvailable()) return items
+
+    const streamable = new Set<T>()
+    // Multi search also returns people
+    const titles = items.filter(item => item.media_type === 'movie' || item.media_type === 'tv')
+
+    for (let i = 0; i < titles.length; i += FILTER_CONCURRENCY) {
+      await Promise.all(titles.slice(i, i + FILTER_CONCURRENCY).map(async item => {
+        try {
+          if ((await this.getVerdict(item.id, item.media_type, subscriptions)).streamable) {
+            streamable.add(item)
+          }
+        } catch (error) {
+          logger.warn(`Streaming availability unavailable for ${item.media_type} ${item.id}:`, error instanceof Error ? error.message : error)
+        }
+      }))
+    }
+
+    return items.filter(item => !streamable.has(item))
+  }
+
+  // Private helper methods
+  private cacheKey(tmdbId: number, type: MediaType, region: string): string {
+    return `availability_${tmdbId}_${type}_${region}`
+  }
+
+  private transformSources(data: any): StreamingSource[] {
+    const sources = Array.isArray(data) ? data : data?.sources || []
+
+    return sources.map((source: any) => ({
+      id: source.source_id,
+      name: source.name,
+      type: source.type,
+      logo: source.logo_100px,
+      url: source.web_url,
+      price: source.price,
+      quality: source.format, // HD, SD, 4K
+      region: source.region
+    }))
+  }
+}
+
+export default StreamingAvailabilityService
@@ -30,6 +30,25 @@ interface SearchResult {
   total_results: number;
 }
 
+// Fetched along with the details, so a details page needs a single TMDB call
+export const DETAILS_APPEND: Record<'movie' | 'tv', string> = {
+  movie: 'credits,videos,similar,recommendations,external_ids,release_dates,watch/providers',
+  // TV has content ratings instead of release dates
+  tv: 'credits,videos,similar,recommendations,external_ids,content_ratings,watch/providers',
+};
+
+interface SearchOptions {
+  page?: number;
+  year?: number;
+  include_adult?: boolean;
+}
+
+// Language of titles and overviews, and the country release dates and lists are for
+export interface TmdbLocale {
+  language?: string;
+  region?: string;
+}
+
 export class TmdbService {
   private api: AxiosInstance;
   private apiKey: string;
@@ -44,32 +63,84 @@ export class TmdbService {
     });
   }
 
-  public async getTrending(type: 'movie' | 'tv', timeWindow: 'day' | 'week'): Promise<SearchResult> {
-    const response = await this.api.get(`/trending/${type}/${timeWindow}`);
+  public setApiKey(apiKey: string): void {
+    this.apiKey = apiKey;
+    this.api.defaults.params = { ...this.api.defaults.params, api_key: apiKey };
+  }
+
+  public async getTrending(type: 'movie' | 'tv', timeWindow: 'day' | 'week', locale: TmdbLocale = {}): Promise<SearchResult> {
+    const response = await this.api.get(`/trending/${type}/${timeWindow}`, { params: { ...locale } });
     return response.data;
   }
 
-  public async search(query: string, type: 'movie' | 'tv' | 'multi'): Promise<SearchResult> {
+  public async search(query: string, type: 'movie' | 'tv' | 'multi', options: SearchOptions = {}, locale: TmdbLocale = {}): Promise<SearchResult> {
+    const { page = 1, year, include_adult = false } = options;
+    // Movies filter on the release year, TV on the first air date
+    const yearParam = type === 'tv' ? 'first_air_date_year' : 'year';
+
     const response = await this.api.get(`/search/${type}`, {
       params: {
         query,
+        page,
+        include_adult,
+        ...(year ? { [yearParam]: year } : {}),
+        ...locale,
       },
     });
     return response.data;
   }
 
-  public async getDetails(type: 'movie' | 'tv', id: number): Promise<any> {
-    const response = await this.api.get(`/${type}/${id}`);
+  public async getDetails(type: 'movie' | 'tv', id: number, locale: TmdbLocale = {}): Promise<any> {
+    const response = await this.api.get(`/${type}/${id}`, {
+      params: { append_to_response: DETAILS_APPEND[type], ...locale },
+    });
+    return response.data;
+  }
+
+  public async getPopular(type: 'movie' | 'tv', page: number = 1, locale: TmdbLocale = {}): Promise<SearchResult> {
+    const response = await this.api.get(`/${type}/popular`, { params: { page, ...locale } });
+    return response.data;
+  }
+
+  public async getTopRated(type: 'movie' | 'tv', page: number = 1, locale: TmdbLocale = {}): Promise<SearchResult> {
+    const response = await this.api.get(`/${type}/top_rated`, { params: { page, ...locale } });
+    return response.data;
+  }
+
+  // Params are TMDB's own discover filters (with_genres, vote_average.gte, sort_by, ...)
+  public async discover(type: 'movie' | 'tv', params: Record<string, string | number>, locale: TmdbLocale = {}): Promise<SearchResult> {
+    const response = await this.api.get(`/discover/${type}`, { params: { ...params, ...locale } });
+    return response.data;
+  }
+
+  public async getSimilar(type: 'movie' | 'tv', id: number, page: number = 1, locale: TmdbLocale = {}): Promise<SearchResult> {
+    const response = await this.api.get(`/${type}/${id}/similar`, { params: { page, ...locale } });
+    return response.data;
+  }
+
+  public async getRecommendations(type: 'movie' | 'tv', id: number, page: number = 1, locale: TmdbLocale = {}): Promise<SearchResult> {
+    const response = await this.api.get(`/${type}/${id}/recommendations`, { params: { page, ...locale } });
+    return response.data;
+  }
+
+  public async getCredits(type: 'movie' | 'tv', id: number): Promise<any> {
+    const response = await this.api.get(`/${type}/${id}/credits`);
+    return response.data;
+  }
+
+  public async getVideos(type: 'movie' | 'tv', id: number): Promise<any> {
+    const response = await this.api.get(`/${type}/${id}/videos`);
     return response.data;
   }
 
-  public async getPopular(type: 'movie' | 'tv'): Promise<SearchResult> {
-    const response = await this.api.get(`/${type}/popular`);
+  // Streaming, rental and purchase offers per region (JustWatch data)
+  public async getWatchProviders(type: 'movie' | 'tv', id: number): Promise<any> {
+    const response = await this.api.get(`/${type}/${id}/watch/providers`);
     return response.data;
   }
 
-  public async getGenres(type: 'movie' | 'tv'): Promise<any> {
-    const response = await this.api.get(`/genre/${type}/list`);
+  public async getGenres(type: 'movie' | 'tv', locale: TmdbLocale = {}): Promise<any> {
+    const response = await this.api.get(`/genre/${type}/list`, { params: { language: locale.language } });
     return response.data;
   }
 
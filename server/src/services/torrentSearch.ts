@@ -0,0 +1,205 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { HttpClient } from '@/services/httpClient.js'
+import { SettingsService } from '@/services/settings.js'
+import { createSearchProvider, SearchProvider, SearchSource, SearchIndexer, SearchResultItem } from '@/services/searchProviders.js'
+import { MediaCategory, TorznabCategory } from '@/utils/torznab.js'
+import { logger } from '@/utils/logger.js'
+
+export interface IndexerOutcome {
+  key: string
+  indexer: string
+  source: string
+  status: 'ok' | 'failed' | 'timeout'
+  results: number
+  durationMs: number
+  error?: string
+}
+
+export interface FederatedSearchOptions {
+  // Omit to search every category
+  category?: MediaCategory
+  // Indexer keys, ids or names to limit the search to
+  indexers?: string[]
+  // Called as each indexer answers, before the slower ones finish
+  onIndexerResults?: (outcome: IndexerOutcome, items: SearchResultItem[]) => void
+}
+
+export interface FederatedSearchResult {
+  // Raw results in Jackett's JSON shape, tagged with Source
+  items: SearchResultItem[]
+  outcomes: IndexerOutcome[]
+}
+
+export class TorrentSearchService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private settingsService: SettingsService
+  // Providers of extra sources, rebuilt when their type, URL or key changes
+  private providers: Map<string, { signature: string, provider: SearchProvider }> = new Map()
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.settingsService = new SettingsService(dbService)
+  }
+
+  // The Jackett service from the API settings plus enabled extra sources
+  async getSources(): Promise<SearchSource[]> {
+    const { sources } = await this.settingsService.getGroup('search')
+    const result: SearchSource[] = []
+
+    if (this.apiProxy.isServiceAvailable('jackett')) {
+      const jackett = this.apiProxy.getServiceConfig('jackett')
+      result.push({ id: 'jackett', name: 'Jackett', type: 'jackett', url: jackett?.baseURL || '', apiKey: jackett?.apiKey || '', enabled: true })
+    }
+
+    return result.concat((sources as SearchSource[]).filter(source => source.enabled))
+  }
+
+  async hasSources(): Promise<boolean> {
+    return (await this.getSources()).length > 0
+  }
+
+  // Configured indexers of every source; sources that can't list theirs are reported, not fatal
+  async listIndexers(): Promise<{ indexers: SearchIndexer[], failedSources: Array<{ source: string, error: string }> }> {
+    const indexers: SearchIndexer[] = []
+    const failedSources: Array<{ source: string, error: string }> = []
+
+    await Promise.all((await this.getSources()).map(async source => {
+      try {
+        indexers.push(...await this.getIndexers(source))
+      } catch (error) {
+        failedSources.push({ source: source.name, error: error instanceof Error ? error.message : 'Unknown error' })
+      }
+    }))
+
+    return { indexers, failedSources }
+  }
+
+  // Categories of every indexer, merged by id; indexers without capabilities add none
+  async getCategories(): Promise<{ categories: TorznabCategory[], failedSources: Array<{ source: string, error: string }> }> {
+    const { indexers, failedSources } = await this.listIndexers()
+    const categories = new Map<number, TorznabCategory>()
+
+    for (const indexer of indexers) {
+      for (const category of indexer.categories || []) {
+        if (!categories.has(category.id)) categories.set(category.id, category)
+      }
+    }
+
+    return { categories: [...categories.values()].sort((a, b) => a.id - b.id), failedSources }
+  }
+
+  // Query every indexer at once, each with its own timeout
+  async search(query: string, options: FederatedSearchOptions = {}): Promise<FederatedSearchResult> {
+    const { perIndexer, indexerTimeout } = await this.settingsService.getGroup('search')
+    const targets = await this.getTargets(perIndexer, options.indexers)
+    const items: SearchResultItem[] = []
+
+    const outcomes = await Promise.all(targets.map(async ({ source, indexer }) => {
+      const started = Date.now()
+      const outcome: IndexerOutcome = { key: indexer.key, indexer: indexer.name, source: source.name, status: 'ok', results: 0, durationMs: 0 }
+      let found: SearchResultItem[] = []
+
+      try {
+        found = await this.withTimeout(this.getProvider(source).search(indexer, { query, category: options.category }), indexerTimeout)
+        outcome.results = found.length
+        items.push(...found)
+      } catch (error) {
+        const timedOut = error instanceof SearchTimeoutError
+        outcome.status = timedOut ? 'timeout' : 'failed'
+        outcome.error = timedOut ? `No answer within ${indexerTimeout}ms` : error instanceof Error ? error.message : 'Search failed'
+        logger.warn(`Indexer ${indexer.name} (${source.name}) ${outcome.status}: ${outcome.error}`)
+      }
+
+      outcome.durationMs = Date.now() - started
+      options.onIndexerResults?.(outcome, found)
+      return outcome
+    }))
+
+    return { items, outcomes }
+  }
+
+  // Private helper methods
+  private async getTargets(perIndexer: boolean, wanted?: string[]): Promise<Array<{ source: SearchSource, indexer: SearchIndexer }>> {
+    const targets: Array<{ source: SearchSource, indexer: SearchIndexer }> = []
+    const wantedKeys = wanted?.map(item => item.toLowerCase())
+
+    for (const source of await this.getSources()) {
+      const provider = this.getProvider(source)
+      let indexers: SearchIndexer[] = [provider.aggregateIndexer()]
+
+      if (perIndexer || wantedKeys || provider.needsIndexerList) {
+        try {
+          indexers = await this.getIndexers(source)
+        } catch (error) {
+          logger.warn(`Could not list ${source.name} indexers, searching all at once:`, error instanceof Error ? error.message : error)
+        }
+      }
+
+      if (wantedKeys) {
+        indexers = indexers.filter(indexer => [indexer.key, indexer.id, indexer.name].some(value => wantedKeys.includes(value.toLowerCase())))
+      }
+
+      targets.push(...indexers.map(indexer => ({ source, indexer })))
+    }
+
+    return targets
+  }
+
+  // Indexer lists (and Torznab capabilities) change rarely, cache them for an hour
+  private async getIndexers(source: SearchSource): Promise<SearchIndexer[]> {
+    const cached = await this.dbService.getCachedData('indexers', source.id, source.url)
+    if (cached) return cached.data
+
+    const indexers = await this.getProvider(source).listIndexers()
+
+    await this.dbService.setCachedData('indexers', source.id, indexers, 3600, source.url)
+    return indexers
+  }
+
+  private getProvider(source: SearchSource): SearchProvider {
+    // The built-in Jackett client is replaced whenever its API settings change
+    if (source.id === 'jackett') {
+      return createSearchProvider(source, this.apiProxy.getService('jackett'))
+    }
+
+    const signature = `${source.type}:${source.url}:${source.apiKey}`
+    const existing = this.providers.get(source.id)
+    if (existing?.signature === signature) return existing.provider
+
+    const client = new HttpClient(`search-${source.id}`, {
+      baseURL: source.url,
+      // A single attempt; the indexer timeout bounds the wait
+      retries: 1,
+      headers: source.type === 'torznab' ? { Accept: 'application/rss+xml, application/xml, text/xml' } : undefined,
+      // Prowlarr takes the key as a header, Jackett and Torznab as the apikey parameter
+      auth: source.type === 'prowlarr' ? { type: 'api-key', apiKey: source.apiKey, apiKeyHeader: 'X-Api-Key' } : undefined
+    })
+
+    const provider = createSearchProvider(source, client)
+    this.providers.set(source.id, { signature, provider })
+    return provider
+  }
+
+  private withTimeout<T>(promise: Promise<T>, ms: number): Promise<T> {
+    let timer: NodeJS.Timeout
+
+    return Promise.race([
+      promise,
+      new Promise<never>((_, reject) => {
+        timer = setTimeout(() => reject(new SearchTimeoutError()), ms)
+      })
+    ]).finally(() => clearTimeout(timer))
+  }
+}
+
+class SearchTimeoutError extends Error {
+  constructor() {
+    super('Search timed out')
+    this.name = 'SearchTimeoutError'
+  }
+}
+
+export default TorrentSearchService
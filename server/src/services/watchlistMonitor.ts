@@ -0,0 +1,267 @@
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { NotificationService } from '@/services/notifications.js'
+import { QualityProfileService } from '@/services/qualityProfiles.js'
+import { TorrentSearchService } from '@/services/torrentSearch.js'
+import { EpisodeTrackerService, EpisodeGrab } from '@/services/episodeTracker.js'
+import { GrabController } from '@/controllers/grab.js'
+import { getWatchlistConfig } from '@/config/config.js'
+import { logger } from '@/utils/logger.js'
+import { Download, WatchlistItem, COLLECTIONS } from '@/types/database.js'
+
+export interface WatchlistCheck {
+  item: WatchlistItem
+  // Best acceptable release, if the title is still wanted and one was found
+  release?: Record<string, any>
+  download?: Download
+  // Series: what was found (or grabbed) for missing episodes
+  episodes?: EpisodeGrab[]
+}
+
+export class WatchlistMonitorService {
+  private apiProxy: ApiProxyService
+  private dbService: DatabaseService
+  private notificationService: NotificationService
+  private profileService: QualityProfileService
+  private grabController: GrabController
+  private episodeTracker: EpisodeTrackerService
+  private torrentSearch: TorrentSearchService
+  private searchTimer: NodeJS.Timeout | null = null
+  private isSearching = false
+
+  constructor(apiProxy: ApiProxyService, dbService: DatabaseService, wsService: WebSocketService) {
+    this.apiProxy = apiProxy
+    this.dbService = dbService
+    this.notificationService = new NotificationService(dbService, wsService)
+    this.profileService = new QualityProfileService(dbService)
+    this.grabController = new GrabController(apiProxy, dbService, wsService)
+    this.episodeTracker = new EpisodeTrackerService(apiProxy, dbService, wsService)
+    this.torrentSearch = new TorrentSearchService(apiProxy, dbService)
+  }
+
+  // Start searching for monitored titles in the background
+  start(): void {
+    const { monitorEnabled, searchInterval } = getWatchlistConfig()
+
+    if (!monitorEnabled) {
+      logger.info('Watchlist monitor disabled')
+      return
+    }
+
+    if (this.searchTimer) return
+
+    this.searchTimer = setInterval(() => {
+      this.searchAll()
+    }, searchInterval)
+
+    this.searchAll()
+    logger.info(`Watchlist monitor started (${searchInterval}ms interval)`)
+  }
+
+  // Stop searching
+  stop(): void {
+    if (this.searchTimer) {
+      clearInterval(this.searchTimer)
+      this.searchTimer = null
+      logger.info('Watchlist monitor stopped')
+    }
+  }
+
+  // Check every monitored title that isn't in the library yet, one at a time;
+  // series stay checked so newly aired episodes are picked up
+  async searchAll(): Promise<void> {
+    if (this.isSearching || !await this.torrentSearch.hasSources()) return
+
+    this.isSearching = true
+
+    try {
+      const items = await this.dbService.find<WatchlistItem>(COLLECTIONS.WATCHLIST, {
+        monitored: true,
+        $or: [{ status: { $ne: 'available' } }, { type: 'tv' }]
+      })
+
+      for (const item of items) {
+        try {
+          await this.check(item)
+        } catch (error) {
+          logger.warn(`Watchlist search failed for ${item.title}:`, error instanceof Error ? error.message : error)
+        }
+      }
+    } catch (error) {
+      logger.error('Watchlist monitor run failed:', error)
+    } finally {
+      this.isSearching = false
+    }
+  }
+
+  // Refresh a title's status and, while it is wanted, search for it and notify or grab
+  async check(item: WatchlistItem, options: { notify?: boolean } = {}): Promise<WatchlistCheck> {
+    const { notify = true } = options
+
+    if (item.type === 'tv') {
+      return this.checkSeries(item, notify)
+    }
+
+    const status = await this.getStatus(item)
+
+    if (status !== 'wanted' || !await this.torrentSearch.hasSources()) {
+      return { item: await this.save(item, { status }) }
+    }
+
+    const profile = await this.profileService.getProfile(item.profileId)
+    const target = await this.grabController.getTarget(item.tmdbId, item.type)
+    const failed = await this.getFailedHashes(item)
+    // A release that already failed would only be handed back as the existing errored download
+    const accepted = (await this.grabController.findReleases(target, profile)).accepted
+      .filter(entry => !failed.has(entry.result.infoHash))
+    const lastSearchedAt = new Date().toISOString()
+
+    if (accepted.length === 0) {
+      return { item: await this.save(item, { status, lastSearchedAt }) }
+    }
+
+    const [winner] = accepted
+    const release = this.grabController.describe(winner)
+
+    if (item.autoGrab) {
+      const { download, existing } = await this.grabController.addRelease(item.userId, item.tmdbId, target, winner)
+
+      // Already in downloads (e.g. removed from qBittorrent by hand); nothing new was started
+      if (existing) {
+        return { item: await this.save(item, { status, lastSearchedAt }), release, download }
+      }
+
+      if (notify) {
+        await this.notificationService.notify(item.userId, {
+          type: 'download',
+          title: 'Watchlist download started',
+          message: `${item.title}: ${winner.result.title}`,
+          data: { watchlistId: item.id, tmdbId: item.tmdbId, mediaType: item.type, downloadId: download.id }
+        })
+      }
+
+      return {
+        item: await this.save(item, { status: 'downloading', lastSearchedAt, notifiedHashes: [winner.result.infoHash] }),
+        release,
+        download
+      }
+    }
+
+    if (notify && !item.notifiedHashes?.includes(winner.result.infoHash)) {
+      await this.notificationService.notify(item.userId, {
+        type: 'info',
+        title: 'Watchlist release available',
+        message: `${item.title}: ${winner.result.title}`,
+        data: { watchlistId: item.id, tmdbId: item.tmdbId, mediaType: item.type, release }
+      })
+    }
+
+    return {
+      item: await this.save(item, { status, lastSearchedAt, notifiedHashes: [winner.result.infoHash] }),
+      release
+    }
+  }
+
+  // Private helper methods
+  // Series are wanted while aired episodes are missing; those are grabbed or announced
+  private async checkSeries(item: WatchlistItem, notify: boolean): Promise<WatchlistCheck> {
+    const series = await this.episodeTracker.getSeries(item.tmdbId)
+    const downloading = series.seasons.some(season => season.downloading > 0)
+    const status = series.missing > 0 ? 'wanted' : downloading ? 'downloading' : 'available'
+
+    if (status !== 'wanted' || !await this.torrentSearch.hasSources()) {
+      return { item: await this.save(item, { status }) }
+    }
+
+    const episodes = await this.episodeTracker.grabMissing(item.userId, item.tmdbId, {
+      profileId: item.profileId,
+      dryRun: !item.autoGrab
+    })
+    const found = episodes.filter(grab => grab.infoHash)
+    const foundHashes = found.map(grab => grab.infoHash!)
+    const lastSearchedAt = new Date().toISOString()
+
+    if (item.autoGrab) {
+      const started = found.filter(grab => grab.download && !grab.existing)
+
+      if (notify && started.length > 0) {
+        await this.notificationService.notify(item.userId, {
+          type: 'download',
+          title: 'Watchlist download started',
+          message: `${item.title}: ${this.describeEpisodes(started)}`,
+          data: { watchlistId: item.id, tmdbId: item.tmdbId, mediaType: item.type, downloadIds: started.map(grab => grab.download!.id) }
+        })
+      }
+
+      return {
+        item: await this.save(item, { status: found.length > 0 ? 'downloading' : status, lastSearchedAt, notifiedHashes: foundHashes }),
+        episodes
+      }
+    }
+
+    const fresh = found.filter(grab => !item.notifiedHashes?.includes(grab.infoHash!))
+
+    if (notify && fresh.length > 0) {
+      await this.notificationService.notify(item.userId, {
+        type: 'info',
+        title: 'Watchlist release available',
+        message: `${item.title}: ${this.describeEpisodes(fresh)}`,
+        data: { watchlistId: item.id, tmdbId: item.tmdbId, mediaType: item.type, episodes: fresh }
+      })
+    }
+
+    return {
+      item: await this.save(item, { status, lastSearchedAt, notifiedHashes: foundHashes }),
+      episodes
+    }
+  }
+
+  // "S01, S02E03, S02E04" for notification messages
+  private describeEpisodes(grabs: EpisodeGrab[]): string {
+    const pad = (value: number) => String(value).padStart(2, '0')
+    return grabs
+      .map(grab => grab.episode === undefined ? `S${pad(grab.season)}` : `S${pad(grab.season)}E${pad(grab.episode)}`)
+      .join(', ')
+  }
+
+  private async getStatus(item: WatchlistItem): Promise<WatchlistItem['status']> {
+    // Any user's download counts, the library is shared; failed ones are wanted again
+    const downloads = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      tmdbId: String(item.tmdbId),
+      category: item.type,
+      status: { $ne: 'error' },
+      $or: [{ removedAt: { $exists: false } }, { completedAt: { $exists: true } }]
+    })
+
+    if (this.apiProxy.isServiceAvailable('jellyfin')) {
+      try {
+        if (await this.apiProxy.findJellyfinItemByTmdbId(item.type, item.tmdbId)) {
+          return 'available'
+        }
+      } catch (error) {
+        // An unreachable Jellyfin shouldn't stop the search, at worst it finds a duplicate
+        logger.warn(`Jellyfin lookup failed for ${item.title}:`, error instanceof Error ? error.message : error)
+      }
+    }
+
+    return downloads.length > 0 ? 'downloading' : 'wanted'
+  }
+
+  // Info hashes of the title's failed downloads
+  private async getFailedHashes(item: WatchlistItem): Promise<Set<string>> {
+    const failed = await this.dbService.find<Download>(COLLECTIONS.DOWNLOADS, {
+      tmdbId: String(item.tmdbId),
+      category: item.type,
+      status: 'error'
+    })
+
+    return new Set(failed.map(download => download.infoHash))
+  }
+
+  private async save(item: WatchlistItem, changes: Partial<WatchlistItem>): Promise<WatchlistItem> {
+    return await this.dbService.update<WatchlistItem>(COLLECTIONS.WATCHLIST, item.id, changes) || item
+  }
+}
+
+export default WatchlistMonitorService
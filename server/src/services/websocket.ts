@@ -16,6 +16,7 @@ export interface WebSocketClient {
 export interface WebSocketMessage {
   type: string
   event: string
+  channel?: string
   data?: any
   timestamp: string
 }
@@ -261,6 +262,12 @@ export class WebSocketService {
       return false
     }
 
+    // User channels such as "notifications:<userId>" are only open to that user
+    const [prefix, owner] = channel.split(':')
+    if (protectedChannels.includes(prefix) && owner !== undefined && owner !== client.userId) {
+      return false
+    }
+
     // If channel is user-specific, client must own it or be admin
     if (userId && client.userId !== userId) {
       // TODO: Check if client is admin
@@ -328,6 +335,7 @@ export class WebSocketService {
 
     const fullMessage: WebSocketMessage = {
       ...message,
+      channel,
       timestamp: new Date().toISOString()
     }
 
@@ -383,7 +391,7 @@ export class WebSocketService {
 
   // Broadcast notifications
   public broadcastNotification(userId: string, notification: any): void {
-    this.broadcastToUser(userId, {
+    this.broadcast(`notifications:${userId}`, {
       type: 'notification',
       event: 'new_notification',
       data: notification
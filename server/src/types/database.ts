@@ -49,12 +49,18 @@ export interface Download {
   name: string
   magnetUrl: string
   infoHash: string
+  // SHA-256 info hash of BitTorrent v2 and hybrid torrents
+  infoHashV2?: string
   status: 'downloading' | 'completed' | 'paused' | 'error' | 'queued'
   progress: number
   speed: string
   eta: string
   size: string
   downloaded: string
+  // Byte counts for statistics; older records only have the formatted strings
+  sizeBytes?: number
+  downloadedBytes?: number
+  uploadedBytes?: number
   seeders: number
   leechers: number
   ratio: number
@@ -63,6 +69,13 @@ export interface Download {
   tmdbId?: string
   addedAt: string
   completedAt?: string
+  importedAt?: string
+  importPath?: string
+  // Set when the seeding policy paused or removed the torrent
+  seedingAction?: 'pause' | 'remove'
+  seedingStoppedAt?: string
+  // Set once the torrent is gone from qBittorrent; the record stays as history
+  removedAt?: string
   errorMessage?: string
   savePath: string
 }
@@ -70,7 +83,7 @@ export interface Download {
 export interface MediaCache {
   $loki?: number
   id: string
-  type: 'trending' | 'popular' | 'search' | 'details' | 'availability'
+  type: 'trending' | 'popular' | 'top_rated' | 'search' | 'discover' | 'details' | 'similar' | 'recommendations' | 'genres' | 'availability'
   category: string
   query?: string
   data: any
@@ -86,6 +99,7 @@ export interface FileOperation {
   operation: 'move' | 'copy' | 'delete' | 'rename' | 'create'
   sourcePath: string
   targetPath?: string
+  downloadId?: string
   status: 'pending' | 'in_progress' | 'completed' | 'failed'
   progress: number
   errorMessage?: string
@@ -140,9 +154,17 @@ export interface TorrentSearch {
   userId: string
   query: string
   category: 'movie' | 'tv' | 'all'
-  results: any[]
+  // Filter set the search ran with (quality, minSeeders, sortBy, ...), reused on re-runs
+  filters: Record<string, any>
+  // Results aren't stored, only how many matched
+  resultCount: number
   indexers: string[]
+  // Saved searches survive history pruning and clearing
+  pinned: boolean
+  name?: string
+  lastRunAt?: string
   createdAt: string
+  updatedAt?: string
 }
 
 export interface JellyfinScan {
@@ -159,6 +181,26 @@ export interface JellyfinScan {
   errorMessage?: string
 }
 
+export interface WatchlistItem {
+  $loki?: number
+  id: string
+  userId: string
+  tmdbId: number
+  type: 'movie' | 'tv'
+  title: string
+  year?: number
+  posterPath?: string
+  monitored: boolean
+  autoGrab: boolean
+  profileId?: string
+  status: 'wanted' | 'downloading' | 'available'
+  lastSearchedAt?: string
+  // Info hashes of releases the user was already told about, to avoid repeat notifications
+  notifiedHashes?: string[]
+  createdAt: string
+  updatedAt: string
+}
+
 // Database collection names
 export const COLLECTIONS = {
   USERS: 'users',
@@ -171,7 +213,8 @@ export const COLLECTIONS = {
   API_LOGS: 'api_logs',
   NOTIFICATIONS: 'notifications',
   TORRENT_SEARCHES: 'torrent_searches',
-  JELLYFIN_SCANS: 'jellyfin_scans'
+  JELLYFIN_SCANS: 'jellyfin_scans',
+  WATCHLIST: 'watchlist'
 } as const
 
 // Index configurations for collections
@@ -185,8 +228,9 @@ export const COLLECTION_INDEXES = {
   [COLLECTIONS.CONTAINER_LOGS]: ['containerId', 'userId', 'createdAt'],
   [COLLECTIONS.API_LOGS]: ['service', 'userId', 'createdAt'],
   [COLLECTIONS.NOTIFICATIONS]: ['userId', 'read', 'type', 'createdAt'],
-  [COLLECTIONS.TORRENT_SEARCHES]: ['userId', 'query', 'createdAt'],
-  [COLLECTIONS.JELLYFIN_SCANS]: ['userId', 'status', 'startedAt']
+  [COLLECTIONS.TORRENT_SEARCHES]: ['userId', 'query', 'pinned', 'createdAt'],
+  [COLLECTIONS.JELLYFIN_SCANS]: ['userId', 'status', 'startedAt'],
+  [COLLECTIONS.WATCHLIST]: ['userId', 'tmdbId', 'monitored']
 } as const
 
 // Database query types
@@ -206,8 +250,11 @@ export interface DownloadQuery extends QueryOptions {
   userId?: string
   status?: Download['status']
   category?: Download['category']
+  // Bounds on addedAt (ISO dates)
   dateFrom?: string
   dateTo?: string
+  // Torrents qBittorrent no longer has are excluded by default
+  removed?: 'exclude' | 'include' | 'only'
 }
 
 export interface NotificationQuery extends QueryOptions {
@@ -247,6 +294,14 @@ export interface DownloadCreateData {
   savePath: string
 }
 
+export interface NotificationCreateData {
+  type: Notification['type']
+  title: string
+  message: string
+  data?: any
+  expiresAt?: string
+}
+
 export interface SettingData {
   key: string
   value: any
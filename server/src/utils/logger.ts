@@ -79,20 +79,19 @@ transports.push(
 )
 
 // Error file transport
-transports.push(
-  new DailyRotateFile({
-    filename: join(logsDir, 'pandora-error-%DATE%.log'),
-    datePattern: 'YYYY-MM-DD',
-    level: 'error',
-    format: logFormat,
-    maxSize: '20m',
-    maxFiles: '30d',
-    handleExceptions: true,
-    handleRejections: true,
-    createSymlink: true,
-    symlinkName: 'pandora-error-current.log'
-  })
-)
+const errorFileTransport = new DailyRotateFile({
+  filename: join(logsDir, 'pandora-error-%DATE%.log'),
+  datePattern: 'YYYY-MM-DD',
+  level: 'error',
+  format: logFormat,
+  maxSize: '20m',
+  maxFiles: '30d',
+  handleExceptions: true,
+  handleRejections: true,
+  createSymlink: true,
+  symlinkName: 'pandora-error-current.log'
+})
+transports.push(errorFileTransport)
 
 // Create logger
 export const logger = winston.createLogger({
@@ -102,6 +101,14 @@ export const logger = winston.createLogger({
   exitOnError: false
 })
 
+// Change the level at runtime (system settings); the error file keeps logging errors only
+export function setLogLevel(level: string): void {
+  logger.level = level
+  for (const transport of transports) {
+    if (transport !== errorFileTransport) transport.level = level
+  }
+}
+
 // API request logger
 export const apiLogger = winston.createLogger({
   level: 'info',
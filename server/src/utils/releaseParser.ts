@@ -0,0 +1,334 @@
+// Release-name parser for scene/P2P torrent titles, e.g.
+//   The.Matrix.1999.2160p.UHD.BluRay.REMUX.HDR10.HEVC.TrueHD.7.1.Atmos-FGT
+//   Show.Name.S02E05E06.1080p.AMZN.WEB-DL.DDP5.1.H.264-NTb[rartv]
+//   [SubsPlease] Anime Title - 1071 (1080p) [ABCD1234].mkv
+
+export const RESOLUTIONS = ['2160p', '1080p', '720p', '576p', '480p'] as const
+export const SOURCES = ['BluRay', 'WEB-DL', 'WEBRip', 'HDTV', 'DVD', 'SCREENER', 'TELESYNC', 'CAM'] as const
+export const CODECS = ['x265', 'x264', 'AV1', 'VP9', 'XviD', 'MPEG2'] as const
+export const HDR_FORMATS = ['DV', 'HDR10+', 'HDR10', 'HLG', 'HDR'] as const
+export const AUDIO_CODECS = ['TrueHD', 'DTS-X', 'DTS-HD', 'DTS', 'DD+', 'DD', 'AAC', 'FLAC', 'Opus', 'MP3', 'LPCM'] as const
+
+export type Resolution = typeof RESOLUTIONS[number]
+export type Source = typeof SOURCES[number]
+export type Codec = typeof CODECS[number]
+export type HdrFormat = typeof HDR_FORMATS[number]
+export type AudioCodec = typeof AUDIO_CODECS[number]
+
+export interface ParsedRelease {
+  title: string
+  year?: number
+  resolution?: Resolution
+  source?: Source
+  remux: boolean
+  codec?: Codec
+  hdr: HdrFormat[]
+  audio: AudioCodec[]
+  channels?: string
+  atmos: boolean
+  languages: string[]
+  seasons: number[]
+  episodes: number[]
+  // A whole season (or several) rather than single episodes
+  fullSeason: boolean
+  complete: boolean
+  airDate?: string
+  repack: boolean
+  proper: boolean
+  group?: string
+}
+
+const SOURCE_PATTERNS: Array<[Source, RegExp]> = [
+  ['BluRay', /\b(blu[ .-]?ray|bdrip|brrip|bdremux|bd25|bd50|bdmv|uhd[ .-]?bd)\b/i],
+  ['WEB-DL', /\b(web[ .-]?dl|webdl|web)\b(?![ .-]?rip)/i],
+  ['WEBRip', /\bweb[ .-]?rip\b/i],
+  ['HDTV', /\b(hdtv|pdtv|sdtv|dsr|tvrip|hdtvrip)\b/i],
+  ['DVD', /\b(dvd[ .-]?rip|dvd[ .-]?r|dvd5|dvd9|dvd)\b/i],
+  ['SCREENER', /\b(dvd[ .-]?scr|screener|scr)\b/i],
+  ['TELESYNC', /\b(telesync|hd[ .-]?ts|ts|pdvd|telecine|hd[ .-]?tc)\b/i],
+  ['CAM', /\b(hd[ .-]?cam|cam[ .-]?rip|cam)\b/i]
+]
+
+const CODEC_PATTERNS: Array<[Codec, RegExp]> = [
+  ['x265', /\b(x[ .]?265|h[ .]?265|hevc)\b/i],
+  ['x264', /\b(x[ .]?264|h[ .]?264|avc)\b/i],
+  ['AV1', /\bav1\b/i],
+  ['VP9', /\bvp9\b/i],
+  ['XviD', /\b(xvid|divx)\b/i],
+  ['MPEG2', /\bmpeg[ .-]?2\b/i]
+]
+
+// Order matters: longer forms are taken out before their prefixes are checked
+const HDR_PATTERNS: Array<[HdrFormat, RegExp]> = [
+  ['DV', /\b(dv|dovi|dolby[ .]?vision)\b/i],
+  ['HDR10+', /\bhdr10(\+|plus)/i],
+  ['HDR10', /\bhdr10\b/i],
+  ['HLG', /\bhlg\b/i],
+  ['HDR', /\bhdr\b/i]
+]
+
+const AUDIO_PATTERNS: Array<[AudioCodec, RegExp]> = [
+  ['TrueHD', /\btrue[ .-]?hd\b/i],
+  ['DTS-X', /\bdts[ .:-]?x\b/i],
+  ['DTS-HD', /\bdts[ .-]?hd([ .-]?(ma|hra))?\b/i],
+  ['DTS', /\bdts\b/i],
+  ['DD+', /\b(ddp|dd\+|e[ .-]?ac[ .-]?3)(?![a-z])/i],
+  ['DD', /\b(dd|ac[ .-]?3|dolby[ .]?digital)(?![a-z+])/i],
+  ['AAC', /\baac(?![a-z])/i],
+  ['FLAC', /\bflac(?![a-z])/i],
+  ['Opus', /\bopus(?![a-z])/i],
+  ['MP3', /\bmp3\b/i],
+  ['LPCM', /\bl?pcm(?![a-z])/i]
+]
+
+const LANGUAGE_PATTERNS: Array<[string, RegExp]> = [
+  ['Multi', /\bmulti(?:[ .-]?(?:lang|audio|subs?))?\b/i],
+  ['Dual Audio', /\bdual[ .-]?audio\b|\bdual\b/i],
+  ['English', /\b(english|eng)\b/i],
+  ['French', /\b(french|truefrench|vff|vfq|vf2|vostfr|fr)\b/i],
+  ['German', /\b(german|ger|deutsch)\b/i],
+  ['Italian', /\b(italian|ita)\b/i],
+  ['Spanish', /\b(spanish|esp|castellano|latino|spa)\b/i],
+  ['Portuguese', /\b(portuguese|pt[ .-]?br|dublado)\b/i],
+  ['Russian', /\b(russian|rus)\b/i],
+  ['Hindi', /\bhindi\b/i],
+  ['Japanese', /\b(japanese|jap|jpn)\b/i],
+  ['Korean', /\b(korean|kor)\b/i],
+  ['Chinese', /\b(chinese|mandarin|cantonese|chs|cht)\b/i],
+  ['Polish', /\b(polish|pl)\b/i],
+  ['Dutch', /\b(dutch|nl)\b/i],
+  ['Nordic', /\bnordic\b/i],
+  ['Turkish', /\b(turkish|tur)\b/i],
+  ['Arabic', /\barabic\b/i]
+]
+
+// Anything that can only appear after the title; the earliest hit ends it
+const TITLE_END_PATTERNS = [
+  /\bS\d{1,3}[ .-]?E\d{1,4}/i,
+  /\bS\d{1,2}\b/i,
+  /\b\d{1,2}x\d{2,3}\b/i,
+  /\b(complete|seasons?)\b/i,
+  /\b(2160|1080|720|576|480)[pi]\b/i,
+  /\b(4k|uhd)\b/i,
+  /\b(repack\d?|proper|remux|internal|limited|unrated|extended|remastered|imax)\b/i,
+  /\b(multi|dual|truefrench|vostfr)\b/i,
+  // Only unambiguous source tags; bare "WEB" or "DVD" can be part of a title
+  /\b(blu[ .-]?ray|bdrip|brrip|web[ .-]?(dl|rip)|webdl|hdtv|pdtv|dvd[ .-]?rip|hdcam|hdts|telesync)\b/i,
+  /\b(x[ .]?26[45]|h[ .]?26[45]|hevc|xvid)\b/i
+]
+
+// Trailing bracket tags that are tracker names, not the release group
+const SITE_TAGS = /^(rartv|rarbg|eztv(\.\w+)?|ettv|tgx|publichd|eztv\.re|ethd|rarbg\.com)$/i
+
+// Hyphenated tokens whose second half is not a group name
+const NOT_A_GROUP = /^(dl|rip|hd|ma|x|dts|web|ts|cam|scr|\d+p|x26[45]|h26[45]|hevc|avc|aac|ddp?\d?|\d+)$/i
+
+const VIDEO_EXTENSION = /\.(mkv|mp4|avi|m4v|mov|wmv|ts|webm|torrent)$/i
+
+function takeFirst<T>(text: string, patterns: Array<[T, RegExp]>): T | undefined {
+  return patterns.find(([, pattern]) => pattern.test(text))?.[0]
+}
+
+// Collect every match, removing each so that e.g. "HDR10+" is not also counted as "HDR10"
+function takeAll<T>(text: string, patterns: Array<[T, RegExp]>): T[] {
+  const found: T[] = []
+  let rest = text
+
+  for (const [value, pattern] of patterns) {
+    if (pattern.test(rest)) {
+      found.push(value)
+      rest = rest.replace(new RegExp(pattern.source, 'gi'), ' ')
+    }
+  }
+
+  return found
+}
+
+function range(from: number, to: number): number[] {
+  if (to < from || to - from > 200) return [from, to]
+  return Array.from({ length: to - from + 1 }, (_, index) => from + index)
+}
+
+function parseEpisodes(text: string, absolute: boolean): Pick<ParsedRelease, 'seasons' | 'episodes' | 'fullSeason' | 'complete' | 'airDate'> {
+  const result = { seasons: [] as number[], episodes: [] as number[], fullSeason: false, complete: false, airDate: undefined as string | undefined }
+
+  // S01E01, S01E01E02, S01E01-E03, S01E01-03
+  const episode = text.match(/\bS(\d{1,3})[ .-]?E(\d{1,4})((?:[ .]?-?[ .]?E\d{1,4}|-\d{1,4}(?!\d|p\b))*)/i)
+  if (episode) {
+    result.seasons = [parseInt(episode[1])]
+    const first = parseInt(episode[2])
+    const more = [...episode[3].matchAll(/\d+/g)].map(match => parseInt(match[0]))
+
+    if (more.length === 1 && episode[3].includes('-')) {
+      result.episodes = range(first, more[0])
+    } else {
+      result.episodes = [first, ...more]
+    }
+    return result
+  }
+
+  // 1x02, 1x02-1x03
+  const cross = text.match(/\b(\d{1,2})x(\d{2,3})(?:[ .]?-[ .]?(?:\d{1,2}x)?(\d{2,3}))?\b/i)
+  if (cross) {
+    result.seasons = [parseInt(cross[1])]
+    result.episodes = cross[3] ? range(parseInt(cross[2]), parseInt(cross[3])) : [parseInt(cross[2])]
+    return result
+  }
+
+  // S01-S03, S01-03, S01 ("S2 - 05" is an episode of season 2, not a range)
+  const seasonPack = text.match(/\bS(\d{1,2})(?:[ .]?-[ .]?S(\d{1,2})|-(\d{1,2}))?\b/i)
+  // Season 1, Seasons 1-3, Season 1 to 3
+  const seasonWords = text.match(/\bseasons?[ .]?(\d{1,2})(?:[ .]?(?:-|to|&)[ .]?(\d{1,2}))?\b/i)
+  const season = seasonPack || seasonWords
+
+  if (season) {
+    const from = parseInt(season[1])
+    const to = season[2] || season[3]
+    result.seasons = to ? range(from, parseInt(to)) : [from]
+    result.fullSeason = true
+  }
+
+  if (/\bcomplete\b/i.test(text)) {
+    result.complete = true
+    result.fullSeason = true
+  }
+
+  // Fansub numbering: "[Group] Title - 1071" or "[Group] Title S2 - 05"
+  const numbered = absolute ? text.match(/\s-\s(\d{1,4})(?:v\d)?(?:\s|$)/) : null
+  if (numbered && result.seasons.length <= 1) {
+    result.episodes = [parseInt(numbered[1])]
+    result.fullSeason = false
+    return result
+  }
+
+  if (season || result.complete) return result
+
+  // Daily shows: 2024.03.15
+  const date = text.match(/\b((?:19|20)\d{2})[ .-](0[1-9]|1[0-2])[ .-](0[1-9]|[12]\d|3[01])\b/)
+  if (date) {
+    result.airDate = `${date[1]}-${date[2]}-${date[3]}`
+    return result
+  }
+
+  return result
+}
+
+function parseGroup(name: string, leadingTag?: string): { group?: string, rest: string } {
+  let rest = name.trim()
+  const trailingTags: string[] = []
+
+  // Peel off "[rartv]" / "[YTS.MX]" style suffixes
+  let tag: RegExpMatchArray | null
+  while ((tag = rest.match(/\s*\[([^\]]+)\]\s*$/))) {
+    trailingTags.unshift(tag[1].trim())
+    rest = rest.slice(0, tag.index).trim()
+  }
+
+  const hyphenated = rest.match(/-([A-Za-z0-9@$&~!]+)$/)
+  if (hyphenated && !NOT_A_GROUP.test(hyphenated[1])) {
+    return { group: hyphenated[1], rest }
+  }
+
+  if (leadingTag) {
+    return { group: leadingTag, rest }
+  }
+
+  // "Movie (2019) [1080p] [BluRay] [YTS.MX]" keeps the group in the last tag
+  const lastTag = trailingTags[trailingTags.length - 1]
+  if (lastTag && !SITE_TAGS.test(lastTag) && !/^[a-f0-9]{8}$/i.test(lastTag) && !TITLE_END_PATTERNS.some(pattern => pattern.test(lastTag))) {
+    return { group: lastTag, rest }
+  }
+
+  return { rest }
+}
+
+function cleanTitle(title: string): string {
+  return title
+    // Keep acronyms such as S.W.A.T. together
+    .replace(/\b([A-Z])\.(?=[A-Z]\b)/g, '$1')
+    .replace(/[._]+/g, ' ')
+    .replace(/\s*[[(]\s*$/, '')
+    .replace(/[\s\-[(:]+$/, '')
+    .replace(/^[\s\-:]+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+export function parseRelease(name: string): ParsedRelease {
+  let text = name.trim().replace(VIDEO_EXTENSION, '').replace(/_/g, ' ')
+
+  // "www.site.org - Title" prefixes
+  text = text.replace(/^\s*(?:\[\s*)?www\.[^\s\]]+(?:\s*\])?\s*-?\s*/i, '')
+
+  // Fansub releases lead with the group: "[SubsPlease] Title - 01"
+  const leading = text.match(/^\s*\[([^\]]+)\]\s*/)
+  if (leading) {
+    text = text.slice(leading[0].length)
+  }
+
+  const { group, rest } = parseGroup(text, leading?.[1])
+
+  const episodes = parseEpisodes(text, !!leading)
+
+  // The title runs up to the year or the first quality/episode marker
+  const titleSource = group && rest.endsWith(group) ? rest.slice(0, -group.length) : rest
+  let titleEnd = titleSource.length
+  for (const pattern of TITLE_END_PATTERNS) {
+    const index = titleSource.search(pattern)
+    if (index > 0 && index < titleEnd) titleEnd = index
+  }
+
+  if (episodes.airDate) {
+    const index = titleSource.search(/\b(?:19|20)\d{2}[ .-]\d{2}[ .-]\d{2}\b/)
+    if (index > 0 && index < titleEnd) titleEnd = index
+  } else if (leading && episodes.episodes.length > 0 && episodes.seasons.length === 0) {
+    const index = titleSource.search(/\s-\s\d{1,4}(?:v\d)?(?:\s|$)/)
+    if (index > 0 && index < titleEnd) titleEnd = index
+  }
+
+  // The last year before the markers, so "Blade Runner 2049 2017" is from 2017
+  let year: number | undefined
+  const years = [...titleSource.slice(0, titleEnd).matchAll(/(?:^|[\s.([_-])((?:19|20)\d{2})(?=$|[\s.)\]_-])/g)]
+    .filter(match => match.index! > 0)
+  if (years.length > 0) {
+    const last = years[years.length - 1]
+    year = parseInt(last[1])
+    titleEnd = last.index!
+  }
+
+  // Tags are only read after the title so "The French Connection" or "Charlotte's Web" stay titles
+  const tail = text.slice(titleEnd)
+
+  const resolutionMatch = tail.match(/\b(2160|1080|720|576|480)[pi]\b/i) || tail.match(/\b\d{3,4}x(2160|1080|720|576|480)\b/i)
+  const resolution = resolutionMatch
+    ? `${resolutionMatch[1]}p` as Resolution
+    : /\b(4k|uhd)\b/i.test(tail) ? '2160p' : undefined
+
+  const channels = tail.match(/(?<!\d)([2-7])[ .]([01])(?:ch)?(?!\d)/i)
+
+  return {
+    title: cleanTitle(titleSource.slice(0, titleEnd)) || cleanTitle(titleSource),
+    year,
+    resolution,
+    source: takeFirst(tail, SOURCE_PATTERNS),
+    remux: /\bremux\b/i.test(tail),
+    codec: takeFirst(tail, CODEC_PATTERNS),
+    hdr: takeAll(tail, HDR_PATTERNS),
+    audio: takeAll(tail, AUDIO_PATTERNS),
+    channels: channels ? `${channels[1]}.${channels[2]}` : undefined,
+    atmos: /\batmos\b/i.test(tail),
+    languages: takeAll(tail, LANGUAGE_PATTERNS),
+    ...episodes,
+    repack: /\b(repack|rerip)\d?\b/i.test(tail),
+    proper: /\bproper\b/i.test(tail),
+    group
+  }
+}
+
+// Higher is better; used to sort search results by quality
+export function qualityRank(release: ParsedRelease): number {
+  const resolution = release.resolution ? RESOLUTIONS.length - RESOLUTIONS.indexOf(release.resolution) : 0
+  const source = release.source ? SOURCES.length - SOURCES.indexOf(release.source) : 0
+
+  return resolution * 100 + (release.remux ? 50 : 0) + source * 5 + (release.proper || release.repack ? 1 : 0)
+}
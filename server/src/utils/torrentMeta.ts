@@ -0,0 +1,222 @@
+import { createHash } from 'crypto'
+
+// Info hashes of a torrent. `infoHash` is what qBittorrent uses as the torrent id:
+// the v1 SHA-1 for v1 and hybrid torrents, the v2 SHA-256 truncated to 40 chars for v2-only ones.
+export interface TorrentHashes {
+  infoHash: string
+  infoHashV2?: string
+}
+
+export interface TorrentFileMeta extends TorrentHashes {
+  name: string
+  size: number
+  files: number
+  version: 1 | 2 | 'hybrid'
+}
+
+export interface MagnetMeta extends TorrentHashes {
+  name?: string
+}
+
+export type BencodeValue = number | Buffer | BencodeValue[] | { [key: string]: BencodeValue }
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+// Multihash prefix for a 32 byte SHA-256 digest (used by btmh magnets)
+const SHA256_MULTIHASH_PREFIX = '1220'
+
+// Decode bencoded data; `spans` collects the raw byte range of every dictionary value by key path
+export function decodeBencode(data: Buffer, spans?: Map<string, [number, number]>): BencodeValue {
+  let position = 0
+
+  const fail = (message: string): never => {
+    throw new Error(`Invalid bencode at byte ${position}: ${message}`)
+  }
+
+  const readUntil = (terminator: number): string => {
+    const end = data.indexOf(terminator, position)
+    if (end === -1) fail('unterminated value')
+    const text = data.toString('ascii', position, end)
+    position = end + 1
+    return text
+  }
+
+  const decode = (path: string): BencodeValue => {
+    const type = data[position]
+
+    if (type === 0x69) { // i<integer>e
+      position++
+      const text = readUntil(0x65)
+      if (!/^-?\d+$/.test(text)) fail(`bad integer "${text}"`)
+      return Number(text)
+    }
+
+    if (type === 0x6c) { // l<items>e
+      position++
+      const list: BencodeValue[] = []
+      while (data[position] !== 0x65) {
+        if (position >= data.length) fail('unterminated list')
+        list.push(decode(path))
+      }
+      position++
+      return list
+    }
+
+    if (type === 0x64) { // d<key><value>e
+      position++
+      const dict: { [key: string]: BencodeValue } = {}
+      while (data[position] !== 0x65) {
+        if (position >= data.length) fail('unterminated dictionary')
+        const key = decode(path)
+        if (!Buffer.isBuffer(key)) fail('dictionary key is not a string')
+        const keyPath = path ? `${path}.${key.toString()}` : (key as Buffer).toString()
+        const start = position
+        dict[(key as Buffer).toString()] = decode(keyPath)
+        spans?.set(keyPath, [start, position])
+      }
+      position++
+      return dict
+    }
+
+    if (type >= 0x30 && type <= 0x39) { // <length>:<bytes>
+      const length = Number(readUntil(0x3a))
+      if (position + length > data.length) fail('string runs past the end')
+      const bytes = data.subarray(position, position + length)
+      position += length
+      return bytes
+    }
+
+    return fail(`unexpected byte 0x${(type ?? 0).toString(16)}`)
+  }
+
+  const value = decode('')
+  if (position !== data.length) fail('trailing data')
+  return value
+}
+
+// Name, size and info hashes of a .torrent file
+export function parseTorrentFile(data: Buffer): TorrentFileMeta {
+  const spans = new Map<string, [number, number]>()
+  const root = decodeBencode(data, spans)
+  const info = isDict(root) ? root.info : undefined
+  const infoSpan = spans.get('info')
+
+  if (!isDict(info) || !infoSpan) {
+    throw new Error('Not a torrent file: missing info dictionary')
+  }
+
+  const infoBytes = data.subarray(infoSpan[0], infoSpan[1])
+  const isV2 = info['meta version'] === 2
+  const isV1 = Buffer.isBuffer(info.pieces) || Array.isArray(info.files) || typeof info.length === 'number'
+  const name = Buffer.isBuffer(info['name.utf-8']) ? info['name.utf-8'].toString() : Buffer.isBuffer(info.name) ? info.name.toString() : ''
+
+  const v1Hash = isV1 || !isV2 ? createHash('sha1').update(infoBytes).digest('hex') : undefined
+  const v2Hash = isV2 ? createHash('sha256').update(infoBytes).digest('hex') : undefined
+
+  const { size, files } = isV1 || !isV2 ? v1Files(info) : v2Files(info['file tree'])
+
+  return {
+    infoHash: v1Hash || v2Hash!.substring(0, 40),
+    infoHashV2: v2Hash,
+    name,
+    size,
+    files,
+    version: v1Hash && v2Hash ? 'hybrid' : v2Hash ? 2 : 1
+  }
+}
+
+// Info hashes and display name of a magnet link (btih in hex or base32, and/or btmh)
+export function parseMagnet(uri: string): MagnetMeta | null {
+  if (!/^magnet:\?/i.test(uri)) return null
+
+  const params = new URLSearchParams(uri.substring(uri.indexOf('?') + 1))
+  let v1: string | undefined
+  let v2: string | undefined
+
+  for (const topic of params.getAll('xt')) {
+    const btih = topic.match(/^urn:btih:([a-f0-9]{40}|[a-z2-7]{32})$/i)
+    if (btih) {
+      v1 = btih[1].length === 40 ? btih[1].toLowerCase() : base32ToHex(btih[1])
+      continue
+    }
+
+    const btmh = topic.match(/^urn:btmh:([a-f0-9]+)$/i)
+    if (btmh && btmh[1].toLowerCase().startsWith(SHA256_MULTIHASH_PREFIX) && btmh[1].length === 68) {
+      v2 = btmh[1].substring(4).toLowerCase()
+    }
+  }
+
+  if (!v1 && !v2) return null
+
+  return {
+    infoHash: v1 || v2!.substring(0, 40),
+    infoHashV2: v2,
+    name: params.get('dn') || undefined
+  }
+}
+
+// Magnet link for a torrent we only have hashes for (e.g. an uploaded .torrent file)
+export function buildMagnet(meta: TorrentHashes & { name?: string }): string {
+  const topics: string[] = []
+  if (!meta.infoHashV2 || meta.infoHash !== meta.infoHashV2.substring(0, 40)) {
+    topics.push(`xt=urn:btih:${meta.infoHash}`)
+  }
+  if (meta.infoHashV2) {
+    topics.push(`xt=urn:btmh:${SHA256_MULTIHASH_PREFIX}${meta.infoHashV2}`)
+  }
+  if (meta.name) {
+    topics.push(`dn=${encodeURIComponent(meta.name)}`)
+  }
+  return `magnet:?${topics.join('&')}`
+}
+
+function isDict(value: BencodeValue | undefined): value is { [key: string]: BencodeValue } {
+  return !!value && typeof value === 'object' && !Buffer.isBuffer(value) && !Array.isArray(value)
+}
+
+function v1Files(info: { [key: string]: BencodeValue }): { size: number, files: number } {
+  if (!Array.isArray(info.files)) {
+    return { size: typeof info.length === 'number' ? info.length : 0, files: 1 }
+  }
+
+  // Hybrid torrents align files with padding entries (attr "p") that aren't real content
+  const files = info.files.filter(file => isDict(file) && !(Buffer.isBuffer(file.attr) && file.attr.includes('p')))
+  const size = files.reduce<number>((total, file) => {
+    const length = isDict(file) ? file.length : 0
+    return total + (typeof length === 'number' ? length : 0)
+  }, 0)
+
+  return { size, files: files.length }
+}
+
+// v2 file trees nest directories as dictionaries; files are keyed by "" with a length
+function v2Files(tree: BencodeValue | undefined): { size: number, files: number } {
+  if (!isDict(tree)) return { size: 0, files: 0 }
+
+  let size = 0
+  let files = 0
+  for (const [key, value] of Object.entries(tree)) {
+    if (key === '' && isDict(value)) {
+      size += typeof value.length === 'number' ? value.length : 0
+      files++
+    } else {
+      const nested = v2Files(value)
+      size += nested.size
+      files += nested.files
+    }
+  }
+  return { size, files }
+}
+
+function base32ToHex(value: string): string {
+  let bits = ''
+  for (const char of value.toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')
+  }
+
+  let hex = ''
+  for (let index = 0; index + 4 <= bits.length; index += 4) {
+    hex += parseInt(bits.substring(index, index + 4), 2).toString(16)
+  }
+  return hex
+}
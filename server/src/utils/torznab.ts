@@ -0,0 +1,260 @@
+// Torznab: the Newznab API over RSS, spoken by Jackett, Prowlarr and most indexer proxies
+
+export interface XmlNode {
+  name: string
+  attributes: Record<string, string>
+  children: XmlNode[]
+  text: string
+}
+
+export interface TorznabCategory {
+  id: number
+  // Subcategories are prefixed with their parent ("Movies/HD")
+  name: string
+}
+
+export interface TorznabSearchMode {
+  available: boolean
+  supportedParams: string[]
+}
+
+export interface TorznabCaps {
+  title?: string
+  // search, tv-search, movie-search, ...
+  searching: Record<string, TorznabSearchMode>
+  categories: TorznabCategory[]
+}
+
+export interface TorznabItem {
+  title: string
+  guid: string
+  link: string
+  magnetUrl: string
+  infoHash: string
+  size: number
+  seeders: number
+  peers: number
+  categories: number[]
+  publishDate: string
+  description: string
+  // Set by aggregating endpoints such as Jackett's "all" indexer
+  indexer?: string
+}
+
+export type MediaCategory = 'movie' | 'tv'
+
+// Standard Newznab parent categories
+export const TORZNAB_CATEGORIES: Record<MediaCategory, number> = {
+  movie: 2000,
+  tv: 5000
+}
+
+// Indexers may define their own categories above this id
+const CUSTOM_CATEGORY_START = 100000
+
+const CUSTOM_CATEGORY_PATTERNS: Record<MediaCategory, RegExp> = {
+  movie: /movie|film/i,
+  tv: /\btv\b|series|episode|show/i
+}
+
+const ENTITIES: Record<string, string> = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+// Error documents (<error code="100" description="..."/>) an endpoint returns instead of results
+export class TorznabError extends Error {
+  code: number
+
+  constructor(code: number, message: string) {
+    super(message)
+    this.name = 'TorznabError'
+    this.code = code
+  }
+}
+
+// Parse just enough XML for Torznab feeds: elements, attributes, text, CDATA and entities
+export function parseXml(xml: string): XmlNode {
+  const root: XmlNode = { name: '#document', attributes: {}, children: [], text: '' }
+  const stack: XmlNode[] = [root]
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  let match: RegExpExecArray | null
+  let position = 0
+
+  while ((match = token.exec(xml)) !== null) {
+    // Anything the tokenizer skipped is a tag it couldn't read
+    if (match.index !== position) {
+      throw new Error(`Invalid XML: malformed tag at ${position}`)
+    }
+    position = token.lastIndex
+
+    const [, cdata, closing, opening, attributes, selfClosing, text] = match
+    const current = stack[stack.length - 1]
+
+    if (cdata !== undefined) {
+      current.text += cdata
+    } else if (closing) {
+      if (current.name !== closing) {
+        throw new Error(`Invalid XML: unexpected </${closing}>`)
+      }
+      stack.pop()
+    } else if (opening) {
+      const node: XmlNode = { name: opening, attributes: parseAttributes(attributes), children: [], text: '' }
+      current.children.push(node)
+      if (!selfClosing) stack.push(node)
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text)
+    }
+  }
+
+  if (position !== xml.length) {
+    throw new Error(`Invalid XML: malformed tag at ${position}`)
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid XML: unclosed <${stack[stack.length - 1].name}>`)
+  }
+
+  return root
+}
+
+// Search modes and categories from a t=caps response
+export function parseTorznabCaps(xml: string): TorznabCaps {
+  const caps = documentElement(xml, 'caps')
+  const searching: Record<string, TorznabSearchMode> = {}
+  const categories: TorznabCategory[] = []
+
+  for (const mode of child(caps, 'searching')?.children || []) {
+    searching[mode.name] = {
+      available: mode.attributes.available === 'yes',
+      supportedParams: (mode.attributes.supportedParams || 'q').split(',').map(param => param.trim()).filter(Boolean)
+    }
+  }
+
+  for (const category of children(child(caps, 'categories'), 'category')) {
+    const id = parseInt(category.attributes.id)
+    if (isNaN(id)) continue
+
+    categories.push({ id, name: category.attributes.name || String(id) })
+
+    for (const subcategory of children(category, 'subcat')) {
+      const subId = parseInt(subcategory.attributes.id)
+      if (!isNaN(subId)) {
+        categories.push({ id: subId, name: `${category.attributes.name}/${subcategory.attributes.name}` })
+      }
+    }
+  }
+
+  return {
+    title: child(caps, 'server')?.attributes.title,
+    searching,
+    categories
+  }
+}
+
+// Items of a search response (RSS with torznab:attr elements)
+export function parseTorznabResults(xml: string): TorznabItem[] {
+  const rss = documentElement(xml, 'rss')
+
+  return children(child(rss, 'channel'), 'item').map(item => {
+    const attrs = new Map<string, string[]>()
+    for (const attr of item.children) {
+      if (!/^(torznab|newznab):attr$/.test(attr.name)) continue
+      attrs.set(attr.attributes.name, [...(attrs.get(attr.attributes.name) || []), attr.attributes.value])
+    }
+
+    const attr = (name: string) => attrs.get(name)?.[0]
+    const text = (name: string) => child(item, name)?.text.trim() || ''
+    const enclosure = child(item, 'enclosure')?.attributes
+    const link = text('link') || enclosure?.url || ''
+    const magnetUrl = attr('magneturl') || (link.startsWith('magnet:') ? link : '')
+    const seeders = parseInt(attr('seeders') || '0') || 0
+
+    return {
+      title: text('title'),
+      guid: text('guid'),
+      link: link.startsWith('magnet:') ? '' : link,
+      magnetUrl,
+      infoHash: (attr('infohash') || '').toLowerCase(),
+      size: parseInt(attr('size') || text('size') || enclosure?.length || '0') || 0,
+      seeders,
+      // Torznab "peers" counts seeders too
+      peers: Math.max(0, (parseInt(attr('peers') || '0') || 0) - seeders),
+      categories: [...(attrs.get('category') || []), ...children(item, 'category').map(category => category.text)]
+        .map(value => parseInt(value))
+        .filter((value, index, all) => !isNaN(value) && all.indexOf(value) === index),
+      publishDate: text('pubDate'),
+      description: text('description'),
+      indexer: child(item, 'jackettindexer')?.text.trim() || child(item, 'prowlarrindexer')?.text.trim() || undefined
+    }
+  })
+}
+
+// Indexer categories to search for movies or TV: the standard parent (which covers its
+// subcategories) or the subcategories the indexer lists, plus matching custom categories
+export function categoriesFor(type: MediaCategory, categories: TorznabCategory[]): number[] {
+  const parent = TORZNAB_CATEGORIES[type]
+  const standard = categories.filter(category => mediaTypeOf(category.id) === type).map(category => category.id)
+  const custom = categories
+    .filter(category => category.id >= CUSTOM_CATEGORY_START && mediaTypeOf(category.id, categories) === type)
+    .map(category => category.id)
+
+  return [...(standard.length === 0 || standard.includes(parent) ? [parent] : standard), ...custom]
+}
+
+// Our category for a Newznab category id (2040 is Movies/HD, 5070 TV/Anime);
+// custom ids are recognised by name when the indexer's categories are given
+export function mediaTypeOf(categoryId: number, categories: TorznabCategory[] = []): MediaCategory | undefined {
+  const types = Object.keys(TORZNAB_CATEGORIES) as MediaCategory[]
+
+  if (categoryId >= CUSTOM_CATEGORY_START) {
+    const custom = categories.find(category => category.id === categoryId)
+    return custom ? types.find(type => CUSTOM_CATEGORY_PATTERNS[type].test(custom.name)) : undefined
+  }
+
+  return types.find(type => Math.floor(categoryId / 1000) * 1000 === TORZNAB_CATEGORIES[type])
+}
+
+// Private helpers
+function documentElement(xml: string, name: string): XmlNode {
+  const document = parseXml(xml)
+  const error = child(document, 'error')
+
+  if (error) {
+    throw new TorznabError(parseInt(error.attributes.code) || 0, error.attributes.description || 'Torznab error')
+  }
+
+  const element = child(document, name)
+  if (!element) {
+    throw new Error(`Not a Torznab response: missing <${name}>`)
+  }
+
+  return element
+}
+
+function child(node: XmlNode | undefined, name: string): XmlNode | undefined {
+  return node?.children.find(item => item.name === name)
+}
+
+function children(node: XmlNode | undefined, name: string): XmlNode[] {
+  return node?.children.filter(item => item.name === name) || []
+}
+
+function parseAttributes(source: string): Record<string, string> {
+  const attributes: Record<string, string> = {}
+  const pattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  let match: RegExpExecArray | null
+
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3])
+  }
+
+  return attributes
+}
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code: string) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1))
+      return isNaN(value) ? entity : String.fromCodePoint(value)
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity
+  })
+}
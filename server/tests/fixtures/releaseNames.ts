@@ -0,0 +1,290 @@
+import { ParsedRelease } from '@/utils/releaseParser.js'
+
+// Real-world style release names and the fields the parser must extract from them
+export const RELEASE_NAME_FIXTURES: Array<{ name: string, expected: Partial<ParsedRelease> }> = [
+  // Movies - scene/P2P
+  {
+    name: 'The.Matrix.1999.2160p.UHD.BluRay.REMUX.HDR10.HEVC.TrueHD.7.1.Atmos-FGT',
+    expected: { title: 'The Matrix', year: 1999, resolution: '2160p', source: 'BluRay', remux: true, codec: 'x265', hdr: ['HDR10'], audio: ['TrueHD'], channels: '7.1', atmos: true, group: 'FGT', seasons: [], episodes: [] }
+  },
+  {
+    name: 'Inception.2010.1080p.BluRay.x264.DTS-HD.MA.5.1-SWTYBLZ',
+    expected: { title: 'Inception', year: 2010, resolution: '1080p', source: 'BluRay', remux: false, codec: 'x264', audio: ['DTS-HD'], channels: '5.1', group: 'SWTYBLZ' }
+  },
+  {
+    name: 'Dune.Part.Two.2024.2160p.WEB-DL.DDP5.1.Atmos.DV.HDR10+.H.265-FLUX',
+    expected: { title: 'Dune Part Two', year: 2024, resolution: '2160p', source: 'WEB-DL', codec: 'x265', hdr: ['DV', 'HDR10+'], audio: ['DD+'], channels: '5.1', atmos: true, group: 'FLUX' }
+  },
+  {
+    name: 'Oppenheimer.2023.1080p.AMZN.WEBRip.DDP5.1.x265.10bit-GalaxyRG265',
+    expected: { title: 'Oppenheimer', year: 2023, resolution: '1080p', source: 'WEBRip', codec: 'x265', audio: ['DD+'], group: 'GalaxyRG265' }
+  },
+  {
+    name: 'Blade.Runner.2049.2017.1080p.BluRay.x264-SPARKS',
+    expected: { title: 'Blade Runner 2049', year: 2017, resolution: '1080p', source: 'BluRay', codec: 'x264', group: 'SPARKS' }
+  },
+  {
+    name: '2001.A.Space.Odyssey.1968.REMASTERED.1080p.BluRay.x264-AMIABLE',
+    expected: { title: '2001 A Space Odyssey', year: 1968, resolution: '1080p', source: 'BluRay', group: 'AMIABLE' }
+  },
+  {
+    name: '1917.2019.720p.BluRay.x264-SPARKS',
+    expected: { title: '1917', year: 2019, resolution: '720p', source: 'BluRay', group: 'SPARKS' }
+  },
+  {
+    name: 'Parasite (2019) [1080p] [BluRay] [5.1] [YTS.MX]',
+    expected: { title: 'Parasite', year: 2019, resolution: '1080p', source: 'BluRay', channels: '5.1', group: 'YTS.MX' }
+  },
+  {
+    name: 'Everything Everywhere All at Once (2022) 2160p H265 10 bit DV HDR10+ ita eng AC3 5.1 sub ita eng Licdom',
+    expected: { title: 'Everything Everywhere All at Once', year: 2022, resolution: '2160p', codec: 'x265', hdr: ['DV', 'HDR10+'], audio: ['DD'], channels: '5.1', languages: ['English', 'Italian'] }
+  },
+  {
+    name: 'The.French.Dispatch.2021.1080p.WEB-DL.DD5.1.H.264-EVO',
+    expected: { title: 'The French Dispatch', year: 2021, source: 'WEB-DL', audio: ['DD'], codec: 'x264', languages: [], group: 'EVO' }
+  },
+  {
+    name: "Charlotte's.Web.2006.1080p.BluRay.x264-HD4U",
+    expected: { title: "Charlotte's Web", year: 2006, source: 'BluRay', group: 'HD4U' }
+  },
+  {
+    name: 'Amelie.2001.FRENCH.1080p.BluRay.x264.DTS-FGT',
+    expected: { title: 'Amelie', year: 2001, languages: ['French'], audio: ['DTS'], group: 'FGT' }
+  },
+  {
+    name: 'Le.Mans.66.2019.MULTi.TRUEFRENCH.1080p.BluRay.x264-LOST',
+    expected: { title: 'Le Mans 66', year: 2019, languages: ['Multi', 'French'], group: 'LOST' }
+  },
+  {
+    name: 'Avatar.The.Way.of.Water.2022.PROPER.1080p.WEB.H264-SLOT',
+    expected: { title: 'Avatar The Way of Water', year: 2022, proper: true, repack: false, source: 'WEB-DL', codec: 'x264', group: 'SLOT' }
+  },
+  {
+    name: 'John.Wick.Chapter.4.2023.REPACK.2160p.WEB-DL.DDP5.1.Atmos.HDR.H.265-CMRG',
+    expected: { title: 'John Wick Chapter 4', year: 2023, repack: true, hdr: ['HDR'], atmos: true, group: 'CMRG' }
+  },
+  {
+    name: 'Barbie.2023.HDCAM.x264-AOC',
+    expected: { title: 'Barbie', year: 2023, source: 'CAM', group: 'AOC' }
+  },
+  {
+    name: 'The.Marvels.2023.HDTS.x264.AAC-Mkvking',
+    expected: { title: 'The Marvels', year: 2023, source: 'TELESYNC', audio: ['AAC'], group: 'Mkvking' }
+  },
+  {
+    name: 'Wonka.2023.DVDScr.XviD.MP3-EVO',
+    expected: { title: 'Wonka', year: 2023, source: 'SCREENER', codec: 'XviD', audio: ['MP3'], group: 'EVO' }
+  },
+  {
+    name: 'Pulp.Fiction.1994.DVDRip.XviD-DiAMOND',
+    expected: { title: 'Pulp Fiction', year: 1994, source: 'DVD', codec: 'XviD', group: 'DiAMOND' }
+  },
+  {
+    name: 'Alien.1979.Directors.Cut.576p.BDRip.x264.AC3-HANDJOB',
+    expected: { title: 'Alien', year: 1979, resolution: '576p', source: 'BluRay', audio: ['DD'], group: 'HANDJOB' }
+  },
+  {
+    name: 'Spirited.Away.2001.JAPANESE.1080p.BluRay.x265.FLAC.2.0-Tigole',
+    expected: { title: 'Spirited Away', year: 2001, languages: ['Japanese'], audio: ['FLAC'], channels: '2.0', group: 'Tigole' }
+  },
+  {
+    name: 'RRR.2022.HINDI.1080p.NF.WEB-DL.DDP5.1.Atmos.x264-Telly',
+    expected: { title: 'RRR', year: 2022, languages: ['Hindi'], source: 'WEB-DL', group: 'Telly' }
+  },
+  {
+    name: 'Godzilla.Minus.One.2023.1080p.AV1.OPUS.5.1-Kekkai',
+    expected: { title: 'Godzilla Minus One', year: 2023, codec: 'AV1', audio: ['Opus'], channels: '5.1', group: 'Kekkai' }
+  },
+  {
+    name: 'Top.Gun.Maverick.2022.IMAX.2160p.WEB-DL.DTS-X.7.1.DV.H.265-HONE',
+    expected: { title: 'Top Gun Maverick', year: 2022, audio: ['DTS-X'], channels: '7.1', hdr: ['DV'], group: 'HONE' }
+  },
+  {
+    name: 'Casablanca 1942 1080p BluRay FLAC 1.0 x264-SbR.mkv',
+    expected: { title: 'Casablanca', year: 1942, resolution: '1080p', codec: 'x264', audio: ['FLAC'], group: 'SbR' }
+  },
+  {
+    name: 'Heat.1995.UHD.BluRay.2160p.TrueHD.Atmos.7.1.HEVC.REMUX-FraMeSToR',
+    expected: { title: 'Heat', year: 1995, resolution: '2160p', remux: true, codec: 'x265', group: 'FraMeSToR' }
+  },
+  {
+    name: 'Interstellar.2014.1920x1080.BluRay.x264-TiMELORDS',
+    expected: { title: 'Interstellar', year: 2014, resolution: '1080p', group: 'TiMELORDS' }
+  },
+  {
+    name: 'Some.Old.Movie.1960.480p.DVD.MPEG2.AC3',
+    expected: { title: 'Some Old Movie', year: 1960, resolution: '480p', source: 'DVD', codec: 'MPEG2', audio: ['DD'], group: undefined }
+  },
+  {
+    name: 'The Batman 2022 1080p WEB-DL HEVC x265 5.1 BONE',
+    expected: { title: 'The Batman', year: 2022, source: 'WEB-DL', codec: 'x265', channels: '5.1' }
+  },
+  {
+    name: 'www.Torrenting.com - Anatomy of a Fall 2023 1080p WEB H264-EDITH',
+    expected: { title: 'Anatomy of a Fall', year: 2023, group: 'EDITH' }
+  },
+  {
+    name: 'Mad.Max.Fury.Road.2015.German.DL.2160p.UHD.BluRay.HDR.HEVC.Remux-NIMA',
+    expected: { title: 'Mad Max Fury Road', year: 2015, languages: ['German'], remux: true, hdr: ['HDR'], group: 'NIMA' }
+  },
+  {
+    name: 'Coco.2017.Latino.1080p.BluRay.x264.DTS-HD.MA.7.1-DiN',
+    expected: { title: 'Coco', year: 2017, languages: ['Spanish'], audio: ['DTS-HD'], channels: '7.1', group: 'DiN' }
+  },
+  {
+    name: 'Planet.Earth.II.2016.2160p.UHD.BluRay.HLG.HEVC.DTS-HD.MA.5.1-COASTER',
+    expected: { title: 'Planet Earth II', year: 2016, hdr: ['HLG'], group: 'COASTER' }
+  },
+  {
+    name: 'Movie.Without.Year.1080p.WEB.x264-GRP',
+    expected: { title: 'Movie Without Year', year: undefined, resolution: '1080p', group: 'GRP' }
+  },
+
+  // TV - single episodes
+  {
+    name: 'The.Last.of.Us.S01E01.When.Youre.Lost.in.the.Darkness.2160p.HMAX.WEB-DL.DDP5.1.Atmos.DV.HDR.H.265-FLUX',
+    expected: { title: 'The Last of Us', seasons: [1], episodes: [1], fullSeason: false, resolution: '2160p', hdr: ['DV', 'HDR'], group: 'FLUX' }
+  },
+  {
+    name: 'Show.Name.S02E05E06.1080p.AMZN.WEB-DL.DDP5.1.H.264-NTb[rartv]',
+    expected: { title: 'Show Name', seasons: [2], episodes: [5, 6], source: 'WEB-DL', codec: 'x264', group: 'NTb' }
+  },
+  {
+    name: 'Severance.S02E01-E03.1080p.ATVP.WEB-DL.DDP5.1.H.264-NTb',
+    expected: { title: 'Severance', seasons: [2], episodes: [1, 2, 3], group: 'NTb' }
+  },
+  {
+    name: 'Some.Show.S01E01-04.720p.HDTV.x264-KILLERS',
+    expected: { title: 'Some Show', seasons: [1], episodes: [1, 2, 3, 4], source: 'HDTV', resolution: '720p', group: 'KILLERS' }
+  },
+  {
+    name: 'Doctor.Who.2005.S13E01.720p.HDTV.x264-SFM',
+    expected: { title: 'Doctor Who', year: 2005, seasons: [13], episodes: [1], group: 'SFM' }
+  },
+  {
+    name: 'S.W.A.T.2017.S07E03.1080p.WEB.h264-ETHEL',
+    expected: { title: 'SWAT', year: 2017, seasons: [7], episodes: [3], group: 'ETHEL' }
+  },
+  {
+    name: 'Fargo S05E10 1080p WEB H264-SuccessfulCrab[TGx]',
+    expected: { title: 'Fargo', seasons: [5], episodes: [10], group: 'SuccessfulCrab' }
+  },
+  {
+    name: 'the_office_us_s03e14_hdtv_xvid-lol',
+    expected: { title: 'the office us', seasons: [3], episodes: [14], source: 'HDTV', codec: 'XviD', group: 'lol' }
+  },
+  {
+    name: 'Friends 1x05 The One with the East German Laundry Detergent DVDRip',
+    expected: { title: 'Friends', seasons: [1], episodes: [5], source: 'DVD' }
+  },
+  {
+    name: 'Seinfeld.5x01-5x02.The.Mango.DVDRip.XviD',
+    expected: { title: 'Seinfeld', seasons: [5], episodes: [1, 2] }
+  },
+  {
+    name: 'Shogun.2024.S01E01.REPACK.1080p.DSNP.WEB-DL.DDP5.1.H.264-NTb',
+    expected: { title: 'Shogun', year: 2024, seasons: [1], episodes: [1], repack: true }
+  },
+  {
+    name: 'Show.S10E100.1080p.WEB.h264-GRP',
+    expected: { title: 'Show', seasons: [10], episodes: [100] }
+  },
+  {
+    name: 'Money.Heist.S05E01.SPANISH.1080p.NF.WEB-DL.DDP5.1.x264-NTb',
+    expected: { title: 'Money Heist', seasons: [5], episodes: [1], languages: ['Spanish'] }
+  },
+  {
+    name: 'Lupin.S03E02.MULTi.1080p.WEB.x264-FiXIT',
+    expected: { title: 'Lupin', seasons: [3], episodes: [2], languages: ['Multi'], group: 'FiXIT' }
+  },
+  {
+    name: 'Squid.Game.S02E01.KOREAN.2160p.NF.WEB-DL.DDP5.1.DV.HDR.H.265-FLUX',
+    expected: { title: 'Squid Game', languages: ['Korean'], seasons: [2], episodes: [1] }
+  },
+
+  // TV - season packs
+  {
+    name: 'Breaking.Bad.S05.1080p.BluRay.x264-ROVERS',
+    expected: { title: 'Breaking Bad', seasons: [5], episodes: [], fullSeason: true, group: 'ROVERS' }
+  },
+  {
+    name: 'The.Wire.S01-S05.720p.BluRay.x264-SHORTBREHD',
+    expected: { title: 'The Wire', seasons: [1, 2, 3, 4, 5], fullSeason: true, group: 'SHORTBREHD' }
+  },
+  {
+    name: 'Dark.S01-03.1080p.NF.WEB-DL.DDP5.1.x264-NTb',
+    expected: { title: 'Dark', seasons: [1, 2, 3], fullSeason: true }
+  },
+  {
+    name: 'Chernobyl Season 1 Complete 720p WEB x264 [i_c]',
+    expected: { title: 'Chernobyl', seasons: [1], fullSeason: true, complete: true }
+  },
+  {
+    name: 'The Sopranos Seasons 1-6 Complete 1080p BluRay x265 HEVC 10bit AAC 5.1',
+    expected: { title: 'The Sopranos', seasons: [1, 2, 3, 4, 5, 6], fullSeason: true, complete: true, audio: ['AAC'], channels: '5.1' }
+  },
+  {
+    name: 'Firefly.Complete.Series.1080p.BluRay.x264-SHORTBREHD',
+    expected: { title: 'Firefly', seasons: [], complete: true, fullSeason: true }
+  },
+  {
+    name: 'Succession.S04.COMPLETE.2160p.AMZN.WEB-DL.DDP5.1.HDR.H.265-NTb',
+    expected: { title: 'Succession', seasons: [4], complete: true, hdr: ['HDR'] }
+  },
+
+  // Daily and anime
+  {
+    name: 'The.Daily.Show.2024.03.15.Guest.Name.720p.WEB.h264-EDITH',
+    expected: { title: 'The Daily Show', airDate: '2024-03-15', year: undefined, seasons: [], episodes: [] }
+  },
+  {
+    name: 'Jeopardy.2023-11-02.1080p.HDTV.H264-DiRT',
+    expected: { title: 'Jeopardy', airDate: '2023-11-02', source: 'HDTV' }
+  },
+  {
+    name: '[SubsPlease] One Piece - 1071 (1080p) [ABCD1234].mkv',
+    expected: { title: 'One Piece', episodes: [1071], seasons: [], resolution: '1080p', group: 'SubsPlease' }
+  },
+  {
+    name: '[Erai-raws] Jujutsu Kaisen - 24 [720p][Multiple Subtitle].mkv',
+    expected: { title: 'Jujutsu Kaisen', episodes: [24], resolution: '720p', group: 'Erai-raws' }
+  },
+  {
+    name: '[Judas] Vinland Saga S2 - 05 [1080p][HEVC x265 10bit][Multi-Subs]',
+    expected: { title: 'Vinland Saga', seasons: [2], episodes: [5], fullSeason: false, resolution: '1080p', codec: 'x265', group: 'Judas' }
+  },
+  {
+    name: 'Attack.on.Titan.S04E28.JAPANESE.1080p.CR.WEB-DL.AAC2.0.H.264-VARYG',
+    expected: { title: 'Attack on Titan', languages: ['Japanese'], audio: ['AAC'], channels: '2.0', seasons: [4], episodes: [28], group: 'VARYG' }
+  },
+
+  // Odds and ends
+  {
+    name: 'Movie.Title.2020.1080p.WEB-DL.x264-GRP.torrent',
+    expected: { title: 'Movie Title', year: 2020, group: 'GRP' }
+  },
+  {
+    name: 'Movie Title 2020 WEB-DL',
+    expected: { title: 'Movie Title', year: 2020, source: 'WEB-DL', group: undefined }
+  },
+  {
+    name: 'Plain Title',
+    expected: { title: 'Plain Title', year: undefined, resolution: undefined, source: undefined, codec: undefined, hdr: [], audio: [], languages: [], group: undefined }
+  },
+  {
+    name: 'Nomadland.2020.1080p.DSNP.WEB-DL.EAC3.5.1.H.264-PAXA',
+    expected: { title: 'Nomadland', audio: ['DD+'], channels: '5.1', group: 'PAXA' }
+  },
+  {
+    name: 'Gladiator.2000.Extended.2160p.UHD.BluRay.x265.10bit.HDR.DTS-HD.MA.5.1-SWTYBLZ',
+    expected: { title: 'Gladiator', year: 2000, hdr: ['HDR'], audio: ['DTS-HD'], group: 'SWTYBLZ' }
+  },
+  {
+    name: 'Klaus.2019.720p.NF.WEBRip.800MB.x264-GalaxyRG',
+    expected: { title: 'Klaus', resolution: '720p', source: 'WEBRip', group: 'GalaxyRG' }
+  },
+  {
+    name: 'The.Boys.S04E01.1080p.WEB.H264-SuccessfulCrab[eztv.re].mkv',
+    expected: { title: 'The Boys', seasons: [4], episodes: [1], group: 'SuccessfulCrab' }
+  }
+]
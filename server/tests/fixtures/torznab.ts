@@ -0,0 +1,64 @@
+// Responses of a Torznab indexer as served by Jackett/Prowlarr
+
+export const TORZNAB_API_KEY = 'torznab-test-key'
+
+export const TORZNAB_CAPS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<caps>
+  <server version="1.0" title="Fixture Tracker" />
+  <limits default="100" max="100" />
+  <searching>
+    <search available="yes" supportedParams="q" />
+    <tv-search available="yes" supportedParams="q,season,ep" />
+    <movie-search available="yes" supportedParams="q,imdbid" />
+    <music-search available="no" supportedParams="q" />
+  </searching>
+  <categories>
+    <category id="2000" name="Movies">
+      <subcat id="2040" name="HD" />
+      <subcat id="2045" name="UHD" />
+    </category>
+    <category id="5000" name="TV">
+      <subcat id="5040" name="HD" />
+    </category>
+    <category id="3000" name="Audio" />
+    <category id="100001" name="Films &amp; Documentaries" />
+    <category id="100002" name="TV Series Packs" />
+  </categories>
+</caps>`
+
+export const TORZNAB_MOVIE_RESULTS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+  <channel>
+    <title>Fixture Tracker</title>
+    <item>
+      <title>Inception.2010.1080p.BluRay.x264-SPARKS</title>
+      <guid>https://tracker.example/details/1</guid>
+      <jackettindexer id="fixture">Fixture Tracker</jackettindexer>
+      <link>https://tracker.example/download/1.torrent</link>
+      <pubDate>Sat, 01 Jun 2024 10:00:00 +0000</pubDate>
+      <size>8589934592</size>
+      <description><![CDATA[Inception <b>1080p</b> & extras]]></description>
+      <category>2040</category>
+      <enclosure url="https://tracker.example/download/1.torrent" length="8589934592" type="application/x-bittorrent" />
+      <torznab:attr name="category" value="2000" />
+      <torznab:attr name="category" value="2040" />
+      <torznab:attr name="seeders" value="120" />
+      <torznab:attr name="peers" value="135" />
+      <torznab:attr name="infohash" value="AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA" />
+      <torznab:attr name="magneturl" value="magnet:?xt=urn:btih:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA&amp;dn=Inception" />
+    </item>
+    <item>
+      <title>Inception 2010 2160p UHD &#8211; REMUX</title>
+      <guid>https://tracker.example/details/2</guid>
+      <link>magnet:?xt=urn:btih:BBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB</link>
+      <pubDate>Sun, 02 Jun 2024 10:00:00 +0000</pubDate>
+      <torznab:attr name="category" value="100001" />
+      <torznab:attr name="size" value="60000000000" />
+      <torznab:attr name="seeders" value="7" />
+      <torznab:attr name="peers" value="9" />
+    </item>
+  </channel>
+</rss>`
+
+export const TORZNAB_ERROR_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<error code="100" description="Invalid API Key" />`
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { createServer, Server } from 'http'
+import { AddressInfo } from 'net'
+import { ApiProxyService, ServiceConfig } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+
+// Just enough of the qBittorrent Web API: a login that sets the SID cookie and one endpoint that requires it
+const sessions = new Set<string>()
+let logins = 0
+
+const server: Server = createServer((req, res) => {
+  if (req.url === '/api/v2/auth/login') {
+    let body = ''
+    req.on('data', chunk => body += chunk)
+    req.on('end', () => {
+      if (new URLSearchParams(body).get('password') !== 'secret') return res.end('Fails.')
+
+      const sid = `sid-${++logins}`
+      sessions.add(sid)
+      res.setHeader('Set-Cookie', `SID=${sid}; HttpOnly; SameSite=Strict; path=/`)
+      res.end('Ok.')
+    })
+    return
+  }
+
+  const sid = /(?:^|; )SID=([^;]+)/.exec(req.headers.cookie || '')?.[1]
+  if (!sid || !sessions.has(sid)) {
+    res.statusCode = 403
+    return res.end('Forbidden')
+  }
+
+  res.setHeader('Content-Type', 'application/json')
+  res.end('[]')
+})
+
+const createProxy = async (password = 'secret'): Promise<ApiProxyService> => {
+  const { port } = server.address() as AddressInfo
+  const serviceConfig: ServiceConfig = {
+    name: 'qbittorrent',
+    baseURL: `http://127.0.0.1:${port}`,
+    username: 'admin',
+    password,
+    retries: 1,
+    enabled: true
+  }
+
+  const proxy = new ApiProxyService({} as DatabaseService) as any
+  await proxy.initializeService(serviceConfig)
+  proxy.serviceConfigs.set('qbittorrent', serviceConfig)
+  return proxy as ApiProxyService
+}
+
+const torrents = (proxy: ApiProxyService) =>
+  proxy.withQBittorrentSession(client => client.get('/api/v2/torrents/info', null, { cache: false }))
+
+describe('ApiProxyService.withQBittorrentSession', () => {
+  beforeAll(() => new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve)))
+  afterAll(() => new Promise<void>(resolve => server.close(() => resolve())))
+
+  it('should log in once and send the session cookie with every request', async () => {
+    const proxy = await createProxy()
+    const before = logins
+
+    await Promise.all([torrents(proxy), torrents(proxy)])
+    await expect(torrents(proxy)).resolves.toEqual([])
+
+    expect(logins - before).toBe(1)
+  })
+
+  it('should log in again and retry once the session expires', async () => {
+    const proxy = await createProxy()
+    const before = logins
+
+    await torrents(proxy)
+    sessions.clear()
+    await expect(torrents(proxy)).resolves.toEqual([])
+
+    expect(logins - before).toBe(2)
+  })
+
+  it('should reject wrong credentials and try again on the next request', async () => {
+    const proxy = await createProxy('wrong')
+
+    await expect(torrents(proxy)).rejects.toThrow('qBittorrent: Login failed')
+    await expect(torrents(proxy)).rejects.toThrow('qBittorrent: Login failed')
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { mkdtempSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs'
+import type { DatabaseService } from '@/services/database.js'
+import type { BackupService } from '@/services/backup.js'
+import type { WebSocketService } from '@/services/websocket.js'
+
+const dir = mkdtempSync(join(tmpdir(), 'pandora-backup-'))
+
+// The config is read when first imported, so point it at the temporary directory before loading the services
+process.env.DB_PATH = join(dir, 'pandora.db')
+process.env.BACKUP_PATH = join(dir, 'backups')
+process.env.BCRYPT_ROUNDS = '4'
+
+// A plain JSON snapshot of the current database without the given collection
+const snapshotWithout = async (backupService: BackupService, collectionName: string): Promise<Buffer> => {
+  const backup = await backupService.createBackup('manual', false)
+  const snapshot = JSON.parse(readFileSync(await backupService.getBackupPath(backup.name), 'utf8'))
+
+  snapshot.collections = snapshot.collections.filter((collection: any) => collection.name !== collectionName)
+  return Buffer.from(JSON.stringify(snapshot))
+}
+
+const wsService = {
+  broadcastSystem: () => {},
+  broadcastNotification: () => {}
+} as unknown as WebSocketService
+
+describe('BackupService', () => {
+  let dbService: DatabaseService
+  let backupService: BackupService
+
+  beforeAll(async () => {
+    const { DatabaseService } = await import('@/services/database.js')
+    const { BackupService } = await import('@/services/backup.js')
+
+    dbService = new DatabaseService()
+    await dbService.init()
+
+    // The default admin is seeded in the background once the database has loaded
+    while (await dbService.count('users') === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+
+    backupService = new BackupService(dbService, wsService)
+  })
+
+  afterAll(async () => {
+    await dbService.close()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should restore the database from a backup', async () => {
+    const download = await dbService.create<any>('downloads', { name: 'The.Matrix.1999.1080p', status: 'completed' })
+    const backup = await backupService.createBackup('manual', true)
+
+    await dbService.delete('downloads', download.id)
+    expect(await dbService.findById('downloads', download.id)).toBeNull()
+
+    const { counts, safetyBackup } = await backupService.restoreBackup(backup.name, 'admin')
+
+    expect(counts.downloads).toBe(1)
+    expect(counts.users).toBe(1)
+    expect(safetyBackup.kind).toBe('pre-restore')
+    expect(await dbService.findById<any>('downloads', download.id)).toMatchObject({ name: 'The.Matrix.1999.1080p' })
+  })
+
+  it('should restore snapshots from before a collection was added', async () => {
+    const snapshot = await snapshotWithout(backupService, 'watchlist')
+
+    const { counts } = await backupService.restoreFromBuffer(snapshot, 'upload', 'admin')
+
+    expect(counts.watchlist).toBe(0)
+    expect(await dbService.create<any>('watchlist', { tmdbId: 603, type: 'movie' })).toHaveProperty('id')
+  })
+
+  it('should reject snapshots without users', async () => {
+    const snapshot = await snapshotWithout(backupService, 'users')
+
+    await expect(backupService.restoreFromBuffer(snapshot, 'upload', 'admin'))
+      .rejects.toThrow('Snapshot is missing the users collection')
+  })
+  it('should date backups by the timestamp in their name, not the file time', async () => {
+    const backupsPath = process.env.BACKUP_PATH!
+    const names = [
+      'pandora-2026-01-10T03-00-00-000Z-scheduled.json',
+      'pandora-2026-01-10T15-00-00-000Z-scheduled.json',
+      'pandora-20260109-scheduled.json'
+    ]
+
+    // A copied backups directory: the older snapshot got the newer file time
+    names.forEach((name, index) => {
+      writeFileSync(join(backupsPath, name), '{}')
+      utimesSync(join(backupsPath, name), new Date(Date.UTC(2026, 1, 1, 10 - index)), new Date(Date.UTC(2026, 1, 1, 10 - index)))
+    })
+
+    const scheduled = (await backupService.listBackups()).filter(backup => backup.kind === 'scheduled')
+    expect(scheduled.map(backup => [backup.name, backup.createdAt])).toEqual([
+      [names[2], '2026-02-01T08:00:00.000Z'],
+      [names[1], '2026-01-10T15:00:00.000Z'],
+      [names[0], '2026-01-10T03:00:00.000Z']
+    ])
+
+    expect(await backupService.applyRetention()).toEqual([names[0]])
+  })
+})
@@ -0,0 +1,105 @@
+import { describe, it, expect } from '@jest/globals'
+import { BandwidthSchedulerService } from '@/services/bandwidthScheduler.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+
+const profiles = [
+  { id: 'full', name: 'Full speed', downloadLimit: 0, uploadLimit: 0, alternative: false },
+  { id: 'night', name: 'Night', downloadLimit: 20000, uploadLimit: 5000, alternative: false },
+  { id: 'evening', name: 'Evening', downloadLimit: 2000, uploadLimit: 500, alternative: false },
+  { id: 'slow', name: 'Slow', downloadLimit: 500, uploadLimit: 100, alternative: true }
+]
+
+// Friday and Saturday nights, and weekday evenings
+const settings = {
+  enabled: true,
+  defaultProfile: 'full',
+  profiles,
+  schedule: [
+    { days: [5, 6], start: '22:00', end: '06:00', profileId: 'night' },
+    { days: [1, 2, 3, 4, 5], start: '18:00', end: '23:00', profileId: 'evening' }
+  ]
+}
+
+// Local time; June 2024 starts on a Saturday, so the 7th is a Friday
+const at = (day: number, time: string) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return new Date(2024, 5, day, hours, minutes)
+}
+
+const createScheduler = () => {
+  const apiProxy = { isServiceAvailable: () => false } as unknown as ApiProxyService
+  const wsService = { broadcastSystem: () => {} } as unknown as WebSocketService
+  const scheduler = new BandwidthSchedulerService(apiProxy, {} as DatabaseService, wsService)
+
+  ;(scheduler as any).settingsService = { getGroup: async () => settings }
+  return scheduler
+}
+
+describe('BandwidthSchedulerService', () => {
+  describe('resolve', () => {
+    const scheduler = createScheduler()
+    const profileAt = (day: number, time: string) => scheduler.resolve(settings, at(day, time))?.profile.id
+
+    it('should match rules within the same day, end exclusive', () => {
+      expect(profileAt(3, '17:59')).toBe('full')
+      expect(profileAt(3, '18:00')).toBe('evening')
+      expect(profileAt(3, '22:59')).toBe('evening')
+      expect(profileAt(3, '23:00')).toBe('full')
+    })
+
+    it('should run overnight rules into the next morning', () => {
+      expect(profileAt(8, '23:30')).toBe('night')
+      expect(profileAt(9, '05:59')).toBe('night')
+      expect(profileAt(9, '06:00')).toBe('full')
+      // Saturday night carries over into Sunday
+      expect(profileAt(9, '03:00')).toBe('night')
+      expect(profileAt(10, '03:00')).toBe('full')
+    })
+
+    it('should not match the morning before an overnight rule starts', () => {
+      // Friday morning follows Thursday, which has no night rule
+      expect(profileAt(7, '03:00')).toBe('full')
+    })
+
+    it('should let the first of overlapping rules win', () => {
+      // Friday 22:00-23:00 is in both the night and the evening rule
+      expect(profileAt(7, '22:30')).toBe('night')
+      expect(scheduler.resolve(settings, at(7, '22:30'))?.source).toBe('schedule')
+    })
+
+    it('should return nothing with the schedule off', () => {
+      expect(scheduler.resolve({ ...settings, enabled: false }, at(7, '22:30'))).toBeNull()
+    })
+  })
+
+  describe('overrides', () => {
+    it('should apply an override until it expires, then fall back to the schedule', async () => {
+      const scheduler = createScheduler()
+      const status = await scheduler.setOverride('slow', 'admin', 30)
+      const setAt = new Date(status.override!.setAt).getTime()
+
+      expect(status.override?.until).toBe(new Date(setAt + 30 * 60000).toISOString())
+
+      const during = scheduler.resolve(settings, new Date(setAt + 29 * 60000))
+      expect(during).toMatchObject({ source: 'override', until: status.override?.until })
+      expect(during?.profile.id).toBe('slow')
+
+      expect(scheduler.resolve(settings, new Date(setAt + 30 * 60000))?.source).not.toBe('override')
+      // Expired overrides are dropped, not just skipped
+      expect((await scheduler.getStatus()).override).toBeNull()
+    })
+
+    it('should keep open-ended overrides until cleared, even with the schedule off', async () => {
+      const scheduler = createScheduler()
+      await scheduler.setOverride('slow', 'admin')
+
+      const off = { ...settings, enabled: false }
+      expect(scheduler.resolve(off, new Date(Date.now() + 7 * 24 * 60 * 60000))?.profile.id).toBe('slow')
+
+      await scheduler.clearOverride('admin')
+      expect(scheduler.resolve(off, new Date())).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,127 @@
+import { describe, it, expect } from '@jest/globals'
+import { summarizeDownloads, parseByteSize, DownloadStatsService } from '@/services/downloadStats.js'
+import { DatabaseService } from '@/services/database.js'
+import { Download } from '@/types/database.js'
+
+const GB = 1024 * 1024 * 1024
+
+const download = (overrides: Partial<Download>): Download => ({
+  id: 'download',
+  userId: 'alice',
+  name: 'Release',
+  magnetUrl: '',
+  infoHash: 'a'.repeat(40),
+  status: 'completed',
+  progress: 100,
+  speed: '0 B/s',
+  eta: '∞',
+  size: '0 B',
+  downloaded: '0 B',
+  seeders: 0,
+  leechers: 0,
+  ratio: 0,
+  category: 'movie',
+  addedAt: '2024-05-01T10:00:00.000Z',
+  savePath: '/downloads',
+  createdAt: '2024-05-01T10:00:00.000Z',
+  updatedAt: '2024-05-01T10:00:00.000Z',
+  ...overrides
+})
+
+describe('parseByteSize', () => {
+  it('should read sizes formatted for display', () => {
+    expect(parseByteSize('1.5 GB')).toBe(1.5 * GB)
+    expect(parseByteSize('512 B')).toBe(512)
+    expect(parseByteSize('0 B')).toBe(0)
+    expect(parseByteSize('unknown')).toBe(0)
+    expect(parseByteSize(undefined)).toBe(0)
+  })
+})
+
+describe('summarizeDownloads', () => {
+  const downloads = [
+    download({
+      downloadedBytes: 4 * GB,
+      uploadedBytes: 6 * GB,
+      completedAt: '2024-05-01T11:00:00.000Z'
+    }),
+    download({
+      userId: 'bob',
+      category: 'tv',
+      downloaded: '2 GB',
+      addedAt: '2024-06-10T08:00:00.000Z',
+      completedAt: '2024-06-10T08:30:00.000Z',
+      removedAt: '2024-06-20T08:00:00.000Z'
+    }),
+    download({
+      status: 'error',
+      downloadedBytes: GB,
+      addedAt: '2024-06-12T08:00:00.000Z'
+    }),
+    download({
+      status: 'downloading',
+      category: 'tv',
+      downloadedBytes: GB,
+      addedAt: '2024-06-15T08:00:00.000Z'
+    })
+  ]
+
+  it('should total transfers per user, category and month', () => {
+    const stats = summarizeDownloads(downloads)
+
+    expect(stats.totals).toEqual({ count: 4, downloaded: 8 * GB, uploaded: 6 * GB, completed: 2, failed: 1, removed: 1 })
+    expect(stats.byUser).toEqual([
+      { userId: 'alice', count: 3, downloaded: 6 * GB, uploaded: 6 * GB },
+      { userId: 'bob', count: 1, downloaded: 2 * GB, uploaded: 0 }
+    ])
+    expect(stats.byCategory.map(entry => [entry.category, entry.downloaded])).toEqual([['movie', 5 * GB], ['tv', 3 * GB]])
+    expect(stats.byMonth.map(entry => [entry.month, entry.count])).toEqual([['2024-05', 1], ['2024-06', 3]])
+  })
+
+  it('should average completion time and rate failures among finished downloads', () => {
+    const stats = summarizeDownloads(downloads)
+
+    expect(stats.avgCompletionTime).toBe(45 * 60)
+    expect(stats.failureRate).toBe(0.333)
+  })
+
+  it('should handle an empty history', () => {
+    const stats = summarizeDownloads([])
+
+    expect(stats.totals.count).toBe(0)
+    expect(stats.avgCompletionTime).toBeNull()
+    expect(stats.failureRate).toBe(0)
+  })
+})
+
+describe('DownloadStatsService.exportCsv', () => {
+  const exportRows = async (downloads: Download[]) => {
+    const dbService = {
+      findDownloads: async () => downloads,
+      find: async () => [{ id: 'alice', username: 'alice' }]
+    } as unknown as DatabaseService
+
+    const csv = await new DownloadStatsService(dbService).exportCsv({})
+    return csv.trim().split('\r\n').slice(1)
+  }
+
+  it('should neutralize names that spreadsheets would run as formulas', async () => {
+    const rows = await exportRows([
+      download({ name: '=1+1' }),
+      download({ name: '+cmd|calc' }),
+      download({ name: '-2+3' }),
+      download({ name: '@SUM(A1)' }),
+      download({ name: 'Plain.Release.1080p', ratio: -1 })
+    ])
+
+    expect(rows.map(row => row.split(',')[2])).toEqual([
+      `"'=1+1"`,
+      `"'+cmd|calc"`,
+      `"'-2+3"`,
+      `"'@SUM(A1)"`,
+      'Plain.Release.1080p'
+    ])
+    // Numbers stay numbers
+    expect(rows[4].split(',')[10]).toBe('-1')
+  })
+})
@@ -0,0 +1,59 @@
+import { describe, it, expect } from '@jest/globals'
+import { EncryptionService } from '@/services/encryption.js'
+
+describe('EncryptionService', () => {
+  const encryption = new EncryptionService('test-master-secret')
+
+  describe('encrypt/decrypt', () => {
+    it('should round-trip JSON values', () => {
+      const value = { url: 'http://jackett:9117', apiKey: 'secret-api-key' }
+
+      const payload = encryption.encrypt(value)
+
+      expect(payload).not.toContain('secret-api-key')
+      expect(encryption.decrypt(payload)).toEqual(value)
+    })
+
+    it('should use a fresh IV for every encryption', () => {
+      expect(encryption.encrypt('same')).not.toBe(encryption.encrypt('same'))
+    })
+
+    it('should tag payloads with the key id', () => {
+      const payload = encryption.encrypt('value')
+
+      expect(payload.startsWith(`v1:${encryption.keyId}:`)).toBe(true)
+      expect(encryption.isOwnPayload(payload)).toBe(true)
+    })
+
+    it('should reject tampered ciphertext', () => {
+      const parts = encryption.encrypt('value').split(':')
+      const ciphertext = Buffer.from(parts[4], 'base64')
+      ciphertext[0] ^= 0xff
+      parts[4] = ciphertext.toString('base64')
+
+      expect(() => encryption.decrypt(parts.join(':'))).toThrow()
+    })
+
+    it('should reject payloads from a different key', () => {
+      const other = new EncryptionService('another-secret')
+      const payload = other.encrypt('value')
+
+      expect(encryption.isOwnPayload(payload)).toBe(false)
+      expect(() => encryption.decrypt(payload)).toThrow('different key')
+    })
+
+    it('should reject malformed payloads', () => {
+      expect(() => encryption.decrypt('plain-text')).toThrow('Invalid encrypted payload')
+    })
+  })
+
+  describe('constructor', () => {
+    it('should derive the same key id from the same secret', () => {
+      expect(new EncryptionService('test-master-secret').keyId).toBe(encryption.keyId)
+    })
+
+    it('should refuse an empty secret', () => {
+      expect(() => new EncryptionService('')).toThrow()
+    })
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals'
+import { mkdtemp, rm, writeFile, utimes, readdir } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { ImageCacheService, getCacheName } from '@/services/imageCache.js'
+
+describe('getCacheName', () => {
+  it('should accept TMDB sizes and file names only', () => {
+    expect(getCacheName('w500', 'abc123.jpg')).toBe('w500-abc123.jpg')
+    expect(getCacheName('w600', 'abc123.jpg')).toBeNull()
+    expect(getCacheName('w500', '..%2Fsecret.jpg')).toBeNull()
+    expect(getCacheName('w500', 'abc123.exe')).toBeNull()
+  })
+
+  it('should name WebP thumbnails separately', () => {
+    expect(getCacheName('w342', 'abc123.jpg', 'webp')).toBe('w342-abc123.webp')
+    expect(getCacheName('original', 'abc123.jpg', 'webp')).toBe('original-abc123.jpg')
+    expect(getCacheName('w92', 'logo.svg', 'webp')).toBe('w92-logo.svg')
+  })
+})
+
+describe('ImageCacheService', () => {
+  let cachePath: string
+
+  beforeEach(async () => {
+    cachePath = await mkdtemp(join(tmpdir(), 'pandora-images-'))
+  })
+
+  afterEach(async () => {
+    await rm(cachePath, { recursive: true, force: true })
+  })
+
+  const addImage = async (name: string, bytes: number, accessedAt: number) => {
+    const file = join(cachePath, name)
+    await writeFile(file, Buffer.alloc(bytes))
+    await utimes(file, accessedAt, accessedAt)
+  }
+
+  it('should evict the least recently used images over the size cap', async () => {
+    await addImage('w500-old.jpg', 400, 1000)
+    await addImage('w500-recent.jpg', 400, 3000)
+    await addImage('w500-middle.jpg', 400, 2000)
+    await addImage('w500-partial.jpg.tmp', 100, 4000)
+
+    const imageCache = new ImageCacheService({ cachePath, maxCacheSize: 1000, webp: false })
+    await imageCache.init()
+
+    expect((await readdir(cachePath)).sort()).toEqual(['w500-middle.jpg', 'w500-recent.jpg'])
+  })
+
+  it('should serve cached images with a stable ETag', async () => {
+    await addImage('w185-poster.jpg', 50, 1000)
+
+    const imageCache = new ImageCacheService({ cachePath, maxCacheSize: 1000, webp: false })
+    await imageCache.init()
+
+    const first = await imageCache.getImage('w185', 'poster.jpg')
+    const second = await imageCache.getImage('w185', 'poster.jpg')
+
+    expect(first.contentType).toBe('image/jpeg')
+    expect(first.size).toBe(50)
+    expect(second.etag).toBe(first.etag)
+  })
+  it('should tell cached images from ones that need a TMDB fetch', async () => {
+    await addImage('w185-poster.jpg', 50, 1000)
+
+    const imageCache = new ImageCacheService({ cachePath, maxCacheSize: 1000, webp: false })
+    await imageCache.init()
+
+    expect(await imageCache.isCached('w185', 'poster.jpg')).toBe(true)
+    // WebP is off, so the JPEG is what would be served
+    expect(await imageCache.isCached('w185', 'poster.jpg', 'webp')).toBe(true)
+    expect(await imageCache.isCached('w342', 'poster.jpg')).toBe(false)
+    expect(await imageCache.isCached('w185', '..%2Fposter.jpg')).toBe(false)
+  })
+})
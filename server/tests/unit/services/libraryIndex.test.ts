@@ -0,0 +1,75 @@
+import { describe, it, expect } from '@jest/globals'
+import { LibraryIndexService } from '@/services/libraryIndex.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+
+const jellyfinItems = [
+  { Id: 'jf-matrix', Type: 'Movie', ProviderIds: { Tmdb: '603', Imdb: 'tt0133093' } },
+  { Id: 'jf-severance', Type: 'Series', ProviderIds: { tmdb: '95396' } },
+  { Id: 'jf-home-video', Type: 'Movie', ProviderIds: {} }
+]
+
+const createIndex = (downloads: any[] = []) => {
+  const jellyfinClient = {
+    get: async (path: string) => path === '/System/Info'
+      ? { Id: 'server-1' }
+      : { Items: jellyfinItems, TotalRecordCount: jellyfinItems.length }
+  }
+
+  const apiProxy = {
+    onLibraryScan: () => {},
+    onConfigChange: () => {},
+    isServiceAvailable: (name: string) => name === 'jellyfin',
+    getService: () => jellyfinClient,
+    getServiceConfig: () => ({ name: 'jellyfin', baseURL: 'http://jellyfin:8096/' })
+  } as unknown as ApiProxyService
+
+  // Only the filters the index uses
+  const dbService = {
+    find: async (_collection: string, query: any) => downloads.filter(download =>
+      query.tmdbId.$in.includes(download.tmdbId) && query.status.$in.includes(download.status) && !download.removedAt)
+  } as unknown as DatabaseService
+
+  return new LibraryIndexService(apiProxy, dbService)
+}
+
+describe('LibraryIndexService', () => {
+  it('should mark titles found in Jellyfin by their TMDB provider id', async () => {
+    const index = createIndex()
+    await index.refresh()
+
+    const states = await index.getStates([
+      { id: 603, media_type: 'movie' },
+      { id: 95396, media_type: 'tv' },
+      { id: 95396, media_type: 'movie' }
+    ])
+
+    expect(states.get('movie:603')).toEqual({
+      library_status: 'available',
+      jellyfin_id: 'jf-matrix',
+      jellyfin_url: 'http://jellyfin:8096/web/index.html#!/details?id=jf-matrix&serverId=server-1'
+    })
+    expect(states.get('tv:95396')?.library_status).toBe('available')
+    expect(states.get('movie:95396')).toEqual({ library_status: null })
+  })
+
+  it('should mark titles with active downloads', async () => {
+    const index = createIndex([
+      { tmdbId: '550', category: 'movie', status: 'downloading', progress: 40 },
+      { tmdbId: '550', category: 'movie', status: 'paused', progress: 65 },
+      { tmdbId: '680', category: 'movie', status: 'downloading', progress: 10, removedAt: '2024-06-01T00:00:00.000Z' },
+      { tmdbId: '807', category: 'movie', status: 'error', progress: 5 }
+    ])
+    await index.refresh()
+
+    const states = await index.getStates([
+      { id: 550, media_type: 'movie' },
+      { id: 680, media_type: 'movie' },
+      { id: 807, media_type: 'movie' }
+    ])
+
+    expect(states.get('movie:550')).toEqual({ library_status: 'downloading', download_progress: 65 })
+    expect(states.get('movie:680')).toEqual({ library_status: null })
+    expect(states.get('movie:807')).toEqual({ library_status: null })
+  })
+})
@@ -0,0 +1,43 @@
+import { describe, it, expect } from '@jest/globals'
+import { NotificationService } from '@/services/notifications.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+
+const createService = (preferences: Record<string, boolean>) => {
+  const sent: any[] = []
+
+  // The database seeds notifications.enabled globally; users store their own values per field
+  const dbService = {
+    findSettings: async (_category: string, userId?: string) => userId
+      ? Object.entries(preferences).map(([field, value]) => ({ key: `notifications.${field}`, value }))
+      : [{ key: 'notifications.enabled', value: true }],
+    createNotification: async (userId: string, data: any) => ({ id: 'n1', userId, read: false, ...data }),
+    countNotifications: async () => 1
+  } as unknown as DatabaseService
+
+  const wsService = { broadcastNotification: (_userId: string, payload: any) => sent.push(payload) } as unknown as WebSocketService
+
+  return { service: new NotificationService(dbService, wsService), sent }
+}
+
+const notification = (type: 'download' | 'error' | 'warning' | 'system' | 'info') =>
+  ({ type, title: 'Title', message: 'Message' })
+
+describe('NotificationService', () => {
+  it('should skip the types the user turned off', async () => {
+    const { service, sent } = createService({ downloads: false, errors: true })
+
+    expect(await service.notify('alice', notification('download'))).toBeNull()
+    expect(await service.notify('alice', notification('warning'))).toMatchObject({ type: 'warning' })
+    expect(await service.notify('alice', notification('info'))).toMatchObject({ type: 'info' })
+    expect(sent).toHaveLength(2)
+  })
+
+  it('should send nothing with notifications disabled', async () => {
+    const { service, sent } = createService({ enabled: false })
+
+    expect(await service.notify('alice', notification('info'))).toBeNull()
+    expect(await service.notify('alice', notification('error'))).toBeNull()
+    expect(sent).toHaveLength(0)
+  })
+})
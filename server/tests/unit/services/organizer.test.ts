@@ -0,0 +1,94 @@
+import { describe, it, expect } from '@jest/globals'
+import { MediaOrganizerService } from '@/services/organizer.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { Download } from '@/types/database.js'
+
+const MB = 1024 * 1024
+const GB = 1024 * MB
+
+const createOrganizer = (files: Array<{ name: string, size: number }>) => {
+  const client = {
+    get: async (path: string) => path === '/api/v2/torrents/info'
+      ? [{ hash: 'a'.repeat(40), save_path: '/downloads', state: 'pausedUP' }]
+      : files
+  }
+
+  const apiProxy = {
+    isServiceAvailable: (name: string) => name === 'qbittorrent',
+    withQBittorrentSession: (request: (qbClient: typeof client) => Promise<any>) => request(client)
+  } as unknown as ApiProxyService
+
+  const organizer = new MediaOrganizerService(apiProxy, {} as DatabaseService, {} as WebSocketService)
+  ;(organizer as any).settingsService = { getGroup: async () => ({ moviesPath: '/media/Movies', tvShowsPath: '/media/TV' }) }
+  return organizer
+}
+
+const download = (name: string, category: 'movie' | 'tv') =>
+  ({ id: 'd1', userId: 'u1', name, category, infoHash: 'a'.repeat(40), savePath: '/downloads' }) as Download
+
+const plan = async (name: string, category: 'movie' | 'tv', files: Array<{ name: string, size: number }>) => {
+  const result = await createOrganizer(files).plan(download(name, category))
+  return {
+    videos: result.steps.filter(step => step.kind === 'video').map(step => [step.sourcePath, step.targetPath]),
+    skipped: result.skipped
+  }
+}
+
+describe('MediaOrganizerService.plan', () => {
+  it('should not treat titles containing junk words as junk', async () => {
+    expect((await plan('Proof.2005.1080p.BluRay.x264-GRP', 'movie', [
+      { name: 'Proof.2005.1080p.BluRay.x264-GRP/Proof.2005.1080p.BluRay.x264-GRP.mkv', size: 8 * GB }
+    ])).videos).toEqual([[
+      '/downloads/Proof.2005.1080p.BluRay.x264-GRP/Proof.2005.1080p.BluRay.x264-GRP.mkv',
+      '/media/Movies/Proof (2005)/Proof (2005).mkv'
+    ]])
+
+    expect((await plan('The.Extra.Man.2010.1080p.WEB-DL.x264-GRP', 'movie', [
+      { name: 'The.Extra.Man.2010.1080p.WEB-DL.x264-GRP.mkv', size: 4 * GB }
+    ])).videos).toHaveLength(1)
+
+    const { videos, skipped } = await plan('Trailer.Park.Boys.S01.720p.WEB-DL.x264-GRP', 'tv', [
+      { name: 'Trailer.Park.Boys.S01/Trailer.Park.Boys.S01E01.720p.mkv', size: 700 * MB },
+      { name: 'Trailer.Park.Boys.S01/Trailer.Park.Boys.S01E02.720p.mkv', size: 700 * MB }
+    ])
+    expect(videos.map(([, target]) => target)).toEqual([
+      '/media/TV/Trailer Park Boys/Season 01/Trailer Park Boys - S01E01.mkv',
+      '/media/TV/Trailer Park Boys/Season 01/Trailer Park Boys - S01E02.mkv'
+    ])
+    expect(skipped).toEqual([])
+  })
+
+  it('should skip videos in sample, extras and featurettes folders', async () => {
+    const { videos, skipped } = await plan('Proof.2005.2160p.BluRay.x265-GRP', 'movie', [
+      { name: 'Proof.2005.2160p.BluRay.x265-GRP/Proof.2005.2160p.BluRay.x265-GRP.mkv', size: 40 * GB },
+      { name: 'Proof.2005.2160p.BluRay.x265-GRP/Sample/Proof.2005.2160p.BluRay.x265-GRP.mkv', size: 300 * MB },
+      { name: 'Proof.2005.2160p.BluRay.x265-GRP/Extras/Deleted.Scenes.mkv', size: 2 * GB },
+      { name: 'Proof.2005.2160p.BluRay.x265-GRP/featurettes/Making.Of.mkv', size: GB }
+    ])
+
+    expect(videos).toHaveLength(1)
+    expect(skipped.map(entry => entry.reason)).toEqual(['Sample or extra', 'Sample or extra', 'Sample or extra'])
+  })
+
+  it('should skip small videos named as a sample, but keep full-size ones', async () => {
+    const { videos, skipped } = await plan('Proof.2005.1080p.BluRay.x264-GRP', 'movie', [
+      { name: 'Proof.2005.1080p.BluRay.x264-GRP.mkv', size: 8 * GB },
+      { name: 'grp-proof-sample.mkv', size: 120 * MB },
+      { name: 'Proof.2005.1080p.BluRay.x264-GRP.sample.mkv', size: 80 * MB }
+    ])
+
+    expect(videos).toHaveLength(1)
+    expect(skipped).toEqual([
+      { path: 'grp-proof-sample.mkv', reason: 'Sample' },
+      { path: 'Proof.2005.1080p.BluRay.x264-GRP.sample.mkv', reason: 'Sample' }
+    ])
+  })
+
+  it('should fail when nothing but junk is left', async () => {
+    await expect(plan('Proof.2005.1080p.BluRay.x264-GRP', 'movie', [
+      { name: 'Sample/proof-sample.mkv', size: 60 * MB }
+    ])).rejects.toThrow('No video files found in this download')
+  })
+})
@@ -0,0 +1,110 @@
+import { describe, it, expect } from '@jest/globals'
+import { QualityProfileService, QualityProfile, ReleaseTarget } from '@/services/qualityProfiles.js'
+import { DatabaseService } from '@/services/database.js'
+import { parseRelease } from '@/utils/releaseParser.js'
+
+const GB = 1024 * 1024 * 1024
+
+const profile: QualityProfile = {
+  id: 'hd',
+  name: 'HD',
+  resolutions: ['1080p', '720p'],
+  preferredCodecs: ['x265'],
+  preferredSources: ['BluRay'],
+  rejectedSources: ['CAM', 'TELESYNC'],
+  preferHdr: false,
+  minSize: 1,
+  maxSize: 20,
+  minSeeders: 2,
+  preferredTerms: [],
+  rejectedTerms: ['hardsub']
+}
+
+const movie: ReleaseTarget = { titles: ['The Matrix'], year: 1999, type: 'movie' }
+
+let hashes = 0
+const result = (title: string, size = 8, seeders = 50) => ({
+  title,
+  size: size * GB,
+  seeders,
+  magnetUrl: `magnet:?xt=urn:btih:${title}`,
+  infoHash: String(++hashes).padStart(40, '0'),
+  release: parseRelease(title)
+})
+
+const service = new QualityProfileService({} as DatabaseService)
+
+describe('QualityProfileService', () => {
+  describe('score', () => {
+    it('should rank resolutions in profile order and reward preferred sources and codecs', () => {
+      const fullHd = service.score(result('The.Matrix.1999.1080p.WEB-DL.x264-GRP'), profile, movie)
+      const hd = service.score(result('The.Matrix.1999.720p.WEB-DL.x264-GRP'), profile, movie)
+      const bluRay = service.score(result('The.Matrix.1999.1080p.BluRay.x265-GRP'), profile, movie)
+
+      expect(fullHd.score - hd.score).toBe(10)
+      expect(bluRay.score - fullHd.score).toBe(25)
+      expect(bluRay.reasons).toEqual(expect.arrayContaining(['1080p +40', 'BluRay +10', 'x265 +15']))
+    })
+
+    it('should reject resolutions and sources outside the profile', () => {
+      expect(service.score(result('The.Matrix.1999.2160p.WEB-DL.x265-GRP'), profile, movie).rejected)
+        .toBe('Resolution 2160p not allowed')
+      expect(service.score(result('The.Matrix.1999.1080p.CAM.x264-GRP'), profile, movie).rejected)
+        .toBe('Source CAM rejected')
+    })
+
+    it('should enforce size limits, per episode for season packs', () => {
+      expect(service.score(result('The.Matrix.1999.1080p.WEB-DL.x264-GRP', 0.5), profile, movie).rejected)
+        .toBe('Smaller than 1 GB')
+      expect(service.score(result('The.Matrix.1999.1080p.WEB-DL.x264-GRP', 25), profile, movie).rejected)
+        .toBe('Larger than 20 GB')
+
+      const season: ReleaseTarget = { titles: ['Severance'], type: 'tv', season: 1, episodeCount: 9 }
+      expect(service.score(result('Severance.S01.1080p.WEB-DL.x264-GRP', 60), profile, season).rejected).toBeUndefined()
+      expect(service.score(result('Severance.S01.1080p.WEB-DL.x264-GRP', 200), profile, season).rejected)
+        .toBe('Larger than 20 GB per episode')
+    })
+
+    it('should reject rejected terms regardless of case', () => {
+      expect(service.score(result('The.Matrix.1999.1080p.WEB-DL.HardSub.x264-GRP'), profile, movie).rejected)
+        .toBe('Contains "hardsub"')
+    })
+
+    it('should reject other titles, years and too few seeders', () => {
+      expect(service.score(result('The.Matrix.Reloaded.2003.1080p.WEB-DL.x264-GRP'), profile, movie).rejected)
+        .toBe('Different title')
+      expect(service.score(result('The.Matrix.2021.1080p.WEB-DL.x264-GRP'), profile, movie).rejected)
+        .toBe('Year 2021 does not match 1999')
+      expect(service.score(result('The.Matrix.1999.1080p.WEB-DL.x264-GRP', 8, 1), profile, movie).rejected)
+        .toBe('Fewer than 2 seeders')
+    })
+  })
+
+  describe('rank', () => {
+    it('should put accepted releases first, best score first', () => {
+      const ranked = service.rank([
+        result('The.Matrix.1999.1080p.CAM.x264-GRP'),
+        result('The.Matrix.1999.720p.WEB-DL.x264-GRP'),
+        result('The.Matrix.1999.1080p.BluRay.x265-GRP')
+      ], profile, movie)
+
+      expect(ranked.map(entry => entry.result.title)).toEqual([
+        'The.Matrix.1999.1080p.BluRay.x265-GRP',
+        'The.Matrix.1999.720p.WEB-DL.x264-GRP',
+        'The.Matrix.1999.1080p.CAM.x264-GRP'
+      ])
+      expect(ranked[2].rejected).toBeDefined()
+    })
+
+    it('should break score ties on seeders', () => {
+      // Both swarms earn the maximum seeder points
+      const ranked = service.rank([
+        result('The.Matrix.1999.1080p.WEB-DL.x264-GRP', 8, 150),
+        result('The.Matrix.1999.1080p.WEB-DL.x264-OTHER', 8, 900)
+      ], profile, movie)
+
+      expect(ranked[0].score).toBe(ranked[1].score)
+      expect(ranked.map(entry => entry.result.seeders)).toEqual([900, 150])
+    })
+  })
+})
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals'
+import http from 'http'
+import { AddressInfo } from 'net'
+import { HttpClient } from '@/services/httpClient.js'
+import { createSearchProvider, SearchProvider, SearchSource } from '@/services/searchProviders.js'
+import { TORZNAB_API_KEY, TORZNAB_CAPS_XML, TORZNAB_MOVIE_RESULTS_XML, TORZNAB_ERROR_XML } from '@tests/fixtures/torznab.js'
+
+describe('TorznabSearchProvider', () => {
+  let server: http.Server
+  let requests: URLSearchParams[]
+  let source: SearchSource
+
+  const provider = (apiKey = TORZNAB_API_KEY): SearchProvider => {
+    const torznab = { ...source, apiKey }
+    return createSearchProvider(torznab, new HttpClient('torznab-test', { baseURL: torznab.url, retries: 1 }))
+  }
+
+  beforeAll(async () => {
+    // Local Torznab endpoint serving the fixtures
+    server = http.createServer((req, res) => {
+      const params = new URL(req.url || '/', 'http://localhost').searchParams
+      requests.push(params)
+      res.setHeader('Content-Type', 'application/rss+xml')
+
+      if (params.get('apikey') !== TORZNAB_API_KEY) {
+        res.end(TORZNAB_ERROR_XML)
+      } else if (params.get('t') === 'caps') {
+        res.end(TORZNAB_CAPS_XML)
+      } else {
+        res.end(TORZNAB_MOVIE_RESULTS_XML)
+      }
+    })
+
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve))
+    const { port } = server.address() as AddressInfo
+
+    source = { id: 'fixture', name: 'Fixture', type: 'torznab', url: `http://127.0.0.1:${port}/api`, apiKey: TORZNAB_API_KEY, enabled: true }
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  beforeEach(() => {
+    requests = []
+  })
+
+  it('should describe the endpoint from t=caps', async () => {
+    const [indexer] = await provider().listIndexers()
+
+    expect(requests[0].get('t')).toBe('caps')
+    expect(indexer).toMatchObject({ key: 'fixture:all', name: 'Fixture Tracker', sourceName: 'Fixture' })
+    expect(indexer.searchModes).toEqual(['search', 'tv-search', 'movie-search'])
+    expect(indexer.categories).toContainEqual({ id: 2040, name: 'Movies/HD' })
+  })
+
+  it('should use movie search with the mapped categories', async () => {
+    const torznab = provider()
+    const [indexer] = await torznab.listIndexers()
+
+    const results = await torznab.search(indexer, { query: 'Inception', category: 'movie' })
+    const params = requests[requests.length - 1]
+
+    expect(params.get('t')).toBe('movie')
+    expect(params.get('q')).toBe('Inception')
+    expect(params.get('cat')).toBe('2000,100001')
+    expect(results).toHaveLength(2)
+    expect(results[0]).toMatchObject({
+      Title: 'Inception.2010.1080p.BluRay.x264-SPARKS',
+      Seeders: 120,
+      Peers: 15,
+      InfoHash: 'a'.repeat(40),
+      Tracker: 'Fixture Tracker',
+      CategoryDesc: 'Movies',
+      Source: 'Fixture'
+    })
+    expect(results[1]).toMatchObject({ Tracker: 'Fixture Tracker', CategoryDesc: 'Films & Documentaries', Type: 'movie', Link: '' })
+  })
+
+  it('should fall back to a plain search without capabilities', async () => {
+    const torznab = provider()
+
+    await torznab.search(torznab.aggregateIndexer(), { query: 'Inception', category: 'tv' })
+    const params = requests[requests.length - 1]
+
+    expect(params.get('t')).toBe('search')
+    expect(params.get('cat')).toBe('5000')
+  })
+
+  it('should report Torznab errors', async () => {
+    await expect(provider('wrong-key').listIndexers()).rejects.toThrow('Invalid API Key')
+  })
+})
@@ -0,0 +1,129 @@
+import { describe, it, expect } from '@jest/globals'
+import { SeedingPolicyService, SeedingRule } from '@/services/seedingPolicy.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+
+const HOUR = 3600
+
+const rules: Record<string, SeedingRule> = {
+  // Ratio 2 or a day, but at least an hour
+  movie: { ratio: 2, minSeedTime: 60, maxSeedTime: 1440, action: 'remove', deleteFiles: true },
+  tv: { ratio: 0, minSeedTime: 0, maxSeedTime: 0, action: 'pause', deleteFiles: false },
+  // Only a minimum seed time
+  other: { ratio: 0, minSeedTime: 120, maxSeedTime: 0, action: 'pause', deleteFiles: false }
+}
+
+const createPolicy = (torrents: any[], downloads: any[]) => {
+  const posts: Array<{ path: string, body: string }> = []
+
+  const client = {
+    get: async (_path: string, params: any) => params.hashes
+      ? torrents.filter(torrent => torrent.hash === params.hashes)
+      : torrents,
+    post: async (path: string, body: string) => posts.push({ path, body })
+  }
+
+  const apiProxy = {
+    isServiceAvailable: () => true,
+    withQBittorrentSession: (request: (qbClient: typeof client) => Promise<any>) => request(client)
+  } as unknown as ApiProxyService
+
+  // Only the filters the policy uses
+  const dbService = {
+    find: async (_collection: string, query: any) => downloads.filter(download =>
+      query.id ? download.id === query.id : download.infoHash === query.infoHash),
+    update: async (_collection: string, id: string, changes: any) => ({ ...downloads.find(download => download.id === id), ...changes })
+  } as unknown as DatabaseService
+
+  const wsService = { broadcastDownloadUpdate: () => {} } as unknown as WebSocketService
+  const policy = new SeedingPolicyService(apiProxy, dbService, wsService) as any
+
+  policy.settingsService = { getGroup: async () => ({ enabled: true, rules }) }
+  policy.notificationService = { notify: async () => {} }
+
+  return { policy: policy as SeedingPolicyService, posts }
+}
+
+const torrent = (hash: string, ratio: number, seedingTime: number, contentPath = `/downloads/${hash}`) =>
+  ({ hash, ratio, seeding_time: seedingTime, content_path: contentPath, save_path: '/downloads' })
+
+const download = (hash: string, category: string, overrides: Record<string, any> = {}) =>
+  ({ id: `d-${hash}`, userId: 'u1', name: hash, infoHash: hash, category, importedAt: '2024-06-01T00:00:00.000Z', ...overrides })
+
+describe('SeedingPolicyService', () => {
+  describe('evaluate', () => {
+    it('should require the minimum seed time before the ratio or maximum seed time counts', async () => {
+      const hashes = ['early', 'ratio', 'maxtime', 'near', 'minonly']
+      const { policy } = createPolicy([
+        torrent('early', 3, HOUR / 2),
+        torrent('ratio', 2, 2 * HOUR),
+        torrent('maxtime', 0.2, 24 * HOUR),
+        torrent('near', 1.8, 2 * HOUR),
+        torrent('minonly', 5, HOUR)
+      ], hashes.map(hash => download(hash, hash === 'minonly' ? 'other' : 'movie')))
+
+      const entries = new Map((await policy.evaluate()).map(entry => [entry.hash, entry]))
+
+      expect(entries.get('early')).toMatchObject({ progress: 0.5, state: 'seeding' })
+      expect(entries.get('ratio')).toMatchObject({ progress: 1, state: 'goal_met' })
+      expect(entries.get('maxtime')).toMatchObject({ progress: 1, state: 'goal_met' })
+      expect(entries.get('near')).toMatchObject({ progress: 0.9, state: 'near_goal' })
+      // A high ratio doesn't help when only the seed time is set
+      expect(entries.get('minonly')).toMatchObject({ progress: 0.5, state: 'seeding' })
+    })
+
+    it('should treat a rule without goals as met right away', async () => {
+      const { policy } = createPolicy([torrent('show', 0, 0)], [download('show', 'tv')])
+
+      expect((await policy.evaluate())[0]).toMatchObject({ progress: 1, state: 'goal_met' })
+    })
+
+    it('should hold met goals until the media is imported, and leave stopped torrents alone', async () => {
+      const { policy } = createPolicy([
+        torrent('pending', 3, 2 * HOUR),
+        torrent('resumed', 3, 2 * HOUR)
+      ], [
+        download('pending', 'movie', { importedAt: undefined }),
+        download('resumed', 'movie', { seedingAction: 'pause' })
+      ])
+
+      const entries = new Map((await policy.evaluate()).map(entry => [entry.hash, entry]))
+
+      expect(entries.get('pending')?.state).toBe('awaiting_import')
+      expect(entries.get('resumed')?.state).toBe('stopped')
+    })
+  })
+
+  describe('enforce', () => {
+    const deleteFilesFor = async (contentPath: string, importPath?: string) => {
+      const { policy, posts } = createPolicy(
+        [torrent('movie', 3, 2 * HOUR, contentPath)],
+        [download('movie', 'movie', { importPath })]
+      )
+
+      await policy.enforce()
+
+      const removal = posts.find(post => post.path === '/api/v2/torrents/delete')
+      return new URLSearchParams(removal!.body).get('deleteFiles')
+    }
+
+    it('should delete files that were copied into the library', async () => {
+      expect(await deleteFilesFor('/downloads/The.Matrix.1999', '/media/Movies/The Matrix (1999)')).toBe('true')
+      expect(await deleteFilesFor('/downloads/The.Matrix.1999')).toBe('true')
+    })
+
+    it('should keep files when the import path is the content path or inside it', async () => {
+      expect(await deleteFilesFor('/media/Movies/The Matrix (1999)/', '/media/Movies/The Matrix (1999)')).toBe('false')
+      expect(await deleteFilesFor('/downloads/The.Matrix.1999', '/downloads/The.Matrix.1999/The.Matrix.1999.mkv')).toBe('false')
+    })
+
+    it('should keep files when the content is inside the imported folder', async () => {
+      expect(await deleteFilesFor('/media/Movies/The Matrix (1999)/The.Matrix.1999.mkv', '/media/Movies/The Matrix (1999)')).toBe('false')
+    })
+
+    it('should not mistake a sibling folder with a common prefix for the import path', async () => {
+      expect(await deleteFilesFor('/downloads/The.Matrix.1999.Extras', '/downloads/The.Matrix.1999')).toBe('true')
+    })
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it, expect } from '@jest/globals'
+import { groupSources, getStreamingVerdict, StreamingSource } from '@/services/streamingAvailability.js'
+
+const source = (overrides: Partial<StreamingSource>): StreamingSource => ({
+  id: 203,
+  name: 'Netflix',
+  type: 'sub',
+  region: 'US',
+  ...overrides
+})
+
+const sources = [
+  source({ url: 'https://www.netflix.com/title/1' }),
+  source({ region: 'GB' }),
+  source({ id: 26, name: 'Prime Video', type: 'rent', price: 3.99 }),
+  source({ id: 26, name: 'Prime Video', type: 'sub', region: 'DE' }),
+  source({ id: 296, name: 'Tubi', type: 'free' })
+]
+
+describe('groupSources', () => {
+  it('should keep one region and group its sources by offer', () => {
+    const us = groupSources(sources, 'US')
+
+    expect(us.region).toBe('US')
+    expect(us.total_sources).toBe(3)
+    expect(us.sources.subscription.map(entry => entry.name)).toEqual(['Netflix'])
+    expect(us.sources.rent.map(entry => entry.price)).toEqual([3.99])
+    expect(us.sources.free.map(entry => entry.name)).toEqual(['Tubi'])
+
+    expect(groupSources(sources, 'FR').available).toBe(false)
+  })
+})
+
+describe('getStreamingVerdict', () => {
+  const availability = {
+    US: groupSources(sources, 'US'),
+    GB: groupSources(sources, 'GB'),
+    DE: groupSources(sources, 'DE')
+  }
+
+  it('should list subscribed services streaming the title in the subscriber regions', () => {
+    const verdict = getStreamingVerdict(availability, { services: [203, 26], regions: ['US', 'GB'] })
+
+    expect(verdict.streamable).toBe(true)
+    expect(verdict.services).toEqual([
+      { id: 203, name: 'Netflix', region: 'US', url: 'https://www.netflix.com/title/1' },
+      { id: 203, name: 'Netflix', region: 'GB', url: undefined }
+    ])
+  })
+
+  it('should not count rentals or other regions', () => {
+    expect(getStreamingVerdict(availability, { services: [26], regions: ['US'] }).streamable).toBe(false)
+    expect(getStreamingVerdict(availability, { services: [26], regions: ['DE'] }).services.map(entry => entry.region)).toEqual(['DE'])
+  })
+
+  it('should ignore availability cached before sources were grouped', () => {
+    const legacy = { US: { available: false, sources: [], region: 'US' } } as any
+
+    expect(getStreamingVerdict(legacy, { services: [203], regions: ['US'] })).toEqual({ streamable: false, services: [] })
+  })
+})
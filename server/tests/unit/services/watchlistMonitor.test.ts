@@ -0,0 +1,92 @@
+import { describe, it, expect } from '@jest/globals'
+import { WatchlistMonitorService } from '@/services/watchlistMonitor.js'
+import { ApiProxyService } from '@/services/apiProxy.js'
+import { DatabaseService } from '@/services/database.js'
+import { WebSocketService } from '@/services/websocket.js'
+import { WatchlistItem } from '@/types/database.js'
+
+const item: WatchlistItem = {
+  id: 'w1',
+  userId: 'u1',
+  tmdbId: 603,
+  type: 'movie',
+  title: 'The Matrix',
+  monitored: true,
+  autoGrab: true,
+  status: 'wanted',
+  createdAt: '2024-06-01T00:00:00.000Z',
+  updatedAt: '2024-06-01T00:00:00.000Z'
+}
+
+const release = (infoHash: string) => ({ score: 100, result: { title: `The.Matrix.1999.1080p-${infoHash}`, infoHash } })
+
+const createMonitor = (options: { downloads?: any[], releases: any[], existing?: boolean }) => {
+  const added: string[] = []
+  const notifications: any[] = []
+
+  const apiProxy = {
+    isServiceAvailable: () => false
+  } as unknown as ApiProxyService
+
+  // Only the filters the monitor uses
+  const dbService = {
+    find: async (_collection: string, query: any) => (options.downloads || []).filter(download =>
+      query.status === 'error' ? download.status === 'error' : download.status !== 'error'),
+    update: async (_collection: string, _id: string, changes: any) => ({ ...item, ...changes })
+  } as unknown as DatabaseService
+
+  const monitor = new WatchlistMonitorService(apiProxy, dbService, {} as WebSocketService) as any
+
+  monitor.torrentSearch = { hasSources: async () => true }
+  monitor.profileService = { getProfile: async () => ({ name: 'Default' }) }
+  monitor.notificationService = { notify: async (_userId: string, data: any) => notifications.push(data) }
+  monitor.grabController = {
+    getTarget: async () => ({ type: 'movie', titles: ['The Matrix'] }),
+    findReleases: async () => ({ accepted: options.releases }),
+    describe: (entry: any) => ({ title: entry.result.title }),
+    addRelease: async (_userId: string, _tmdbId: number, _target: any, entry: any) => {
+      added.push(entry.result.infoHash)
+      return { download: { id: 'd1', infoHash: entry.result.infoHash }, existing: !!options.existing }
+    }
+  }
+
+  return { monitor: monitor as WatchlistMonitorService, added, notifications }
+}
+
+describe('WatchlistMonitorService', () => {
+  it('should skip releases whose download already failed', async () => {
+    const { monitor, added, notifications } = createMonitor({
+      downloads: [{ tmdbId: '603', category: 'movie', status: 'error', infoHash: 'aaa' }],
+      releases: [release('aaa'), release('bbb')]
+    })
+
+    const result = await monitor.check(item)
+
+    expect(added).toEqual(['bbb'])
+    expect(notifications).toHaveLength(1)
+    expect(result.item.status).toBe('downloading')
+  })
+
+  it('should stay wanted when the only release already failed', async () => {
+    const { monitor, added, notifications } = createMonitor({
+      downloads: [{ tmdbId: '603', category: 'movie', status: 'error', infoHash: 'aaa' }],
+      releases: [release('aaa')]
+    })
+
+    const result = await monitor.check(item)
+
+    expect(added).toEqual([])
+    expect(notifications).toHaveLength(0)
+    expect(result.item.status).toBe('wanted')
+  })
+
+  it('should not notify or mark downloading when the release is an existing download', async () => {
+    const { monitor, notifications } = createMonitor({ releases: [release('ccc')], existing: true })
+
+    const result = await monitor.check(item)
+
+    expect(notifications).toHaveLength(0)
+    expect(result.item.status).toBe('wanted')
+    expect(result.download?.id).toBe('d1')
+  })
+})
@@ -0,0 +1,23 @@
+import { describe, it, expect } from '@jest/globals'
+import { WebSocketService } from '@/services/websocket.js'
+
+const client = (userId?: string) => ({ id: 'c1', userId, subscriptions: new Set<string>() })
+
+const canSubscribe = (userId: string | undefined, channel: string): boolean =>
+  (new WebSocketService() as any).isValidSubscription(client(userId), channel)
+
+describe('WebSocketService subscriptions', () => {
+  it('should keep protected channels from anonymous clients', () => {
+    expect(canSubscribe(undefined, 'notifications:alice')).toBe(false)
+    expect(canSubscribe(undefined, 'downloads')).toBe(false)
+    expect(canSubscribe(undefined, 'system')).toBe(true)
+  })
+
+  it('should only open user channels to their owner', () => {
+    expect(canSubscribe('alice', 'notifications:alice')).toBe(true)
+    expect(canSubscribe('bob', 'notifications:alice')).toBe(false)
+    expect(canSubscribe('bob', 'downloads:alice')).toBe(false)
+    expect(canSubscribe('bob', 'file-operations:alice')).toBe(false)
+    expect(canSubscribe('bob', 'downloads')).toBe(true)
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, it, expect } from '@jest/globals'
+import { parseRelease, qualityRank } from '@/utils/releaseParser.js'
+import { RELEASE_NAME_FIXTURES } from '@tests/fixtures/releaseNames.js'
+
+describe('parseRelease', () => {
+  describe('fixtures', () => {
+    it.each(RELEASE_NAME_FIXTURES)('should parse $name', ({ name, expected }) => {
+      expect(parseRelease(name)).toMatchObject(expected)
+    })
+  })
+
+  it('should always return the list fields', () => {
+    const release = parseRelease('')
+
+    expect(release.hdr).toEqual([])
+    expect(release.audio).toEqual([])
+    expect(release.languages).toEqual([])
+    expect(release.seasons).toEqual([])
+    expect(release.episodes).toEqual([])
+  })
+
+  it('should not read tags from inside the title', () => {
+    const release = parseRelease('The.Web.Cam.2019.720p.BluRay.x264-GRP')
+
+    expect(release.title).toBe('The Web Cam')
+    expect(release.source).toBe('BluRay')
+  })
+
+  it('should not treat bracketed tracker tags as the group', () => {
+    expect(parseRelease('Show.S01E01.720p.HDTV.x264[eztv]').group).toBeUndefined()
+  })
+})
+
+describe('qualityRank', () => {
+  const rank = (name: string) => qualityRank(parseRelease(name))
+
+  it('should rank higher resolutions first', () => {
+    expect(rank('Movie.2020.2160p.WEBRip.x265-GRP')).toBeGreaterThan(rank('Movie.2020.1080p.BluRay.x264-GRP'))
+  })
+
+  it('should rank remuxes above encodes of the same resolution', () => {
+    expect(rank('Movie.2020.1080p.BluRay.REMUX.AVC-GRP')).toBeGreaterThan(rank('Movie.2020.1080p.BluRay.x264-GRP'))
+  })
+
+  it('should rank retail sources above cams', () => {
+    expect(rank('Movie.2020.720p.WEB-DL.x264-GRP')).toBeGreaterThan(rank('Movie.2020.720p.HDCAM.x264-GRP'))
+  })
+
+  it('should prefer propers and repacks', () => {
+    expect(rank('Movie.2020.1080p.WEB-DL.PROPER.x264-GRP')).toBeGreaterThan(rank('Movie.2020.1080p.WEB-DL.x264-GRP'))
+  })
+})
@@ -0,0 +1,120 @@
+import { describe, it, expect } from '@jest/globals'
+import { createHash } from 'crypto'
+import { decodeBencode, parseTorrentFile, parseMagnet, buildMagnet } from '@/utils/torrentMeta.js'
+
+// Minimal bencoder for building fixtures; dictionary keys are sorted as the spec requires
+const bencode = (value: unknown): string => {
+  if (typeof value === 'number') return `i${value}e`
+  if (typeof value === 'string') return `${Buffer.byteLength(value)}:${value}`
+  if (Array.isArray(value)) return `l${value.map(bencode).join('')}e`
+  const entries = Object.entries(value as Record<string, unknown>).sort(([a], [b]) => a.localeCompare(b))
+  return `d${entries.map(([key, item]) => bencode(key) + bencode(item)).join('')}e`
+}
+
+const torrent = (info: Record<string, unknown>) => {
+  const infoBytes = Buffer.from(bencode(info))
+  const data = Buffer.from(bencode({ announce: 'http://tracker.example/announce', info: '__INFO__' }).replace('8:__INFO__', infoBytes.toString()))
+  return { data, infoBytes }
+}
+
+const sha1 = (data: Buffer) => createHash('sha1').update(data).digest('hex')
+const sha256 = (data: Buffer) => createHash('sha256').update(data).digest('hex')
+
+describe('decodeBencode', () => {
+  it('should decode nested values', () => {
+    const value = decodeBencode(Buffer.from('d4:listli1ei-2ee4:name3:abce')) as any
+
+    expect(value.list).toEqual([1, -2])
+    expect(value.name.toString()).toBe('abc')
+  })
+
+  it('should reject malformed data', () => {
+    expect(() => decodeBencode(Buffer.from('d4:name3:abc'))).toThrow()
+    expect(() => decodeBencode(Buffer.from('i12'))).toThrow()
+    expect(() => decodeBencode(Buffer.from('i1ei2e'))).toThrow('trailing data')
+  })
+})
+
+describe('parseTorrentFile', () => {
+  it('should hash v1 single file torrents', () => {
+    const { data, infoBytes } = torrent({ name: 'Movie.2020.1080p.mkv', length: 2048, 'piece length': 1024, pieces: 'x'.repeat(40) })
+    const meta = parseTorrentFile(data)
+
+    expect(meta).toMatchObject({ infoHash: sha1(infoBytes), name: 'Movie.2020.1080p.mkv', size: 2048, files: 1, version: 1 })
+    expect(meta.infoHashV2).toBeUndefined()
+  })
+
+  it('should sum v1 multi file torrents without padding files', () => {
+    const { data } = torrent({
+      name: 'Show.S01',
+      'piece length': 1024,
+      pieces: 'x'.repeat(20),
+      files: [
+        { length: 100, path: ['E01.mkv'] },
+        { length: 924, path: ['.pad', '924'], attr: 'p' },
+        { length: 200, path: ['E02.mkv'] }
+      ]
+    })
+
+    expect(parseTorrentFile(data)).toMatchObject({ size: 300, files: 2 })
+  })
+
+  it('should hash v2 only torrents with SHA-256', () => {
+    const { data, infoBytes } = torrent({
+      name: 'Album',
+      'meta version': 2,
+      'piece length': 16384,
+      'file tree': { 'a.flac': { '': { length: 10 } }, disc2: { 'b.flac': { '': { length: 20 } } } }
+    })
+    const meta = parseTorrentFile(data)
+
+    expect(meta.infoHashV2).toBe(sha256(infoBytes))
+    expect(meta.infoHash).toBe(sha256(infoBytes).substring(0, 40))
+    expect(meta).toMatchObject({ size: 30, files: 2, version: 2 })
+  })
+
+  it('should keep both hashes of hybrid torrents', () => {
+    const { data, infoBytes } = torrent({
+      name: 'Hybrid',
+      'meta version': 2,
+      'piece length': 16384,
+      pieces: 'x'.repeat(20),
+      length: 10,
+      'file tree': { Hybrid: { '': { length: 10 } } }
+    })
+
+    expect(parseTorrentFile(data)).toMatchObject({ infoHash: sha1(infoBytes), infoHashV2: sha256(infoBytes), version: 'hybrid' })
+  })
+
+  it('should reject files without an info dictionary', () => {
+    expect(() => parseTorrentFile(Buffer.from(bencode({ announce: 'x' })))).toThrow('missing info dictionary')
+  })
+})
+
+describe('parseMagnet', () => {
+  const hex = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a'
+
+  it('should read hex and base32 btih hashes', () => {
+    expect(parseMagnet(`magnet:?xt=urn:btih:${hex.toUpperCase()}&dn=Some+Name`)).toEqual({ infoHash: hex, infoHashV2: undefined, name: 'Some Name' })
+    expect(parseMagnet('magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK')?.infoHash).toBe(hex)
+  })
+
+  it('should read btmh hashes of v2 and hybrid magnets', () => {
+    const v2 = 'a'.repeat(64)
+
+    expect(parseMagnet(`magnet:?xt=urn:btmh:1220${v2}`)).toMatchObject({ infoHash: v2.substring(0, 40), infoHashV2: v2 })
+    expect(parseMagnet(`magnet:?xt=urn:btih:${hex}&xt=urn:btmh:1220${v2}`)).toMatchObject({ infoHash: hex, infoHashV2: v2 })
+  })
+
+  it('should reject magnets without a usable hash', () => {
+    expect(parseMagnet('http://example.com/file.torrent')).toBeNull()
+    expect(parseMagnet('magnet:?dn=nothing')).toBeNull()
+    expect(parseMagnet(`magnet:?xt=urn:btmh:1114${'a'.repeat(64)}`)).toBeNull()
+  })
+
+  it('should round trip through buildMagnet', () => {
+    const meta = { infoHash: hex, infoHashV2: 'b'.repeat(64), name: 'A & B' }
+
+    expect(parseMagnet(buildMagnet(meta))).toEqual(meta)
+  })
+})
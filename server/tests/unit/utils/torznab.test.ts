@@ -0,0 +1,93 @@
+import { describe, it, expect } from '@jest/globals'
+import { parseXml, parseTorznabCaps, parseTorznabResults, categoriesFor, mediaTypeOf, TorznabError } from '@/utils/torznab.js'
+import { TORZNAB_CAPS_XML, TORZNAB_MOVIE_RESULTS_XML, TORZNAB_ERROR_XML } from '@tests/fixtures/torznab.js'
+
+describe('parseXml', () => {
+  it('should read elements, attributes, CDATA and entities', () => {
+    const document = parseXml('<?xml version="1.0"?><a x="1 &amp; 2"><!-- note --><b>x &lt; y &#x41;</b><c><![CDATA[<raw>]]></c><d/></a>')
+    const root = document.children[0]
+
+    expect(root.attributes.x).toBe('1 & 2')
+    expect(root.children.map(node => node.name)).toEqual(['b', 'c', 'd'])
+    expect(root.children[0].text).toBe('x < y A')
+    expect(root.children[1].text).toBe('<raw>')
+  })
+
+  it('should reject malformed documents', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow('unexpected </a>')
+    expect(() => parseXml('<a>')).toThrow('unclosed <a>')
+    expect(() => parseXml('<a><b =></b></a>')).toThrow('malformed tag')
+  })
+})
+
+describe('parseTorznabCaps', () => {
+  it('should list search modes and flattened categories', () => {
+    const caps = parseTorznabCaps(TORZNAB_CAPS_XML)
+
+    expect(caps.title).toBe('Fixture Tracker')
+    expect(caps.searching['movie-search']).toEqual({ available: true, supportedParams: ['q', 'imdbid'] })
+    expect(caps.searching['music-search'].available).toBe(false)
+    expect(caps.categories).toContainEqual({ id: 2045, name: 'Movies/UHD' })
+    expect(caps.categories).toContainEqual({ id: 100001, name: 'Films & Documentaries' })
+  })
+
+  it('should surface Torznab error documents', () => {
+    expect(() => parseTorznabCaps(TORZNAB_ERROR_XML)).toThrow(TorznabError)
+    expect(() => parseTorznabCaps(TORZNAB_ERROR_XML)).toThrow('Invalid API Key')
+  })
+
+  it('should reject other documents', () => {
+    expect(() => parseTorznabCaps('<html><body /></html>')).toThrow('missing <caps>')
+  })
+})
+
+describe('parseTorznabResults', () => {
+  it('should map items and torznab attributes', () => {
+    const [first] = parseTorznabResults(TORZNAB_MOVIE_RESULTS_XML)
+
+    expect(first).toMatchObject({
+      title: 'Inception.2010.1080p.BluRay.x264-SPARKS',
+      link: 'https://tracker.example/download/1.torrent',
+      magnetUrl: 'magnet:?xt=urn:btih:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA&dn=Inception',
+      infoHash: 'a'.repeat(40),
+      size: 8589934592,
+      seeders: 120,
+      peers: 15,
+      categories: [2000, 2040],
+      description: 'Inception <b>1080p</b> & extras',
+      indexer: 'Fixture Tracker'
+    })
+  })
+
+  it('should take magnet links and sizes from wherever the indexer puts them', () => {
+    const [, second] = parseTorznabResults(TORZNAB_MOVIE_RESULTS_XML)
+
+    expect(second.title).toBe('Inception 2010 2160p UHD – REMUX')
+    expect(second.magnetUrl).toBe(`magnet:?xt=urn:btih:${'B'.repeat(40)}`)
+    expect(second.link).toBe('')
+    expect(second.size).toBe(60000000000)
+    expect(second.categories).toEqual([100001])
+  })
+})
+
+describe('category mapping', () => {
+  const { categories } = parseTorznabCaps(TORZNAB_CAPS_XML)
+
+  it('should use the standard parent plus matching custom categories', () => {
+    expect(categoriesFor('movie', categories)).toEqual([2000, 100001])
+    expect(categoriesFor('tv', categories)).toEqual([5000, 100002])
+  })
+
+  it('should fall back to listed subcategories or the standard parent', () => {
+    expect(categoriesFor('movie', [{ id: 2040, name: 'Movies/HD' }])).toEqual([2040])
+    expect(categoriesFor('tv', [])).toEqual([5000])
+  })
+
+  it('should map category ids to media types', () => {
+    expect(mediaTypeOf(2045)).toBe('movie')
+    expect(mediaTypeOf(5070)).toBe('tv')
+    expect(mediaTypeOf(3000)).toBeUndefined()
+    expect(mediaTypeOf(100002, categories)).toBe('tv')
+    expect(mediaTypeOf(100002)).toBeUndefined()
+  })
+})